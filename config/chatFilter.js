@@ -0,0 +1,23 @@
+// config/chatFilter.js
+// Live chat filtering (services/chatFilterService.js). Steps run in the
+// order listed; remove one from `steps` to turn it off.
+module.exports = {
+  steps: (process.env.CHAT_FILTER_STEPS || 'length,rateLimit,links,terms').split(',').map(step => step.trim()),
+  // Longest message accepted, in characters (StreamMessage allows up to 2000)
+  maxLength: Number(process.env.CHAT_MAX_LENGTH || 500),
+  // At most this many messages per user and session within the window
+  rateLimit: {
+    messages: Number(process.env.CHAT_RATE_LIMIT_MESSAGES || 5),
+    windowSeconds: Number(process.env.CHAT_RATE_LIMIT_WINDOW_SECONDS || 10)
+  },
+  links: {
+    // More links than this in one message is spam
+    maxPerMessage: Number(process.env.CHAT_MAX_LINKS || 1),
+    // Posting a message with the same link again within this window is spam
+    repeatWindowSeconds: Number(process.env.CHAT_LINK_REPEAT_SECONDS || 300),
+    // Domains that are always allowed, e.g. "youtube.com,fitstream.app"
+    allowedDomains: (process.env.CHAT_ALLOWED_LINK_DOMAINS || '').split(',').map(d => d.trim().toLowerCase()).filter(Boolean)
+  },
+  // How long the blocked term list is cached, in seconds
+  termsCacheSeconds: Number(process.env.CHAT_TERMS_CACHE_SECONDS || 60)
+};
@@ -0,0 +1,8 @@
+// config/moderationPolicy.js
+// How report outcomes turn into strikes and suspensions.
+module.exports = {
+  // Reaching this many strikes suspends the account automatically
+  strikesBeforeSuspension: Number(process.env.STRIKES_BEFORE_SUSPENSION || 3),
+  // Length of a suspension when the admin does not give one
+  defaultSuspensionDays: Number(process.env.DEFAULT_SUSPENSION_DAYS || 7)
+};
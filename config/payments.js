@@ -0,0 +1,10 @@
+// config/payments.js
+// Token purchase settings. The provider itself is chosen in services/payments/index.js.
+module.exports = {
+  // A purchase not paid within this many minutes is cancelled
+  pendingPurchaseMinutes: Number(process.env.PAYMENT_PENDING_MINUTES || 60),
+  // What a refund does when the buyer has already spent some of the tokens:
+  // negative_balance (take them all back, the balance goes below zero),
+  // partial_refund (refund only the tokens still unspent) or block (refuse)
+  spentTokensPolicy: process.env.PAYMENT_SPENT_TOKENS_POLICY || 'partial_refund'
+};
@@ -0,0 +1,11 @@
+// config/refundPolicy.js
+// Platform-wide refund policy for bookings cancelled by the user.
+// A session can override any of these values through Session.refundPolicy.
+module.exports = {
+  // Cancelling at least this many hours before start refunds everything
+  fullRefundHours: Number(process.env.REFUND_FULL_HOURS || 24),
+  // Percentage refunded when cancelling later than that but before start
+  lateRefundPercent: Number(process.env.REFUND_LATE_PERCENT || 50),
+  // Percentage refunded once the session has started
+  afterStartRefundPercent: Number(process.env.REFUND_AFTER_START_PERCENT || 0)
+};
@@ -0,0 +1,13 @@
+// config/replayPolicy.js
+// Platform-wide settings for watching recorded classes on demand.
+// A session can override the booked window and set its price through Session.replay.
+module.exports = {
+  // Days booked participants can watch the replay after the class ends
+  bookedAccessDays: Number(process.env.REPLAY_BOOKED_ACCESS_DAYS || 7),
+  // Days a purchased replay stays available
+  purchasedAccessDays: Number(process.env.REPLAY_PURCHASED_ACCESS_DAYS || 30),
+  // Lifetime of a signed playback URL
+  playbackUrlTtlSeconds: Number(process.env.REPLAY_URL_TTL_SECONDS || 300),
+  // Watching this share of a replay marks it as completed
+  completedThreshold: 0.9
+};
@@ -0,0 +1,24 @@
+// config/workoutMetrics.js
+// Heart-rate zones and limits for wearable samples sent during live classes.
+module.exports = {
+  // Zones as a share of the user's max heart rate; below zone 1 counts as rest
+  zones: [
+    { zone: 1, name: 'warm_up', min: 0.5 },
+    { zone: 2, name: 'fat_burn', min: 0.6 },
+    { zone: 3, name: 'cardio', min: 0.7 },
+    { zone: 4, name: 'hard', min: 0.8 },
+    { zone: 5, name: 'peak', min: 0.9 }
+  ],
+  // Used when the profile has neither a max heart rate nor a birth year
+  defaultMaxHeartRate: 190,
+  // Most samples accepted in one request
+  maxBatchSize: 60,
+  // A participant counts towards the live class intensity this long after their last sample
+  liveWindowSeconds: 30,
+  // Gaps between samples longer than this are not counted as time in a zone
+  maxSampleGapSeconds: 30,
+  // How often the class intensity is broadcast to the room at most
+  broadcastIntervalSeconds: Number(process.env.WORKOUT_BROADCAST_INTERVAL_SECONDS || 5),
+  // Raw samples are dropped after this many days; summaries stay on the user
+  sampleRetentionDays: Number(process.env.WORKOUT_SAMPLE_RETENTION_DAYS || 30)
+};
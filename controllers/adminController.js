@@ -0,0 +1,242 @@
+// controllers/adminController.js
+const mongoose = require('mongoose');
+const tokenLedgerService = require('../services/tokenLedgerService');
+const moderationService = require('../services/moderationService');
+const reportService = require('../services/reportService');
+const platformReportService = require('../services/platformReportService');
+const cohortService = require('../services/cohortService');
+const paymentService = require('../services/paymentService');
+const purchaseRefundService = require('../services/purchaseRefundService');
+const { toCsv } = require('../utils/csv');
+
+// Compare cached token balances with the ledger
+exports.getLedgerReconciliation = async (req, res, next) => {
+  try {
+    const report = await tokenLedgerService.reconcile();
+    res.json(report);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Rebuild a user's cached token balance from the ledger
+exports.rebuildUserBalance = async (req, res, next) => {
+  try {
+    const { previousBalance, balance } = await tokenLedgerService.rebuildBalance(req.params.userId);
+
+    res.json({
+      message: 'Token balance rebuilt from ledger',
+      previousBalance,
+      tokens: balance
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Get a purchase with its full history (payment, refunds, disputes)
+exports.getPurchase = async (req, res, next) => {
+  try {
+    const transaction = await paymentService.findPurchase(req.params.transactionId, req.user);
+
+    res.json(transaction);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Refund all or part of a purchase and take back its tokens
+exports.refundPurchase = async (req, res, next) => {
+  try {
+    const { amount, reason, note } = req.body;
+    const { transaction, refund, balance } = await purchaseRefundService.refund(
+      req.params.transactionId,
+      { amount, reason, note },
+      req.user
+    );
+
+    res.json({
+      message: 'Purchase refunded',
+      transaction,
+      refund,
+      tokens: balance
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Let a user whose payment was disputed buy tokens again
+exports.clearPaymentFlag = async (req, res, next) => {
+  try {
+    await purchaseRefundService.clearPaymentFlag(req.params.userId);
+
+    res.json({ message: 'Payment flag cleared' });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Review moderation actions across sessions
+exports.getModerationLog = async (req, res, next) => {
+  try {
+    const { session, trainer, actor, target, action, page, limit } = req.query;
+    const filter = {};
+
+    for (const [field, value] of Object.entries({ session, trainer, actor, target })) {
+      if (value === undefined) continue;
+      if (!mongoose.isValidObjectId(value)) {
+        return res.status(400).json({ message: `Invalid ${field} ID` });
+      }
+      filter[field] = value;
+    }
+    if (action) filter.action = action;
+
+    const result = await moderationService.getLog(filter, { page, limit });
+
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Review queue of user reports
+exports.getReports = async (req, res, next) => {
+  try {
+    const { status = 'open', targetType, reportedUser, page, limit } = req.query;
+    const filter = { status };
+
+    if (targetType) filter.targetType = targetType;
+    if (reportedUser) {
+      if (!mongoose.isValidObjectId(reportedUser)) {
+        return res.status(400).json({ message: 'Invalid reportedUser ID' });
+      }
+      filter.reportedUser = reportedUser;
+    }
+
+    const result = await reportService.list(filter, { page, limit });
+
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Dismiss a report, or warn or suspend the reported user
+exports.resolveReport = async (req, res, next) => {
+  try {
+    const { action, note, suspendDays } = req.body;
+    const result = await reportService.resolve(req.params.reportId, { action, note, suspendDays }, req.user);
+
+    res.json({
+      message: 'Report resolved',
+      ...result
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// End a user's suspension early
+exports.liftSuspension = async (req, res, next) => {
+  try {
+    const moderation = await reportService.liftSuspension(req.params.userId);
+
+    res.json({
+      message: 'Suspension lifted',
+      moderation
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Get the chat word list
+exports.getBlockedTerms = async (req, res, next) => {
+  try {
+    const terms = await reportService.listBlockedTerms();
+    res.json(terms);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Add a term to the chat word list or change its action
+exports.saveBlockedTerm = async (req, res, next) => {
+  try {
+    const { term, action, wholeWord } = req.body;
+    const saved = await reportService.saveBlockedTerm({ term, action, wholeWord }, req.user);
+
+    res.status(201).json(saved);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Remove a term from the chat word list
+exports.deleteBlockedTerm = async (req, res, next) => {
+  try {
+    await reportService.removeBlockedTerm(req.params.termId);
+    res.json({ message: 'Term removed' });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// List the business reports and how each can be grouped
+exports.getPlatformReports = async (req, res, next) => {
+  try {
+    res.json(platformReportService.list());
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Run a business report as JSON or CSV
+exports.getPlatformReport = async (req, res, next) => {
+  try {
+    const { from, to, interval, groupBy, format = 'json' } = req.query;
+
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({ message: 'Format must be json or csv' });
+    }
+
+    const result = await platformReportService.run(req.params.report, { from, to, interval, groupBy });
+
+    if (format === 'csv') {
+      res.attachment(`${result.report}_${result.range.from}_${result.range.to}.csv`);
+      res.type('text/csv; charset=utf-8');
+      return res.send(toCsv(result.columns, result.rows));
+    }
+
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Weekly retention curves for signup or first-purchase cohorts
+exports.getCohortRetention = async (req, res, next) => {
+  try {
+    const { type, from, to, weeks, refresh } = req.query;
+    const result = await cohortService.getRetention({ type, from, to, weeks, refresh: refresh === 'true' });
+
+    res.json({ ...result.value, computedAt: result.computedAt, cached: result.cached });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Members whose booking frequency has dropped, platform-wide or for one trainer
+exports.getAtRiskMembers = async (req, res, next) => {
+  try {
+    const { trainer, recentWeeks, baselineWeeks, minBookings, dropPercent, page, limit, refresh } = req.query;
+    const result = await cohortService.getAtRisk({
+      trainer, recentWeeks, baselineWeeks, minBookings, dropPercent, page, limit, refresh: refresh === 'true'
+    });
+
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+};
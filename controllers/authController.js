@@ -1,6 +1,7 @@
 // controllers/authController.js
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { isValidTimeZone } = require('../utils/timezone');
 const { validationResult } = require('express-validator');
 
 // Helper function to generate JWT token
@@ -26,7 +27,11 @@ exports.register = async (req, res, next) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { firstName, lastName, email, password, role } = req.body;
+    const { firstName, lastName, email, password, role, timezone } = req.body;
+
+    if (timezone && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ message: 'Invalid timezone' });
+    }
 
     // Check if user already exists
     let user = await User.findOne({ email });
@@ -43,7 +48,8 @@ exports.register = async (req, res, next) => {
       email,
       password,
       // Only allow user or trainer roles from registration
-      role: ['user', 'trainer'].includes(role) ? role : 'user'
+      role: ['user', 'trainer'].includes(role) ? role : 'user',
+      timezone: isValidTimeZone(timezone) || undefined
     });
 
     await user.save();
@@ -88,6 +94,13 @@ exports.login = async (req, res, next) => {
       });
     }
 
+    if (user.isSuspended()) {
+      return res.status(403).json({
+        message: 'Your account is suspended',
+        suspendedUntil: user.moderation.suspendedUntil
+      });
+    }
+
     // Generate token
     const token = generateToken(user);
 
@@ -0,0 +1,136 @@
+// controllers/calendarController.js
+const Session = require('../models/Session');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const calendarService = require('../services/calendarService');
+
+// How far back feeds reach, so recent changes and cancellations still sync
+const FEED_HISTORY_DAYS = 60;
+
+const sendCalendar = (res, ics, filename) => {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  if (filename) {
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  }
+  res.send(ics);
+};
+
+const buildFeedUrls = (req, user) => {
+  const token = calendarService.generateFeedToken(user);
+  const path = `/api/calendar/users/${user._id}/${token}.ics`;
+  const host = req.get('host');
+
+  return {
+    url: `${req.protocol}://${host}${path}`,
+    webcalUrl: `webcal://${host}${path}`
+  };
+};
+
+// Get the current user's private feed URL
+exports.getFeedUrl = async (req, res, next) => {
+  try {
+    res.json(buildFeedUrls(req, req.user));
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Invalidate the current feed URL and issue a new one
+exports.resetFeedUrl = async (req, res, next) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { $inc: { calendarFeedVersion: 1 } },
+      { new: true }
+    );
+
+    res.json({
+      message: 'Calendar feed URL reset, the previous URL no longer works',
+      ...buildFeedUrls(req, user)
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Private feed of a user's booked sessions
+exports.getUserFeed = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.userId).select('firstName bookedSessions calendarFeedVersion');
+
+    // Same response for unknown users and bad tokens
+    if (!user || !calendarService.verifyFeedToken(user, req.params.token)) {
+      return res.status(404).json({ message: 'Calendar feed not found' });
+    }
+
+    const since = new Date(Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+    const bookedIds = user.bookedSessions.map(booking => booking.session);
+
+    const booked = await Session.find({ _id: { $in: bookedIds }, scheduledAt: { $gte: since } })
+      .populate('trainer', 'firstName lastName');
+
+    // Bookings that were refunded (user or trainer cancelled) show up as
+    // cancelled so subscribed calendars remove them
+    const refundedIds = await Transaction.distinct('session', {
+      user: user._id,
+      type: 'session_refund',
+      session: { $nin: bookedIds }
+    });
+
+    const refunded = await Session.find({ _id: { $in: refundedIds }, scheduledAt: { $gte: since } })
+      .populate('trainer', 'firstName lastName');
+
+    const events = [
+      ...booked.map(session => ({ session })),
+      ...refunded.map(session => ({ session, cancelled: true }))
+    ];
+
+    sendCalendar(res, calendarService.buildCalendar(events, { name: 'FitStream - My Sessions' }));
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Public feed of a trainer's sessions
+exports.getTrainerFeed = async (req, res, next) => {
+  try {
+    const trainer = await User.findOne({ _id: req.params.trainerId, role: { $in: ['trainer', 'admin'] } })
+      .select('firstName lastName');
+
+    if (!trainer) {
+      return res.status(404).json({ message: 'Trainer not found' });
+    }
+
+    const since = new Date(Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+    const sessions = await Session.find({
+      trainer: trainer._id,
+      isPrivate: { $ne: true },
+      scheduledAt: { $gte: since }
+    })
+      .sort({ scheduledAt: -1 })
+      .populate('trainer', 'firstName lastName');
+
+    sendCalendar(res, calendarService.buildCalendar(sessions, {
+      name: `FitStream - ${trainer.firstName} ${trainer.lastName}`
+    }));
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Single-event download for a session
+exports.getSessionEvent = async (req, res, next) => {
+  try {
+    const session = await Session.findById(req.params.id)
+      .populate('trainer', 'firstName lastName');
+
+    // Private sessions come through the member's personal feed instead
+    if (!session || session.isPrivate) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    sendCalendar(res, calendarService.buildCalendar([session]), `fitstream-session-${session._id}.ics`);
+  } catch (err) {
+    next(err);
+  }
+};
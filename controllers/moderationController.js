@@ -0,0 +1,136 @@
+// controllers/moderationController.js
+const moderationService = require('../services/moderationService');
+
+// Get a session's moderation settings and active restrictions
+exports.getModeration = async (req, res, next) => {
+  try {
+    const session = await moderationService.findModeratedSession(req.params.sessionId, req.user);
+    const state = await moderationService.getState(session);
+
+    res.json(state);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Get the moderation log of a session
+exports.getModerationLog = async (req, res, next) => {
+  try {
+    const session = await moderationService.findModeratedSession(req.params.sessionId, req.user);
+    const { page, limit } = req.query;
+
+    const result = await moderationService.getLog({ session: session._id }, { page, limit });
+
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Delete a chat message
+exports.deleteMessage = async (req, res, next) => {
+  try {
+    const session = await moderationService.findModeratedSession(req.params.sessionId, req.user);
+    const message = await moderationService.deleteMessage(session, req.params.messageId, req.user, req.body.reason);
+
+    res.json({
+      message: 'Message deleted',
+      messageId: message._id
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Mute a user in chat
+exports.muteUser = async (req, res, next) => {
+  try {
+    const session = await moderationService.findModeratedSession(req.params.sessionId, req.user);
+    const { userId, minutes, reason } = req.body;
+
+    const mute = await moderationService.mute(session, userId, { minutes, reason }, req.user);
+
+    res.status(201).json({
+      message: 'User muted',
+      mute
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Lift a mute
+exports.unmuteUser = async (req, res, next) => {
+  try {
+    const session = await moderationService.findModeratedSession(req.params.sessionId, req.user);
+    await moderationService.unmute(session, req.params.userId, req.user);
+
+    res.json({ message: 'User unmuted' });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Kick a user from the channel
+exports.kickUser = async (req, res, next) => {
+  try {
+    const session = await moderationService.findModeratedSession(req.params.sessionId, req.user);
+    const { userId, minutes, reason } = req.body;
+
+    const kick = await moderationService.kick(session, userId, { minutes, reason }, req.user);
+
+    res.status(201).json({
+      message: 'User removed from the stream',
+      kick
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Ban a user from rejoining the session
+exports.banUser = async (req, res, next) => {
+  try {
+    const session = await moderationService.findModeratedSession(req.params.sessionId, req.user);
+    const { userId, reason } = req.body;
+
+    const { ban, kicked } = await moderationService.ban(session, userId, { reason }, req.user);
+
+    res.status(201).json({
+      message: 'User banned from this session',
+      ban,
+      kicked
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Lift a ban
+exports.unbanUser = async (req, res, next) => {
+  try {
+    const session = await moderationService.findModeratedSession(req.params.sessionId, req.user);
+    await moderationService.unban(session, req.params.userId, req.user);
+
+    res.json({ message: 'User unbanned' });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Turn slow mode and followers-only chat on or off
+exports.updateSettings = async (req, res, next) => {
+  try {
+    const session = await moderationService.findModeratedSession(req.params.sessionId, req.user);
+    const { slowModeSeconds, followersOnly } = req.body;
+
+    const settings = await moderationService.updateSettings(session, { slowModeSeconds, followersOnly }, req.user);
+
+    res.json({
+      message: 'Moderation settings updated',
+      settings
+    });
+  } catch (err) {
+    next(err);
+  }
+};
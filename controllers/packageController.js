@@ -1,7 +1,7 @@
 // controllers/packageController.js
 const Package = require('../models/Package');
 const Transaction = require('../models/Transaction');
-const User = require('../models/User');
+const paymentService = require('../services/paymentService');
 const { validationResult } = require('express-validator');
 
 // Get all packages
@@ -142,15 +142,21 @@ exports.deletePackage = async (req, res, next) => {
   }
 };
 
-// Purchase a token package
+// Start purchasing a token package. Tokens are added once the payment
+// provider confirms the payment through its webhook.
 exports.purchasePackage = async (req, res, next) => {
   try {
-    const { paymentMethod, paymentDetails } = req.body;
+    const { paymentMethod } = req.body;
 
     if (!paymentMethod) {
       return res.status(400).json({ message: 'Payment method is required' });
     }
 
+    const methods = Transaction.schema.path('paymentMethod').enumValues.filter(method => method !== 'tokens');
+    if (!methods.includes(paymentMethod)) {
+      return res.status(400).json({ message: `Payment method must be one of: ${methods.join(', ')}` });
+    }
+
     // Find the package
     const pkg = await Package.findById(req.params.id);
 
@@ -168,35 +174,37 @@ exports.purchasePackage = async (req, res, next) => {
       return res.status(400).json({ message: 'This promotion has expired' });
     }
 
-    // Create transaction record
-    const transaction = new Transaction({
-      user: req.user.id,
-      package: pkg._id,
-      tokenAmount: pkg.tokenAmount,
-      amount: pkg.price,
-      currency: pkg.currency,
-      paymentMethod,
-      status: 'pending',
-      paymentDetails
+    const { transaction, payment } = await paymentService.createPurchase(req.user, pkg, { paymentMethod });
+
+    res.status(201).json({
+      message: 'Purchase started. Tokens are added once the payment is confirmed.',
+      transaction,
+      payment
     });
+  } catch (err) {
+    next(err);
+  }
+};
 
-    // In a real app, we would process payment here
-    // For this mock implementation, we'll just assume payment succeeded
-    transaction.status = 'completed';
+// Confirm a pending purchase's payment with a payment method
+exports.confirmPurchase = async (req, res, next) => {
+  try {
+    const { transaction, payment } = await paymentService.confirmPurchase(req.params.transactionId, req.user, {
+      paymentMethodId: req.body.paymentMethodId
+    });
 
-    // Add tokens to user's account
-    const user = await User.findById(req.user.id);
-    user.tokens += pkg.tokenAmount;
+    res.status(202).json({ transaction, payment });
+  } catch (err) {
+    next(err);
+  }
+};
 
-    // Save transaction and user updates
-    await transaction.save();
-    await user.save();
+// Get a purchase and its payment status
+exports.getPurchase = async (req, res, next) => {
+  try {
+    const transaction = await paymentService.findPurchase(req.params.transactionId, req.user);
 
-    res.json({
-      message: 'Purchase successful',
-      transaction,
-      tokens: user.tokens
-    });
+    res.json(transaction);
   } catch (err) {
     next(err);
   }
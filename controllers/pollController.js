@@ -0,0 +1,54 @@
+// controllers/pollController.js
+const pollService = require('../services/pollService');
+const chatService = require('../services/chatService');
+const moderationService = require('../services/moderationService');
+
+// Get the polls of a session with the current user's votes
+exports.getPolls = async (req, res, next) => {
+  try {
+    const session = await chatService.findAccessibleSession(req.params.sessionId, req.user);
+    const polls = await pollService.list(session, req.user);
+
+    res.json(polls);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Start a poll
+exports.createPoll = async (req, res, next) => {
+  try {
+    const session = await moderationService.findModeratedSession(req.params.sessionId, req.user);
+    const { question, options, durationSeconds } = req.body;
+
+    const poll = await pollService.create(session, { question, options, durationSeconds }, req.user);
+
+    res.status(201).json(poll);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Vote in a poll
+exports.vote = async (req, res, next) => {
+  try {
+    const { sessionId, pollId } = req.params;
+    const poll = await pollService.vote(sessionId, pollId, req.user, req.body.optionId);
+
+    res.json(poll);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Close a poll and publish the result
+exports.closePoll = async (req, res, next) => {
+  try {
+    const session = await moderationService.findModeratedSession(req.params.sessionId, req.user);
+    const poll = await pollService.close(session, req.params.pollId);
+
+    res.json(poll);
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,65 @@
+// controllers/questionController.js
+const questionService = require('../services/questionService');
+const chatService = require('../services/chatService');
+const moderationService = require('../services/moderationService');
+
+// Get the Q&A queue of a session
+exports.getQuestions = async (req, res, next) => {
+  try {
+    const session = await chatService.findAccessibleSession(req.params.sessionId, req.user);
+    const questions = await questionService.list(session, req.user, { status: req.query.status });
+
+    res.json(questions);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Ask the trainer a question
+exports.askQuestion = async (req, res, next) => {
+  try {
+    const question = await questionService.ask(req.params.sessionId, req.user, req.body.text);
+
+    res.status(201).json(question);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Upvote a question
+exports.upvoteQuestion = async (req, res, next) => {
+  try {
+    const { sessionId, questionId } = req.params;
+    const result = await questionService.upvote(sessionId, questionId, req.user);
+
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Take an upvote back
+exports.removeUpvote = async (req, res, next) => {
+  try {
+    const { sessionId, questionId } = req.params;
+    const result = await questionService.upvote(sessionId, questionId, req.user, true);
+
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Mark a question answered or dismissed, or pin it
+exports.updateQuestion = async (req, res, next) => {
+  try {
+    const session = await moderationService.findModeratedSession(req.params.sessionId, req.user);
+    const { status, pinned } = req.body;
+
+    const question = await questionService.update(session, req.params.questionId, { status, pinned });
+
+    res.json(question);
+  } catch (err) {
+    next(err);
+  }
+};
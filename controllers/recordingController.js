@@ -0,0 +1,63 @@
+// controllers/recordingController.js
+const recordingService = require('../services/recordingService');
+
+// List recordings: trainers see their own, admins can filter by trainer
+exports.getRecordings = async (req, res, next) => {
+  try {
+    const filter = {};
+
+    if (req.user.role === 'admin') {
+      if (req.query.trainer) filter.trainer = req.query.trainer;
+    } else {
+      filter.trainer = req.user._id;
+    }
+
+    if (req.query.session) filter.session = req.query.session;
+
+    const result = await recordingService.list(filter, {
+      page: req.query.page,
+      limit: req.query.limit
+    });
+
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Get a single recording
+exports.getRecordingById = async (req, res, next) => {
+  try {
+    const recording = await recordingService.findManaged(req.params.id, req.user);
+
+    res.json(await recording.populate('session', 'title scheduledAt duration'));
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Rename a recording
+exports.updateRecording = async (req, res, next) => {
+  try {
+    const recording = await recordingService.findManaged(req.params.id, req.user);
+
+    await recordingService.rename(recording, req.body.title);
+
+    res.json(recording);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Delete a recording from the library
+exports.deleteRecording = async (req, res, next) => {
+  try {
+    const recording = await recordingService.findManaged(req.params.id, req.user);
+
+    await recordingService.remove(recording);
+
+    res.json({ message: 'Recording deleted successfully' });
+  } catch (err) {
+    next(err);
+  }
+};
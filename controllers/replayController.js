@@ -0,0 +1,106 @@
+// controllers/replayController.js
+const Session = require('../models/Session');
+const replayService = require('../services/replayService');
+
+// Get replay availability, price and the current user's access
+exports.getReplay = async (req, res, next) => {
+  try {
+    const replay = await replayService.getReplayInfo(req.params.sessionId, req.user);
+
+    res.json(replay);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Buy access to a replay with tokens
+exports.purchaseReplay = async (req, res, next) => {
+  try {
+    const { access, tokens } = await replayService.purchase(req.params.sessionId, req.user);
+
+    res.status(201).json({
+      message: 'Replay purchased successfully',
+      access,
+      tokens
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Get a short-lived signed playback URL
+exports.getPlaybackUrl = async (req, res, next) => {
+  try {
+    const playback = await replayService.createPlayback(
+      req.params.sessionId,
+      req.user,
+      `${req.protocol}://${req.get('host')}`
+    );
+
+    res.json(playback);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Follow a signed playback URL to the recording
+exports.streamReplay = async (req, res, next) => {
+  try {
+    const url = await replayService.resolvePlayback(req.params.sessionId, req.query);
+
+    res.set('Cache-Control', 'no-store');
+    res.redirect(302, url);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Save the current playback position
+exports.updateProgress = async (req, res, next) => {
+  try {
+    const { position, duration } = req.body;
+
+    const progress = await replayService.updateProgress(req.params.sessionId, req.user, { position, duration });
+
+    res.json({ progress });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Replays the user started but did not finish
+exports.getContinueWatching = async (req, res, next) => {
+  try {
+    const replays = await replayService.getContinueWatching(req.user._id, parseInt(req.query.limit, 10) || 10);
+
+    res.json(replays);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Set a replay's price and how long booked participants can watch it
+exports.updateReplaySettings = async (req, res, next) => {
+  try {
+    const session = await Session.findById(req.params.sessionId);
+
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    // Check if user is the trainer of this session
+    if (session.trainer.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Not authorized to update this session' });
+    }
+
+    const { enabled, tokenCost, accessDays } = req.body;
+    const replay = await replayService.updateSettings(session, { enabled, tokenCost, accessDays });
+
+    res.json({
+      message: 'Replay settings updated successfully',
+      replay
+    });
+  } catch (err) {
+    next(err);
+  }
+};
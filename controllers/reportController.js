@@ -0,0 +1,46 @@
+// controllers/reportController.js
+const reportService = require('../services/reportService');
+
+// Report a chat message, a trainer or a session
+exports.createReport = async (req, res, next) => {
+  try {
+    const { targetType, targetId, reason, details } = req.body;
+    const report = await reportService.create(req.user, { targetType, targetId, reason, details });
+
+    res.status(201).json({
+      message: 'Thanks, our team will review your report',
+      report: {
+        _id: report._id,
+        targetType: report.targetType,
+        targetId: report.targetId,
+        reason: report.reason,
+        status: report.status,
+        createdAt: report.createdAt
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Get the reports the current user has filed
+exports.getMyReports = async (req, res, next) => {
+  try {
+    const { page, limit } = req.query;
+    const { reports, pagination } = await reportService.list({ reporter: req.user._id }, { page, limit });
+
+    res.json({
+      reports: reports.map(report => ({
+        _id: report._id,
+        targetType: report.targetType,
+        targetId: report.targetId,
+        reason: report.reason,
+        status: report.status,
+        createdAt: report.createdAt
+      })),
+      pagination
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,138 @@
+// controllers/seriesController.js
+const Session = require('../models/Session');
+const SessionSeries = require('../models/SessionSeries');
+const seriesService = require('../services/seriesService');
+const { validationResult } = require('express-validator');
+
+// Load a series and check the current user may manage it
+const findManagedSeries = async (req, res) => {
+  const series = await SessionSeries.findById(req.params.id);
+
+  if (!series) {
+    res.status(404).json({ message: 'Series not found' });
+    return null;
+  }
+
+  if (series.trainer.toString() !== req.user.id && req.user.role !== 'admin') {
+    res.status(403).json({ message: 'Not authorized to manage this series' });
+    return null;
+  }
+
+  return series;
+};
+
+// Create a recurring series and its sessions
+exports.createSeries = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { series, sessions } = await seriesService.createSeries(req.user.id, {
+      ...req.body,
+      // Series default to the trainer's timezone
+      timezone: req.body.timezone || req.user.timezone
+    });
+
+    res.status(201).json({
+      series,
+      sessions
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Get a series with its sessions
+exports.getSeriesById = async (req, res, next) => {
+  try {
+    const series = await SessionSeries.findById(req.params.id)
+      .populate('trainer', 'firstName lastName profilePicture');
+
+    if (!series) {
+      return res.status(404).json({ message: 'Series not found' });
+    }
+
+    const sessions = await Session.find({ series: series._id })
+      .select('title scheduledAt duration status tokenCost maxParticipants participants seriesOccurrence')
+      .sort({ scheduledAt: 1 });
+
+    res.json({
+      series,
+      sessions
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Update one occurrence ("this") or it and all later ones ("following")
+exports.updateOccurrence = async (req, res, next) => {
+  try {
+    const series = await findManagedSeries(req, res);
+    if (!series) return;
+
+    const session = await Session.findOne({ _id: req.params.sessionId, series: series._id });
+
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found in this series' });
+    }
+
+    const { scope = 'this', ...changes } = req.body;
+    const sessions = await seriesService.updateOccurrences(series, session, scope, changes);
+
+    res.json({
+      message: `Updated ${sessions.length} session(s)`,
+      sessions
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Cancel a series, optionally only from a given occurrence onwards
+exports.cancelSeries = async (req, res, next) => {
+  try {
+    const series = await findManagedSeries(req, res);
+    if (!series) return;
+
+    if (series.status === 'cancelled') {
+      return res.status(400).json({ message: 'Series is already cancelled' });
+    }
+
+    let fromSession = null;
+    if (req.body.fromSessionId) {
+      fromSession = await Session.findOne({ _id: req.body.fromSessionId, series: series._id });
+
+      if (!fromSession) {
+        return res.status(404).json({ message: 'Session not found in this series' });
+      }
+    }
+
+    const result = await seriesService.cancelSeries(series, req.user._id, fromSession);
+
+    res.json({
+      message: `Cancelled ${result.cancelledSessions} session(s)`,
+      ...result,
+      series
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Book every upcoming session of a series
+exports.bookSeries = async (req, res, next) => {
+  try {
+    const { booked, tokens } = await seriesService.bookSeries(req.params.id, req.user._id);
+
+    res.json({
+      message: `Booked ${booked.length} session(s)`,
+      sessions: booked,
+      tokens
+    });
+  } catch (err) {
+    next(err);
+  }
+};
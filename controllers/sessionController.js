@@ -1,42 +1,53 @@
 // controllers/sessionController.js
 const Session = require('../models/Session');
 const User = require('../models/User');
+const bookingService = require('../services/bookingService');
+const schedulingService = require('../services/schedulingService');
+const sessionSearchService = require('../services/sessionSearchService');
+const chatService = require('../services/chatService');
+const replayService = require('../services/replayService');
+const attendanceService = require('../services/attendanceService');
+const questionService = require('../services/questionService');
+const pollService = require('../services/pollService');
+const {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  parseDateTime,
+  localizeSession
+} = require('../utils/timezone');
+const withTransaction = require('../utils/withTransaction');
 const { validationResult } = require('express-validator');
 
-// Get all sessions
-exports.getAllSessions = async (req, res, next) => {
-  try {
-    // Parse query parameters for filtering
-    const { category, difficulty, trainer, status, search, upcoming } = req.query;
+// Timezone to present times in: ?timezone=, then the user's own, then UTC
+const resolveTimeZone = (req) => {
+  return isValidTimeZone(req.query.timezone) ||
+    (req.user && isValidTimeZone(req.user.timezone)) ||
+    DEFAULT_TIMEZONE;
+};
 
-    // Build query
-    const query = {};
+// Session as JSON with UTC, session-local and viewer-local times
+const withLocalTimes = (session, timeZone) => ({
+  ...session.toObject(),
+  localTimes: localizeSession(session, timeZone)
+});
 
-    if (category) query.category = category;
-    if (difficulty) query.difficulty = difficulty;
-    if (trainer) query.trainer = trainer;
-    if (status) query.status = status;
+const canViewPrivateSession = (session, user) => {
+  if (!user) return false;
+  if (user.role === 'admin') return true;
 
-    // For upcoming sessions
-    if (upcoming === 'true') {
-      query.scheduledAt = { $gt: new Date() };
-    }
-
-    // Text search
-    if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } },
-        { tags: { $in: [new RegExp(search, 'i')] } }
-      ];
-    }
+  const trainerId = session.trainer._id || session.trainer;
+  return trainerId.toString() === user.id ||
+    session.participants.some(p => (p.user._id || p.user).toString() === user.id);
+};
 
-    // Execute query with population
-    const sessions = await Session.find(query)
-      .populate('trainer', 'firstName lastName profilePicture')
-      .sort({ scheduledAt: 1 });
+// Get all sessions (filtered, sorted and paginated with a cursor)
+exports.getAllSessions = async (req, res, next) => {
+  try {
+    const result = await sessionSearchService.search(req.query, {
+      timeZone: resolveTimeZone(req)
+    });
 
-    res.json(sessions);
+    res.json(result);
   } catch (err) {
     next(err);
   }
@@ -53,7 +64,12 @@ exports.getSessionById = async (req, res, next) => {
       return res.status(404).json({ message: 'Session not found' });
     }
 
-    res.json(session);
+    // Private sessions are only visible to the trainer and the member who booked them
+    if (session.isPrivate && !canViewPrivateSession(session, req.user)) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    res.json(withLocalTimes(session, resolveTimeZone(req)));
   } catch (err) {
     next(err);
   }
@@ -77,9 +93,18 @@ exports.createSession = async (req, res, next) => {
       tokenCost,
       maxParticipants,
       equipmentRequired,
-      tags
+      tags,
+      refundPolicy,
+      autoRecord,
+      replay
     } = req.body;
 
+    // Sessions default to the trainer's timezone
+    const timezone = isValidTimeZone(req.body.timezone || req.user.timezone || DEFAULT_TIMEZONE);
+    if (!timezone) {
+      return res.status(400).json({ message: 'Invalid timezone' });
+    }
+
     // Create new session
     const session = new Session({
       title,
@@ -87,7 +112,8 @@ exports.createSession = async (req, res, next) => {
       trainer: req.user.id,
       category,
       difficulty,
-      scheduledAt,
+      scheduledAt: parseDateTime(scheduledAt, timezone),
+      timezone,
       duration,
       tokenCost: tokenCost || 1,
       maxParticipants: maxParticipants || 0
@@ -96,8 +122,15 @@ exports.createSession = async (req, res, next) => {
     // Add optional fields if provided
     if (equipmentRequired) session.equipmentRequired = equipmentRequired;
     if (tags) session.tags = tags;
-
-    await session.save();
+    if (refundPolicy) session.refundPolicy = bookingService.parseRefundPolicy(refundPolicy);
+    if (autoRecord !== undefined) session.autoRecord = autoRecord;
+    if (replay) session.replay = replay;
+
+    // Check the trainer is not already teaching at that time
+    await withTransaction(async dbSession => {
+      await schedulingService.reserveTrainerTime(req.user.id, session.scheduledAt, session.duration, dbSession);
+      await session.save({ session: dbSession });
+    });
 
     res.status(201).json(session);
   } catch (err) {
@@ -124,6 +157,11 @@ exports.updateSession = async (req, res, next) => {
       return res.status(400).json({ message: `Cannot update a ${session.status} session` });
     }
 
+    // Pending private sessions are answered through the private session endpoints
+    if (session.status === 'pending') {
+      return res.status(400).json({ message: 'Accept or decline this private session request first' });
+    }
+
     // Update fields that were provided
     const {
       title,
@@ -136,22 +174,55 @@ exports.updateSession = async (req, res, next) => {
       maxParticipants,
       equipmentRequired,
       tags,
+      refundPolicy,
+      timezone,
+      autoRecord,
       status
     } = req.body;
 
+    // Cancelling refunds and notifies everyone booked, which only the status endpoint does
+    if (status !== undefined && status !== session.status) {
+      return res.status(400).json({ message: 'Use PUT /api/sessions/:id/status to change the status of a session' });
+    }
+
+    if (timezone && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ message: 'Invalid timezone' });
+    }
+    if (timezone) session.timezone = isValidTimeZone(timezone);
+
     if (title) session.title = title;
     if (description) session.description = description;
     if (category) session.category = category;
     if (difficulty) session.difficulty = difficulty;
-    if (scheduledAt) session.scheduledAt = scheduledAt;
+    if (scheduledAt) session.scheduledAt = parseDateTime(scheduledAt, session.timezone);
     if (duration) session.duration = duration;
     if (tokenCost) session.tokenCost = tokenCost;
     if (maxParticipants !== undefined) session.maxParticipants = maxParticipants;
     if (equipmentRequired) session.equipmentRequired = equipmentRequired;
     if (tags) session.tags = tags;
-    if (status && status !== 'live' && status !== 'completed') session.status = status;
+    if (refundPolicy) session.refundPolicy = bookingService.parseRefundPolicy(refundPolicy);
+    if (autoRecord !== undefined) session.autoRecord = autoRecord;
 
-    await session.save();
+    // Moving a session must not overlap the trainer's other sessions
+    const needsTrainerTime = session.status === 'scheduled' &&
+      (session.isModified('scheduledAt') || session.isModified('duration'));
+
+    if (needsTrainerTime) {
+      await withTransaction(async dbSession => {
+        await schedulingService.reserveTrainerTime(session.trainer, session.scheduledAt, session.duration, dbSession, {
+          excludeSessionId: session._id
+        });
+        await session.save({ session: dbSession });
+      });
+    } else {
+      await session.save();
+    }
+
+    // Raising the capacity frees seats for people on the waitlist
+    if (maxParticipants !== undefined && session.waitlist.length > 0) {
+      await bookingService.promoteFromWaitlist(session._id);
+      return res.json(await Session.findById(session._id));
+    }
 
     res.json(session);
   } catch (err) {
@@ -189,54 +260,58 @@ exports.deleteSession = async (req, res, next) => {
 // Book a session
 exports.bookSession = async (req, res, next) => {
   try {
-    const session = await Session.findById(req.params.id);
-    const user = await User.findById(req.user.id);
-
-    if (!session) {
-      return res.status(404).json({ message: 'Session not found' });
-    }
-
-    // Check if session is in the future
-    if (new Date(session.scheduledAt) < new Date()) {
-      return res.status(400).json({ message: 'Cannot book past sessions' });
-    }
+    const { tokens } = await bookingService.bookSession(req.params.id, req.user._id);
 
-    // Check if session is cancelled
-    if (session.status === 'cancelled') {
-      return res.status(400).json({ message: 'This session has been cancelled' });
-    }
-
-    // Check if already booked
-    const alreadyBooked = user.bookedSessions.some(booking =>
-      booking.session.toString() === session._id.toString()
-    );
+    res.json({
+      message: 'Session booked successfully',
+      tokens
+    });
+  } catch (err) {
+    next(err);
+  }
+};
 
-    if (alreadyBooked) {
-      return res.status(400).json({ message: 'Session already booked' });
-    }
+// Cancel the current user's booking
+exports.cancelBooking = async (req, res, next) => {
+  try {
+    const { refund, transaction, tokens } = await bookingService.cancelBooking(req.params.id, req.user._id);
 
-    // Check max participants
-    if (session.maxParticipants > 0 && session.participants.length >= session.maxParticipants) {
-      return res.status(400).json({ message: 'Session is full' });
-    }
+    res.json({
+      message: refund.tokens > 0
+        ? `Booking cancelled, ${refund.tokens} token(s) refunded`
+        : 'Booking cancelled, no refund applies',
+      refund: {
+        percent: refund.percent,
+        tokens: refund.tokens
+      },
+      transaction: transaction._id,
+      tokens
+    });
+  } catch (err) {
+    next(err);
+  }
+};
 
-    // Check if user has enough tokens
-    if (user.tokens < session.tokenCost) {
-      return res.status(400).json({ message: 'Insufficient tokens' });
-    }
+// Join the waitlist of a full session
+exports.joinWaitlist = async (req, res, next) => {
+  try {
+    const { position } = await bookingService.joinWaitlist(req.params.id, req.user._id);
 
-    // Process booking
-    user.tokens -= session.tokenCost;
-    user.bookedSessions.push({ session: session._id });
-    session.participants.push({ user: user._id });
+    res.status(201).json({
+      message: 'Added to the waitlist',
+      position
+    });
+  } catch (err) {
+    next(err);
+  }
+};
 
-    await user.save();
-    await session.save();
+// Leave the waitlist of a session
+exports.leaveWaitlist = async (req, res, next) => {
+  try {
+    await bookingService.leaveWaitlist(req.params.id, req.user._id);
 
-    res.json({
-      message: 'Session booked successfully',
-      tokens: user.tokens
-    });
+    res.json({ message: 'Removed from the waitlist' });
   } catch (err) {
     next(err);
   }
@@ -353,12 +428,18 @@ exports.rateSession = async (req, res, next) => {
 exports.getSessionsByTrainer = async (req, res, next) => {
   try {
     const { trainerId } = req.params;
+    const query = { trainer: trainerId };
 
-    const sessions = await Session.find({ trainer: trainerId })
+    // Private sessions are only listed for the trainer themselves
+    const isOwner = req.user && (req.user.id === trainerId || req.user.role === 'admin');
+    if (!isOwner) query.isPrivate = { $ne: true };
+
+    const sessions = await Session.find(query)
       .sort({ scheduledAt: -1 })
       .populate('trainer', 'firstName lastName profilePicture');
 
-    res.json(sessions);
+    const timeZone = resolveTimeZone(req);
+    res.json(sessions.map(session => withLocalTimes(session, timeZone)));
   } catch (err) {
     next(err);
   }
@@ -389,31 +470,35 @@ exports.updateSessionStatus = async (req, res, next) => {
       return res.status(400).json({ message: `Cannot change status of a ${session.status} session` });
     }
 
-    session.status = status;
-    await session.save();
+    // Pending private sessions are accepted through the private session endpoints
+    if (session.status === 'pending' && status === 'scheduled') {
+      return res.status(400).json({ message: 'Accept this private session request instead' });
+    }
 
-    // If session is cancelled, refund tokens to users
+    // Cancelling refunds every booked user
     if (status === 'cancelled') {
-      // Get all users who booked this session
-      const users = await User.find({
-        'bookedSessions.session': session._id
-      });
-
-      // Refund tokens to each user
-      for (const user of users) {
-        user.tokens += session.tokenCost;
+      const result = await bookingService.cancelSession(session._id, req.user._id);
 
-        // Remove session from bookedSessions
-        user.bookedSessions = user.bookedSessions.filter(
-          booking => booking.session.toString() !== session._id.toString()
-        );
+      return res.json({
+        message: 'Session cancelled successfully',
+        session: result.session,
+        refunded: result.refunded
+      });
+    }
 
-        await user.save();
-      }
+    // Bringing a session back must not overlap the trainer's other sessions
+    session.status = status;
+    if (session.isModified('status')) {
+      await withTransaction(async dbSession => {
+        await schedulingService.reserveTrainerTime(session.trainer, session.scheduledAt, session.duration, dbSession, {
+          excludeSessionId: session._id
+        });
+        await session.save({ session: dbSession });
+      });
     }
 
     res.json({
-      message: `Session ${status === 'cancelled' ? 'cancelled' : 'updated'} successfully`,
+      message: 'Session updated successfully',
       session
     });
   } catch (err) {
@@ -460,39 +545,15 @@ exports.getSessionAnalytics = async (req, res, next) => {
     });
 
     // Create engagement metrics
-    const chatCount = session.messages ? session.messages.length : 0;
-    const questionsCount = session.messages ?
-      session.messages.filter(m => m.message.includes('?')).length : 0;
-    const reactionsCount = session.reactions ? session.reactions.length : 0;
-
-    // Calculate dropoff points
-    const dropoffPoints = [];
-    const participantsDuration = {};
-
-    // Group participants by leave time
-    session.participants.forEach(p => {
-      if (p.joinedAt && p.duration) {
-        const durationMinutes = Math.floor(p.duration / 60);
-        participantsDuration[durationMinutes] =
-          (participantsDuration[durationMinutes] || 0) + 1;
-      }
-    });
+    const [engagement, qa, polls, replay] = await Promise.all([
+      chatService.getEngagement(session._id),
+      questionService.getStats(session._id),
+      pollService.getStats(session._id, totalParticipants),
+      replayService.getReplayStats(session._id)
+    ]);
 
-    // Find significant dropoff points (where more than 5% of participants left)
-    let remainingParticipants = attendedParticipants;
-    for (let minute = 1; minute <= session.duration; minute++) {
-      const leftAtThisMinute = participantsDuration[minute] || 0;
-      if (leftAtThisMinute > 0) {
-        const percentage = Math.round((leftAtThisMinute / attendedParticipants) * 100);
-        if (percentage >= 5) {
-          dropoffPoints.push({
-            time: `${minute} minutes`,
-            percentage
-          });
-        }
-        remainingParticipants -= leftAtThisMinute;
-      }
-    }
+    // Concurrent viewers per minute, the real peak, dropoff and rejoins
+    const { timeline, peak, dropoffPoints, rejoins } = attendanceService.getTimeline(session);
 
     // Calculate session duration analytics
     const durations = session.participants
@@ -503,13 +564,12 @@ exports.getSessionAnalytics = async (req, res, next) => {
       ? Math.round(durations.reduce((sum, d) => sum + d, 0) / durations.length)
       : 0;
 
-    const peakAttendance = Math.round(session.duration / 3); // Estimate peak around 1/3 of session
-
     const analytics = {
       participants: {
         registered: totalParticipants,
         attended: attendedParticipants,
-        completed: completedParticipants
+        completed: completedParticipants,
+        waitlisted: session.waitlist.length
       },
       ratings: {
         average: session.averageRating,
@@ -517,19 +577,56 @@ exports.getSessionAnalytics = async (req, res, next) => {
         distribution: ratingDistribution
       },
       timeAnalytics: {
-        peakAttendance: `${peakAttendance} minutes`,
+        peakAttendance: peak.minute === null ? null : `${peak.minute} minutes`,
+        peakViewers: peak.viewers,
+        peakAt: peak.at,
         averageViewTime: `${averageViewTime} minutes`,
-        dropoffPoints
+        dropoffPoints,
+        rejoins,
+        timeline
       },
       engagement: {
-        chatMessages: chatCount,
-        questions: questionsCount,
-        reactions: reactionsCount
-      }
+        chatMessages: engagement.chatMessages,
+        questions: qa.questions,
+        reactions: engagement.reactions,
+        reactionsByType: engagement.reactionsByType
+      },
+      qa: {
+        questions: qa.questions,
+        answered: qa.answered,
+        dismissed: qa.dismissed,
+        answerRate: qa.answerRate,
+        upvotes: qa.upvotes,
+        askers: qa.askers
+      },
+      polls: {
+        polls: polls.polls,
+        votes: polls.votes,
+        voters: polls.voters,
+        participationRate: polls.participationRate,
+        results: polls.results
+      },
+      replay
     };
 
-    // Return the session with analytics
+    // Return the session with analytics and per-participant engagement
     const result = session.toObject();
+    result.participants = result.participants.map(participant => {
+      const userId = participant.user && (participant.user._id || participant.user);
+      const key = userId && userId.toString();
+      return {
+        ...participant,
+        rejoins: Math.max((participant.intervals || []).length - 1, 0),
+        messages: 0,
+        reactions: 0,
+        questions: 0,
+        upvotes: 0,
+        pollVotes: 0,
+        ...(key && engagement.byUser[key]),
+        ...(key && qa.byUser[key]),
+        ...(key && polls.byUser[key])
+      };
+    });
     result.analytics = analytics;
 
     res.json(result);
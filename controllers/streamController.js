@@ -1,7 +1,13 @@
 // server/controllers/streamController.js
 const Session = require('../models/Session');
 const User = require('../models/User');
-const agoraService = require('../services/agoraService');
+const streamService = require('../services/streamService');
+const attendanceService = require('../services/attendanceService');
+const moderationService = require('../services/moderationService');
+const chatService = require('../services/chatService');
+const recordingService = require('../services/recordingService');
+const pollService = require('../services/pollService');
+const workoutMetricsService = require('../services/workoutMetricsService');
 
 // Get streaming details for a session
 exports.getStreamingDetails = async (req, res, next) => {
@@ -45,6 +51,10 @@ exports.getStreamingDetails = async (req, res, next) => {
       return res.status(400).json({ message: 'This session has ended' });
     }
 
+    if (session.status === 'pending') {
+      return res.status(400).json({ message: 'This private session has not been accepted yet' });
+    }
+
     // For trainer trying to get stream details
     if (isTrainer && isSessionTrainer) {
       // If session is not live yet, but within buffer time
@@ -66,10 +76,7 @@ exports.getStreamingDetails = async (req, res, next) => {
       // If session is already live
       if (session.status === 'live' && session.streamingDetails?.channelName) {
         // Generate a fresh host token
-        const { channelName, hostToken, appId } = await agoraService.createChannel(
-          sessionId,
-          userId
-        );
+        const streamData = await streamService.getCredentials(session, userId, 'host');
 
         return res.json({
           status: 'live',
@@ -80,12 +87,7 @@ exports.getStreamingDetails = async (req, res, next) => {
             duration: session.duration,
             startedAt: session.streamingDetails.startedAt
           },
-          streamData: {
-            appId,
-            channelName,
-            token: hostToken,
-            uid: userId
-          }
+          streamData
         });
       }
 
@@ -114,11 +116,11 @@ exports.getStreamingDetails = async (req, res, next) => {
     }
 
     if (session.status === 'live') {
+      // Banned or kicked users get no token
+      moderationService.assertCanJoin(session, userId);
+
       // Generate viewer token
-      const { channelName, viewerToken, appId } = await agoraService.generateViewerToken(
-        sessionId,
-        userId
-      );
+      const streamData = await streamService.getCredentials(session, userId, 'viewer');
 
       return res.json({
         status: 'live',
@@ -129,12 +131,7 @@ exports.getStreamingDetails = async (req, res, next) => {
           duration: session.duration,
           startedAt: session.streamingDetails.startedAt
         },
-        streamData: {
-          appId,
-          channelName,
-          token: viewerToken,
-          uid: userId
-        }
+        streamData
       });
     }
 
@@ -171,35 +168,40 @@ exports.startStream = async (req, res, next) => {
     }
 
     // Check if session is cancelled or completed
-    if (session.status === 'cancelled' || session.status === 'completed') {
+    if (['pending', 'cancelled', 'completed'].includes(session.status)) {
       return res.status(400).json({ message: `Cannot start a ${session.status} session` });
     }
 
-    // Create Agora channel and get tokens
-    const { channelName, hostToken, appId } = await agoraService.createChannel(
-      sessionId,
-      userId
-    );
+    // Open the channel and get the host's token
+    const { channelName } = await streamService.openChannel(session);
+    const streamData = await streamService.getCredentials(session, userId, 'host');
 
     // Update session status
-    await agoraService.updateSessionStreamStatus(sessionId, 'live', { channelName });
+    const liveSession = await streamService.updateSessionStreamStatus(sessionId, 'live', { channelName });
+
+    // A failed auto-record must not stop the class from going live
+    let recording = null;
+    if (session.autoRecord) {
+      try {
+        recording = await recordingService.start(liveSession);
+      } catch (error) {
+        console.error('Error starting auto-recording:', error.message);
+        recording = { status: 'failed', error: error.message };
+      }
+    }
 
     // Return stream details to trainer
     res.json({
       message: 'Stream started successfully',
       status: 'live',
       isHost: true,
+      recording,
       sessionData: {
         title: session.title,
         trainer: `${session.trainer.firstName} ${session.trainer.lastName}`,
         duration: session.duration
       },
-      streamData: {
-        appId,
-        channelName,
-        token: hostToken,
-        uid: userId
-      }
+      streamData
     });
   } catch (error) {
     next(error);
@@ -228,21 +230,93 @@ exports.endStream = async (req, res, next) => {
       return res.status(400).json({ message: 'Session is not currently live' });
     }
 
-    // Stop recording if it was started
-    if (session.streamingDetails.resourceId && session.streamingDetails.sid) {
-      await agoraService.stopRecording(
-        session.streamingDetails.channelName,
-        session.streamingDetails.sid,
-        session.streamingDetails.resourceId
-      );
-    }
+    // Stop recording if it was started and keep its metadata
+    const recording = await recordingService.stop(session);
 
-    // Update session status
-    await agoraService.updateSessionStreamStatus(sessionId, 'completed');
+    // Update session status, close everyone's attendance and polls, save workout
+    // summaries and release the channel
+    await streamService.updateSessionStreamStatus(sessionId, 'completed', {}, { fromStatus: 'live' });
+    await attendanceService.closeOpenAttendance(session);
+    await pollService.closeAll(session._id);
+    await workoutMetricsService.saveSummaries(session);
+    await streamService.closeChannel(session);
 
     res.json({
       message: 'Stream ended successfully',
-      status: 'completed'
+      status: 'completed',
+      recording
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Load a session and check the current user is its trainer (or an admin)
+const findOwnSession = async (req, res) => {
+  const session = await Session.findById(req.params.sessionId);
+
+  if (!session) {
+    res.status(404).json({ message: 'Session not found' });
+    return null;
+  }
+
+  if (session.trainer.toString() !== req.user.id && req.user.role !== 'admin') {
+    res.status(403).json({ message: 'Only the assigned trainer can manage recordings' });
+    return null;
+  }
+
+  return session;
+};
+
+// Start recording a live stream
+exports.startRecording = async (req, res, next) => {
+  try {
+    const session = await findOwnSession(req, res);
+    if (!session) return;
+
+    const recording = await recordingService.start(session);
+
+    res.status(201).json({
+      message: 'Recording started',
+      recording
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Stop recording a live stream
+exports.stopRecording = async (req, res, next) => {
+  try {
+    const session = await findOwnSession(req, res);
+    if (!session) return;
+
+    const recording = await recordingService.stop(session);
+
+    if (!recording) {
+      return res.status(400).json({ message: 'This session is not being recorded' });
+    }
+
+    res.json({
+      message: recording.status === 'ready' ? 'Recording saved' : 'Recording failed',
+      recording
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get the state of a stream's running recording
+exports.getRecordingStatus = async (req, res, next) => {
+  try {
+    const session = await findOwnSession(req, res);
+    if (!session) return;
+
+    const { recording, serverResponse } = await recordingService.getStatus(session);
+
+    res.json({
+      recording: recording || null,
+      recordingStatus: serverResponse
     });
   } catch (error) {
     next(error);
@@ -267,9 +341,9 @@ exports.joinStream = async (req, res, next) => {
     }
 
     // Check if user is authorized (either trainer or has booked the session)
-    const isTrainer = session.trainer.toString() === userId;
+    const isHost = session.trainer.toString() === userId;
 
-    if (!isTrainer) {
+    if (!isHost) {
       const user = await User.findById(userId);
       const hasBooked = user.bookedSessions.some(
         booking => booking.session.toString() === sessionId
@@ -278,41 +352,23 @@ exports.joinStream = async (req, res, next) => {
       if (!hasBooked) {
         return res.status(403).json({ message: 'You must book this session to join' });
       }
-    }
 
-    // Track participant joining
-    if (!isTrainer) {
-      // Check if user is already in participants
-      const alreadyJoined = session.participants.some(p =>
-        p.user.toString() === userId
-      );
-
-      if (!alreadyJoined) {
-        session.participants.push({
-          user: userId,
-          joinedAt: new Date()
-        });
-        await session.save();
-      }
+      moderationService.assertCanJoin(session, userId);
     }
 
-    // Generate token based on role
-    let streamDetails;
-    if (isTrainer) {
-      streamDetails = await agoraService.createChannel(sessionId, userId);
-    } else {
-      streamDetails = await agoraService.generateViewerToken(sessionId, userId);
+    // Issue the token first, so a user the provider refuses is not recorded as joined
+    const streamData = await streamService.getCredentials(session, userId, isHost ? 'host' : 'viewer');
+    await streamService.trackJoin(session, userId);
+
+    // Track participant joining (the trainer is not a participant)
+    if (!isHost) {
+      await attendanceService.recordJoin(session._id, userId);
     }
 
     res.json({
       message: 'Joined stream successfully',
-      isHost: isTrainer,
-      streamData: {
-        appId: streamDetails.appId,
-        channelName: streamDetails.channelName,
-        token: isTrainer ? streamDetails.hostToken : streamDetails.viewerToken,
-        uid: userId
-      }
+      isHost,
+      streamData
     });
   } catch (error) {
     next(error);
@@ -325,8 +381,15 @@ exports.leaveStream = async (req, res, next) => {
     const { sessionId } = req.params;
     const userId = req.user.id;
 
-    // For analytics purposes, we could track when users leave
-    // But we don't remove them from participants list to keep the record
+    // Check if session exists
+    const session = await Session.findById(sessionId);
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    // Record the participant leaving; they stay in the list for analytics
+    await attendanceService.recordLeave(session._id, userId);
+    await streamService.trackLeave(session, userId);
 
     res.json({
       message: 'Left stream successfully'
@@ -340,11 +403,10 @@ exports.leaveStream = async (req, res, next) => {
 exports.getStreamParticipants = async (req, res, next) => {
   try {
     const { sessionId } = req.params;
-    const userId = req.user.id;
 
     // Check if session exists
     const session = await Session.findById(sessionId)
-      .populate('participants.user', 'firstName lastName profilePicture');
+      .populate('participants.user', 'firstName lastName email profilePicture');
 
     if (!session) {
       return res.status(404).json({ message: 'Session not found' });
@@ -354,271 +416,91 @@ exports.getStreamParticipants = async (req, res, next) => {
     const isTrainerOrAdmin =
       req.user.role === 'trainer' ||
       req.user.role === 'admin' ||
-      session.trainer.toString() === userId;
+      session.trainer.toString() === req.user.id;
 
     if (!isTrainerOrAdmin) {
       return res.status(403).json({ message: 'Not authorized to view participant details' });
     }
 
-    // If session has a channel name, get active participants from Agora
-    let activeUsers = [];
-    if (session.streamingDetails?.channelName) {
+    // Only include participants who have joined
+    const joined = session.participants.filter(p => p.joinedAt && p.user);
+
+    // Ask the provider who is connected; fall back to join/leave records if it cannot tell
+    let connected = null;
+    if (session.status === 'live') {
       try {
-        activeUsers = await agoraService.getChannelUsers(session.streamingDetails.channelName);
+        connected = await streamService.getConnectedUserIds(session, joined.map(p => p.user._id));
       } catch (error) {
-        console.error('Error fetching active users from Agora:', error);
-        // Continue with participant list from database even if Agora API fails
+        console.error('Error fetching stream presence:', error.message);
       }
     }
 
-    // Map participants data
-    const participants = session.participants.map(participant => {
+    const participants = joined.map(participant => {
       const user = participant.user;
+
       return {
         id: user._id,
         name: `${user.firstName} ${user.lastName}`,
+        email: user.email,
         profilePicture: user.profilePicture,
         joinedAt: participant.joinedAt,
-        // Check if user is currently active in the stream
-        active: activeUsers.some(activeUser => activeUser.uid.toString() === user._id.toString())
+        active: connected ? connected.has(user._id.toString()) : !participant.leaveAt,
+        duration: participant.duration || 0
       };
     });
 
     res.json({
       participants,
       totalCount: participants.length,
-      activeCount: participants.filter(p => p.active).length
-    });
-  } catch (error) {
-    next(error);
-  }
-};
-
-// Add to controllers/streamController.js
-
-// Get active participants in a stream
-exports.getStreamParticipants = async (req, res, next) => {
-  try {
-    const { sessionId } = req.params;
-
-    // Check if session exists
-    const session = await Session.findById(sessionId)
-      .populate('participants.user', 'firstName lastName email profilePicture');
-
-    if (!session) {
-      return res.status(404).json({ message: 'Session not found' });
-    }
-
-    // Check if user is the trainer or an admin
-    const isTrainerOrAdmin =
-      req.user.role === 'trainer' ||
-      req.user.role === 'admin' ||
-      session.trainer.toString() === req.user.id;
-
-    if (!isTrainerOrAdmin) {
-      return res.status(403).json({ message: 'Not authorized to view participant details' });
-    }
-
-    // Get current timestamp for determining active status
-    const now = new Date();
-    // If a user joined and hasn't left within the last 2 minutes, consider them active
-    const activeThreshold = new Date(now.getTime() - 2 * 60 * 1000);
-
-    // Format participants for response
-    const participants = session.participants
-      .filter(p => p.joinedAt) // Only include participants who have joined
-      .map(participant => {
-        const user = participant.user;
-
-        // Calculate if participant is active (has joined and hasn't left recently)
-        let isActive = false;
-        if (participant.joinedAt) {
-          if (!participant.leaveAt) {
-            isActive = true;
-          } else {
-            // If they rejoined after leaving, check last join time
-            const lastJoinTime = new Date(participant.joinedAt);
-            isActive = lastJoinTime > participant.leaveAt;
-          }
-        }
-
-        return {
-          id: user._id,
-          name: `${user.firstName} ${user.lastName}`,
-          email: user.email,
-          profilePicture: user.profilePicture,
-          joinedAt: participant.joinedAt,
-          active: isActive,
-          // Include additional fields that might be useful
-          duration: participant.duration || 0
-        };
-      });
-
-    res.json({
-      participants,
-      totalCount: participants.length,
-      activeCount: participants.filter(p => p.active).length
+      activeCount: participants.filter(p => p.active).length,
+      presenceSource: connected ? streamService.provider.name : 'api'
     });
   } catch (error) {
     next(error);
   }
 };
 
-// Add to controllers/streamController.js
-
 // Send a message in a stream
 exports.sendMessage = async (req, res, next) => {
   try {
-    const { sessionId } = req.params;
-    const { message } = req.body;
+    const message = await chatService.postMessage(req.params.sessionId, req.user, req.body.message);
 
-    if (!message || message.trim() === '') {
-      return res.status(400).json({ message: 'Message content is required' });
-    }
-
-    // Check if session exists and is live
-    const session = await Session.findById(sessionId);
-
-    if (!session) {
-      return res.status(404).json({ message: 'Session not found' });
-    }
-
-    if (session.status !== 'live') {
-      return res.status(400).json({ message: 'Session is not currently live' });
-    }
-
-    // Add the message to the session
-    session.addMessage(req.user.id, message);
-    await session.save();
-
-    // Return the message details
-    res.status(201).json({
-      id: session.messages[session.messages.length - 1]._id,
-      user: {
-        _id: req.user.id,
-        firstName: req.user.firstName,
-        lastName: req.user.lastName
-      },
-      message,
-      timestamp: new Date()
-    });
+    res.status(201).json(message);
   } catch (error) {
     next(error);
   }
 };
 
-// Send a reaction in a stream
-exports.sendReaction = async (req, res, next) => {
+// Get a page of a stream's chat history (newest first)
+exports.getMessages = async (req, res, next) => {
   try {
-    const { sessionId } = req.params;
-    const { type } = req.body;
-
-    if (!type || !['thumbsUp', 'heart', 'star', 'clap', 'fire'].includes(type)) {
-      return res.status(400).json({ message: 'Valid reaction type is required' });
-    }
-
-    // Check if session exists and is live
-    const session = await Session.findById(sessionId);
+    const session = await Session.findById(req.params.sessionId).select('trainer status');
 
     if (!session) {
       return res.status(404).json({ message: 'Session not found' });
     }
 
-    if (session.status !== 'live') {
-      return res.status(400).json({ message: 'Session is not currently live' });
+    if (!(await chatService.canAccess(session, req.user))) {
+      return res.status(403).json({ message: 'You must book this session to read its chat' });
     }
 
-    // Add the reaction to the session
-    session.addReaction(req.user.id, type);
-    await session.save();
+    const { before, limit } = req.query;
+    const result = await chatService.getHistory(session, { before, limit });
 
-    // Return the reaction details
-    res.status(201).json({
-      id: session.reactions[session.reactions.length - 1]._id,
-      user: {
-        _id: req.user.id,
-        firstName: req.user.firstName,
-        lastName: req.user.lastName
-      },
-      type,
-      timestamp: new Date()
-    });
+    res.json(result);
   } catch (error) {
     next(error);
   }
 };
 
-// Record user joining a session
-exports.joinStream = async (req, res, next) => {
+// Send a reaction in a stream
+exports.sendReaction = async (req, res, next) => {
   try {
-    const { sessionId } = req.params;
-    const userId = req.user.id;
-
-    // Check if session exists
-    const session = await Session.findById(sessionId);
-    if (!session) {
-      return res.status(404).json({ message: 'Session not found' });
-    }
-
-    // Check if session is live
-    if (session.status !== 'live') {
-      return res.status(400).json({ message: 'Session is not currently live' });
-    }
-
-    // Record the participant joining
-    session.recordParticipantJoin(userId);
-    await session.save();
-
-    // Generate viewer token for the user
-    let streamData = {};
-    if (session.streamingDetails && session.streamingDetails.channelName) {
-      // Get Agora service
-      const agoraService = require('../services/agoraService');
-
-      // Check if Agora is configured
-      if (agoraService.isAgoraConfigured()) {
-        // Generate token
-        streamData = await agoraService.generateViewerToken(sessionId, userId);
-      } else {
-        // Return placeholder for development
-        streamData = {
-          appId: 'dev-app-id',
-          channelName: session.streamingDetails.channelName,
-          viewerToken: 'dev-token-agora-not-configured',
-          uid: userId
-        };
-      }
-    }
+    const reaction = await chatService.postReaction(req.params.sessionId, req.user, req.body.type);
 
-    res.json({
-      message: 'Joined stream successfully',
-      streamData
-    });
+    res.status(201).json(reaction);
   } catch (error) {
     next(error);
   }
 };
 
-// Record user leaving a session
-exports.leaveStream = async (req, res, next) => {
-  try {
-    const { sessionId } = req.params;
-    const userId = req.user.id;
-
-    // Check if session exists
-    const session = await Session.findById(sessionId);
-    if (!session) {
-      return res.status(404).json({ message: 'Session not found' });
-    }
-
-    // Record the participant leaving
-    session.recordParticipantLeave(userId);
-    await session.save();
-
-    res.json({
-      message: 'Left stream successfully'
-    });
-  } catch (error) {
-    next(error);
-  }
-};
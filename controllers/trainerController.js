@@ -0,0 +1,187 @@
+// controllers/trainerController.js
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const schedulingService = require('../services/schedulingService');
+const trainerStatsService = require('../services/trainerStatsService');
+const cohortService = require('../services/cohortService');
+const { isValidTimeZone, localizeSession } = require('../utils/timezone');
+const { validationResult } = require('express-validator');
+
+// Get a trainer's weekly availability and blackout dates
+exports.getAvailability = async (req, res, next) => {
+  try {
+    await schedulingService.findTrainer(req.params.id);
+    const availability = await schedulingService.getAvailability(req.params.id);
+
+    const { weeklyWindows, blackoutDates, timezone, minNoticeHours } = availability;
+
+    res.json({
+      trainer: req.params.id,
+      timezone,
+      minNoticeHours,
+      weeklyWindows,
+      // Blackout reasons are only for the trainer
+      blackoutDates: blackoutDates
+        .filter(blackout => blackout.end > new Date())
+        .map(({ start, end }) => ({ start, end }))
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Publish weekly availability windows and blackout dates
+exports.updateAvailability = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { timezone, weeklyWindows, blackoutDates, minNoticeHours } = req.body;
+
+    if (timezone && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ message: 'Invalid timezone' });
+    }
+
+    const availability = await schedulingService.updateAvailability(req.params.id, {
+      // Availability defaults to the trainer's own timezone
+      timezone: isValidTimeZone(timezone) || req.user.timezone,
+      weeklyWindows,
+      blackoutDates,
+      minNoticeHours
+    });
+
+    res.json(availability);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Get open private session slots
+exports.getSlots = async (req, res, next) => {
+  try {
+    const { from, to, duration } = req.query;
+
+    const result = await schedulingService.getFreeSlots(req.params.id, { from, to, duration });
+
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Request a private 1:1 session with a trainer
+exports.requestPrivateSession = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { scheduledAt, duration, title, note } = req.body;
+
+    const { session, tokens } = await schedulingService.requestPrivateSession(req.params.id, req.user, {
+      scheduledAt,
+      duration,
+      title,
+      note
+    });
+
+    res.status(201).json({
+      message: 'Private session requested, waiting for the trainer to accept',
+      session: {
+        ...session.toObject(),
+        localTimes: localizeSession(session, req.user.timezone)
+      },
+      tokens
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// List a trainer's private sessions
+exports.getPrivateSessions = async (req, res, next) => {
+  try {
+    const query = { trainer: req.params.id, isPrivate: true };
+    if (req.query.status) query.status = req.query.status;
+
+    const sessions = await Session.find(query)
+      .sort({ scheduledAt: 1 })
+      .populate('privateRequest.requestedBy', 'firstName lastName profilePicture');
+
+    res.json(sessions.map(session => ({
+      ...session.toObject(),
+      localTimes: localizeSession(session, req.user.timezone)
+    })));
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Accept or decline a private session request
+exports.respondToPrivateSession = async (req, res, next) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.sessionId, trainer: req.params.id, isPrivate: true });
+
+    if (!session) {
+      return res.status(404).json({ message: 'Private session not found' });
+    }
+
+    const updated = await schedulingService.respondToPrivateSession(session._id, req.body.action, req.user._id);
+
+    res.json({
+      message: `Private session ${req.body.action === 'accept' ? 'accepted' : 'declined'}`,
+      session: updated
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Get a trainer's performance dashboard over a date range
+exports.getDashboard = async (req, res, next) => {
+  try {
+    const trainer = mongoose.isValidObjectId(req.params.id) &&
+      await User.exists({ _id: req.params.id, role: 'trainer' });
+
+    if (!trainer) {
+      return res.status(404).json({ message: 'Trainer not found' });
+    }
+
+    const { from, to, interval } = req.query;
+    const dashboard = await trainerStatsService.getDashboard(req.params.id, { from, to, interval });
+
+    res.json(dashboard);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Get members of a trainer's classes who have been booking less often
+exports.getAtRiskMembers = async (req, res, next) => {
+  try {
+    const trainer = mongoose.isValidObjectId(req.params.id) &&
+      await User.exists({ _id: req.params.id, role: 'trainer' });
+
+    if (!trainer) {
+      return res.status(404).json({ message: 'Trainer not found' });
+    }
+
+    const { recentWeeks, baselineWeeks, minBookings, dropPercent, page, limit, refresh } = req.query;
+    const result = await cohortService.getAtRisk({
+      trainer: req.params.id, recentWeeks, baselineWeeks, minBookings, dropPercent, page, limit, refresh: refresh === 'true'
+    });
+
+    // Contact details stay with admins
+    if (req.user.role !== 'admin') {
+      result.members = result.members.map(({ user: { email, ...user }, ...member }) => ({ ...member, user }));
+    }
+
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+};
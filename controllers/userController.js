@@ -1,6 +1,10 @@
 // controllers/userController.js
 const User = require('../models/User');
 const Session = require('../models/Session');
+const tokenLedgerService = require('../services/tokenLedgerService');
+const notificationService = require('../services/notificationService');
+const workoutMetricsService = require('../services/workoutMetricsService');
+const { isValidTimeZone, localizeSession } = require('../utils/timezone');
 const { validationResult } = require('express-validator');
 
 // Get all users (admin only)
@@ -31,7 +35,27 @@ exports.getUserById = async (req, res, next) => {
 // Update user
 exports.updateUser = async (req, res, next) => {
   try {
-    const { firstName, lastName, email, profilePicture, phoneNumber } = req.body;
+    const { firstName, lastName, email, profilePicture, phoneNumber, timezone } = req.body;
+
+    if (timezone && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ message: 'Invalid timezone' });
+    }
+
+    const { fitnessProfile } = req.body;
+    if (fitnessProfile) {
+      const { birthYear, maxHeartRate } = fitnessProfile;
+      const currentYear = new Date().getFullYear();
+
+      if (birthYear !== undefined && birthYear !== null &&
+        !(Number.isInteger(birthYear) && birthYear >= 1900 && birthYear <= currentYear - 10)) {
+        return res.status(400).json({ message: 'Invalid birth year' });
+      }
+
+      if (maxHeartRate !== undefined && maxHeartRate !== null &&
+        !(Number.isInteger(maxHeartRate) && maxHeartRate >= 100 && maxHeartRate <= 240)) {
+        return res.status(400).json({ message: 'Max heart rate must be between 100 and 240' });
+      }
+    }
 
     // Create update object with only the fields that were provided
     const updateData = {};
@@ -40,6 +64,15 @@ exports.updateUser = async (req, res, next) => {
     if (email) updateData.email = email;
     if (profilePicture) updateData.profilePicture = profilePicture;
     if (phoneNumber) updateData.phoneNumber = phoneNumber;
+    if (timezone) updateData.timezone = isValidTimeZone(timezone);
+    if (fitnessProfile) {
+      // null clears a value, e.g. to go back to the age-based estimate
+      ['birthYear', 'maxHeartRate'].forEach(field => {
+        if (fitnessProfile[field] !== undefined) {
+          updateData[`fitnessProfile.${field}`] = fitnessProfile[field];
+        }
+      });
+    }
 
     // For trainer profiles, update those fields if the user is a trainer
     if (req.user.role === 'trainer' && req.body.trainerProfile) {
@@ -83,39 +116,72 @@ exports.deleteUser = async (req, res, next) => {
   }
 };
 
-// Update user tokens
+// Update user tokens (admin adjustment, recorded in the token ledger)
 exports.updateTokens = async (req, res, next) => {
   try {
-    const { tokens, operation } = req.body;
+    const { tokens, operation, description } = req.body;
 
-    if (!tokens || isNaN(tokens) || tokens < 0) {
+    // A number, or a numeric string - Number('') would silently be 0
+    const amount = typeof tokens === 'number' || (typeof tokens === 'string' && tokens.trim() !== '')
+      ? Number(tokens)
+      : NaN;
+
+    if (!Number.isFinite(amount) || amount < 0) {
       return res.status(400).json({ message: 'Invalid token amount' });
     }
 
-    const user = await User.findById(req.params.id);
-
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+    if ((operation === 'add' || operation === 'subtract') && amount === 0) {
+      return res.status(400).json({ message: 'Token amount must be greater than 0' });
     }
 
+    const options = {
+      description: description || 'Manual adjustment',
+      createdBy: req.user._id
+    };
+
+    let result;
+
     // Add or subtract tokens based on operation
     if (operation === 'add') {
-      user.tokens += tokens;
+      result = await tokenLedgerService.credit(req.params.id, amount, 'admin_adjustment', options);
     } else if (operation === 'subtract') {
-      if (user.tokens < tokens) {
-        return res.status(400).json({ message: 'User does not have enough tokens' });
+      try {
+        result = await tokenLedgerService.debit(req.params.id, amount, 'admin_adjustment', options);
+      } catch (err) {
+        if (err.message === 'Insufficient tokens') {
+          return res.status(400).json({ message: 'User does not have enough tokens' });
+        }
+        throw err;
       }
-      user.tokens -= tokens;
     } else {
       // Set to specific value if no operation specified
-      user.tokens = tokens;
+      result = await tokenLedgerService.setBalance(req.params.id, amount, options);
     }
 
-    await user.save();
-
     res.json({
       message: 'Tokens updated successfully',
-      tokens: user.tokens
+      tokens: result.balance
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Get user's token ledger history
+exports.getTokenLedger = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id).select('tokens');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const { page, limit, reason } = req.query;
+    const history = await tokenLedgerService.getHistory(user._id, { page, limit, reason });
+
+    res.json({
+      tokens: user.tokens,
+      ...history
     });
   } catch (err) {
     next(err);
@@ -128,7 +194,7 @@ exports.getUserSessions = async (req, res, next) => {
     const user = await User.findById(req.params.id)
     .populate({
       path: 'bookedSessions.session',
-      select: 'title trainer scheduledAt duration status participants tags category difficulty tokenCost', // Added missing fields
+      select: 'title trainer scheduledAt timezone duration status participants tags category difficulty tokenCost', // Added missing fields
       populate: {
         path: 'trainer',
         select: 'firstName lastName profilePicture'
@@ -151,6 +217,40 @@ exports.getUserSessions = async (req, res, next) => {
           profilePicture: session.trainer.profilePicture
         },
         scheduledAt: session.scheduledAt,
+        localTimes: localizeSession(session, user.timezone),
+        duration: session.duration,
+        status: session.status,
+        participants: session.participants || [],
+        tags: session.tags || [],
+        category: session.category,
+        difficulty: session.difficulty,
+        tokenCost: session.tokenCost,
+        bookedAt: booking.bookedAt,
+        bookingStatus: 'booked',
+        waitlistPosition: null
+      };
+    });
+
+    // Include sessions the user is waiting for, with their position
+    const waitlistedSessions = await Session.find({
+      'waitlist.user': user._id,
+      status: 'scheduled'
+    })
+      .select('title trainer scheduledAt timezone duration status participants tags category difficulty tokenCost waitlist')
+      .populate('trainer', 'firstName lastName profilePicture');
+
+    const waitlisted = waitlistedSessions.map(session => {
+      const position = session.getWaitlistPosition(user._id);
+      return {
+        id: session._id,
+        title: session.title,
+        trainer: {
+          firstName: session.trainer.firstName,
+          lastName: session.trainer.lastName,
+          profilePicture: session.trainer.profilePicture
+        },
+        scheduledAt: session.scheduledAt,
+        localTimes: localizeSession(session, user.timezone),
         duration: session.duration,
         status: session.status,
         participants: session.participants || [],
@@ -158,11 +258,13 @@ exports.getUserSessions = async (req, res, next) => {
         category: session.category,
         difficulty: session.difficulty,
         tokenCost: session.tokenCost,
-        bookedAt: booking.bookedAt
+        waitlistedAt: session.waitlist[position - 1].joinedAt,
+        bookingStatus: 'waitlisted',
+        waitlistPosition: position
       };
     });
 
-    res.json(bookedSessions);
+    res.json([...bookedSessions, ...waitlisted]);
   } catch (err) {
     next(err);
   }
@@ -200,3 +302,61 @@ exports.updatePreferences = async (req, res, next) => {
     next(err);
   }
 };
+
+// Get user's workout summaries, newest first
+exports.getUserWorkouts = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id)
+      .select('completedSessions fitnessProfile')
+      .populate('completedSessions.session', 'title scheduledAt duration category difficulty trainer');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const workouts = user.completedSessions
+      .filter(entry => entry.workout && entry.workout.samples)
+      .sort((a, b) => b.completedAt - a.completedAt)
+      .map(entry => ({
+        session: entry.session,
+        completedAt: entry.completedAt,
+        workout: entry.workout
+      }));
+
+    res.json({
+      maxHeartRate: workoutMetricsService.maxHeartRateFor(user),
+      workouts
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Get user's notifications
+exports.getNotifications = async (req, res, next) => {
+  try {
+    const notifications = await notificationService.getForUser(req.params.id, {
+      unreadOnly: req.query.unread === 'true',
+      limit: req.query.limit
+    });
+
+    res.json(notifications);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Mark a notification as read
+exports.markNotificationRead = async (req, res, next) => {
+  try {
+    const notification = await notificationService.markRead(req.params.id, req.params.notificationId);
+
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    res.json(notification);
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,25 @@
+// controllers/webhookController.js
+const streamEventService = require('../services/streamEventService');
+const paymentService = require('../services/paymentService');
+
+// Receive channel events (joins, leaves, channel destroyed) from the streaming provider
+exports.handleStreamWebhook = async (req, res, next) => {
+  try {
+    const { result, duplicate } = await streamEventService.handleWebhook(req.rawBody, req.headers, req.body);
+
+    res.json({ received: true, duplicate, result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Receive payment events (succeeded, failed, canceled) from the payment provider
+exports.handlePaymentWebhook = async (req, res, next) => {
+  try {
+    const { result, duplicate } = await paymentService.handleWebhook(req.rawBody, req.headers, req.body);
+
+    res.json({ received: true, duplicate, result });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,27 @@
+// controllers/workoutController.js
+const workoutMetricsService = require('../services/workoutMetricsService');
+const moderationService = require('../services/moderationService');
+
+// Send wearable samples during a live class
+exports.sendSamples = async (req, res, next) => {
+  try {
+    const { samples, device } = req.body;
+    const result = await workoutMetricsService.ingest(req.params.sessionId, req.user, samples, { device });
+
+    res.status(201).json(result);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Get the live class intensity with each participant's heart rate
+exports.getLiveMetrics = async (req, res, next) => {
+  try {
+    const session = await moderationService.findModeratedSession(req.params.sessionId, req.user);
+    const intensity = await workoutMetricsService.getLiveIntensity(session, { detailed: true });
+
+    res.json(intensity);
+  } catch (err) {
+    next(err);
+  }
+};
@@ -20,12 +20,38 @@ exports.authenticate = (req, res, next) => {
       });
     }
 
+    // Suspended accounts keep their tokens but cannot use them
+    if (user.isSuspended()) {
+      return res.status(403).json({
+        message: 'Your account is suspended',
+        suspendedUntil: user.moderation.suspendedUntil
+      });
+    }
+
     // Set the user in the request object
     req.user = user;
     next();
   })(req, res, next);
 };
 
+// Attach the user when a valid token is sent, but let anonymous requests through
+exports.optionalAuthenticate = (req, res, next) => {
+  if (!req.get('Authorization')) {
+    return next();
+  }
+
+  passport.authenticate('jwt', { session: false }, (err, user) => {
+    if (err) {
+      return next(err);
+    }
+
+    if (user && !user.isSuspended()) {
+      req.user = user;
+    }
+    next();
+  })(req, res, next);
+};
+
 // Check if user is authenticated (for routes that use session auth)
 exports.isAuthenticated = (req, res, next) => {
   if (req.isAuthenticated()) {
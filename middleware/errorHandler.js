@@ -1,6 +1,17 @@
 // middleware/errorHandler.js
 // Global error handling middleware
+const HttpError = require('../utils/httpError');
+
 module.exports = (err, req, res, next) => {
+  // Expected errors from services get the same { message } body controllers
+  // send, without a stack trace in the logs
+  if (err instanceof HttpError) {
+    if (err.statusCode >= 500) {
+      console.error('Error:', err.message);
+    }
+    return res.status(err.statusCode).json({ message: err.message });
+  }
+
   console.error('Error:', err.message);
   console.error('Stack:', err.stack);
 
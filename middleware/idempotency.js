@@ -0,0 +1,97 @@
+// middleware/idempotency.js
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+// How long a request holds its key. A retry after this takes the key over,
+// so a request that crashed part way does not block the key for a day.
+const LEASE_MS = 60 * 1000;
+
+// Honour the Idempotency-Key header on unsafe requests. Must run after
+// authenticate, since keys are scoped per user.
+module.exports = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > 255) {
+    return res.status(400).json({ message: 'Idempotency-Key must be at most 255 characters' });
+  }
+
+  const fingerprint = [
+    req.method,
+    req.originalUrl,
+    crypto.createHash('sha256').update(JSON.stringify(req.body || {})).digest('hex')
+  ].join(' ');
+
+  // Identifies this request's hold on the key, so a request that was taken
+  // over cannot overwrite the outcome of the one that took over
+  const lockedUntil = new Date(Date.now() + LEASE_MS);
+
+  let record;
+  try {
+    record = await IdempotencyKey.create({ key, user: req.user._id, fingerprint, lockedUntil });
+  } catch (err) {
+    if (err.code !== 11000) {
+      return next(err);
+    }
+
+    // Key already used - replay the stored response
+    const existing = await IdempotencyKey.findOne({ key, user: req.user._id });
+
+    if (!existing) {
+      return res.status(409).json({ message: 'Idempotency-Key conflict, please retry' });
+    }
+
+    if (existing.fingerprint !== fingerprint) {
+      return res.status(422).json({ message: 'Idempotency-Key was already used for a different request' });
+    }
+
+    if (existing.status === 'processing') {
+      record = await IdempotencyKey.findOneAndUpdate(
+        { _id: existing._id, status: 'processing', lockedUntil: { $not: { $gt: new Date() } } },
+        { $set: { lockedUntil } },
+        { new: true }
+      );
+
+      if (!record) {
+        return res.status(409).json({ message: 'A request with this Idempotency-Key is still being processed' });
+      }
+    } else {
+      res.set('Idempotent-Replayed', 'true');
+      res.status(existing.responseStatus);
+      if (existing.responseType) res.type(existing.responseType);
+      return res.send(existing.responseBody);
+    }
+  }
+
+  const held = { _id: record._id, status: 'processing', lockedUntil };
+
+  // res.json and res.send both end up here, as does a handler calling res.end
+  // itself. Store successful responses; release the key on errors so the
+  // client can retry once the problem (e.g. insufficient tokens) is fixed.
+  const originalEnd = res.end.bind(res);
+  res.end = (chunk, ...rest) => {
+    const body = chunk && typeof chunk !== 'function'
+      ? (Buffer.isBuffer(chunk) ? chunk.toString() : String(chunk))
+      : undefined;
+
+    const saveResult = res.statusCode < 400
+      ? IdempotencyKey.updateOne(held, {
+        $set: { status: 'completed', responseStatus: res.statusCode, responseType: res.get('Content-Type'), responseBody: body },
+        $unset: { lockedUntil: '' }
+      })
+      : IdempotencyKey.deleteOne(held);
+
+    // Only answer once the outcome is stored, so an immediate retry replays it
+    // (the 'finish' event would be too late for that)
+    saveResult
+      .catch(err => console.error('Error saving idempotency key:', err))
+      .then(() => originalEnd(chunk, ...rest));
+
+    return res;
+  };
+
+  next();
+};
@@ -0,0 +1,28 @@
+// models/AnalyticsCache.js
+const mongoose = require('mongoose');
+
+// Result of an expensive analytics computation, kept until it expires.
+// See services/analyticsCacheService.js.
+const analyticsCacheSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  value: mongoose.Schema.Types.Mixed,
+  computedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// MongoDB removes entries once they expire
+analyticsCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AnalyticsCache = mongoose.model('AnalyticsCache', analyticsCacheSchema);
+
+module.exports = AnalyticsCache;
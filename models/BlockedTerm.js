@@ -0,0 +1,48 @@
+// models/BlockedTerm.js
+const mongoose = require('mongoose');
+
+// A word or phrase filtered out of live chat (see services/chatFilterService.js)
+const blockedTermSchema = new mongoose.Schema({
+  term: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    maxlength: 100
+  },
+  // mask: replace it with asterisks; block: reject the whole message
+  action: {
+    type: String,
+    enum: ['mask', 'block'],
+    default: 'mask'
+  },
+  // Only match the term as a whole word, not inside other words
+  wholeWord: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+blockedTermSchema.index({ term: 1 }, { unique: true });
+
+// Update the updatedAt timestamp before saving
+blockedTermSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const BlockedTerm = mongoose.model('BlockedTerm', blockedTermSchema);
+
+module.exports = BlockedTerm;
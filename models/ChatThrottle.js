@@ -0,0 +1,58 @@
+// models/ChatThrottle.js
+const mongoose = require('mongoose');
+
+const DUPLICATE_KEY = 11000;
+
+// When a user last chatted in a session, for slow mode and the chat rate
+// limit. Each message claims its slot with one conditional update, so two
+// messages sent at the same time cannot both get through.
+const chatThrottleSchema = new mongoose.Schema({
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The last message let through slow mode
+  lastMessageAt: Date,
+  // When the latest messages let through the rate limit were sent, oldest
+  // first, at most as many as the limit allows per window
+  recent: [Date],
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+    expires: 24 * 60 * 60 // the live session is long over by then
+  }
+});
+
+chatThrottleSchema.index({ session: 1, user: 1 }, { unique: true });
+
+/**
+ * Apply `update` to the user's throttle for a session if it matches
+ * `condition`, creating the throttle on the first message
+ * @param {Object} key - { session, user }
+ * @param {Object} condition - Filter the throttle must match to let the message through
+ * @param {Object} update - What letting it through records
+ * @returns {boolean} - false if the condition was not met
+ */
+chatThrottleSchema.statics.claim = async function(key, condition, update) {
+  try {
+    await this.updateOne({ ...key, ...condition }, update, { upsert: true });
+    return true;
+  } catch (err) {
+    if (err.code !== DUPLICATE_KEY) throw err;
+  }
+
+  // The throttle exists (perhaps created a moment ago by a concurrent
+  // message) and did not match; try once more without inserting
+  const { matchedCount } = await this.updateOne({ ...key, ...condition }, update);
+  return matchedCount === 1;
+};
+
+const ChatThrottle = mongoose.model('ChatThrottle', chatThrottleSchema);
+
+module.exports = ChatThrottle;
@@ -0,0 +1,44 @@
+// models/IdempotencyKey.js
+const mongoose = require('mongoose');
+
+// Remembers the response of a request sent with an Idempotency-Key header so
+// a retried request is answered from here instead of being executed twice
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Method, URL and body hash of the original request
+  fingerprint: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  // While processing: when the request holding the key is presumed dead and a
+  // retry may take the key over
+  lockedUntil: Date,
+  responseStatus: Number,
+  // Content-Type and body exactly as sent
+  responseType: String,
+  responseBody: mongoose.Schema.Types.Mixed,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 24 * 60 * 60 // keys are kept for 24 hours
+  }
+});
+
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+module.exports = IdempotencyKey;
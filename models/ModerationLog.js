@@ -0,0 +1,63 @@
+// models/ModerationLog.js
+const mongoose = require('mongoose');
+
+// A moderation action taken during a live session, kept for admin review
+const moderationLogSchema = new mongoose.Schema({
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+  // The session's trainer, so admins can review a trainer's actions
+  trainer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Who took the action (the trainer or an admin)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: [
+      'delete_message',
+      'mute',
+      'unmute',
+      'kick',
+      'ban',
+      'unban',
+      'slow_mode',
+      'followers_only'
+    ],
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StreamMessage'
+  },
+  reason: {
+    type: String,
+    maxlength: 500
+  },
+  // Action-specific values, e.g. { until } for a mute or { seconds } for slow mode
+  details: mongoose.Schema.Types.Mixed,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+moderationLogSchema.index({ session: 1, createdAt: -1 });
+moderationLogSchema.index({ trainer: 1, createdAt: -1 });
+moderationLogSchema.index({ target: 1, createdAt: -1 });
+
+const ModerationLog = mongoose.model('ModerationLog', moderationLogSchema);
+
+module.exports = ModerationLog;
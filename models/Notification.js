@@ -0,0 +1,51 @@
+// models/Notification.js
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: [
+      'waitlist_promoted',
+      'waitlist_skipped',
+      'session_cancelled',
+      'private_session_requested',
+      'private_session_accepted',
+      'private_session_declined',
+      'account_warning',
+      'account_suspended',
+      'purchase_completed',
+      'purchase_failed',
+      'purchase_refunded'
+    ],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: String,
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session'
+  },
+  data: mongoose.Schema.Types.Mixed,
+  read: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
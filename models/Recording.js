@@ -0,0 +1,80 @@
+// models/Recording.js
+const mongoose = require('mongoose');
+
+// A cloud recording of a live session
+const recordingSchema = new mongoose.Schema({
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+  trainer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  status: {
+    type: String,
+    // starting: claimed, waiting for the provider; ready: stopped and uploaded
+    enum: ['starting', 'recording', 'ready', 'failed', 'deleted'],
+    default: 'starting'
+  },
+  // Set while the recording is starting or running; one per session
+  active: {
+    type: Boolean,
+    default: true
+  },
+  // Streaming provider that made the recording
+  provider: String,
+  channelName: String,
+  resourceId: String,
+  sid: String,
+  uid: String,
+  mode: String,
+  files: [{
+    fileName: String,
+    trackType: String,
+    uid: String,
+    mixedAllUser: Boolean,
+    isPlayable: Boolean,
+    sliceStartTime: Number
+  }],
+  url: String, // playlist of the recording
+  duration: Number, // in seconds
+  uploadingStatus: String,
+  error: String,
+  startedAt: Date,
+  stoppedAt: Date,
+  deletedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Only one recording can be running per session
+recordingSchema.index(
+  { session: 1 },
+  { unique: true, partialFilterExpression: { active: true } }
+);
+recordingSchema.index({ trainer: 1, createdAt: -1 });
+
+// Middleware to update timestamps
+recordingSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const Recording = mongoose.model('Recording', recordingSchema);
+
+module.exports = Recording;
@@ -0,0 +1,69 @@
+// models/ReplayAccess.js
+const mongoose = require('mongoose');
+
+// A user's right to watch a session's replay, and how far they got
+const replayAccessSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+  // booking: included with a booked class; purchase: bought with tokens
+  source: {
+    type: String,
+    enum: ['booking', 'purchase'],
+    required: true
+  },
+  tokensPaid: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  progress: {
+    position: {
+      type: Number, // seconds into the recording
+      default: 0
+    },
+    duration: Number, // seconds, as reported by the player
+    completed: {
+      type: Boolean,
+      default: false
+    },
+    lastWatchedAt: Date
+  },
+  // Number of times playback was started
+  views: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+replayAccessSchema.index({ user: 1, session: 1 }, { unique: true });
+replayAccessSchema.index({ user: 1, 'progress.lastWatchedAt': -1 });
+replayAccessSchema.index({ session: 1 });
+
+// Middleware to update timestamps
+replayAccessSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const ReplayAccess = mongoose.model('ReplayAccess', replayAccessSchema);
+
+module.exports = ReplayAccess;
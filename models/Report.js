@@ -0,0 +1,87 @@
+// models/Report.js
+const mongoose = require('mongoose');
+
+// A user's report about a chat message, a trainer or a session, reviewed by admins
+const reportSchema = new mongoose.Schema({
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['message', 'trainer', 'session'],
+    required: true
+  },
+  // ID of the reported message, trainer or session
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Who is accountable: the message author, the trainer, or the session's trainer
+  reportedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Session the report relates to, if any
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session'
+  },
+  reason: {
+    type: String,
+    enum: ['spam', 'harassment', 'hate', 'inappropriate', 'other'],
+    required: true
+  },
+  details: {
+    type: String,
+    maxlength: 1000
+  },
+  // Copy of the reported message, in case it is deleted later
+  messageText: String,
+  status: {
+    type: String,
+    enum: ['open', 'dismissed', 'actioned'],
+    default: 'open'
+  },
+  resolution: {
+    action: {
+      type: String,
+      enum: ['dismiss', 'warn', 'suspend']
+    },
+    note: String,
+    suspendedUntil: Date,
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One open report per reporter and target
+reportSchema.index(
+  { reporter: 1, targetType: 1, targetId: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+reportSchema.index({ status: 1, createdAt: 1 });
+reportSchema.index({ reportedUser: 1, createdAt: -1 });
+
+// Update the updatedAt timestamp before saving
+reportSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const Report = mongoose.model('Report', reportSchema);
+
+module.exports = Report;
@@ -1,5 +1,26 @@
 // Update models/Session.js
 const mongoose = require('mongoose');
+const { isValidTimeZone } = require('../utils/timezone');
+
+// A mute, kick or ban placed on a user by a moderator
+const restrictionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Mutes without an end last for the rest of the session; bans never end on their own
+  until: Date,
+  reason: String,
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 const sessionSchema = new mongoose.Schema({
   // Existing fields...
@@ -34,15 +55,49 @@ const sessionSchema = new mongoose.Schema({
     type: Number, // in minutes
     required: true
   },
+  // Timezone the session is scheduled in (scheduledAt itself is stored in UTC)
+  timezone: {
+    type: String,
+    default: 'UTC',
+    validate: {
+      validator: isValidTimeZone,
+      message: props => `${props.value} is not a valid timezone`
+    }
+  },
   tokenCost: {
     type: Number,
     required: true,
+    min: 0, // 0 for free sessions
     default: 1
   },
   maxParticipants: {
     type: Number,
     default: 0 // 0 means unlimited
   },
+  // Set when the session was generated from a recurring series
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SessionSeries'
+  },
+  seriesOccurrence: Number, // 1-based position in the series
+
+  // Overrides the platform refund policy (config/refundPolicy.js) when set
+  refundPolicy: {
+    fullRefundHours: {
+      type: Number,
+      min: 0
+    },
+    lateRefundPercent: {
+      type: Number,
+      min: 0,
+      max: 100
+    },
+    afterStartRefundPercent: {
+      type: Number,
+      min: 0,
+      max: 100
+    }
+  },
 
   // Enhance the participants field with more detailed tracking
   participants: [{
@@ -59,23 +114,55 @@ const sessionSchema = new mongoose.Schema({
     duration: {
       type: Number // in seconds
     },
-    // Track engagement statistics
-    messages: {
-      type: Number,
-      default: 0
+    // Every time they were connected, oldest first; joinedAt/leaveAt above
+    // mirror the latest one
+    intervals: [{
+      _id: false,
+      joinedAt: Date,
+      leftAt: Date
+    }],
+    // Last attendance event applied (see services/attendanceService.js), so
+    // late or replayed events cannot undo newer ones
+    lastEventAt: Date,
+    lastEventSeq: Number
+    // Message and reaction counts come from StreamMessage/StreamReaction
+  }],
+
+  // Users waiting for a spot when the session is full, in arrival order
+  waitlist: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
     },
-    reactions: {
-      type: Number,
-      default: 0
+    joinedAt: {
+      type: Date,
+      default: Date.now
     }
   }],
 
   status: {
     type: String,
-    enum: ['scheduled', 'live', 'completed', 'cancelled'],
+    // pending: a private session waiting for the trainer to accept it
+    enum: ['pending', 'scheduled', 'live', 'completed', 'cancelled'],
     default: 'scheduled'
   },
 
+  // Private 1:1 sessions requested by a user from the trainer's availability
+  isPrivate: {
+    type: Boolean,
+    default: false
+  },
+  privateRequest: {
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: String,
+    requestedAt: Date,
+    expiresAt: Date, // auto-declined if not answered by then
+    respondedAt: Date
+  },
+
   // Enhanced streaming details
   streamingDetails: {
     streamId: String,
@@ -87,6 +174,48 @@ const sessionSchema = new mongoose.Schema({
     recordingUrl: String
   },
 
+  // Start a cloud recording automatically when the stream starts
+  autoRecord: {
+    type: Boolean,
+    default: false
+  },
+
+  // On-demand replay of the recording; unset values fall back to config/replayPolicy.js
+  replay: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    tokenCost: {
+      type: Number, // price for users who did not book; 0 means not for sale
+      min: 0,
+      default: 0
+    },
+    accessDays: {
+      type: Number, // replay window for booked participants
+      min: 1
+    }
+  },
+
+  // Live chat and channel moderation (see services/moderationService.js)
+  moderation: {
+    // Minimum gap between two messages from the same user; 0 turns it off
+    slowModeSeconds: {
+      type: Number,
+      min: 0,
+      max: 3600,
+      default: 0
+    },
+    // Only users who follow the trainer (preferences.preferredTrainers) can chat
+    followersOnly: {
+      type: Boolean,
+      default: false
+    },
+    mutes: [restrictionSchema],
+    kicks: [restrictionSchema],
+    bans: [restrictionSchema]
+  },
+
   thumbnail: String,
   equipmentRequired: [String],
   tags: [String],
@@ -115,35 +244,6 @@ const sessionSchema = new mongoose.Schema({
     default: 0
   },
 
-  // Store chat messages
-  messages: [{
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    message: String,
-    timestamp: {
-      type: Date,
-      default: Date.now
-    }
-  }],
-
-  // Store reactions
-  reactions: [{
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    type: {
-      type: String,
-      enum: ['thumbsUp', 'heart', 'star', 'clap', 'fire']
-    },
-    timestamp: {
-      type: Date,
-      default: Date.now
-    }
-  }],
-
   createdAt: {
     type: Date,
     default: Date.now
@@ -155,6 +255,19 @@ const sessionSchema = new mongoose.Schema({
   }
 });
 
+sessionSchema.index({ series: 1, scheduledAt: 1 });
+sessionSchema.index({ status: 1, scheduledAt: 1 });
+sessionSchema.index({ trainer: 1, scheduledAt: -1 });
+
+// Full-text search for session discovery, weighted towards the title
+sessionSchema.index(
+  { title: 'text', tags: 'text', category: 'text', description: 'text' },
+  {
+    name: 'session_text_search',
+    weights: { title: 10, tags: 5, category: 3, description: 1 }
+  }
+);
+
 // Middleware to update timestamps
 sessionSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
@@ -166,6 +279,15 @@ sessionSchema.virtual('participantCount').get(function() {
   return this.participants.length;
 });
 
+// Position of a user on the waitlist (1-based), or null if not waitlisted
+sessionSchema.methods.getWaitlistPosition = function(userId) {
+  const index = (this.waitlist || []).findIndex(
+    entry => entry.user.toString() === userId.toString()
+  );
+
+  return index >= 0 ? index + 1 : null;
+};
+
 // Calculate average rating when a new rating is added
 sessionSchema.methods.calculateAverageRating = function() {
   if (this.ratings.length === 0) {
@@ -177,88 +299,6 @@ sessionSchema.methods.calculateAverageRating = function() {
   this.averageRating = (sum / this.ratings.length).toFixed(1);
 };
 
-// Record a participant joining the session
-sessionSchema.methods.recordParticipantJoin = function(userId) {
-  const participantIndex = this.participants.findIndex(
-    p => p.user.toString() === userId.toString()
-  );
-
-  const now = new Date();
-
-  if (participantIndex >= 0) {
-    // Update existing participant
-    this.participants[participantIndex].joinedAt = now;
-    // Clear leave time if they're rejoining
-    this.participants[participantIndex].leaveAt = undefined;
-  } else {
-    // Add new participant
-    this.participants.push({
-      user: userId,
-      joinedAt: now,
-      messages: 0,
-      reactions: 0
-    });
-  }
-};
-
-// Record a participant leaving the session
-sessionSchema.methods.recordParticipantLeave = function(userId) {
-  const participantIndex = this.participants.findIndex(
-    p => p.user.toString() === userId.toString()
-  );
-
-  if (participantIndex >= 0 && this.participants[participantIndex].joinedAt) {
-    const now = new Date();
-    this.participants[participantIndex].leaveAt = now;
-
-    // Calculate session duration
-    const joinTime = new Date(this.participants[participantIndex].joinedAt);
-    const durationSeconds = Math.floor((now - joinTime) / 1000);
-
-    // Update or add to existing duration
-    const existingDuration = this.participants[participantIndex].duration || 0;
-    this.participants[participantIndex].duration = existingDuration + durationSeconds;
-  }
-};
-
-// Add a message to the session
-sessionSchema.methods.addMessage = function(userId, message) {
-  this.messages.push({
-    user: userId,
-    message,
-    timestamp: new Date()
-  });
-
-  // Increment message count for the participant
-  const participantIndex = this.participants.findIndex(
-    p => p.user.toString() === userId.toString()
-  );
-
-  if (participantIndex >= 0) {
-    this.participants[participantIndex].messages =
-      (this.participants[participantIndex].messages || 0) + 1;
-  }
-};
-
-// Add a reaction to the session
-sessionSchema.methods.addReaction = function(userId, type) {
-  this.reactions.push({
-    user: userId,
-    type,
-    timestamp: new Date()
-  });
-
-  // Increment reaction count for the participant
-  const participantIndex = this.participants.findIndex(
-    p => p.user.toString() === userId.toString()
-  );
-
-  if (participantIndex >= 0) {
-    this.participants[participantIndex].reactions =
-      (this.participants[participantIndex].reactions || 0) + 1;
-  }
-};
-
 const Session = mongoose.model('Session', sessionSchema);
 
 module.exports = Session;
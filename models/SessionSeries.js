@@ -0,0 +1,139 @@
+// models/SessionSeries.js
+const mongoose = require('mongoose');
+const { WEEKDAYS, toRRule } = require('../utils/recurrence');
+const { isValidTimeZone } = require('../utils/timezone');
+
+// A recurring class. Each occurrence is a regular Session document that
+// points back here through Session.series.
+const sessionSeriesSchema = new mongoose.Schema({
+  trainer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Template copied into every generated session
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    required: true
+  },
+  category: {
+    type: String,
+    required: true
+  },
+  difficulty: {
+    type: String,
+    enum: ['Beginner', 'Intermediate', 'Advanced', 'All Levels'],
+    required: true
+  },
+  duration: {
+    type: Number, // in minutes
+    required: true
+  },
+  tokenCost: {
+    type: Number,
+    required: true,
+    min: 0, // 0 for free sessions
+    default: 1
+  },
+  maxParticipants: {
+    type: Number,
+    default: 0 // 0 means unlimited
+  },
+  refundPolicy: {
+    fullRefundHours: {
+      type: Number,
+      min: 0
+    },
+    lateRefundPercent: {
+      type: Number,
+      min: 0,
+      max: 100
+    },
+    afterStartRefundPercent: {
+      type: Number,
+      min: 0,
+      max: 100
+    }
+  },
+  equipmentRequired: [String],
+  tags: [String],
+  autoRecord: {
+    type: Boolean,
+    default: false
+  },
+
+  // recurrence.time is a wall-clock time in this timezone, so sessions stay
+  // at the same local time when DST starts or ends
+  timezone: {
+    type: String,
+    default: 'UTC',
+    validate: {
+      validator: isValidTimeZone,
+      message: props => `${props.value} is not a valid timezone`
+    }
+  },
+
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly'],
+      required: true
+    },
+    interval: {
+      type: Number,
+      default: 1
+    },
+    byDay: [{
+      type: String,
+      enum: WEEKDAYS
+    }],
+    time: {
+      type: String, // HH:mm
+      required: true
+    },
+    startDate: {
+      type: Date,
+      required: true
+    },
+    until: Date,
+    count: Number
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Middleware to update timestamps
+sessionSeriesSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// The recurrence as an RRULE string
+sessionSeriesSchema.virtual('rrule').get(function() {
+  return toRRule(this.recurrence);
+});
+
+sessionSeriesSchema.set('toJSON', { virtuals: true });
+
+const SessionSeries = mongoose.model('SessionSeries', sessionSeriesSchema);
+
+module.exports = SessionSeries;
@@ -0,0 +1,39 @@
+// models/StreamMessage.js
+const mongoose = require('mongoose');
+
+// A chat message posted during a live session
+const streamMessageSchema = new mongoose.Schema({
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  message: {
+    type: String,
+    required: true,
+    maxlength: 2000 // the configured limit is in config/chatFilter.js
+  },
+  // Set when a moderator removes the message
+  deletedAt: Date,
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// History pages are read newest first; _id breaks ties within a millisecond
+streamMessageSchema.index({ session: 1, createdAt: -1, _id: -1 });
+streamMessageSchema.index({ session: 1, user: 1 });
+
+const StreamMessage = mongoose.model('StreamMessage', streamMessageSchema);
+
+module.exports = StreamMessage;
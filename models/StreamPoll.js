@@ -0,0 +1,63 @@
+// models/StreamPoll.js
+const mongoose = require('mongoose');
+
+// A quick poll the trainer runs during a live session. Tallies are kept on
+// the options; the individual votes are in StreamPollVote.
+const streamPollSchema = new mongoose.Schema({
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  question: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  options: {
+    type: [{
+      text: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+      },
+      votes: {
+        type: Number,
+        default: 0
+      }
+    }],
+    validate: {
+      validator: options => options.length >= 2 && options.length <= 6,
+      message: 'A poll needs between 2 and 6 options'
+    }
+  },
+  totalVotes: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  // Voting stops at this time even if the trainer does not close the poll
+  closesAt: Date,
+  closedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+streamPollSchema.index({ session: 1, createdAt: -1 });
+
+const StreamPoll = mongoose.model('StreamPoll', streamPollSchema);
+
+module.exports = StreamPoll;
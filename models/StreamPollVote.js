@@ -0,0 +1,37 @@
+// models/StreamPollVote.js
+const mongoose = require('mongoose');
+
+// One user's vote in a poll
+const streamPollVoteSchema = new mongoose.Schema({
+  poll: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StreamPoll',
+    required: true
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  option: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One vote per user and poll
+streamPollVoteSchema.index({ poll: 1, user: 1 }, { unique: true });
+streamPollVoteSchema.index({ session: 1, user: 1 });
+
+const StreamPollVote = mongoose.model('StreamPollVote', streamPollVoteSchema);
+
+module.exports = StreamPollVote;
@@ -0,0 +1,63 @@
+// models/StreamQuestion.js
+const mongoose = require('mongoose');
+
+// A question submitted to the trainer during a live session
+const streamQuestionSchema = new mongoose.Schema({
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  text: {
+    type: String,
+    required: true,
+    maxlength: 300
+  },
+  status: {
+    type: String,
+    enum: ['open', 'answered', 'dismissed'],
+    default: 'open'
+  },
+  // At most one pinned question per session, shown on top for everyone
+  pinned: {
+    type: Boolean,
+    default: false
+  },
+  // Users who upvoted, and their count for sorting
+  upvotes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  upvoteCount: {
+    type: Number,
+    default: 0
+  },
+  answeredAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// The queue is read with the most upvoted open questions first
+streamQuestionSchema.index({ session: 1, status: 1, upvoteCount: -1, createdAt: 1 });
+streamQuestionSchema.index({ session: 1, user: 1 });
+
+// Update the updatedAt timestamp before saving
+streamQuestionSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const StreamQuestion = mongoose.model('StreamQuestion', streamQuestionSchema);
+
+module.exports = StreamQuestion;
@@ -0,0 +1,36 @@
+// models/StreamReaction.js
+const mongoose = require('mongoose');
+
+const REACTION_TYPES = ['thumbsUp', 'heart', 'star', 'clap', 'fire'];
+
+// A reaction sent during a live session
+const streamReactionSchema = new mongoose.Schema({
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: REACTION_TYPES,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+streamReactionSchema.index({ session: 1, createdAt: 1 });
+streamReactionSchema.index({ session: 1, user: 1 });
+
+streamReactionSchema.statics.TYPES = REACTION_TYPES;
+
+const StreamReaction = mongoose.model('StreamReaction', streamReactionSchema);
+
+module.exports = StreamReaction;
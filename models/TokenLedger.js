@@ -0,0 +1,89 @@
+// models/TokenLedger.js
+const mongoose = require('mongoose');
+
+// Append-only record of every change to a user's token balance.
+// User.tokens is a cached value that can always be rebuilt from these entries.
+const tokenLedgerSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['credit', 'debit'],
+    required: true
+  },
+  amount: {
+    type: Number, // always positive, the sign comes from type
+    required: true,
+    min: 0
+  },
+  reason: {
+    type: String,
+    enum: [
+      'purchase',
+      'booking',
+      'replay_purchase',
+      'refund',
+      'admin_adjustment',
+      'expiry',
+      'purchase_refund', // tokens taken back when a purchase is refunded
+      'chargeback', // tokens held while a payment is disputed
+      'chargeback_release' // held tokens returned after a dispute is won
+    ],
+    required: true
+  },
+  // Balance of the user right after this entry was applied
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session'
+  },
+  description: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+tokenLedgerSchema.index({ user: 1, createdAt: -1 });
+tokenLedgerSchema.index({ transaction: 1 });
+tokenLedgerSchema.index({ session: 1 });
+
+// Entries are never changed once written - corrections are new entries
+const rejectMutation = function(next) {
+  next(new Error('Token ledger entries are append-only'));
+};
+
+tokenLedgerSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectMutation
+);
+
+tokenLedgerSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+// Signed value of the entry (credits positive, debits negative)
+tokenLedgerSchema.virtual('signedAmount').get(function() {
+  return this.type === 'credit' ? this.amount : -this.amount;
+});
+
+const TokenLedger = mongoose.model('TokenLedger', tokenLedgerSchema);
+
+module.exports = TokenLedger;
@@ -0,0 +1,78 @@
+// models/TrainerAvailability.js
+const mongoose = require('mongoose');
+const { isValidTimeZone } = require('../utils/timezone');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+
+// When a trainer can be booked for private 1:1 sessions
+const trainerAvailabilitySchema = new mongoose.Schema({
+  trainer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  // Windows and blackout dates are read in this timezone
+  timezone: {
+    type: String,
+    default: 'UTC',
+    validate: {
+      validator: isValidTimeZone,
+      message: props => `${props.value} is not a valid timezone`
+    }
+  },
+  weeklyWindows: [{
+    dayOfWeek: {
+      type: Number, // 0 = Sunday ... 6 = Saturday
+      min: 0,
+      max: 6,
+      required: true
+    },
+    startTime: {
+      type: String, // HH:mm
+      match: TIME_PATTERN,
+      required: true
+    },
+    endTime: {
+      type: String, // HH:mm, 24:00 for midnight
+      match: TIME_PATTERN,
+      required: true
+    }
+  }],
+  blackoutDates: [{
+    start: {
+      type: Date,
+      required: true
+    },
+    end: {
+      type: Date,
+      required: true
+    },
+    reason: String
+  }],
+  // Private sessions must be requested at least this long in advance
+  minNoticeHours: {
+    type: Number,
+    default: 12
+  },
+  // Incremented inside every scheduling transaction for this trainer, so two
+  // concurrent bookings of the same trainer conflict and one of them retries
+  bookingLock: {
+    type: Number,
+    default: 0
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Middleware to update timestamps
+trainerAvailabilitySchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const TrainerAvailability = mongoose.model('TrainerAvailability', trainerAvailabilitySchema);
+
+module.exports = TrainerAvailability;
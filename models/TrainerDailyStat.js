@@ -0,0 +1,91 @@
+// models/TrainerDailyStat.js
+const mongoose = require('mongoose');
+
+// Precomputed totals of one trainer's sessions scheduled on one UTC day, so the
+// dashboard never has to load sessions. Written by services/trainerStatsService.js.
+const trainerDailyStatSchema = new mongoose.Schema({
+  trainer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Midnight UTC of the day
+  date: {
+    type: Date,
+    required: true
+  },
+  sessionsScheduled: {
+    type: Number,
+    default: 0
+  },
+  sessionsRun: {
+    type: Number,
+    default: 0
+  },
+  sessionsCancelled: {
+    type: Number,
+    default: 0
+  },
+  // Seats booked on sessions that were not cancelled
+  bookings: {
+    type: Number,
+    default: 0
+  },
+  // Seats booked on sessions that ran, and how many of them showed up
+  completedBookings: {
+    type: Number,
+    default: 0
+  },
+  attended: {
+    type: Number,
+    default: 0
+  },
+  ratingSum: {
+    type: Number,
+    default: 0
+  },
+  ratingCount: {
+    type: Number,
+    default: 0
+  },
+  // Booking tokens kept: seats still booked plus what late cancellations did not refund
+  tokensEarned: {
+    type: Number,
+    default: 0
+  },
+  // Sessions that ran, by category and by local start time
+  categories: [{
+    _id: false,
+    category: String,
+    sessions: Number,
+    bookings: Number,
+    attended: Number
+  }],
+  timeSlots: [{
+    _id: false,
+    weekday: Number, // 0 = Sunday
+    hour: Number,
+    sessions: Number,
+    bookings: Number,
+    attended: Number
+  }],
+  // Who attended and how many sessions, for repeat-attendee rates over a range
+  attendees: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    sessions: Number
+  }],
+  computedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+trainerDailyStatSchema.index({ trainer: 1, date: 1 }, { unique: true });
+
+const TrainerDailyStat = mongoose.model('TrainerDailyStat', trainerDailyStatSchema);
+
+module.exports = TrainerDailyStat;
@@ -7,10 +7,20 @@ const transactionSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  type: {
+    type: String,
+    enum: ['purchase', 'session_refund'],
+    default: 'purchase'
+  },
   package: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Package'
   },
+  // Session the transaction relates to (refunds)
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session'
+  },
   tokenAmount: {
     type: Number,
     required: true
@@ -26,25 +36,119 @@ const transactionSchema = new mongoose.Schema({
   paymentMethod: {
     type: String,
     required: true,
-    enum: ['credit_card', 'paypal', 'stripe', 'other']
+    enum: ['credit_card', 'paypal', 'stripe', 'tokens', 'other']
   },
   status: {
     type: String,
     required: true,
-    enum: ['pending', 'completed', 'failed', 'refunded'],
+    // flagged: paid, but not the amount asked for; nothing is credited and support settles it
+    enum: ['pending', 'completed', 'failed', 'expired', 'flagged', 'refunded', 'charged_back'],
     default: 'pending'
   },
   paymentDetails: {
+    // The payment provider's ID for the payment (e.g. a Stripe payment intent)
     transactionId: String,
     paymentProcessor: String,
-    cardLast4: String
+    cardLast4: String,
+    failureReason: String
+  },
+  // Purchases left pending past this are cancelled (scripts/expirePendingPurchases.js)
+  expiresAt: Date,
+  completedAt: Date,
+  // How a session refund was worked out
+  refundDetails: {
+    reason: {
+      type: String,
+      enum: ['user_cancelled', 'session_cancelled']
+    },
+    percent: Number,
+    originalTokens: Number,
+    hoursBeforeStart: Number,
+    processedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  // Money and tokens given back so far by refunds and lost disputes
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  refundedTokens: {
+    type: Number,
+    default: 0
+  },
+  // A chargeback the buyer opened with their bank
+  dispute: {
+    disputeId: String,
+    status: {
+      type: String,
+      enum: ['open', 'won', 'lost']
+    },
+    reason: String,
+    amount: Number,
+    // Tokens taken out of the buyer's balance while the dispute is open
+    tokensHeld: Number,
+    openedAt: Date,
+    closedAt: Date
   },
+  // Every step taken on the purchase, oldest first
+  history: [{
+    action: {
+      type: String,
+      enum: [
+        'created',
+        'payment_failed',
+        'completed',
+        'failed',
+        'expired',
+        'flagged',
+        'refund_requested',
+        'refunded',
+        'refund_failed',
+        'dispute_opened',
+        'dispute_won',
+        'dispute_lost'
+      ],
+      required: true
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    // The admin who acted; empty for the buyer and the payment provider
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    amount: Number,
+    // Tokens added (completed, dispute_won, refund_failed) or taken (refund_requested,
+    // dispute_opened); refunded and dispute_lost repeat what was finally kept back
+    tokens: Number,
+    // Provider ID of the refund or dispute
+    providerId: String,
+    note: String
+  }],
   createdAt: {
     type: Date,
     default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
   }
 });
 
+transactionSchema.index({ user: 1, createdAt: -1 });
+transactionSchema.index({ session: 1, type: 1 });
+transactionSchema.index({ 'paymentDetails.transactionId': 1 }, { sparse: true });
+transactionSchema.index({ status: 1, expiresAt: 1 });
+
+transactionSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
 const Transaction = mongoose.model('Transaction', transactionSchema);
 
 module.exports = Transaction;
@@ -1,6 +1,7 @@
 // models/User.js
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { isValidTimeZone } = require('../utils/timezone');
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -30,6 +31,8 @@ const userSchema = new mongoose.Schema({
     enum: ['user', 'trainer', 'admin'],
     default: 'user'
   },
+  // Cached balance - the source of truth is the TokenLedger collection,
+  // only change it through services/tokenLedgerService
   tokens: {
     type: Number,
     default: 0
@@ -51,7 +54,21 @@ const userSchema = new mongoose.Schema({
     },
     completedAt: Date,
     rating: Number,
-    feedback: String
+    feedback: String,
+    // Summary of the wearable data sent during the class
+    workout: {
+      durationSeconds: Number,
+      samples: Number,
+      averageHeartRate: Number,
+      maxHeartRate: Number,
+      calories: Number,
+      averageCadence: Number,
+      // Seconds spent in each heart-rate zone, 0 being below zone 1
+      zoneSeconds: [Number],
+      // Average heart rate as a share of the user's max, 0-100
+      intensity: Number,
+      maxHeartRateUsed: Number
+    }
   }],
   preferences: {
     categories: [String],
@@ -75,12 +92,24 @@ const userSchema = new mongoose.Schema({
       }
     }
   },
+  // Used to work out heart-rate zones from wearable data
+  fitnessProfile: {
+    birthYear: {
+      type: Number,
+      min: 1900
+    },
+    maxHeartRate: {
+      type: Number,
+      min: 100,
+      max: 240
+    }
+  },
   // Trainer-specific fields
   trainerProfile: {
     bio: String,
     specialties: [String],
     experience: String,
-    hourlyRate: Number,
+    hourlyRate: Number, // in tokens, used to price private sessions
     rating: {
       type: Number,
       default: 0
@@ -94,6 +123,39 @@ const userSchema = new mongoose.Schema({
       default: false
     }
   },
+  // IANA timezone, e.g. "Europe/Berlin"
+  timezone: {
+    type: String,
+    default: 'UTC',
+    validate: {
+      validator: isValidTimeZone,
+      message: props => `${props.value} is not a valid timezone`
+    }
+  },
+  // Bumped to invalidate the signed calendar feed URL
+  calendarFeedVersion: {
+    type: Number,
+    default: 0
+  },
+  // Strikes from upheld reports and any suspension they led to
+  moderation: {
+    strikes: {
+      type: Number,
+      default: 0
+    },
+    lastStrikeAt: Date,
+    suspendedUntil: Date,
+    suspensionReason: String
+  },
+  // Set when one of the user's payments is disputed; purchases are refused until an admin clears it
+  paymentFlag: {
+    flaggedAt: Date,
+    reason: String,
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction'
+    }
+  },
   // Common fields
   phoneNumber: String,
   createdAt: {
@@ -121,6 +183,11 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Whether the account is currently suspended
+userSchema.methods.isSuspended = function() {
+  return Boolean(this.moderation && this.moderation.suspendedUntil && this.moderation.suspendedUntil > new Date());
+};
+
 // Method to get user's public profile (no sensitive info)
 userSchema.methods.getPublicProfile = function() {
   const userObject = this.toObject();
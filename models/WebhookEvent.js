@@ -0,0 +1,37 @@
+// models/WebhookEvent.js
+const mongoose = require('mongoose');
+
+// A webhook delivery we have accepted. The unique (source, eventId) pair
+// makes redelivered events no-ops.
+const webhookEventSchema = new mongoose.Schema({
+  // Who sent it, e.g. 'stream:agora'
+  source: {
+    type: String,
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  type: String,
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'ignored'],
+    default: 'processing'
+  },
+  // What processing did, for debugging
+  result: String,
+  payload: mongoose.Schema.Types.Mixed,
+  processedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 30 * 24 * 60 * 60 // kept for 30 days
+  }
+});
+
+webhookEventSchema.index({ source: 1, eventId: 1 }, { unique: true });
+
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+
+module.exports = WebhookEvent;
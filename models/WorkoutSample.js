@@ -0,0 +1,52 @@
+// models/WorkoutSample.js
+const mongoose = require('mongoose');
+const workoutMetrics = require('../config/workoutMetrics');
+
+// One reading from a participant's wearable during a live session
+const workoutSampleSchema = new mongoose.Schema({
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  at: {
+    type: Date,
+    required: true
+  },
+  heartRate: {
+    type: Number,
+    min: 30,
+    max: 240
+  },
+  // Calories burned since the start of the class, as reported by the device
+  calories: {
+    type: Number,
+    min: 0
+  },
+  // Steps or revolutions per minute
+  cadence: {
+    type: Number,
+    min: 0,
+    max: 300
+  },
+  // Heart-rate zone (0-5) for the user's max heart rate at the time
+  zone: Number,
+  device: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+workoutSampleSchema.index({ session: 1, user: 1, at: 1 });
+workoutSampleSchema.index({ session: 1, at: -1 });
+workoutSampleSchema.index({ createdAt: 1 }, { expireAfterSeconds: workoutMetrics.sampleRetentionDays * 24 * 60 * 60 });
+
+const WorkoutSample = mongoose.model('WorkoutSample', workoutSampleSchema);
+
+module.exports = WorkoutSample;
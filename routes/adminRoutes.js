@@ -0,0 +1,91 @@
+// routes/adminRoutes.js
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const { authenticate } = require('../middleware/auth');
+const { isAdmin } = require('../middleware/roleCheck');
+
+// Every admin route requires an authenticated admin
+router.use(authenticate, isAdmin);
+
+// @route   GET api/admin/ledger/reconciliation
+// @desc    Report users whose cached token balance differs from the ledger
+// @access  Private/Admin
+router.get('/ledger/reconciliation', adminController.getLedgerReconciliation);
+
+// @route   POST api/admin/ledger/users/:userId/rebuild
+// @desc    Rebuild a user's cached token balance from the ledger
+// @access  Private/Admin
+router.post('/ledger/users/:userId/rebuild', adminController.rebuildUserBalance);
+
+// @route   GET api/admin/purchases/:transactionId
+// @desc    Get a token purchase with its payment, refund and dispute history
+// @access  Private/Admin
+router.get('/purchases/:transactionId', adminController.getPurchase);
+
+// @route   POST api/admin/purchases/:transactionId/refund
+// @desc    Refund a token purchase ({ amount (default: the rest), reason, note }) and take back its tokens
+// @access  Private/Admin
+router.post('/purchases/:transactionId/refund', adminController.refundPurchase);
+
+// @route   DELETE api/admin/users/:userId/payment-flag
+// @desc    Clear the flag a disputed payment put on a user, so they can buy tokens again
+// @access  Private/Admin
+router.delete('/users/:userId/payment-flag', adminController.clearPaymentFlag);
+
+// @route   GET api/admin/moderation/log
+// @desc    Review moderation actions (?session=&trainer=&actor=&target=&action=&page=&limit=)
+// @access  Private/Admin
+router.get('/moderation/log', adminController.getModerationLog);
+
+// @route   GET api/admin/reports
+// @desc    Report review queue (?status=open|dismissed|actioned&targetType=&reportedUser=&page=&limit=)
+// @access  Private/Admin
+router.get('/reports', adminController.getReports);
+
+// @route   PUT api/admin/reports/:reportId
+// @desc    Resolve a report ({ action: dismiss|warn|suspend, note, suspendDays })
+// @access  Private/Admin
+router.put('/reports/:reportId', adminController.resolveReport);
+
+// @route   DELETE api/admin/users/:userId/suspension
+// @desc    Lift a user's suspension
+// @access  Private/Admin
+router.delete('/users/:userId/suspension', adminController.liftSuspension);
+
+// @route   GET api/admin/blocked-terms
+// @desc    Get the chat word list
+// @access  Private/Admin
+router.get('/blocked-terms', adminController.getBlockedTerms);
+
+// @route   POST api/admin/blocked-terms
+// @desc    Add or update a chat word list entry ({ term, action: mask|block, wholeWord })
+// @access  Private/Admin
+router.post('/blocked-terms', adminController.saveBlockedTerm);
+
+// @route   DELETE api/admin/blocked-terms/:termId
+// @desc    Remove a chat word list entry
+// @access  Private/Admin
+router.delete('/blocked-terms/:termId', adminController.deleteBlockedTerm);
+
+// @route   GET api/admin/analytics
+// @desc    List the business reports (revenue, tokens, signups, active-users, fill-rates, refunds, purchase-refunds)
+// @access  Private/Admin
+router.get('/analytics', adminController.getPlatformReports);
+
+// @route   GET api/admin/analytics/:report
+// @desc    Run a business report (?from=YYYY-MM-DD&to=YYYY-MM-DD&interval=day|week|month&groupBy=&format=json|csv)
+// @access  Private/Admin
+router.get('/analytics/:report', adminController.getPlatformReport);
+
+// @route   GET api/admin/cohorts/retention
+// @desc    Weekly retention by cohort (?type=signup|first_purchase&from=&to=&weeks=&refresh=true)
+// @access  Private/Admin
+router.get('/cohorts/retention', adminController.getCohortRetention);
+
+// @route   GET api/admin/cohorts/at-risk
+// @desc    Members whose bookings dropped (?trainer=&recentWeeks=&baselineWeeks=&minBookings=&dropPercent=&refresh=true)
+// @access  Private/Admin
+router.get('/cohorts/at-risk', adminController.getAtRiskMembers);
+
+module.exports = router;
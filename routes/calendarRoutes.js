@@ -0,0 +1,32 @@
+// routes/calendarRoutes.js
+const express = require('express');
+const router = express.Router();
+const calendarController = require('../controllers/calendarController');
+const { authenticate } = require('../middleware/auth');
+
+// @route   GET api/calendar/feed-url
+// @desc    Get the current user's private calendar feed URL
+// @access  Private
+router.get('/feed-url', authenticate, calendarController.getFeedUrl);
+
+// @route   POST api/calendar/feed-url/reset
+// @desc    Invalidate the current feed URL and issue a new one
+// @access  Private
+router.post('/feed-url/reset', authenticate, calendarController.resetFeedUrl);
+
+// @route   GET api/calendar/users/:userId/:token.ics
+// @desc    Private ICS feed of a user's booked sessions
+// @access  Public (signed URL)
+router.get('/users/:userId/:token.ics', calendarController.getUserFeed);
+
+// @route   GET api/calendar/trainers/:trainerId.ics
+// @desc    Public ICS feed of a trainer's sessions
+// @access  Public
+router.get('/trainers/:trainerId.ics', calendarController.getTrainerFeed);
+
+// @route   GET api/calendar/sessions/:id.ics
+// @desc    Download a single session as an ICS event
+// @access  Public
+router.get('/sessions/:id.ics', calendarController.getSessionEvent);
+
+module.exports = router;
@@ -4,6 +4,7 @@ const router = express.Router();
 const packageController = require('../controllers/packageController');
 const { authenticate } = require('../middleware/auth');
 const { isAdmin } = require('../middleware/roleCheck');
+const idempotency = require('../middleware/idempotency');
 
 // @route   GET api/packages
 // @desc    Get all packages
@@ -30,9 +31,19 @@ router.put('/:id', authenticate, isAdmin, packageController.updatePackage);
 // @access  Private (admin only)
 router.delete('/:id', authenticate, isAdmin, packageController.deletePackage);
 
+// @route   GET api/packages/purchases/:transactionId
+// @desc    Get a purchase and its payment status
+// @access  Private (buyer or admin)
+router.get('/purchases/:transactionId', authenticate, packageController.getPurchase);
+
+// @route   POST api/packages/purchases/:transactionId/confirm
+// @desc    Confirm a pending purchase's payment (tokens are added when the provider confirms it)
+// @access  Private (buyer)
+router.post('/purchases/:transactionId/confirm', authenticate, packageController.confirmPurchase);
+
 // @route   POST api/packages/:id/purchase
-// @desc    Purchase a token package
+// @desc    Start purchasing a token package; returns the payment intent to confirm
 // @access  Private
-router.post('/:id/purchase', authenticate, packageController.purchasePackage);
+router.post('/:id/purchase', authenticate, idempotency, packageController.purchasePackage);
 
 module.exports = router;
@@ -0,0 +1,30 @@
+// routes/recordingRoutes.js
+const express = require('express');
+const router = express.Router();
+const recordingController = require('../controllers/recordingController');
+const { authenticate } = require('../middleware/auth');
+const { isTrainer } = require('../middleware/roleCheck');
+
+router.use(authenticate, isTrainer);
+
+// @route   GET api/recordings
+// @desc    List your recordings (?session=&page=&limit=, admins also ?trainer=)
+// @access  Private (trainers only)
+router.get('/', recordingController.getRecordings);
+
+// @route   GET api/recordings/:id
+// @desc    Get a recording
+// @access  Private (owner trainer or admin)
+router.get('/:id', recordingController.getRecordingById);
+
+// @route   PUT api/recordings/:id
+// @desc    Rename a recording
+// @access  Private (owner trainer or admin)
+router.put('/:id', recordingController.updateRecording);
+
+// @route   DELETE api/recordings/:id
+// @desc    Delete a recording from the library
+// @access  Private (owner trainer or admin)
+router.delete('/:id', recordingController.deleteRecording);
+
+module.exports = router;
@@ -0,0 +1,44 @@
+// routes/replayRoutes.js
+const express = require('express');
+const router = express.Router();
+const replayController = require('../controllers/replayController');
+const { authenticate } = require('../middleware/auth');
+const { isTrainer } = require('../middleware/roleCheck');
+const idempotency = require('../middleware/idempotency');
+
+// @route   GET api/replays/continue-watching
+// @desc    Replays the current user started but has not finished
+// @access  Private
+router.get('/continue-watching', authenticate, replayController.getContinueWatching);
+
+// @route   GET api/replays/:sessionId
+// @desc    Get replay availability, price and your access
+// @access  Private
+router.get('/:sessionId', authenticate, replayController.getReplay);
+
+// @route   POST api/replays/:sessionId/purchase
+// @desc    Buy replay access with tokens (honours the Idempotency-Key header)
+// @access  Private
+router.post('/:sessionId/purchase', authenticate, idempotency, replayController.purchaseReplay);
+
+// @route   GET api/replays/:sessionId/playback
+// @desc    Get a short-lived signed playback URL
+// @access  Private
+router.get('/:sessionId/playback', authenticate, replayController.getPlaybackUrl);
+
+// @route   GET api/replays/:sessionId/stream
+// @desc    Redirect a signed playback URL to the recording
+// @access  Public (signed URL)
+router.get('/:sessionId/stream', replayController.streamReplay);
+
+// @route   PUT api/replays/:sessionId/progress
+// @desc    Save your playback position
+// @access  Private
+router.put('/:sessionId/progress', authenticate, replayController.updateProgress);
+
+// @route   PUT api/replays/:sessionId/settings
+// @desc    Set the replay price and the booked participants' window
+// @access  Private (trainers only)
+router.put('/:sessionId/settings', authenticate, isTrainer, replayController.updateReplaySettings);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+// routes/reportRoutes.js
+const express = require('express');
+const router = express.Router();
+const reportController = require('../controllers/reportController');
+const { authenticate } = require('../middleware/auth');
+
+// @route   POST api/reports
+// @desc    Report a message, trainer or session ({ targetType, targetId, reason, details })
+// @access  Private
+router.post('/', authenticate, reportController.createReport);
+
+// @route   GET api/reports/mine
+// @desc    Get the reports the current user has filed
+// @access  Private
+router.get('/mine', authenticate, reportController.getMyReports);
+
+module.exports = router;
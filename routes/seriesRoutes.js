@@ -0,0 +1,47 @@
+// routes/seriesRoutes.js
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const seriesController = require('../controllers/seriesController');
+const { authenticate } = require('../middleware/auth');
+const { isTrainer } = require('../middleware/roleCheck');
+const idempotency = require('../middleware/idempotency');
+
+// @route   POST api/series
+// @desc    Create a recurring session series
+// @access  Private (trainers only)
+router.post(
+  '/',
+  authenticate,
+  isTrainer,
+  [
+    check('title', 'Title is required').not().isEmpty(),
+    check('description', 'Description is required').not().isEmpty(),
+    check('category', 'Category is required').not().isEmpty(),
+    check('difficulty', 'Difficulty is required').not().isEmpty(),
+    check('duration', 'Duration must be a positive number of minutes').isInt({ min: 1 })
+  ],
+  seriesController.createSeries
+);
+
+// @route   GET api/series/:id
+// @desc    Get a series with its sessions
+// @access  Public
+router.get('/:id', seriesController.getSeriesById);
+
+// @route   PUT api/series/:id/sessions/:sessionId
+// @desc    Update this occurrence or this and following occurrences
+// @access  Private (trainers only)
+router.put('/:id/sessions/:sessionId', authenticate, isTrainer, seriesController.updateOccurrence);
+
+// @route   POST api/series/:id/cancel
+// @desc    Cancel a series (or from one occurrence onwards) and refund bookings
+// @access  Private (trainers only)
+router.post('/:id/cancel', authenticate, isTrainer, seriesController.cancelSeries);
+
+// @route   POST api/series/:id/book
+// @desc    Book every upcoming session in a series (honours the Idempotency-Key header)
+// @access  Private
+router.post('/:id/book', authenticate, idempotency, seriesController.bookSeries);
+
+module.exports = router;
@@ -2,18 +2,19 @@
 const express = require('express');
 const router = express.Router();
 const sessionController = require('../controllers/sessionController');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, optionalAuthenticate } = require('../middleware/auth');
 const { isTrainer, isAdmin } = require('../middleware/roleCheck');
+const idempotency = require('../middleware/idempotency');
 
 // @route   GET api/sessions
 // @desc    Get all sessions
 // @access  Public
-router.get('/', sessionController.getAllSessions);
+router.get('/', optionalAuthenticate, sessionController.getAllSessions);
 
 // @route   GET api/sessions/:id
 // @desc    Get session by ID
 // @access  Public
-router.get('/:id', sessionController.getSessionById);
+router.get('/:id', optionalAuthenticate, sessionController.getSessionById);
 
 // @route   GET api/sessions/:id/analytics
 // @desc    Get session analytics
@@ -36,9 +37,24 @@ router.put('/:id', authenticate, isTrainer, sessionController.updateSession);
 router.delete('/:id', authenticate, isTrainer, sessionController.deleteSession);
 
 // @route   POST api/sessions/:id/book
-// @desc    Book a session
+// @desc    Book a session (honours the Idempotency-Key header)
 // @access  Private
-router.post('/:id/book', authenticate, sessionController.bookSession);
+router.post('/:id/book', authenticate, idempotency, sessionController.bookSession);
+
+// @route   DELETE api/sessions/:id/book
+// @desc    Cancel own booking (refund follows the refund policy)
+// @access  Private
+router.delete('/:id/book', authenticate, sessionController.cancelBooking);
+
+// @route   POST api/sessions/:id/waitlist
+// @desc    Join the waitlist of a full session
+// @access  Private
+router.post('/:id/waitlist', authenticate, sessionController.joinWaitlist);
+
+// @route   DELETE api/sessions/:id/waitlist
+// @desc    Leave the waitlist of a session
+// @access  Private
+router.delete('/:id/waitlist', authenticate, sessionController.leaveWaitlist);
 
 // @route   POST api/sessions/:id/rate
 // @desc    Rate a session
@@ -48,7 +64,7 @@ router.post('/:id/rate', authenticate, sessionController.rateSession);
 // @route   GET api/sessions/trainer/:trainerId
 // @desc    Get all sessions by trainer
 // @access  Public
-router.get('/trainer/:trainerId', sessionController.getSessionsByTrainer);
+router.get('/trainer/:trainerId', optionalAuthenticate, sessionController.getSessionsByTrainer);
 
 // @route   PUT api/sessions/:id/status
 // @desc    Update session status
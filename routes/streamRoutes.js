@@ -2,6 +2,10 @@
 const express = require('express');
 const router = express.Router();
 const streamController = require('../controllers/streamController');
+const moderationController = require('../controllers/moderationController');
+const questionController = require('../controllers/questionController');
+const pollController = require('../controllers/pollController');
+const workoutController = require('../controllers/workoutController');
 const { authenticate } = require('../middleware/auth');
 const { isTrainer } = require('../middleware/roleCheck');
 
@@ -20,6 +24,21 @@ router.post('/:sessionId/start', authenticate, isTrainer, streamController.start
 // @access  Private (trainers only)
 router.post('/:sessionId/end', authenticate, isTrainer, streamController.endStream);
 
+// @route   POST api/stream/:sessionId/recording/start
+// @desc    Start a cloud recording of a live stream
+// @access  Private (trainers only)
+router.post('/:sessionId/recording/start', authenticate, isTrainer, streamController.startRecording);
+
+// @route   POST api/stream/:sessionId/recording/stop
+// @desc    Stop the cloud recording and save it to the library
+// @access  Private (trainers only)
+router.post('/:sessionId/recording/stop', authenticate, isTrainer, streamController.stopRecording);
+
+// @route   GET api/stream/:sessionId/recording
+// @desc    Get the state of the running recording
+// @access  Private (trainers only)
+router.get('/:sessionId/recording', authenticate, isTrainer, streamController.getRecordingStatus);
+
 // @route   POST api/stream/:sessionId/join
 // @desc    Join a streaming session
 // @access  Private
@@ -35,6 +54,11 @@ router.post('/:sessionId/leave', authenticate, streamController.leaveStream);
 // @access  Private (trainers only)
 router.get('/:sessionId/participants', authenticate, isTrainer, streamController.getStreamParticipants);
 
+// @route   GET api/stream/:sessionId/messages
+// @desc    Get chat history, newest first (?before=<messageId>&limit=)
+// @access  Private
+router.get('/:sessionId/messages', authenticate, streamController.getMessages);
+
 // @route   POST api/stream/:sessionId/message
 // @desc    Send a message in a stream
 // @access  Private
@@ -45,4 +69,104 @@ router.post('/:sessionId/message', authenticate, streamController.sendMessage);
 // @access  Private
 router.post('/:sessionId/reaction', authenticate, streamController.sendReaction);
 
+// @route   GET api/stream/:sessionId/questions
+// @desc    Get the Q&A queue, pinned and most upvoted first (?status=)
+// @access  Private
+router.get('/:sessionId/questions', authenticate, questionController.getQuestions);
+
+// @route   POST api/stream/:sessionId/questions
+// @desc    Ask the trainer a question ({ text })
+// @access  Private
+router.post('/:sessionId/questions', authenticate, questionController.askQuestion);
+
+// @route   POST api/stream/:sessionId/questions/:questionId/upvote
+// @desc    Upvote a question
+// @access  Private
+router.post('/:sessionId/questions/:questionId/upvote', authenticate, questionController.upvoteQuestion);
+
+// @route   DELETE api/stream/:sessionId/questions/:questionId/upvote
+// @desc    Take an upvote back
+// @access  Private
+router.delete('/:sessionId/questions/:questionId/upvote', authenticate, questionController.removeUpvote);
+
+// @route   PUT api/stream/:sessionId/questions/:questionId
+// @desc    Mark a question answered or dismissed, or pin it ({ status?, pinned? })
+// @access  Private (session trainer or admin)
+router.put('/:sessionId/questions/:questionId', authenticate, isTrainer, questionController.updateQuestion);
+
+// @route   GET api/stream/:sessionId/polls
+// @desc    Get the polls of a session with live tallies
+// @access  Private
+router.get('/:sessionId/polls', authenticate, pollController.getPolls);
+
+// @route   POST api/stream/:sessionId/polls
+// @desc    Start a poll ({ question, options, durationSeconds? })
+// @access  Private (session trainer or admin)
+router.post('/:sessionId/polls', authenticate, isTrainer, pollController.createPoll);
+
+// @route   POST api/stream/:sessionId/polls/:pollId/vote
+// @desc    Vote in a poll ({ optionId })
+// @access  Private
+router.post('/:sessionId/polls/:pollId/vote', authenticate, pollController.vote);
+
+// @route   POST api/stream/:sessionId/polls/:pollId/close
+// @desc    Close a poll
+// @access  Private (session trainer or admin)
+router.post('/:sessionId/polls/:pollId/close', authenticate, isTrainer, pollController.closePoll);
+
+// @route   POST api/stream/:sessionId/metrics
+// @desc    Send wearable samples ({ samples: [{ at?, heartRate?, calories?, cadence? }], device? })
+// @access  Private (participants)
+router.post('/:sessionId/metrics', authenticate, workoutController.sendSamples);
+
+// @route   GET api/stream/:sessionId/metrics
+// @desc    Get the live class intensity and each participant's heart rate
+// @access  Private (session trainer or admin)
+router.get('/:sessionId/metrics', authenticate, isTrainer, workoutController.getLiveMetrics);
+
+// @route   GET api/stream/:sessionId/moderation
+// @desc    Get moderation settings and active mutes, kicks and bans
+// @access  Private (session trainer or admin)
+router.get('/:sessionId/moderation', authenticate, isTrainer, moderationController.getModeration);
+
+// @route   GET api/stream/:sessionId/moderation/log
+// @desc    Get the moderation actions taken in a session
+// @access  Private (session trainer or admin)
+router.get('/:sessionId/moderation/log', authenticate, isTrainer, moderationController.getModerationLog);
+
+// @route   PUT api/stream/:sessionId/moderation/settings
+// @desc    Set slow mode (slowModeSeconds) and followers-only chat
+// @access  Private (session trainer or admin)
+router.put('/:sessionId/moderation/settings', authenticate, isTrainer, moderationController.updateSettings);
+
+// @route   DELETE api/stream/:sessionId/moderation/messages/:messageId
+// @desc    Delete a chat message
+// @access  Private (session trainer or admin)
+router.delete('/:sessionId/moderation/messages/:messageId', authenticate, isTrainer, moderationController.deleteMessage);
+
+// @route   POST api/stream/:sessionId/moderation/mutes
+// @desc    Mute a user in chat ({ userId, minutes?, reason? })
+// @access  Private (session trainer or admin)
+router.post('/:sessionId/moderation/mutes', authenticate, isTrainer, moderationController.muteUser);
+
+// @route   DELETE api/stream/:sessionId/moderation/mutes/:userId
+// @desc    Unmute a user
+// @access  Private (session trainer or admin)
+router.delete('/:sessionId/moderation/mutes/:userId', authenticate, isTrainer, moderationController.unmuteUser);
+
+// @route   POST api/stream/:sessionId/moderation/kicks
+// @desc    Kick a user from the channel ({ userId, minutes?, reason? })
+// @access  Private (session trainer or admin)
+router.post('/:sessionId/moderation/kicks', authenticate, isTrainer, moderationController.kickUser);
+
+// @route   POST api/stream/:sessionId/moderation/bans
+// @desc    Ban a user from rejoining the session ({ userId, reason? })
+// @access  Private (session trainer or admin)
+router.post('/:sessionId/moderation/bans', authenticate, isTrainer, moderationController.banUser);
+
+// @route   DELETE api/stream/:sessionId/moderation/bans/:userId
+// @desc    Lift a ban
+// @access  Private (session trainer or admin)
+router.delete('/:sessionId/moderation/bans/:userId', authenticate, isTrainer, moderationController.unbanUser);
+
 module.exports = router;
@@ -0,0 +1,76 @@
+// routes/trainerRoutes.js
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const trainerController = require('../controllers/trainerController');
+const { authenticate } = require('../middleware/auth');
+const { isTrainer, isOwnerOrAdmin } = require('../middleware/roleCheck');
+const idempotency = require('../middleware/idempotency');
+
+// @route   GET api/trainers/:id/dashboard
+// @desc    Get a trainer's totals and trends (?from=YYYY-MM-DD&to=YYYY-MM-DD&interval=day|week|month)
+// @access  Private (trainer themselves or admin)
+router.get('/:id/dashboard', authenticate, isTrainer, isOwnerOrAdmin('id'), trainerController.getDashboard);
+
+// @route   GET api/trainers/:id/at-risk-members
+// @desc    Get members of the trainer's classes who are booking less often than they used to
+// @access  Private (trainer themselves or admin)
+router.get('/:id/at-risk-members', authenticate, isTrainer, isOwnerOrAdmin('id'), trainerController.getAtRiskMembers);
+
+// @route   GET api/trainers/:id/availability
+// @desc    Get a trainer's weekly availability and blackout dates
+// @access  Public
+router.get('/:id/availability', trainerController.getAvailability);
+
+// @route   PUT api/trainers/:id/availability
+// @desc    Publish weekly availability windows and blackout dates
+// @access  Private (trainer themselves or admin)
+router.put(
+  '/:id/availability',
+  authenticate,
+  isTrainer,
+  isOwnerOrAdmin('id'),
+  [
+    check('weeklyWindows', 'Weekly windows must be a list').optional().isArray(),
+    check('blackoutDates', 'Blackout dates must be a list').optional().isArray(),
+    check('minNoticeHours', 'Minimum notice must be a positive number of hours').optional().isInt({ min: 0 })
+  ],
+  trainerController.updateAvailability
+);
+
+// @route   GET api/trainers/:id/slots
+// @desc    Get open private session slots (?from=&to=&duration=)
+// @access  Public
+router.get('/:id/slots', trainerController.getSlots);
+
+// @route   POST api/trainers/:id/private-sessions
+// @desc    Request a private 1:1 session (honours the Idempotency-Key header)
+// @access  Private
+router.post(
+  '/:id/private-sessions',
+  authenticate,
+  idempotency,
+  [
+    check('scheduledAt', 'Start time is required').not().isEmpty(),
+    check('duration', 'Duration must be between 15 and 240 minutes').optional().isInt({ min: 15, max: 240 })
+  ],
+  trainerController.requestPrivateSession
+);
+
+// @route   GET api/trainers/:id/private-sessions
+// @desc    List a trainer's private sessions and pending requests
+// @access  Private (trainer themselves or admin)
+router.get('/:id/private-sessions', authenticate, isTrainer, isOwnerOrAdmin('id'), trainerController.getPrivateSessions);
+
+// @route   PUT api/trainers/:id/private-sessions/:sessionId
+// @desc    Accept or decline a private session request
+// @access  Private (trainer themselves or admin)
+router.put(
+  '/:id/private-sessions/:sessionId',
+  authenticate,
+  isTrainer,
+  isOwnerOrAdmin('id'),
+  trainerController.respondToPrivateSession
+);
+
+module.exports = router;
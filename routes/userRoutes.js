@@ -27,14 +27,34 @@ router.delete('/:id', authenticate, isOwnerOrAdmin('id'), userController.deleteU
 
 // @route   PUT api/users/:id/tokens
 // @desc    Update user tokens
+// @access  Private/Admin
+router.put('/:id/tokens', authenticate, isAdmin, userController.updateTokens);
+
+// @route   GET api/users/:id/ledger
+// @desc    Get user's token ledger history
 // @access  Private (owner or admin)
-router.put('/:id/tokens', authenticate, isOwnerOrAdmin('id'), userController.updateTokens);
+router.get('/:id/ledger', authenticate, isOwnerOrAdmin('id'), userController.getTokenLedger);
 
 // @route   GET api/users/:id/sessions
 // @desc    Get user's booked sessions
 // @access  Private (owner or admin)
 router.get('/:id/sessions', authenticate, isOwnerOrAdmin('id'), userController.getUserSessions);
 
+// @route   GET api/users/:id/workouts
+// @desc    Get user's workout summaries from live classes
+// @access  Private (owner or admin)
+router.get('/:id/workouts', authenticate, isOwnerOrAdmin('id'), userController.getUserWorkouts);
+
+// @route   GET api/users/:id/notifications
+// @desc    Get user's notifications
+// @access  Private (owner or admin)
+router.get('/:id/notifications', authenticate, isOwnerOrAdmin('id'), userController.getNotifications);
+
+// @route   PUT api/users/:id/notifications/:notificationId/read
+// @desc    Mark a notification as read
+// @access  Private (owner or admin)
+router.put('/:id/notifications/:notificationId/read', authenticate, isOwnerOrAdmin('id'), userController.markNotificationRead);
+
 // @route   PUT api/users/:id/preferences
 // @desc    Update user preferences
 // @access  Private (owner or admin)
@@ -0,0 +1,16 @@
+// routes/webhookRoutes.js
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controllers/webhookController');
+
+// @route   POST api/webhooks/stream
+// @desc    Channel events from the streaming provider (Agora NCS), signed with a shared secret
+// @access  Public (signature checked)
+router.post('/stream', webhookController.handleStreamWebhook);
+
+// @route   POST api/webhooks/payments
+// @desc    Payment events from the payment provider (Stripe), signed with a shared secret
+// @access  Public (signature checked)
+router.post('/payments', webhookController.handlePaymentWebhook);
+
+module.exports = router;
@@ -0,0 +1,133 @@
+// scripts/agoraStandIn.js
+// Local stand-in for the Agora REST APIs (cloud recording, channel users,
+// kicking rules), for development and testing without an Agora account.
+// Start it, then run the API with
+//   STREAM_PROVIDER=agora AGORA_API_BASE_URL=http://localhost:4010
+// and any AGORA_APP_ID / AGORA_REST_API_KEY / AGORA_REST_API_SECRET / AGORA_RECORDING_BUCKET.
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = process.env.AGORA_STAND_IN_PORT || 4010;
+
+// resourceId -> { cname, uid, sid, startedAt, stopped }
+const resources = new Map();
+// Kicking rules, newest last
+const kickingRules = [];
+
+const routes = [
+  {
+    method: 'POST',
+    pattern: /^\/v1\/apps\/[^/]+\/cloud_recording\/acquire$/,
+    handle: (body) => {
+      const resourceId = crypto.randomBytes(24).toString('hex');
+      resources.set(resourceId, { cname: body.cname, uid: body.uid });
+      return [200, { resourceId }];
+    }
+  },
+  {
+    method: 'POST',
+    pattern: /^\/v1\/apps\/[^/]+\/cloud_recording\/resourceid\/([^/]+)\/mode\/([^/]+)\/start$/,
+    handle: (body, [resourceId]) => {
+      const resource = resources.get(resourceId);
+      if (!resource) return [404, { code: 404, reason: 'resource not found' }];
+      if (!body.clientRequest || !body.clientRequest.storageConfig) {
+        return [400, { code: 2, reason: 'storageConfig is required' }];
+      }
+
+      resource.sid = crypto.randomBytes(16).toString('hex');
+      resource.startedAt = Date.now();
+      return [200, { resourceId, sid: resource.sid }];
+    }
+  },
+  {
+    method: 'GET',
+    pattern: /^\/v1\/apps\/[^/]+\/cloud_recording\/resourceid\/([^/]+)\/sid\/([^/]+)\/mode\/([^/]+)\/query$/,
+    handle: (body, [resourceId, sid]) => {
+      const resource = resources.get(resourceId);
+      if (!resource || resource.sid !== sid || resource.stopped) {
+        return [404, { code: 404, reason: 'recording not found' }];
+      }
+      return [200, { resourceId, sid, serverResponse: { status: 5, fileList: `${sid}_${resource.cname}.m3u8` } }];
+    }
+  },
+  {
+    method: 'POST',
+    pattern: /^\/v1\/apps\/[^/]+\/cloud_recording\/resourceid\/([^/]+)\/sid\/([^/]+)\/mode\/([^/]+)\/stop$/,
+    handle: (body, [resourceId, sid]) => {
+      const resource = resources.get(resourceId);
+      if (!resource || resource.sid !== sid || resource.stopped) {
+        return [404, { code: 435, reason: 'no recording in progress' }];
+      }
+
+      resource.stopped = true;
+      return [200, {
+        resourceId,
+        sid,
+        serverResponse: {
+          fileListMode: 'json',
+          fileList: [{
+            fileName: `${sid}_${resource.cname}.m3u8`,
+            trackType: 'audio_and_video',
+            uid: '0',
+            mixedAllUser: true,
+            isPlayable: true,
+            sliceStartTime: resource.startedAt
+          }],
+          uploadingStatus: 'uploaded'
+        }
+      }];
+    }
+  },
+  {
+    method: 'GET',
+    pattern: /^\/dev\/v1\/channel\/user\/[^/]+\/([^/]+)$/,
+    // Nobody really connects to the stand-in, so channels are always empty
+    handle: () => [200, { success: true, data: { channel_exist: false } }]
+  },
+  {
+    method: 'POST',
+    pattern: /^\/dev\/v1\/kicking-rule$/,
+    handle: (body) => {
+      if (!body.appid || !body.cname || !body.uid) {
+        return [400, { status: 'failed', message: 'appid, cname and uid are required' }];
+      }
+
+      const id = kickingRules.push({ ...body, createdAt: Date.now() });
+      return [200, { status: 'success', id }];
+    }
+  }
+];
+
+const server = http.createServer((req, res) => {
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => {
+    const send = (status, payload) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    };
+
+    if (!/^Basic /.test(req.headers.authorization || '')) {
+      return send(401, { message: 'Invalid authentication credentials' });
+    }
+
+    const route = routes.find(r => r.method === req.method && r.pattern.test(req.url));
+    if (!route) {
+      return send(404, { message: 'Not found' });
+    }
+
+    let body = {};
+    try {
+      body = raw ? JSON.parse(raw) : {};
+    } catch (error) {
+      return send(400, { message: 'Invalid JSON' });
+    }
+
+    const [status, payload] = route.handle(body, req.url.match(route.pattern).slice(1));
+    send(status, payload);
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Agora REST API stand-in listening on port ${PORT}`);
+});
@@ -0,0 +1,26 @@
+// scripts/expirePendingPurchases.js
+// Cancel token purchases that were never paid, and complete any the payment
+// provider reports as paid whose webhook was missed. Meant to run on a
+// schedule (e.g. every 15 minutes from cron).
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const paymentService = require('../services/paymentService');
+
+const run = async () => {
+  await require('../config/db')();
+
+  const { expired, completed, flagged, processing, errors } = await paymentService.expirePendingPurchases();
+
+  console.log(`Expired ${expired} purchase(s), completed ${completed} paid purchase(s), flagged ${flagged} with the wrong amount, ${processing} still processing, ${errors} error(s)`);
+  if (errors) process.exitCode = 1;
+};
+
+run()
+  .catch(err => {
+    console.error('Expiring pending purchases failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
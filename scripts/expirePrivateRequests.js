@@ -0,0 +1,24 @@
+// scripts/expirePrivateRequests.js
+// Decline and refund private session requests the trainer did not answer in
+// time. Meant to run on a schedule (e.g. every 15 minutes from cron).
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const schedulingService = require('../services/schedulingService');
+
+const run = async () => {
+  await require('../config/db')();
+
+  const declined = await schedulingService.expirePendingRequests();
+
+  console.log(`Declined ${declined} expired private session request(s)`);
+};
+
+run()
+  .catch(err => {
+    console.error('Expiring private session requests failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,109 @@
+// scripts/migrateStreamChat.js
+// One-off migration: move chat messages and reactions embedded in Session
+// documents into the StreamMessage and StreamReaction collections, then drop
+// the embedded arrays and the per-participant counters. Safe to re-run:
+// documents keep their original _id, so copies from an interrupted run are skipped.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const Session = require('../models/Session');
+const StreamMessage = require('../models/StreamMessage');
+const StreamReaction = require('../models/StreamReaction');
+
+const DUPLICATE_KEY = 11000;
+// Longest message StreamMessage accepts; longer old messages are cut to fit and reported
+const MAX_MESSAGE_LENGTH = StreamMessage.schema.path('message').options.maxlength;
+
+// Insert, ignoring documents that were already copied
+const insertMissing = async (Model, docs) => {
+  if (docs.length === 0) return 0;
+
+  try {
+    const inserted = await Model.insertMany(docs, { ordered: false, rawResult: true });
+    return inserted.insertedCount;
+  } catch (err) {
+    const writeErrors = err.writeErrors || [];
+    if (writeErrors.some(writeError => writeError.code !== DUPLICATE_KEY)) throw err;
+    return err.insertedDocs ? err.insertedDocs.length : docs.length - writeErrors.length;
+  }
+};
+
+const run = async () => {
+  await require('../config/db')();
+
+  // The fields are no longer in the schema, so read the raw documents
+  const cursor = Session.collection.find(
+    {
+      $or: [
+        { messages: { $exists: true } },
+        { reactions: { $exists: true } },
+        { 'participants.messages': { $exists: true } },
+        { 'participants.reactions': { $exists: true } }
+      ]
+    },
+    { projection: { messages: 1, reactions: 1, createdAt: 1 } }
+  );
+
+  let sessions = 0;
+  let messages = 0;
+  let reactions = 0;
+  let truncated = 0;
+
+  const fitMessage = (session, entry) => {
+    if (entry.message.length <= MAX_MESSAGE_LENGTH) return entry.message;
+
+    console.warn(`Message ${entry._id} in session ${session._id} has ${entry.message.length} characters, keeping the first ${MAX_MESSAGE_LENGTH}`);
+    truncated++;
+    return entry.message.slice(0, MAX_MESSAGE_LENGTH);
+  };
+
+  for await (const session of cursor) {
+    messages += await insertMissing(StreamMessage, (session.messages || [])
+      .filter(entry => entry.user && entry.message)
+      .map(entry => ({
+        _id: entry._id,
+        session: session._id,
+        user: entry.user,
+        message: fitMessage(session, entry),
+        createdAt: entry.timestamp || session.createdAt
+      })));
+
+    reactions += await insertMissing(StreamReaction, (session.reactions || [])
+      .filter(entry => entry.user && StreamReaction.TYPES.includes(entry.type))
+      .map(entry => ({
+        _id: entry._id,
+        session: session._id,
+        user: entry.user,
+        type: entry.type,
+        createdAt: entry.timestamp || session.createdAt
+      })));
+
+    // Only drop the embedded data once it has been copied
+    await Session.collection.updateOne(
+      { _id: session._id },
+      {
+        $unset: {
+          messages: '',
+          reactions: '',
+          'participants.$[].messages': '',
+          'participants.$[].reactions': ''
+        }
+      }
+    );
+    sessions++;
+  }
+
+  console.log(`Migrated ${messages} messages and ${reactions} reactions from ${sessions} sessions`);
+  if (truncated) {
+    console.warn(`${truncated} messages were longer than ${MAX_MESSAGE_LENGTH} characters and were truncated`);
+  }
+};
+
+run()
+  .catch(err => {
+    console.error('Stream chat migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,25 @@
+// scripts/resumeSessionCancellations.js
+// Refund users still booked on cancelled sessions, for cancellations that
+// stopped part way through (e.g. the server restarted mid-refund).
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const bookingService = require('../services/bookingService');
+
+const run = async () => {
+  await require('../config/db')();
+
+  const { sessions, refunded, errors } = await bookingService.resumeCancellations();
+
+  console.log(`Refunded ${refunded} booking(s) across ${sessions} cancelled session(s), ${errors} error(s)`);
+  if (errors) process.exitCode = 1;
+};
+
+run()
+  .catch(err => {
+    console.error('Resuming session cancellations failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
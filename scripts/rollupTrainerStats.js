@@ -0,0 +1,44 @@
+// scripts/rollupTrainerStats.js
+// Recompute the trainers' daily rollups behind the dashboard. Meant to run
+// nightly; the default window catches late ratings and cancellations.
+//   node scripts/rollupTrainerStats.js [--days=35]
+//   node scripts/rollupTrainerStats.js --since=2025-01-01   (backfill)
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const trainerStatsService = require('../services/trainerStatsService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Sessions are booked ahead, so future days are rolled up too
+const FUTURE_DAYS = 90;
+
+const option = (name) => {
+  const arg = process.argv.slice(2).find(value => value.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : undefined;
+};
+
+const run = async () => {
+  const since = option('since');
+  const days = Number(option('days') || 35);
+
+  const from = since ? new Date(`${since}T00:00:00Z`) : new Date(Date.now() - days * DAY_MS);
+  if (Number.isNaN(from.getTime())) {
+    throw new Error('--since must be a date (YYYY-MM-DD)');
+  }
+
+  await require('../config/db')();
+
+  const to = new Date(Date.now() + FUTURE_DAYS * DAY_MS);
+  const result = await trainerStatsService.rollupAll(from, to);
+
+  console.log(`Rolled up ${result.days} day(s) for ${result.trainers} trainer(s) from ${from.toISOString().slice(0, 10)}`);
+};
+
+run()
+  .catch(err => {
+    console.error('Rolling up trainer stats failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
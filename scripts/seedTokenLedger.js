@@ -0,0 +1,41 @@
+// scripts/seedTokenLedger.js
+// One-off migration: give every user that already holds tokens but has no
+// ledger history an opening entry, so the ledger and User.tokens agree.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const User = require('../models/User');
+const TokenLedger = require('../models/TokenLedger');
+
+const run = async () => {
+  await require('../config/db')();
+
+  const users = await User.find({ tokens: { $ne: 0 } }).select('tokens');
+  let seeded = 0;
+
+  for (const user of users) {
+    const hasEntries = await TokenLedger.exists({ user: user._id });
+    if (hasEntries) continue;
+
+    await TokenLedger.create({
+      user: user._id,
+      type: user.tokens > 0 ? 'credit' : 'debit',
+      amount: Math.abs(user.tokens),
+      reason: 'admin_adjustment',
+      balanceAfter: user.tokens,
+      description: 'Opening balance'
+    });
+    seeded++;
+  }
+
+  console.log(`Seeded opening ledger entries for ${seeded} of ${users.length} users`);
+};
+
+run()
+  .catch(err => {
+    console.error('Ledger seeding failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
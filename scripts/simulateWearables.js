@@ -0,0 +1,144 @@
+// scripts/simulateWearables.js
+// Simulate participants' wearables during a live class, for development and testing.
+//
+//   node scripts/simulateWearables.js <sessionId> [--interval=5] [--minutes=<session duration>] [--profile=intervals|steady]
+//     Streams synthetic samples for every booked participant of a live session
+//     to the running API (API_URL, default http://localhost:5000), as them.
+//
+//   node scripts/simulateWearables.js --dry-run [--users=3] [--minutes=45] [--profile=intervals|steady]
+//     Generates whole workouts offline and prints a summary per simulated user.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+
+dotenv.config();
+
+const Session = require('../models/Session');
+const User = require('../models/User');
+const workoutMetricsService = require('../services/workoutMetricsService');
+const { createSampleGenerator, generateWorkout } = require('../utils/syntheticWorkout');
+
+const API_URL = process.env.API_URL || 'http://localhost:5000';
+
+const parseArgs = (argv) => {
+  const args = { positional: [] };
+
+  argv.forEach(arg => {
+    const match = arg.match(/^--([^=]+)(?:=(.*))?$/);
+    if (match) {
+      args[match[1]] = match[2] === undefined ? true : match[2];
+    } else {
+      args.positional.push(arg);
+    }
+  });
+
+  return args;
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const dryRun = ({ users = 3, minutes = 45, profile = 'intervals' }) => {
+  for (let i = 0; i < Number(users); i++) {
+    const maxHeartRate = 175 + i * 5;
+    const samples = generateWorkout({
+      seed: i + 1,
+      maxHeartRate,
+      durationSeconds: Number(minutes) * 60,
+      profile,
+      fitness: 0.9 + (i % 3) * 0.1
+    });
+
+    const zones = [0, 0, 0, 0, 0, 0];
+    samples.forEach(sample => {
+      zones[workoutMetricsService.zoneFor(sample.heartRate, maxHeartRate)] += 1;
+    });
+
+    const heartRates = samples.map(sample => sample.heartRate);
+    console.log(JSON.stringify({
+      user: i + 1,
+      maxHeartRate,
+      samples: samples.length,
+      averageHeartRate: Math.round(heartRates.reduce((sum, hr) => sum + hr, 0) / heartRates.length),
+      peakHeartRate: Math.max(...heartRates),
+      calories: samples[samples.length - 1].calories,
+      samplesPerZone: zones
+    }));
+  }
+};
+
+const simulate = async (sessionId, { interval = 5, minutes, profile = 'intervals' }) => {
+  await require('../config/db')();
+
+  const session = await Session.findById(sessionId).select('title status duration participants');
+  if (!session || session.status !== 'live') {
+    throw new Error('Session not found or not live');
+  }
+
+  const users = await User.find({ _id: { $in: session.participants.map(p => p.user) } })
+    .select('role fitnessProfile');
+
+  if (!users.length) {
+    throw new Error('Session has no booked participants');
+  }
+
+  const durationSeconds = Number(minutes || session.duration) * 60;
+  const intervalSeconds = Number(interval);
+  const participants = users.map((user, index) => ({
+    user,
+    token: jwt.sign({ id: user.id, role: user.role }, process.env.JWT_SECRET || 'your-jwt-secret', { expiresIn: '1d' }),
+    next: createSampleGenerator({
+      seed: index + 1,
+      maxHeartRate: workoutMetricsService.maxHeartRateFor(user),
+      durationSeconds,
+      profile,
+      fitness: 0.9 + (index % 3) * 0.1
+    })
+  }));
+
+  console.log(`Simulating ${participants.length} wearable(s) in "${session.title}" for ${durationSeconds / 60} minutes`);
+
+  const startedAt = Date.now();
+  for (let elapsed = 0; elapsed <= durationSeconds; elapsed += intervalSeconds) {
+    const results = await Promise.all(participants.map(async participant => {
+      const sample = { at: new Date(), ...participant.next(elapsed) };
+
+      try {
+        await axios.post(`${API_URL}/api/stream/${sessionId}/metrics`, { samples: [sample], device: 'simulator' }, {
+          headers: { Authorization: `Bearer ${participant.token}` }
+        });
+        return null;
+      } catch (err) {
+        return (err.response && err.response.data && err.response.data.message) || err.message;
+      }
+    }));
+
+    const errors = results.filter(Boolean);
+    if (errors.length === participants.length) {
+      console.log(`Stopping: ${errors[0]}`);
+      return;
+    }
+    if (errors.length) {
+      console.log(`${errors.length} sample(s) rejected: ${errors[0]}`);
+    }
+
+    await sleep(Math.max(startedAt + (elapsed + intervalSeconds) * 1000 - Date.now(), 0));
+  }
+};
+
+const args = parseArgs(process.argv.slice(2));
+
+if (args['dry-run']) {
+  dryRun(args);
+} else if (!args.positional[0]) {
+  console.error('Usage: node scripts/simulateWearables.js <sessionId> [--interval=5] [--minutes=N] [--profile=intervals|steady]');
+  console.error('       node scripts/simulateWearables.js --dry-run [--users=3] [--minutes=45]');
+  process.exitCode = 1;
+} else {
+  simulate(args.positional[0], args)
+    .catch(err => {
+      console.error('Wearable simulation failed:', err.message);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
@@ -1,5 +1,6 @@
 // server.js
 const express = require('express');
+const http = require('http');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const passport = require('passport');
@@ -22,14 +23,18 @@ require('./config/db')();
 app.use(cors({
   origin: '*', // Allow all origins
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Origin', 'Accept'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Origin', 'Accept', 'Idempotency-Key'],
   credentials: true,
   preflightContinue: false,
   optionsSuccessStatus: 204
 }));
 
-// Body parsing middleware
-app.use(express.json());
+// Body parsing middleware. Webhooks need the raw body to check signatures.
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Session configuration for authentication
@@ -73,8 +78,16 @@ app.get('/api/auth-test', require('./middleware/auth').authenticate, (req, res)
 app.use('/api/auth', require('./routes/authRoutes'));
 app.use('/api/users', require('./routes/userRoutes'));
 app.use('/api/sessions', require('./routes/sessionRoutes'));
+app.use('/api/series', require('./routes/seriesRoutes'));
+app.use('/api/trainers', require('./routes/trainerRoutes'));
 app.use('/api/packages', require('./routes/packageRoutes'));
 app.use('/api/stream', require('./routes/streamRoutes'));
+app.use('/api/recordings', require('./routes/recordingRoutes'));
+app.use('/api/replays', require('./routes/replayRoutes'));
+app.use('/api/reports', require('./routes/reportRoutes'));
+app.use('/api/calendar', require('./routes/calendarRoutes'));
+app.use('/api/webhooks', require('./routes/webhookRoutes'));
+app.use('/api/admin', require('./routes/adminRoutes'));
 
 // Serve static assets in production
 if (process.env.NODE_ENV === 'production') {
@@ -88,7 +101,17 @@ if (process.env.NODE_ENV === 'production') {
 // Global error handler
 app.use(require('./middleware/errorHandler'));
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
+// Start server, with the real-time gateway on the same port.
+// To run several instances, pass a RedisPubSub to realtimeService.setPubSub() first.
+// Only accept connections once the gateway (and its pub/sub) is ready.
+const server = http.createServer(app);
+require('./services/realtimeGateway').attach(server)
+  .then(() => {
+    server.listen(PORT, () => {
+      console.log(`Server running on port ${PORT}`);
+    });
+  })
+  .catch(err => {
+    console.error('Failed to start the real-time gateway:', err);
+    process.exit(1);
+  });
@@ -0,0 +1,55 @@
+// services/analyticsCacheService.js
+const AnalyticsCache = require('../models/AnalyticsCache');
+
+class AnalyticsCacheService {
+  constructor() {
+    // key -> promise of a computation running in this instance, so
+    // concurrent requests for the same result compute it once
+    this.pending = new Map();
+  }
+
+  /**
+   * Return the cached result for a key, computing and storing it when missing
+   * or expired
+   * @param {string} key - Identifies the result, including its parameters
+   * @param {number} ttlSeconds - How long the result stays valid
+   * @param {Function} compute - async () => value (must be JSON-serializable)
+   * @param {Object} options - refresh: ignore the cached value
+   * @returns {Object} - { value, computedAt, expiresAt, cached }
+   */
+  async getOrCompute(key, ttlSeconds, compute, { refresh = false } = {}) {
+    if (!refresh) {
+      const entry = await AnalyticsCache.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+      if (entry) {
+        return { value: entry.value, computedAt: entry.computedAt, expiresAt: entry.expiresAt, cached: true };
+      }
+    }
+
+    if (this.pending.has(key)) {
+      return this.pending.get(key);
+    }
+
+    const running = (async () => {
+      const value = await compute();
+      const computedAt = new Date();
+      const expiresAt = new Date(computedAt.getTime() + ttlSeconds * 1000);
+
+      await AnalyticsCache.updateOne(
+        { key },
+        { $set: { value, computedAt, expiresAt } },
+        { upsert: true }
+      );
+
+      return { value, computedAt, expiresAt, cached: false };
+    })();
+
+    this.pending.set(key, running);
+    try {
+      return await running;
+    } finally {
+      this.pending.delete(key);
+    }
+  }
+}
+
+module.exports = new AnalyticsCacheService();
@@ -0,0 +1,276 @@
+// services/attendanceService.js
+// Keeps Session.participants join/leave times, connection intervals and watch
+// durations. Events come from the API (/join, /leave) and from the streaming
+// provider's webhooks, in any order and possibly more than once, so every
+// change is a compare-and-set on the participant entry and older events are
+// dropped. getTimeline turns the intervals into concurrency analytics.
+const Session = require('../models/Session');
+
+// Attempts before giving up on a participant entry that keeps changing
+const MAX_ATTEMPTS = 5;
+const MINUTE_MS = 60 * 1000;
+// Leaving during a minute that loses at least this share of attendees is a dropoff point
+const DROPOFF_THRESHOLD_PERCENT = 5;
+
+class AttendanceService {
+  /**
+   * Mark a participant as connected
+   * @param {string} sessionId - The session ID
+   * @param {string} userId - The participant's user ID
+   * @param {Object} event - at (when it happened), seq (provider sequence number)
+   * @returns {string} - joined, unchanged, stale or not_participant
+   */
+  recordJoin(sessionId, userId, event = {}) {
+    return this.apply(sessionId, userId, event, (participant, at) => {
+      // Already connected: keep the original join time
+      if (participant.joinedAt && !participant.leaveAt) {
+        return null;
+      }
+
+      // The whole list is written; the compare-and-set keeps it from going stale
+      const intervals = this.plainIntervals(participant);
+      return { joinedAt: at, leaveAt: null, intervals: [...intervals, { joinedAt: at }] };
+    }, 'joined');
+  }
+
+  /**
+   * Mark a participant as disconnected and add the time they watched
+   * @param {string} sessionId - The session ID
+   * @param {string} userId - The participant's user ID
+   * @param {Object} event - at (when it happened), seq (provider sequence number)
+   * @returns {string} - left, unchanged, stale or not_participant
+   */
+  recordLeave(sessionId, userId, event = {}) {
+    return this.apply(sessionId, userId, event, (participant, at) => {
+      if (!participant.joinedAt || participant.leaveAt) {
+        return null;
+      }
+
+      const seconds = Math.max(Math.floor((at - participant.joinedAt) / 1000), 0);
+      const updates = { leaveAt: at, duration: (participant.duration || 0) + seconds };
+
+      const intervals = this.plainIntervals(participant);
+      const last = intervals[intervals.length - 1];
+      if (last && !last.leftAt) {
+        last.leftAt = at;
+      } else {
+        // Joined before intervals were kept
+        intervals.push({ joinedAt: participant.joinedAt, leftAt: at });
+      }
+
+      return { ...updates, intervals };
+    }, 'left');
+  }
+
+  /**
+   * Close the attendance of everyone still connected, e.g. when the stream ends
+   * @param {Object} session - The session document
+   * @param {Date} at - When the stream ended
+   * @returns {number} - How many participants were closed
+   */
+  async closeOpenAttendance(session, at = new Date()) {
+    const open = session.participants.filter(p => p.joinedAt && !p.leaveAt);
+    let closed = 0;
+
+    for (const participant of open) {
+      const result = await this.recordLeave(session._id, participant.user._id || participant.user, { at });
+      if (result === 'left') closed++;
+    }
+
+    return closed;
+  }
+
+  /**
+   * Minute-by-minute concurrent viewers, the real peak, dropoff and rejoins,
+   * worked out from the participants' connection intervals
+   * @param {Object} session - The session, with participants and streamingDetails
+   * @param {Object} options - now: end of the timeline for a live session
+   * @returns {Object} - { timeline: { startedAt, endedAt, bucketSeconds, points }, peak, dropoffPoints, rejoins }
+   */
+  getTimeline(session, { now = new Date() } = {}) {
+    const intervals = this.getIntervals(session);
+    const streaming = session.streamingDetails || {};
+
+    // Connections per attendee; every one after the first is a rejoin
+    const connections = new Map();
+    intervals.forEach(({ user }) => connections.set(user, (connections.get(user) || 0) + 1));
+    const attendees = connections.size;
+    const rejoinCounts = [...connections.values()].map(count => count - 1);
+    const rejoins = {
+      total: rejoinCounts.reduce((sum, count) => sum + count, 0),
+      participants: rejoinCounts.filter(count => count > 0).length
+    };
+
+    const startedAt = streaming.startedAt || (intervals.length ? new Date(Math.min(...intervals.map(i => i.joinedAt))) : null);
+    const endedAt = streaming.endedAt ||
+      (session.status === 'live' ? now : null) ||
+      (intervals.length ? new Date(Math.max(...intervals.map(i => (i.leftAt || i.joinedAt).getTime()))) : null);
+
+    if (!startedAt || !endedAt || endedAt <= startedAt) {
+      return {
+        timeline: { startedAt, endedAt, bucketSeconds: 60, points: [] },
+        peak: { viewers: 0, at: null, minute: null },
+        dropoffPoints: [],
+        rejoins
+      };
+    }
+
+    const start = startedAt.getTime();
+    const end = endedAt.getTime();
+
+    // +1 on join, -1 on leave; at the same instant leaves go first so a
+    // reconnect does not count the viewer twice
+    const events = [];
+    intervals.forEach(({ joinedAt, leftAt }) => {
+      const from = Math.max(joinedAt.getTime(), start);
+      const to = Math.min(leftAt ? leftAt.getTime() : end, end);
+      if (to <= from) return;
+
+      events.push({ at: from, delta: 1 });
+      if (to < end) events.push({ at: to, delta: -1 });
+    });
+    events.sort((a, b) => a.at - b.at || a.delta - b.delta);
+
+    const points = [];
+    const peak = { viewers: 0, at: null, minute: null };
+    let current = 0;
+    let next = 0;
+
+    for (let minute = 0; start + minute * MINUTE_MS < end; minute++) {
+      const bucketEnd = Math.min(start + (minute + 1) * MINUTE_MS, end);
+      const point = { minute, at: new Date(start + minute * MINUTE_MS), viewers: current, joins: 0, leaves: 0 };
+
+      while (next < events.length && events[next].at < bucketEnd) {
+        const event = events[next++];
+        current += event.delta;
+
+        if (event.delta > 0) point.joins++;
+        else point.leaves++;
+
+        point.viewers = Math.max(point.viewers, current);
+        if (current > peak.viewers) {
+          Object.assign(peak, { viewers: current, at: new Date(event.at), minute });
+        }
+      }
+
+      // Share of everyone who attended still connected at the end of the minute
+      point.retention = attendees ? Math.round((current / attendees) * 100) : 0;
+      points.push(point);
+    }
+
+    // Dropoff: viewers leaving for good before the end, per minute
+    const finalLeaves = {};
+    const byUser = new Map();
+    intervals.forEach(interval => {
+      const latest = byUser.get(interval.user);
+      if (!latest || interval.joinedAt > latest.joinedAt) byUser.set(interval.user, interval);
+    });
+    byUser.forEach(({ leftAt }) => {
+      if (!leftAt || leftAt.getTime() >= end) return;
+      const minute = Math.max(Math.floor((leftAt.getTime() - start) / MINUTE_MS), 0);
+      finalLeaves[minute] = (finalLeaves[minute] || 0) + 1;
+    });
+
+    const dropoffPoints = Object.keys(finalLeaves)
+      .map(Number)
+      .sort((a, b) => a - b)
+      .map(minute => ({
+        minute,
+        time: `${minute} minutes`,
+        left: finalLeaves[minute],
+        percentage: Math.round((finalLeaves[minute] / attendees) * 100)
+      }))
+      .filter(point => point.percentage >= DROPOFF_THRESHOLD_PERCENT);
+
+    return {
+      timeline: { startedAt, endedAt, bucketSeconds: 60, points },
+      peak,
+      dropoffPoints,
+      rejoins
+    };
+  }
+
+  plainIntervals(participant) {
+    return (participant.intervals || []).map(({ joinedAt, leftAt }) => (leftAt ? { joinedAt, leftAt } : { joinedAt }));
+  }
+
+  // Every participant's connection intervals, with the user ID as a string
+  getIntervals(session) {
+    const intervals = [];
+
+    session.participants.forEach(participant => {
+      const user = (participant.user._id || participant.user).toString();
+      const own = participant.intervals && participant.intervals.length
+        ? participant.intervals
+        // Attendance recorded before intervals were kept: only the last connection is known
+        : (participant.joinedAt ? [{ joinedAt: participant.joinedAt, leftAt: participant.leaveAt }] : []);
+
+      own.forEach(({ joinedAt, leftAt }) => {
+        if (joinedAt) intervals.push({ user, joinedAt, leftAt: leftAt || null });
+      });
+    });
+
+    return intervals;
+  }
+
+  async apply(sessionId, userId, { at = new Date(), seq } = {}, change, appliedResult) {
+    const time = new Date(at);
+
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+      const session = await Session.findOne(
+        { _id: sessionId, 'participants.user': userId },
+        { 'participants.$': 1 }
+      );
+
+      if (!session) {
+        return 'not_participant';
+      }
+
+      const participant = session.participants[0];
+
+      if (this.isStale(participant, time, seq)) {
+        return 'stale';
+      }
+
+      const updates = change(participant, time) || {};
+      const set = { 'participants.$.lastEventAt': time };
+      if (seq !== undefined && seq !== null) set['participants.$.lastEventSeq'] = seq;
+      Object.keys(updates).forEach(key => {
+        set[`participants.$.${key}`] = updates[key];
+      });
+
+      // Only write if the entry is still the one we read
+      const result = await Session.updateOne(
+        {
+          _id: sessionId,
+          participants: {
+            $elemMatch: {
+              user: userId,
+              joinedAt: participant.joinedAt || null,
+              leaveAt: participant.leaveAt || null,
+              lastEventAt: participant.lastEventAt || null
+            }
+          }
+        },
+        { $set: set }
+      );
+
+      if (result.matchedCount) {
+        return Object.keys(updates).length ? appliedResult : 'unchanged';
+      }
+    }
+
+    throw new Error(`Could not update attendance for user ${userId} in session ${sessionId}`);
+  }
+
+  // Provider sequence numbers win; otherwise compare event times
+  isStale(participant, at, seq) {
+    if (seq !== undefined && seq !== null && participant.lastEventSeq !== undefined && participant.lastEventSeq !== null) {
+      return seq <= participant.lastEventSeq;
+    }
+
+    return Boolean(participant.lastEventAt && at < participant.lastEventAt);
+  }
+}
+
+module.exports = new AttendanceService();
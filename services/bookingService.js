@@ -0,0 +1,558 @@
+// services/bookingService.js
+const Session = require('../models/Session');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const TokenLedger = require('../models/TokenLedger');
+const defaultRefundPolicy = require('../config/refundPolicy');
+const tokenLedgerService = require('./tokenLedgerService');
+const notificationService = require('./notificationService');
+const realtimeService = require('./realtimeService');
+const withTransaction = require('../utils/withTransaction');
+const HttpError = require('../utils/httpError');
+
+// Allowed range of each refund policy override
+const REFUND_POLICY_LIMITS = {
+  fullRefundHours: { min: 0, max: Infinity },
+  lateRefundPercent: { min: 0, max: 100 },
+  afterStartRefundPercent: { min: 0, max: 100 }
+};
+
+class BookingService {
+  /**
+   * Book a session for a user. Seat, booking and token debit are written in a
+   * single transaction, and the seat is claimed with a conditional update, so
+   * concurrent requests can neither oversell a capped session nor double-spend.
+   * @param {string} sessionId - The session to book
+   * @param {string} userId - The user booking it
+   * @returns {Object} - { session, tokens } with the user's new balance
+   */
+  async bookSession(sessionId, userId) {
+    return withTransaction(dbSession => this.bookWithinTransaction(sessionId, userId, dbSession));
+  }
+
+  /**
+   * Booking steps for callers that already run inside a transaction
+   * @param {string} sessionId - The session to book
+   * @param {string} userId - The user booking it
+   * @param {ClientSession} dbSession - The active MongoDB session
+   * @returns {Object} - { session, tokens }
+   */
+  async bookWithinTransaction(sessionId, userId, dbSession) {
+    const session = await Session.findById(sessionId).session(dbSession);
+
+    if (!session) {
+      throw new HttpError(404, 'Session not found');
+    }
+
+    // Check if session is in the future
+    if (new Date(session.scheduledAt) < new Date()) {
+      throw new HttpError(400, 'Cannot book past sessions');
+    }
+
+    // Check if session is cancelled
+    if (session.status === 'cancelled') {
+      throw new HttpError(400, 'This session has been cancelled');
+    }
+
+    // Private sessions are only booked through a request to the trainer
+    if (session.isPrivate) {
+      throw new HttpError(400, 'This is a private session');
+    }
+
+    // Claim a seat only if the session still has room and the user is not in it
+    const updatedSession = await Session.findOneAndUpdate(
+      {
+        _id: session._id,
+        status: { $nin: ['cancelled', 'completed'] },
+        'participants.user': { $ne: userId },
+        $or: [
+          { maxParticipants: { $in: [0, null] } },
+          { $expr: { $lt: [{ $size: '$participants' }, '$maxParticipants'] } }
+        ]
+      },
+      {
+        $push: { participants: { user: userId } },
+        $pull: { waitlist: { user: userId } }
+      },
+      { new: true, session: dbSession }
+    );
+
+    if (!updatedSession) {
+      const alreadyParticipant = session.participants.some(p =>
+        p.user.toString() === userId.toString()
+      );
+      throw new HttpError(400, alreadyParticipant ? 'Session already booked' : 'Session is full');
+    }
+
+    // Record the booking on the user, guarding against a duplicate entry
+    const bookingResult = await User.updateOne(
+      { _id: userId, 'bookedSessions.session': { $ne: session._id } },
+      { $push: { bookedSessions: { session: session._id } } },
+      { session: dbSession }
+    );
+
+    if (bookingResult.matchedCount === 0) {
+      const userExists = await User.exists({ _id: userId }).session(dbSession);
+      throw new HttpError(userExists ? 400 : 404, userExists ? 'Session already booked' : 'User not found');
+    }
+
+    // Debit tokens - fails the whole transaction if the balance is too low.
+    // Free sessions have nothing to debit.
+    let balance;
+    if (session.tokenCost > 0) {
+      ({ balance } = await tokenLedgerService.debit(userId, session.tokenCost, 'booking', {
+        session: session._id,
+        description: `Booked "${session.title}"`,
+        dbSession
+      }));
+    } else {
+      const user = await User.findById(userId).select('tokens').session(dbSession);
+      balance = user.tokens;
+    }
+
+    return { session: updatedSession, tokens: balance };
+  }
+
+  /**
+   * Cancel a user's booking, refund tokens according to the refund policy and
+   * hand the freed seat to the waitlist
+   * @param {string} sessionId - The session ID
+   * @param {string} userId - The user cancelling
+   * @returns {Object} - { refund, transaction, tokens, promoted }
+   */
+  async cancelBooking(sessionId, userId) {
+    const result = await withTransaction(async dbSession => {
+      const session = await Session.findById(sessionId).session(dbSession);
+
+      if (!session) {
+        throw new HttpError(404, 'Session not found');
+      }
+
+      if (session.status === 'completed' || session.status === 'cancelled') {
+        throw new HttpError(400, `Cannot cancel a booking for a ${session.status} session`);
+      }
+
+      const bookingResult = await User.updateOne(
+        { _id: userId, 'bookedSessions.session': session._id },
+        { $pull: { bookedSessions: { session: session._id } } },
+        { session: dbSession }
+      );
+
+      if (bookingResult.modifiedCount === 0) {
+        throw new HttpError(404, 'You have not booked this session');
+      }
+
+      // A private session has no one else in it, so withdrawing frees the trainer's time
+      await Session.updateOne(
+        { _id: session._id },
+        {
+          $pull: { participants: { user: userId } },
+          ...(session.isPrivate && { $set: { status: 'cancelled', updatedAt: Date.now() } })
+        },
+        { session: dbSession }
+      );
+
+      // Refund from what the user paid, the session price may have changed since
+      const paid = await this.paidTokens(session, userId, dbSession);
+
+      // Requests the trainer has not accepted yet are refunded in full
+      const refund = session.status === 'pending'
+        ? { percent: 100, tokens: paid, hoursBeforeStart: this.hoursUntil(session) }
+        : this.calculateRefund(session, paid);
+      const { transaction, tokens } = await this.recordRefund(session, userId, refund, {
+        reason: 'user_cancelled',
+        processedBy: userId,
+        paid,
+        dbSession
+      });
+
+      return { refund, transaction, tokens };
+    });
+
+    const promoted = await this.promoteFromWaitlist(sessionId);
+
+    return { ...result, promoted };
+  }
+
+  /**
+   * Cancel a whole session, refunding every booked user in full.
+   * Running it again on a cancelled session finishes the refunds an
+   * interrupted run did not get to.
+   * @param {string} sessionId - The session ID
+   * @param {string} cancelledBy - The trainer or admin cancelling it
+   * @returns {Object} - { session, refunded } with the number of refunded users
+   */
+  async cancelSession(sessionId, cancelledBy) {
+    let session = await Session.findOneAndUpdate(
+      { _id: sessionId, status: { $nin: ['live', 'completed', 'cancelled'] } },
+      { $set: { status: 'cancelled', updatedAt: Date.now() } },
+      { new: true }
+    );
+
+    if (session) {
+      await realtimeService.emitToSession(session._id, 'session:status', {
+        sessionId: session._id,
+        status: 'cancelled',
+        timestamp: new Date()
+      });
+    } else {
+      session = await Session.findOne({ _id: sessionId, status: 'cancelled' });
+      const pending = session && await User.exists({ 'bookedSessions.session': session._id });
+
+      if (!pending) {
+        throw new HttpError(400, 'Session cannot be cancelled');
+      }
+    }
+
+    // Get all users who booked this session
+    const users = await User.find({ 'bookedSessions.session': session._id }).select('_id');
+    const hoursBeforeStart = this.hoursUntil(session);
+
+    // Refund tokens to each user and remove session from bookedSessions
+    for (const user of users) {
+      await withTransaction(async dbSession => {
+        const bookingResult = await User.updateOne(
+          { _id: user._id, 'bookedSessions.session': session._id },
+          { $pull: { bookedSessions: { session: session._id } } },
+          { session: dbSession }
+        );
+
+        // Already handled (e.g. the user cancelled at the same moment)
+        if (bookingResult.modifiedCount === 0) {
+          return;
+        }
+
+        const tokens = await this.paidTokens(session, user._id, dbSession);
+        await this.recordRefund(session, user._id, { percent: 100, tokens, hoursBeforeStart }, {
+          reason: 'session_cancelled',
+          processedBy: cancelledBy,
+          paid: tokens,
+          dbSession
+        });
+      });
+    }
+
+    // Let everyone still waiting know, then clear the waitlist
+    for (const entry of session.waitlist) {
+      await notificationService.notify(entry.user, 'session_cancelled', {
+        title: 'Session cancelled',
+        message: `"${session.title}" has been cancelled, you have been removed from its waitlist.`,
+        session: session._id
+      });
+    }
+
+    if (session.waitlist.length > 0) {
+      await Session.updateOne({ _id: session._id }, { $set: { waitlist: [] } });
+      session.waitlist = [];
+    }
+
+    return { session, refunded: users.length };
+  }
+
+  /**
+   * Finish the refunds of cancelled sessions that still have booked users,
+   * e.g. when the process stopped part way through cancelSession
+   * @returns {Object} - { sessions, refunded, errors }
+   */
+  async resumeCancellations() {
+    const booked = await User.distinct('bookedSessions.session');
+    const sessions = await Session.find({ _id: { $in: booked }, status: 'cancelled' }).select('_id');
+
+    let refunded = 0;
+    let errors = 0;
+    for (const { _id } of sessions) {
+      try {
+        const result = await this.cancelSession(_id);
+        refunded += result.refunded;
+      } catch (err) {
+        errors++;
+        console.error(`Resuming cancellation of session ${_id} failed:`, err);
+      }
+    }
+
+    return { sessions: sessions.length, refunded, errors };
+  }
+
+  /**
+   * Work out how many tokens a user gets back for cancelling now
+   * @param {Object} session - The session document
+   * @param {number} paid - Tokens the user paid for the booking
+   * @param {Date} now - Cancellation time
+   * @returns {Object} - { percent, tokens, hoursBeforeStart }
+   */
+  calculateRefund(session, paid = session.tokenCost, now = new Date()) {
+    const sessionPolicy = session.refundPolicy || {};
+    const policy = {
+      fullRefundHours: sessionPolicy.fullRefundHours ?? defaultRefundPolicy.fullRefundHours,
+      lateRefundPercent: sessionPolicy.lateRefundPercent ?? defaultRefundPolicy.lateRefundPercent,
+      afterStartRefundPercent: sessionPolicy.afterStartRefundPercent ?? defaultRefundPolicy.afterStartRefundPercent
+    };
+
+    const hoursBeforeStart = this.hoursUntil(session, now);
+
+    let percent;
+    if (hoursBeforeStart >= policy.fullRefundHours) {
+      percent = 100;
+    } else if (hoursBeforeStart > 0) {
+      percent = policy.lateRefundPercent;
+    } else {
+      percent = policy.afterStartRefundPercent;
+    }
+
+    // Never refund more than was paid, whatever is stored on the session
+    percent = Math.min(Math.max(Number(percent) || 0, 0), 100);
+
+    return {
+      percent,
+      tokens: Math.floor((paid * percent) / 100),
+      hoursBeforeStart
+    };
+  }
+
+  /**
+   * Check a refund policy override sent by a trainer
+   * @param {Object} policy - fullRefundHours, lateRefundPercent, afterStartRefundPercent (each optional)
+   * @returns {Object} - The policy with only those fields
+   */
+  parseRefundPolicy(policy) {
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+      throw new HttpError(400, 'Refund policy must be an object');
+    }
+
+    const unknown = Object.keys(policy).find(field => !REFUND_POLICY_LIMITS[field]);
+    if (unknown) {
+      throw new HttpError(400, `Unknown refund policy field "${unknown}"`);
+    }
+
+    const parsed = {};
+    for (const [field, { min, max }] of Object.entries(REFUND_POLICY_LIMITS)) {
+      const value = policy[field];
+      if (value === undefined || value === null) continue;
+
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+        throw new HttpError(400, max === Infinity
+          ? `${field} must be a number of at least ${min}`
+          : `${field} must be a number between ${min} and ${max}`);
+      }
+      parsed[field] = value;
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Tokens a user paid for their current booking of a session
+   * @param {Object} session - The session document
+   * @param {string} userId - The booked user
+   * @param {Object} dbSession - Mongoose session of the surrounding transaction
+   * @returns {number} - The booking debit, or the session price if none is recorded
+   */
+  async paidTokens(session, userId, dbSession) {
+    const debit = await TokenLedger.findOne({
+      user: userId,
+      session: session._id,
+      type: 'debit',
+      reason: 'booking'
+    })
+      .sort({ createdAt: -1, _id: -1 })
+      .session(dbSession);
+
+    return debit ? debit.amount : session.tokenCost;
+  }
+
+  hoursUntil(session, now = new Date()) {
+    return Math.round(((new Date(session.scheduledAt) - now) / (1000 * 60 * 60)) * 100) / 100;
+  }
+
+  // Write the refund Transaction and credit the tokens through the ledger
+  async recordRefund(session, userId, refund, { reason, processedBy, paid = session.tokenCost, dbSession }) {
+    const [transaction] = await Transaction.create([{
+      user: userId,
+      type: 'session_refund',
+      session: session._id,
+      tokenAmount: refund.tokens,
+      amount: 0,
+      paymentMethod: 'tokens',
+      status: 'completed',
+      refundDetails: {
+        reason,
+        percent: refund.percent,
+        originalTokens: paid,
+        hoursBeforeStart: refund.hoursBeforeStart,
+        processedBy
+      }
+    }], { session: dbSession });
+
+    let tokens;
+    if (refund.tokens > 0) {
+      const description = reason === 'session_cancelled'
+        ? `Session "${session.title}" was cancelled`
+        : `Cancelled booking for "${session.title}" (${refund.percent}% refund)`;
+
+      ({ balance: tokens } = await tokenLedgerService.credit(userId, refund.tokens, 'refund', {
+        session: session._id,
+        transaction: transaction._id,
+        description,
+        createdBy: processedBy,
+        dbSession
+      }));
+    } else {
+      const user = await User.findById(userId).select('tokens').session(dbSession);
+      tokens = user ? user.tokens : undefined;
+    }
+
+    return { transaction, tokens };
+  }
+
+  /**
+   * Put a user on the waitlist of a full session
+   * @param {string} sessionId - The session ID
+   * @param {string} userId - The user joining the waitlist
+   * @returns {Object} - { session, position }
+   */
+  async joinWaitlist(sessionId, userId) {
+    const session = await Session.findById(sessionId);
+
+    if (!session) {
+      throw new HttpError(404, 'Session not found');
+    }
+
+    if (new Date(session.scheduledAt) < new Date()) {
+      throw new HttpError(400, 'Cannot join the waitlist of a past session');
+    }
+
+    if (session.status !== 'scheduled') {
+      throw new HttpError(400, `Cannot join the waitlist of a ${session.status} session`);
+    }
+
+    if (session.isPrivate) {
+      throw new HttpError(400, 'Cannot join the waitlist of a private session');
+    }
+
+    if (session.maxParticipants === 0 || session.participants.length < session.maxParticipants) {
+      throw new HttpError(400, 'Session still has spots available, book it directly');
+    }
+
+    const updatedSession = await Session.findOneAndUpdate(
+      {
+        _id: session._id,
+        'participants.user': { $ne: userId },
+        'waitlist.user': { $ne: userId }
+      },
+      { $push: { waitlist: { user: userId } } },
+      { new: true }
+    );
+
+    if (!updatedSession) {
+      const isParticipant = session.participants.some(p => p.user.toString() === userId.toString());
+      throw new HttpError(400, isParticipant ? 'Session already booked' : 'Already on the waitlist');
+    }
+
+    return {
+      session: updatedSession,
+      position: updatedSession.getWaitlistPosition(userId)
+    };
+  }
+
+  /**
+   * Remove a user from a session's waitlist
+   * @param {string} sessionId - The session ID
+   * @param {string} userId - The user leaving the waitlist
+   */
+  async leaveWaitlist(sessionId, userId) {
+    const result = await Session.updateOne(
+      { _id: sessionId, 'waitlist.user': userId },
+      { $pull: { waitlist: { user: userId } } }
+    );
+
+    if (result.matchedCount === 0) {
+      throw new HttpError(404, 'Not on the waitlist for this session');
+    }
+  }
+
+  /**
+   * Fill free seats from the waitlist, in order. A waitlisted user who can no
+   * longer pay is dropped and the next one is tried.
+   * @param {string} sessionId - The session ID
+   * @returns {Array} - IDs of the promoted users
+   */
+  async promoteFromWaitlist(sessionId) {
+    const promoted = [];
+
+    for (;;) {
+      const session = await Session.findById(sessionId);
+
+      if (!session || session.status !== 'scheduled' || !session.waitlist.length) {
+        break;
+      }
+
+      if (new Date(session.scheduledAt) < new Date()) {
+        break;
+      }
+
+      if (session.maxParticipants > 0 && session.participants.length >= session.maxParticipants) {
+        break;
+      }
+
+      const candidate = session.waitlist[0].user;
+
+      try {
+        const { tokens } = await withTransaction(async dbSession => {
+          // Take the candidate off the front of the waitlist - if someone else
+          // already promoted them this matches nothing and we start over
+          const claimed = await Session.updateOne(
+            { _id: session._id, 'waitlist.0.user': candidate },
+            { $pop: { waitlist: -1 } },
+            { session: dbSession }
+          );
+
+          if (claimed.modifiedCount === 0) {
+            throw new HttpError(409, 'Waitlist changed');
+          }
+
+          return this.bookWithinTransaction(session._id, candidate, dbSession);
+        });
+
+        promoted.push(candidate);
+
+        await notificationService.notify(candidate, 'waitlist_promoted', {
+          title: 'You got a spot!',
+          message: `A spot opened up in "${session.title}" and you have been booked. ` +
+            `${session.tokenCost} token(s) were deducted, your balance is ${tokens}.`,
+          session: session._id
+        });
+      } catch (err) {
+        if (err.statusCode === 409) {
+          continue;
+        }
+
+        if (err.message === 'Session is full') {
+          break;
+        }
+
+        if (err.statusCode !== 400 && err.statusCode !== 404) {
+          throw err;
+        }
+
+        // Not eligible any more (insufficient tokens, already booked...) - drop them
+        await Session.updateOne(
+          { _id: session._id },
+          { $pull: { waitlist: { user: candidate } } }
+        );
+
+        if (err.message === 'Insufficient tokens') {
+          await notificationService.notify(candidate, 'waitlist_skipped', {
+            title: 'Waitlist spot missed',
+            message: `A spot opened up in "${session.title}" but you did not have enough tokens, ` +
+              'so it went to the next person on the waitlist.',
+            session: session._id
+          });
+        }
+      }
+    }
+
+    return promoted;
+  }
+}
+
+module.exports = new BookingService();
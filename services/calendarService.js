@@ -0,0 +1,164 @@
+// services/calendarService.js
+const crypto = require('crypto');
+
+const PRODUCT_ID = '-//FitStream//Sessions//EN';
+
+class CalendarService {
+  constructor() {
+    this.feedSecret = process.env.CALENDAR_FEED_SECRET || process.env.JWT_SECRET || 'your-jwt-secret';
+    this.clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+  }
+
+  /**
+   * Signed token for a user's private feed URL. Bumping the user's
+   * calendarFeedVersion invalidates every URL handed out before.
+   * @param {Object} user - The user document
+   * @returns {string} - URL-safe token
+   */
+  generateFeedToken(user) {
+    return crypto
+      .createHmac('sha256', this.feedSecret)
+      .update(`${user._id}:${user.calendarFeedVersion || 0}`)
+      .digest('base64url');
+  }
+
+  /**
+   * Check a feed token in constant time
+   * @param {Object} user - The user document
+   * @param {string} token - Token from the URL
+   * @returns {boolean} - Whether the token is valid
+   */
+  verifyFeedToken(user, token) {
+    const expected = Buffer.from(this.generateFeedToken(user));
+    const given = Buffer.from(String(token || ''));
+
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  }
+
+  /**
+   * Link users follow to join a session
+   * @param {string} sessionId - The session ID
+   * @returns {string} - Join URL in the web client
+   */
+  getJoinUrl(sessionId) {
+    return `${this.clientUrl}/sessions/${sessionId}/live`;
+  }
+
+  /**
+   * Build a complete iCalendar document
+   * @param {Array} events - Sessions, optionally with a `cancelled` override
+   * @param {Object} options - name of the calendar
+   * @returns {string} - The .ics content
+   */
+  buildCalendar(events, { name } = {}) {
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${PRODUCT_ID}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH'
+    ];
+
+    if (name) {
+      lines.push(`X-WR-CALNAME:${this.escapeText(name)}`);
+    }
+
+    events.forEach(event => {
+      lines.push(...this.buildEvent(event.session || event, { cancelled: event.cancelled }));
+    });
+
+    lines.push('END:VCALENDAR');
+
+    return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * VEVENT lines for one session
+   * @param {Object} session - The session (trainer populated if available)
+   * @param {Object} options - cancelled forces STATUS:CANCELLED
+   * @returns {Array<string>} - Unfolded content lines
+   */
+  buildEvent(session, { cancelled = false } = {}) {
+    const start = new Date(session.scheduledAt);
+    const end = new Date(start.getTime() + session.duration * 60 * 1000);
+    const joinUrl = this.getJoinUrl(session._id);
+    const isCancelled = cancelled || session.status === 'cancelled';
+    const updatedAt = new Date(session.updatedAt || session.createdAt || Date.now());
+
+    const description = [session.description];
+    if (session.trainer && session.trainer.firstName) {
+      description.push(`Trainer: ${session.trainer.firstName} ${session.trainer.lastName}`);
+    }
+    if (session.equipmentRequired && session.equipmentRequired.length) {
+      description.push(`Equipment: ${session.equipmentRequired.join(', ')}`);
+    }
+    description.push(`Join: ${joinUrl}`);
+
+    const lines = [
+      'BEGIN:VEVENT',
+      `UID:session-${session._id}@fitstream`,
+      `DTSTAMP:${this.formatDate(new Date())}`,
+      `DTSTART:${this.formatDate(start)}`,
+      `DTEND:${this.formatDate(end)}`,
+      // Calendars only apply an update when the sequence goes up
+      `SEQUENCE:${Math.floor(updatedAt.getTime() / 1000)}`,
+      `LAST-MODIFIED:${this.formatDate(updatedAt)}`,
+      `SUMMARY:${this.escapeText(session.title)}`,
+      `DESCRIPTION:${this.escapeText(description.filter(Boolean).join('\n\n'))}`,
+      `LOCATION:${this.escapeText(joinUrl)}`,
+      `URL:${joinUrl}`,
+      `STATUS:${isCancelled ? 'CANCELLED' : (session.status === 'pending' ? 'TENTATIVE' : 'CONFIRMED')}`
+    ];
+
+    if (session.category) {
+      lines.push(`CATEGORIES:${this.escapeText(session.category)}`);
+    }
+
+    lines.push('END:VEVENT');
+
+    return lines;
+  }
+
+  // 2025-01-31T07:00:00.000Z -> 20250131T070000Z
+  formatDate(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  // Escape TEXT values as required by RFC 5545 section 3.3.11
+  escapeText(value) {
+    return String(value || '')
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  // Fold lines longer than 75 octets without splitting multi-byte characters
+  foldLine(line) {
+    if (Buffer.byteLength(line) <= 75) {
+      return line;
+    }
+
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+    let limit = 75;
+
+    for (const char of line) {
+      const charBytes = Buffer.byteLength(char);
+      if (currentBytes + charBytes > limit) {
+        parts.push(current);
+        current = '';
+        currentBytes = 0;
+        limit = 74; // continuation lines start with a space
+      }
+      current += char;
+      currentBytes += charBytes;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+  }
+}
+
+module.exports = new CalendarService();
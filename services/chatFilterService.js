@@ -0,0 +1,154 @@
+// services/chatFilterService.js
+// Checks and cleans live chat messages before they are stored. Each step
+// gets { text, user, session, isStaff } and either throws an HttpError or
+// returns the (possibly changed) text. The active steps and their limits
+// come from config/chatFilter.js.
+const StreamMessage = require('../models/StreamMessage');
+const ChatThrottle = require('../models/ChatThrottle');
+const BlockedTerm = require('../models/BlockedTerm');
+const chatFilter = require('../config/chatFilter');
+const HttpError = require('../utils/httpError');
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)[^\s]+|\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|io|app|co|me|ly|gg|tv|xyz|info|biz)\b(?:\/[^\s]*)?/gi;
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class ChatFilterService {
+  constructor() {
+    this.steps = {
+      length: context => this.checkLength(context),
+      rateLimit: context => this.checkRateLimit(context),
+      links: context => this.checkLinks(context),
+      terms: context => this.applyTerms(context)
+    };
+    this.termsCache = null;
+  }
+
+  /**
+   * Run a message through the configured steps
+   * @param {Object} session - The session document
+   * @param {Object} user - The sender
+   * @param {string} text - The message as typed
+   * @param {Object} options - isStaff: the trainer or an admin (skips rate and link limits)
+   * @returns {string} - The text to store
+   */
+  async filter(session, user, text, { isStaff = false } = {}) {
+    let result = typeof text === 'string' ? text.trim().replace(/\s+/g, ' ') : '';
+
+    if (!result) {
+      throw new HttpError(400, 'Message content is required');
+    }
+
+    for (const name of chatFilter.steps) {
+      const step = this.steps[name];
+      if (!step) continue;
+
+      result = await step({ text: result, user, session, isStaff });
+    }
+
+    return result;
+  }
+
+  checkLength({ text }) {
+    if (text.length > chatFilter.maxLength) {
+      throw new HttpError(400, `Messages can be at most ${chatFilter.maxLength} characters`);
+    }
+    return text;
+  }
+
+  async checkRateLimit({ text, user, session, isStaff }) {
+    if (isStaff) return text;
+
+    const { messages, windowSeconds } = chatFilter.rateLimit;
+    const now = new Date();
+
+    // `recent` keeps the times of the last `messages` messages. There is room
+    // for another while it is not full or its oldest entry has left the window.
+    const allowed = await ChatThrottle.claim(
+      { session: session._id, user: user._id },
+      {
+        $or: [
+          { [`recent.${messages - 1}`]: { $exists: false } },
+          { 'recent.0': { $lt: new Date(now.getTime() - windowSeconds * 1000) } }
+        ]
+      },
+      { $push: { recent: { $each: [now], $slice: -messages } }, $set: { updatedAt: now } }
+    );
+
+    if (!allowed) {
+      throw new HttpError(429, `You can send at most ${messages} messages every ${windowSeconds} seconds`);
+    }
+    return text;
+  }
+
+  async checkLinks({ text, user, session, isStaff }) {
+    if (isStaff) return text;
+
+    const links = (text.match(LINK_PATTERN) || []).filter(link => !this.isAllowedLink(link));
+    if (!links.length) return text;
+
+    if (links.length > chatFilter.links.maxPerMessage) {
+      throw new HttpError(400, 'Too many links in one message');
+    }
+
+    // The same link posted again and again is spam
+    const repeated = await StreamMessage.exists({
+      session: session._id,
+      user: user._id,
+      createdAt: { $gte: new Date(Date.now() - chatFilter.links.repeatWindowSeconds * 1000) },
+      message: { $regex: links.map(escapeRegExp).join('|'), $options: 'i' }
+    });
+
+    if (repeated) {
+      throw new HttpError(400, 'You already posted this link');
+    }
+    return text;
+  }
+
+  async applyTerms({ text }) {
+    const terms = await this.getTerms();
+    let result = text;
+
+    for (const { pattern, action } of terms) {
+      pattern.lastIndex = 0;
+      if (!pattern.test(result)) continue;
+
+      if (action === 'block') {
+        throw new HttpError(400, 'Your message contains a blocked word');
+      }
+      result = result.replace(pattern, match => '*'.repeat(match.length));
+    }
+
+    return result;
+  }
+
+  isAllowedLink(link) {
+    const host = link.replace(/^https?:\/\//i, '').replace(/^www\./i, '').split(/[/?#:]/)[0].toLowerCase();
+    return chatFilter.links.allowedDomains.some(domain => host === domain || host.endsWith(`.${domain}`));
+  }
+
+  // Compiled blocked terms, block terms first, cached for a short while
+  async getTerms() {
+    if (this.termsCache && this.termsCache.expiresAt > Date.now()) {
+      return this.termsCache.terms;
+    }
+
+    const docs = await BlockedTerm.find().select('term action wholeWord').lean();
+    const terms = docs
+      .sort((a, b) => (a.action === 'block' ? 0 : 1) - (b.action === 'block' ? 0 : 1))
+      .map(({ term, action, wholeWord }) => ({
+        action,
+        pattern: new RegExp(wholeWord ? `(?<![\\p{L}\\p{N}])${escapeRegExp(term)}(?![\\p{L}\\p{N}])` : escapeRegExp(term), 'giu')
+      }));
+
+    this.termsCache = { terms, expiresAt: Date.now() + chatFilter.termsCacheSeconds * 1000 };
+    return terms;
+  }
+
+  // Drop the cache after the list changes
+  clearTermsCache() {
+    this.termsCache = null;
+  }
+}
+
+module.exports = new ChatFilterService();
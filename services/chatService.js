@@ -0,0 +1,243 @@
+// services/chatService.js
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const StreamMessage = require('../models/StreamMessage');
+const StreamReaction = require('../models/StreamReaction');
+const realtimeService = require('./realtimeService');
+const moderationService = require('./moderationService');
+const chatFilterService = require('./chatFilterService');
+const HttpError = require('../utils/httpError');
+
+const DEFAULT_HISTORY_LIMIT = 50;
+const MAX_HISTORY_LIMIT = 200;
+
+class ChatService {
+  /**
+   * Whether a user may take part in a session's live room: its trainer, an
+   * admin, or someone who booked it
+   * @param {Object} session - The session document
+   * @param {Object} user - The user document
+   * @returns {boolean}
+   */
+  async canAccess(session, user) {
+    if (user.role === 'admin') return true;
+
+    const trainerId = session.trainer._id || session.trainer;
+    if (trainerId.toString() === user._id.toString()) return true;
+
+    return Boolean(await User.exists({ _id: user._id, 'bookedSessions.session': session._id }));
+  }
+
+  /**
+   * Post a chat message to a live session and broadcast it to the room
+   * @param {string} sessionId - The session ID
+   * @param {Object} user - The sender
+   * @param {string} text - Message content
+   * @returns {Object} - The message as broadcast
+   */
+  async postMessage(sessionId, user, text) {
+    if (typeof text !== 'string' || !text.trim()) {
+      throw new HttpError(400, 'Message content is required');
+    }
+
+    const session = await this.findLiveSession(sessionId, user);
+    await moderationService.assertCanChat(session, user);
+
+    const message = await chatFilterService.filter(session, user, text, {
+      isStaff: moderationService.isStaff(session, user)
+    });
+
+    const saved = await StreamMessage.create({ session: session._id, user: user._id, message });
+    const payload = this.formatMessage(saved, user);
+
+    await realtimeService.emitToSession(session._id, 'chat:message', payload);
+
+    return payload;
+  }
+
+  /**
+   * Send a reaction in a live session and broadcast it to the room
+   * @param {string} sessionId - The session ID
+   * @param {Object} user - The sender
+   * @param {string} type - One of StreamReaction.TYPES
+   * @returns {Object} - The reaction as broadcast
+   */
+  async postReaction(sessionId, user, type) {
+    if (!StreamReaction.TYPES.includes(type)) {
+      throw new HttpError(400, 'Valid reaction type is required');
+    }
+
+    const session = await this.findLiveSession(sessionId, user);
+    await moderationService.assertCanChat(session, user, { message: false });
+
+    const saved = await StreamReaction.create({ session: session._id, user: user._id, type });
+    const payload = {
+      id: saved._id,
+      sessionId: session._id,
+      user: this.publicUser(user),
+      type,
+      timestamp: saved.createdAt
+    };
+
+    await realtimeService.emitToSession(session._id, 'chat:reaction', payload);
+
+    return payload;
+  }
+
+  /**
+   * A page of a session's chat history, newest first. Deleted messages are left out.
+   * @param {Object} session - The session document
+   * @param {Object} options - before (message ID to page back from), limit
+   * @returns {Object} - { messages, pageInfo }
+   */
+  async getHistory(session, { before, limit } = {}) {
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_HISTORY_LIMIT, 1), MAX_HISTORY_LIMIT);
+    const query = { session: session._id, deletedAt: null };
+
+    if (before) {
+      const cursor = mongoose.isValidObjectId(before) &&
+        await StreamMessage.findOne({ _id: before, session: session._id }).select('createdAt');
+
+      if (!cursor) {
+        throw new HttpError(400, 'Invalid cursor');
+      }
+
+      query.$or = [
+        { createdAt: { $lt: cursor.createdAt } },
+        { createdAt: cursor.createdAt, _id: { $lt: cursor._id } }
+      ];
+    }
+
+    const messages = await StreamMessage.find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(pageSize + 1)
+      .populate('user', 'firstName lastName profilePicture');
+
+    const hasMore = messages.length > pageSize;
+    const page = messages.slice(0, pageSize);
+
+    return {
+      messages: page.map(message => this.formatMessage(message, message.user)),
+      pageInfo: {
+        limit: pageSize,
+        hasMore,
+        nextCursor: hasMore ? page[page.length - 1]._id : null
+      }
+    };
+  }
+
+  /**
+   * Chat and reaction totals for a session, overall and per user
+   * @param {string} sessionId - The session ID
+   * @returns {Object} - { chatMessages, reactions, reactionsByType, byUser }
+   */
+  async getEngagement(sessionId) {
+    const session = new mongoose.Types.ObjectId(String(sessionId));
+
+    const [[messageStats], reactionStats] = await Promise.all([
+      StreamMessage.aggregate([
+        { $match: { session, deletedAt: null } },
+        {
+          $facet: {
+            totals: [{ $group: { _id: null, count: { $sum: 1 } } }],
+            byUser: [{ $group: { _id: '$user', count: { $sum: 1 } } }]
+          }
+        }
+      ]),
+      StreamReaction.aggregate([
+        { $match: { session } },
+        { $group: { _id: { user: '$user', type: '$type' }, count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const totals = messageStats.totals[0] || { count: 0 };
+    const reactionsByType = {};
+    const byUser = {};
+    const forUser = (userId) => {
+      const key = userId.toString();
+      byUser[key] = byUser[key] || { messages: 0, reactions: 0 };
+      return byUser[key];
+    };
+
+    messageStats.byUser.forEach(({ _id, count }) => {
+      forUser(_id).messages = count;
+    });
+
+    reactionStats.forEach(({ _id, count }) => {
+      reactionsByType[_id.type] = (reactionsByType[_id.type] || 0) + count;
+      forUser(_id.user).reactions += count;
+    });
+
+    return {
+      chatMessages: totals.count,
+      reactions: Object.values(reactionsByType).reduce((sum, count) => sum + count, 0),
+      reactionsByType,
+      byUser
+    };
+  }
+
+  /**
+   * Load a session the user may read the live room of, live or not
+   * @param {string} sessionId - The session ID
+   * @param {Object} user - The current user
+   * @returns {Object} - The session
+   */
+  async findAccessibleSession(sessionId, user) {
+    const session = mongoose.isValidObjectId(sessionId) &&
+      await Session.findById(sessionId).select('trainer status');
+
+    if (!session) {
+      throw new HttpError(404, 'Session not found');
+    }
+
+    if (!(await this.canAccess(session, user))) {
+      throw new HttpError(403, 'You must book this session to take part');
+    }
+
+    return session;
+  }
+
+  async findLiveSession(sessionId, user) {
+    const session = mongoose.isValidObjectId(sessionId) &&
+      await Session.findById(sessionId).select('trainer status moderation streamingDetails.startedAt');
+
+    if (!session) {
+      throw new HttpError(404, 'Session not found');
+    }
+
+    if (session.status !== 'live') {
+      throw new HttpError(400, 'Session is not currently live');
+    }
+
+    if (!(await this.canAccess(session, user))) {
+      throw new HttpError(403, 'You must book this session to take part');
+    }
+
+    return session;
+  }
+
+  formatMessage(message, user) {
+    return {
+      id: message._id,
+      sessionId: message.session,
+      user: this.publicUser(user),
+      message: message.message,
+      timestamp: message.createdAt
+    };
+  }
+
+  // The fields other viewers get to see about a user
+  publicUser(user) {
+    if (!user) return null;
+
+    return {
+      _id: user._id,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      profilePicture: user.profilePicture
+    };
+  }
+}
+
+module.exports = new ChatService();
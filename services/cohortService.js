@@ -0,0 +1,283 @@
+// services/cohortService.js
+// Member retention by weekly cohort (signup week or first purchase week) and
+// members whose booking frequency has dropped. Both read across several
+// collections, so results are cached through services/analyticsCacheService.js.
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Transaction = require('../models/Transaction');
+const analyticsCacheService = require('./analyticsCacheService');
+const { DAY_MS, dayKey, parseDayRange, startOfUtcDay } = require('../utils/dateRange');
+const HttpError = require('../utils/httpError');
+
+const WEEK_MS = 7 * DAY_MS;
+const COHORT_TYPES = ['signup', 'first_purchase'];
+const RETENTION_TTL_SECONDS = 6 * 60 * 60;
+const AT_RISK_TTL_SECONDS = 60 * 60;
+const week = field => ({ $dateTrunc: { date: field, unit: 'week', startOfWeek: 'monday' } });
+
+// Monday 00:00 UTC of the week a date falls in
+const startOfUtcWeek = (date) => {
+  const day = startOfUtcDay(date);
+  return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+};
+
+const parseInteger = (value, name, min, max, fallback) => {
+  if (value === undefined || value === '') return fallback;
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new HttpError(400, `${name} must be a whole number between ${min} and ${max}`);
+  }
+  return number;
+};
+
+class CohortService {
+  /**
+   * Weekly retention curves: for each cohort, the share of its members active
+   * 0, 1, 2... weeks after joining it. Active means they completed or joined
+   * a class, or bought tokens, that week.
+   * @param {Object} options - type (signup or first_purchase), from, to (cohort weeks to include),
+   *                           weeks (length of each curve), refresh
+   * @returns {Object} - { value: { type, weeks, cohorts, average }, computedAt, expiresAt, cached }
+   */
+  async getRetention({ type = 'signup', from, to, weeks, refresh } = {}) {
+    if (!COHORT_TYPES.includes(type)) {
+      throw new HttpError(400, 'Cohort type must be signup or first_purchase');
+    }
+
+    const length = parseInteger(weeks, 'weeks', 1, 52, 12);
+    const range = parseDayRange({ from, to }, { defaultDays: 12 * 7, maxDays: 366 });
+    const start = startOfUtcWeek(range.start);
+    const key = `cohorts:retention:${type}:${dayKey(start)}:${dayKey(range.end)}:${length}`;
+
+    return analyticsCacheService.getOrCompute(
+      key,
+      RETENTION_TTL_SECONDS,
+      () => this.computeRetention(type, start, range.end, length),
+      { refresh }
+    );
+  }
+
+  async computeRetention(type, start, end, length) {
+    const members = await this.getCohortMembers(type, start, end);
+
+    // Activity up to the end of the last curve, or now
+    const activityEnd = new Date(Math.min(Date.now(), end.getTime() + length * WEEK_MS));
+    const activity = await this.getActiveWeeks(start, activityEnd, members);
+    const currentWeek = startOfUtcWeek(new Date()).getTime();
+
+    const cohorts = new Map();
+    members.forEach((cohortWeek, user) => {
+      if (!cohorts.has(cohortWeek)) {
+        cohorts.set(cohortWeek, { size: 0, active: new Array(length).fill(0) });
+      }
+
+      const cohort = cohorts.get(cohortWeek);
+      cohort.size += 1;
+      (activity.get(user) || new Set()).forEach(activeWeek => {
+        const offset = Math.round((activeWeek - cohortWeek) / WEEK_MS);
+        if (offset >= 0 && offset < length) cohort.active[offset] += 1;
+      });
+    });
+
+    const rows = [...cohorts.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([cohortWeek, { size, active }]) => {
+        // Weeks that have not happened yet have no value
+        const counts = active.map((count, offset) => (cohortWeek + offset * WEEK_MS <= currentWeek ? count : null));
+
+        return {
+          cohort: dayKey(new Date(cohortWeek)),
+          size,
+          active: counts,
+          retention: counts.map(count => (count === null ? null : Math.round((count / size) * 1000) / 10))
+        };
+      });
+
+    // Retention across cohorts, weighted by their size
+    const average = new Array(length).fill(null).map((_, offset) => {
+      const known = rows.filter(row => row.active[offset] !== null);
+      const size = known.reduce((sum, row) => sum + row.size, 0);
+      const active = known.reduce((sum, row) => sum + row.active[offset], 0);
+
+      return { week: offset, cohorts: known.length, rate: size ? Math.round((active / size) * 1000) / 10 : null };
+    });
+
+    return { type, weeks: length, from: dayKey(start), to: dayKey(new Date(end.getTime() - DAY_MS)), cohorts: rows, average };
+  }
+
+  // userId -> start of their cohort week (ms)
+  async getCohortMembers(type, start, end) {
+    const rows = type === 'signup'
+      ? await User.aggregate([
+        { $match: { role: 'user', createdAt: { $gte: start, $lt: end } } },
+        { $project: { week: week('$createdAt') } }
+      ])
+      : await Transaction.aggregate([
+        { $match: { type: 'purchase', status: 'completed', createdAt: { $lt: end } } },
+        { $group: { _id: '$user', first: { $min: '$createdAt' } } },
+        { $match: { first: { $gte: start } } },
+        { $project: { week: week('$first') } }
+      ]);
+
+    return new Map(rows.map(row => [row._id.toString(), row.week.getTime()]));
+  }
+
+  // userId -> Set of week starts (ms) they were active in, for the given users
+  async getActiveWeeks(start, end, members) {
+    const range = { $gte: start, $lt: end };
+
+    const sources = await Promise.all([
+      User.aggregate([
+        { $match: { 'completedSessions.completedAt': range } },
+        { $unwind: '$completedSessions' },
+        { $match: { 'completedSessions.completedAt': range } },
+        { $group: { _id: { user: '$_id', week: week('$completedSessions.completedAt') } } }
+      ]),
+      Session.aggregate([
+        { $match: { scheduledAt: { $gte: new Date(start.getTime() - DAY_MS), $lt: end } } },
+        { $unwind: '$participants' },
+        {
+          $project: {
+            user: '$participants.user',
+            joins: {
+              $cond: [
+                { $gt: [{ $size: { $ifNull: ['$participants.intervals', []] } }, 0] },
+                '$participants.intervals.joinedAt',
+                ['$participants.joinedAt']
+              ]
+            }
+          }
+        },
+        { $unwind: '$joins' },
+        { $match: { joins: range } },
+        { $group: { _id: { user: '$user', week: week('$joins') } } }
+      ]),
+      Transaction.aggregate([
+        { $match: { type: 'purchase', status: 'completed', createdAt: range } },
+        { $group: { _id: { user: '$user', week: week('$createdAt') } } }
+      ])
+    ]);
+
+    const activity = new Map();
+    sources.flat().forEach(({ _id }) => {
+      const user = _id.user.toString();
+      if (!members.has(user)) return;
+
+      if (!activity.has(user)) activity.set(user, new Set());
+      activity.get(user).add(_id.week.getTime());
+    });
+
+    return activity;
+  }
+
+  /**
+   * Members who booked regularly but whose bookings have dropped off: their
+   * bookings per week in the recent window against the weeks before it
+   * @param {Object} options - trainer (only bookings of their sessions), recentWeeks, baselineWeeks,
+   *                           minBookings (in the baseline), dropPercent, page, limit, refresh
+   * @returns {Object} - { members, pagination, criteria, computedAt, cached }
+   */
+  async getAtRisk({ trainer, recentWeeks, baselineWeeks, minBookings, dropPercent, page = 1, limit = 50, refresh } = {}) {
+    if (trainer !== undefined && !mongoose.isValidObjectId(trainer)) {
+      throw new HttpError(400, 'Invalid trainer ID');
+    }
+
+    const criteria = {
+      recentWeeks: parseInteger(recentWeeks, 'recentWeeks', 1, 12, 2),
+      baselineWeeks: parseInteger(baselineWeeks, 'baselineWeeks', 2, 26, 8),
+      minBookings: parseInteger(minBookings, 'minBookings', 1, 100, 3),
+      dropPercent: parseInteger(dropPercent, 'dropPercent', 1, 100, 50)
+    };
+
+    const key = `cohorts:at-risk:${trainer || 'all'}:${criteria.recentWeeks}:${criteria.baselineWeeks}:${criteria.minBookings}:${criteria.dropPercent}`;
+    const result = await analyticsCacheService.getOrCompute(
+      key,
+      AT_RISK_TTL_SECONDS,
+      () => this.computeAtRisk(trainer, criteria),
+      { refresh }
+    );
+
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+    const members = result.value;
+
+    return {
+      members: members.slice((pageNumber - 1) * pageSize, pageNumber * pageSize),
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total: members.length,
+        pages: Math.ceil(members.length / pageSize)
+      },
+      criteria,
+      computedAt: result.computedAt,
+      cached: result.cached
+    };
+  }
+
+  async computeAtRisk(trainer, { recentWeeks, baselineWeeks, minBookings, dropPercent }) {
+    const now = Date.now();
+    const recentStart = new Date(now - recentWeeks * WEEK_MS);
+    const baselineStart = new Date(recentStart.getTime() - baselineWeeks * WEEK_MS);
+
+    const rows = await User.aggregate([
+      { $match: { role: 'user', 'bookedSessions.bookedAt': { $gte: baselineStart } } },
+      { $unwind: '$bookedSessions' },
+      { $match: { 'bookedSessions.bookedAt': { $gte: baselineStart } } },
+      ...(trainer ? [
+        {
+          $lookup: {
+            from: 'sessions',
+            localField: 'bookedSessions.session',
+            foreignField: '_id',
+            pipeline: [{ $project: { trainer: 1 } }],
+            as: 'bookedSession'
+          }
+        },
+        { $match: { 'bookedSession.trainer': new mongoose.Types.ObjectId(String(trainer)) } }
+      ] : []),
+      {
+        $group: {
+          _id: '$_id',
+          firstName: { $first: '$firstName' },
+          lastName: { $first: '$lastName' },
+          email: { $first: '$email' },
+          profilePicture: { $first: '$profilePicture' },
+          tokens: { $first: '$tokens' },
+          baseline: { $sum: { $cond: [{ $lt: ['$bookedSessions.bookedAt', recentStart] }, 1, 0] } },
+          recent: { $sum: { $cond: [{ $gte: ['$bookedSessions.bookedAt', recentStart] }, 1, 0] } },
+          lastBookedAt: { $max: '$bookedSessions.bookedAt' }
+        }
+      },
+      { $match: { baseline: { $gte: minBookings } } }
+    ]);
+
+    return rows
+      .map(row => {
+        const baselineWeekly = row.baseline / baselineWeeks;
+        const recentWeekly = row.recent / recentWeeks;
+
+        return {
+          user: {
+            _id: row._id.toString(),
+            firstName: row.firstName,
+            lastName: row.lastName,
+            email: row.email,
+            profilePicture: row.profilePicture
+          },
+          tokens: row.tokens,
+          baselineWeeklyBookings: Math.round(baselineWeekly * 100) / 100,
+          recentWeeklyBookings: Math.round(recentWeekly * 100) / 100,
+          dropPercent: Math.round((1 - recentWeekly / baselineWeekly) * 100),
+          lastBookedAt: row.lastBookedAt,
+          daysSinceLastBooking: Math.floor((now - row.lastBookedAt.getTime()) / DAY_MS)
+        };
+      })
+      .filter(member => member.dropPercent >= dropPercent)
+      .sort((a, b) => b.dropPercent - a.dropPercent || b.daysSinceLastBooking - a.daysSinceLastBooking);
+  }
+}
+
+module.exports = new CohortService();
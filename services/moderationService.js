@@ -0,0 +1,446 @@
+// services/moderationService.js
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const StreamMessage = require('../models/StreamMessage');
+const ChatThrottle = require('../models/ChatThrottle');
+const ModerationLog = require('../models/ModerationLog');
+const attendanceService = require('./attendanceService');
+const streamService = require('./streamService');
+const realtimeService = require('./realtimeService');
+const HttpError = require('../utils/httpError');
+
+const DEFAULT_KICK_MINUTES = 10;
+const MAX_RESTRICTION_MINUTES = 24 * 60;
+// Banned users stay kicked from the channel this long after the scheduled end
+const BAN_KICK_BUFFER_MINUTES = 30;
+
+class ModerationService {
+  /**
+   * Load a session the user may moderate (its trainer or an admin)
+   * @param {string} sessionId - The session ID
+   * @param {Object} user - The current user
+   * @returns {Object} - The session
+   */
+  async findModeratedSession(sessionId, user) {
+    const session = mongoose.isValidObjectId(sessionId) &&
+      await Session.findById(sessionId).select('title trainer status scheduledAt duration streamingDetails moderation');
+
+    if (!session) {
+      throw new HttpError(404, 'Session not found');
+    }
+
+    if (!this.isStaff(session, user)) {
+      throw new HttpError(403, 'Only the assigned trainer can moderate this session');
+    }
+
+    return session;
+  }
+
+  /**
+   * Current moderation settings and the restrictions still in force
+   * @param {Object} session - The session document
+   * @returns {Object} - { slowModeSeconds, followersOnly, mutes, kicks, bans }
+   */
+  async getState(session) {
+    const populated = await Session.findById(session._id)
+      .select('moderation')
+      .populate('moderation.mutes.user moderation.kicks.user moderation.bans.user', 'firstName lastName profilePicture');
+    const { moderation } = populated;
+
+    return {
+      slowModeSeconds: moderation.slowModeSeconds,
+      followersOnly: moderation.followersOnly,
+      mutes: moderation.mutes.filter(entry => this.isActive(entry)),
+      kicks: moderation.kicks.filter(entry => this.isActive(entry)),
+      bans: moderation.bans
+    };
+  }
+
+  /**
+   * Remove a chat message from the room and from the history
+   * @param {Object} session - The session document
+   * @param {string} messageId - The message ID
+   * @param {Object} actor - The moderator
+   * @param {string} reason - Why it was removed
+   * @returns {Object} - The deleted message
+   */
+  async deleteMessage(session, messageId, actor, reason) {
+    const message = mongoose.isValidObjectId(messageId) && await StreamMessage.findOneAndUpdate(
+      { _id: messageId, session: session._id, deletedAt: null },
+      { $set: { deletedAt: new Date(), deletedBy: actor._id } },
+      { new: true }
+    );
+
+    if (!message) {
+      throw new HttpError(404, 'Message not found');
+    }
+
+    await this.log(session, actor, 'delete_message', {
+      target: message.user,
+      message: message._id,
+      reason,
+      details: { text: message.message }
+    });
+
+    await realtimeService.emitToSession(session._id, 'chat:message_deleted', {
+      sessionId: session._id,
+      messageId: message._id,
+      timestamp: new Date()
+    });
+
+    return message;
+  }
+
+  /**
+   * Stop a user from chatting, for some minutes or the rest of the session
+   * @param {Object} session - The session document
+   * @param {string} userId - The user to mute
+   * @param {Object} options - minutes (optional), reason
+   * @param {Object} actor - The moderator
+   * @returns {Object} - The mute
+   */
+  async mute(session, userId, { minutes, reason } = {}, actor) {
+    const target = await this.findTarget(session, userId);
+    const until = minutes !== undefined && minutes !== null
+      ? new Date(Date.now() + this.parseMinutes(minutes) * 60000)
+      : undefined;
+
+    const mute = await this.restrict(session, 'mutes', { user: target._id, until, reason, by: actor._id });
+
+    await this.log(session, actor, 'mute', { target: target._id, reason, details: { until: until || null } });
+    await this.announce(session, 'moderation:muted', target, { until: until || null, reason });
+
+    return mute;
+  }
+
+  async unmute(session, userId, actor) {
+    const target = await this.findTarget(session, userId);
+
+    await this.lift(session, 'mutes', target._id);
+    await this.log(session, actor, 'unmute', { target: target._id });
+    await this.announce(session, 'moderation:unmuted', target);
+  }
+
+  /**
+   * Disconnect a user from the stream and keep them out for a while
+   * @param {Object} session - The session document
+   * @param {string} userId - The user to kick
+   * @param {Object} options - minutes (default 10), reason
+   * @param {Object} actor - The moderator
+   * @returns {Object} - The kick
+   */
+  async kick(session, userId, { minutes = DEFAULT_KICK_MINUTES, reason } = {}, actor) {
+    if (session.status !== 'live') {
+      throw new HttpError(400, 'Session is not currently live');
+    }
+
+    const target = await this.findTarget(session, userId);
+    const duration = this.parseMinutes(minutes);
+
+    // Revoke their access on the media server first; if that fails nothing changes
+    const { expiresAt } = await streamService.kickUser(session, target._id, duration * 60);
+
+    const kick = await this.restrict(session, 'kicks', { user: target._id, until: expiresAt, reason, by: actor._id });
+    await attendanceService.recordLeave(session._id, target._id);
+
+    await this.log(session, actor, 'kick', { target: target._id, reason, details: { until: expiresAt } });
+    await this.announce(session, 'moderation:kicked', target, { until: expiresAt, reason });
+    await realtimeService.removeFromSession(session._id, target._id);
+
+    return kick;
+  }
+
+  /**
+   * Ban a user from rejoining the session; kicks them if it is live
+   * @param {Object} session - The session document
+   * @param {string} userId - The user to ban
+   * @param {Object} options - reason
+   * @param {Object} actor - The moderator
+   * @returns {Object} - { ban, kicked }
+   */
+  async ban(session, userId, { reason } = {}, actor) {
+    const target = await this.findTarget(session, userId);
+
+    const ban = await this.restrict(session, 'bans', { user: target._id, reason, by: actor._id });
+
+    // The ban is enforced when tokens are issued; the kick also drops a token they already have
+    let kicked = false;
+    if (session.status === 'live') {
+      const end = new Date(session.scheduledAt).getTime() + session.duration * 60000;
+      const minutes = Math.min(
+        Math.max(Math.ceil((end - Date.now()) / 60000), 0) + BAN_KICK_BUFFER_MINUTES,
+        MAX_RESTRICTION_MINUTES
+      );
+
+      try {
+        await streamService.kickUser(session, target._id, minutes * 60);
+        kicked = true;
+      } catch (error) {
+        console.error('Error kicking banned user from the channel:', error.message);
+      }
+
+      await attendanceService.recordLeave(session._id, target._id);
+    }
+
+    await this.log(session, actor, 'ban', { target: target._id, reason, details: { kicked } });
+    await this.announce(session, 'moderation:banned', target, { reason });
+    await realtimeService.removeFromSession(session._id, target._id);
+
+    return { ban, kicked };
+  }
+
+  // A kick already placed on the media server still runs out on its own
+  async unban(session, userId, actor) {
+    const target = await this.findTarget(session, userId);
+
+    await this.lift(session, 'bans', target._id);
+    await this.lift(session, 'kicks', target._id);
+    await this.log(session, actor, 'unban', { target: target._id });
+    await this.announce(session, 'moderation:unbanned', target);
+  }
+
+  /**
+   * Turn slow mode and followers-only chat on or off
+   * @param {Object} session - The session document
+   * @param {Object} settings - slowModeSeconds, followersOnly
+   * @param {Object} actor - The moderator
+   * @returns {Object} - { slowModeSeconds, followersOnly }
+   */
+  async updateSettings(session, { slowModeSeconds, followersOnly }, actor) {
+    const update = {};
+
+    if (slowModeSeconds !== undefined) {
+      const seconds = Number(slowModeSeconds);
+      if (!Number.isInteger(seconds) || seconds < 0 || seconds > 3600) {
+        throw new HttpError(400, 'Slow mode must be between 0 and 3600 seconds');
+      }
+      update['moderation.slowModeSeconds'] = seconds;
+    }
+
+    if (followersOnly !== undefined) {
+      update['moderation.followersOnly'] = Boolean(followersOnly);
+    }
+
+    if (!Object.keys(update).length) {
+      throw new HttpError(400, 'Nothing to update');
+    }
+
+    const updated = await Session.findByIdAndUpdate(session._id, { $set: update }, { new: true }).select('moderation');
+    const settings = {
+      slowModeSeconds: updated.moderation.slowModeSeconds,
+      followersOnly: updated.moderation.followersOnly
+    };
+
+    if (slowModeSeconds !== undefined) {
+      await this.log(session, actor, 'slow_mode', { details: { seconds: settings.slowModeSeconds } });
+    }
+    if (followersOnly !== undefined) {
+      await this.log(session, actor, 'followers_only', { details: { enabled: settings.followersOnly } });
+    }
+
+    await realtimeService.emitToSession(session._id, 'moderation:settings', {
+      sessionId: session._id,
+      ...settings,
+      timestamp: new Date()
+    });
+
+    return settings;
+  }
+
+  /**
+   * Moderation log entries, newest first
+   * @param {Object} filter - session, trainer, actor, target, action
+   * @param {Object} options - page, limit
+   * @returns {Object} - { entries, pagination }
+   */
+  async getLog(filter, { page = 1, limit = 50 } = {}) {
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+
+    const [entries, total] = await Promise.all([
+      ModerationLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .populate('session', 'title scheduledAt')
+        .populate('actor target trainer', 'firstName lastName email role'),
+      ModerationLog.countDocuments(filter)
+    ]);
+
+    return {
+      entries,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+
+  /**
+   * Refuse stream access to banned or currently kicked users
+   * @param {Object} session - The session document (with moderation)
+   * @param {string} userId - The user joining
+   */
+  assertCanJoin(session, userId) {
+    const moderation = session.moderation || {};
+
+    if (this.findActive(moderation.bans, userId)) {
+      throw new HttpError(403, 'You have been banned from this session');
+    }
+
+    const kick = this.findActive(moderation.kicks, userId);
+    if (kick) {
+      throw new HttpError(403, `You were removed from this stream and can rejoin after ${kick.until.toISOString()}`);
+    }
+  }
+
+  /**
+   * Refuse chat from banned, kicked or muted users, and enforce the room's
+   * followers-only and slow mode settings for messages
+   * @param {Object} session - The session document (with trainer and moderation)
+   * @param {Object} user - The sender
+   * @param {Object} options - message: false for reactions
+   */
+  async assertCanChat(session, user, { message = true } = {}) {
+    if (this.isStaff(session, user)) return;
+
+    const moderation = session.moderation || {};
+
+    this.assertCanJoin(session, user._id);
+
+    const mute = this.findActive(moderation.mutes, user._id);
+    if (mute) {
+      throw new HttpError(403, mute.until
+        ? `You are muted in this chat until ${mute.until.toISOString()}`
+        : 'You are muted in this chat');
+    }
+
+    if (!message) return;
+
+    if (moderation.followersOnly) {
+      const trainerId = session.trainer._id || session.trainer;
+      const follows = await User.exists({ _id: user._id, 'preferences.preferredTrainers': trainerId });
+
+      if (!follows) {
+        throw new HttpError(403, 'Only followers of the trainer can chat right now');
+      }
+    }
+
+    if (moderation.slowModeSeconds) {
+      await this.claimSlowModeSlot(session, user, moderation.slowModeSeconds);
+    }
+  }
+
+  // Let one message per user through every `seconds`, checking and recording
+  // it in a single conditional write
+  async claimSlowModeSlot(session, user, seconds) {
+    const now = new Date();
+    const key = { session: session._id, user: user._id };
+
+    const claimed = await ChatThrottle.claim(
+      key,
+      { lastMessageAt: { $not: { $gt: new Date(now.getTime() - seconds * 1000) } } },
+      { $set: { lastMessageAt: now, updatedAt: now } }
+    );
+
+    if (!claimed) {
+      const throttle = await ChatThrottle.findOne(key).select('lastMessageAt');
+      const waitMs = throttle ? throttle.lastMessageAt.getTime() + seconds * 1000 - Date.now() : 0;
+      throw new HttpError(429, `Slow mode is on. You can send another message in ${Math.max(Math.ceil(waitMs / 1000), 1)} seconds`);
+    }
+  }
+
+  isStaff(session, user) {
+    const trainerId = session.trainer._id || session.trainer;
+    return user.role === 'admin' || trainerId.toString() === user._id.toString();
+  }
+
+  isActive(entry) {
+    return !entry.until || entry.until > new Date();
+  }
+
+  findActive(entries = [], userId) {
+    return entries.find(entry => entry.user.toString() === userId.toString() && this.isActive(entry));
+  }
+
+  // Users a moderator may act on: anyone but the trainer and admins
+  async findTarget(session, userId) {
+    const target = mongoose.isValidObjectId(userId) && await User.findById(userId).select('firstName lastName role');
+
+    if (!target) {
+      throw new HttpError(404, 'User not found');
+    }
+
+    if (this.isStaff(session, target)) {
+      throw new HttpError(400, 'The trainer and admins cannot be moderated');
+    }
+
+    return target;
+  }
+
+  parseMinutes(minutes) {
+    const value = Number(minutes);
+
+    if (!Number.isFinite(value) || value <= 0 || value > MAX_RESTRICTION_MINUTES) {
+      throw new HttpError(400, `Minutes must be between 1 and ${MAX_RESTRICTION_MINUTES}`);
+    }
+
+    return Math.ceil(value);
+  }
+
+  // Replace the user's entry in a restriction list, in one write so the user
+  // is never briefly unrestricted or listed twice
+  async restrict(session, list, entry) {
+    const path = `moderation.${list}`;
+    const restriction = { createdAt: new Date() };
+    Object.entries(entry).forEach(([field, value]) => {
+      if (value !== undefined) restriction[field] = value;
+    });
+
+    await Session.updateOne({ _id: session._id }, [{
+      $set: {
+        [path]: {
+          $concatArrays: [
+            { $filter: { input: { $ifNull: [`$${path}`, []] }, cond: { $ne: ['$$this.user', entry.user] } } },
+            // $literal so a reason starting with "$" is not read as a field path
+            [{ $literal: restriction }]
+          ]
+        }
+      }
+    }]);
+
+    return restriction;
+  }
+
+  lift(session, list, userId) {
+    return Session.updateOne({ _id: session._id }, { $pull: { [`moderation.${list}`]: { user: userId } } });
+  }
+
+  log(session, actor, action, { target, message, reason, details } = {}) {
+    return ModerationLog.create({
+      session: session._id,
+      trainer: session.trainer._id || session.trainer,
+      actor: actor._id,
+      action,
+      target,
+      message,
+      reason,
+      details
+    });
+  }
+
+  // Tell the room, so the affected client can react (e.g. leave the channel)
+  announce(session, event, target, details = {}) {
+    return realtimeService.emitToSession(session._id, event, {
+      sessionId: session._id,
+      userId: target._id,
+      ...details,
+      timestamp: new Date()
+    });
+  }
+}
+
+module.exports = new ModerationService();
@@ -0,0 +1,60 @@
+// services/notificationService.js
+const Notification = require('../models/Notification');
+
+class NotificationService {
+  /**
+   * Store a notification for a user
+   * @param {string} userId - The user to notify
+   * @param {string} type - Notification type (see models/Notification.js)
+   * @param {Object} content - title, message, session and extra data
+   * @returns {Object} - The created notification
+   */
+  async notify(userId, type, { title, message, session, data } = {}) {
+    try {
+      return await Notification.create({
+        user: userId,
+        type,
+        title,
+        message,
+        session,
+        data
+      });
+    } catch (error) {
+      // A failed notification must never undo the action that triggered it
+      console.error('Error creating notification:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get a user's notifications, newest first
+   * @param {string} userId - The user ID
+   * @param {Object} options - unreadOnly, limit
+   * @returns {Array} - Notifications
+   */
+  async getForUser(userId, { unreadOnly = false, limit = 50 } = {}) {
+    const query = { user: userId };
+    if (unreadOnly) query.read = false;
+
+    return Notification.find(query)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(limit, 10) || 50, 100))
+      .populate('session', 'title scheduledAt');
+  }
+
+  /**
+   * Mark a user's notification as read
+   * @param {string} userId - The user ID
+   * @param {string} notificationId - The notification ID
+   * @returns {Object|null} - The updated notification
+   */
+  async markRead(userId, notificationId) {
+    return Notification.findOneAndUpdate(
+      { _id: notificationId, user: userId },
+      { $set: { read: true } },
+      { new: true }
+    );
+  }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,411 @@
+// services/paymentService.js
+// Token purchases through the payment provider. A purchase starts as a
+// pending Transaction with a payment intent; only the provider's signed
+// webhook completes it and credits the tokens. Refunds and disputes are in
+// services/purchaseRefundService.js.
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+const Package = require('../models/Package');
+const WebhookEvent = require('../models/WebhookEvent');
+const tokenLedgerService = require('./tokenLedgerService');
+const notificationService = require('./notificationService');
+const purchaseRefundService = require('./purchaseRefundService');
+const { getPaymentProvider } = require('./payments');
+const paymentConfig = require('../config/payments');
+const withTransaction = require('../utils/withTransaction');
+const HttpError = require('../utils/httpError');
+
+const DUPLICATE_KEY = 11000;
+const MINUTE_MS = 60 * 1000;
+
+class PaymentService {
+  constructor() {
+    // Providers (the fake one) we deliver in-process webhooks from
+    this.listening = new WeakSet();
+  }
+
+  get provider() {
+    const provider = getPaymentProvider();
+
+    if (typeof provider.onWebhook === 'function' && !this.listening.has(provider)) {
+      provider.onWebhook((rawBody, headers, body) => this.handleWebhook(rawBody, headers, body));
+      this.listening.add(provider);
+    }
+
+    return provider;
+  }
+
+  /**
+   * Start buying a package: a pending transaction and a payment intent the
+   * client confirms
+   * @param {Object} user - The buyer
+   * @param {Object} pkg - The package document
+   * @param {Object} options - paymentMethod (Transaction.paymentMethod)
+   * @returns {Object} - { transaction, payment }
+   */
+  async createPurchase(user, pkg, { paymentMethod }) {
+    if (user.paymentFlag && user.paymentFlag.flaggedAt) {
+      throw new HttpError(403, 'Purchases are on hold for your account. Please contact support.');
+    }
+
+    const provider = this.provider;
+
+    const transaction = await Transaction.create({
+      user: user._id,
+      package: pkg._id,
+      tokenAmount: pkg.tokenAmount,
+      amount: pkg.price,
+      currency: pkg.currency,
+      paymentMethod,
+      status: 'pending',
+      paymentDetails: { paymentProcessor: provider.name },
+      expiresAt: new Date(Date.now() + paymentConfig.pendingPurchaseMinutes * MINUTE_MS),
+      history: [{ action: 'created', amount: pkg.price, tokens: pkg.tokenAmount }]
+    });
+
+    let intent;
+    try {
+      intent = await provider.createIntent({
+        amount: pkg.price,
+        currency: pkg.currency,
+        description: `${pkg.tokenAmount} FitStream tokens (${pkg.name})`,
+        metadata: {
+          transactionId: transaction._id.toString(),
+          userId: user._id.toString(),
+          packageId: pkg._id.toString()
+        },
+        idempotencyKey: `purchase_${transaction._id}`
+      });
+    } catch (err) {
+      transaction.status = 'failed';
+      transaction.paymentDetails.failureReason = err.message;
+      transaction.history.push({ action: 'failed', note: err.message });
+      await transaction.save();
+      throw err;
+    }
+
+    transaction.paymentDetails.transactionId = intent.id;
+    await transaction.save();
+
+    return { transaction, payment: this.formatPayment(provider, intent) };
+  }
+
+  /**
+   * Confirm a pending purchase's payment from the server. Clients using the
+   * provider's own SDK confirm with the client secret instead.
+   * @param {string} transactionId - The transaction ID
+   * @param {Object} user - The buyer
+   * @param {Object} options - paymentMethodId (provider payment method)
+   * @returns {Object} - { transaction, payment }
+   */
+  async confirmPurchase(transactionId, user, { paymentMethodId } = {}) {
+    const transaction = await this.findPurchase(transactionId, user, { ownerOnly: true });
+
+    if (transaction.status !== 'pending') {
+      throw new HttpError(400, `This purchase is already ${transaction.status}`);
+    }
+
+    if (transaction.expiresAt && transaction.expiresAt <= new Date()) {
+      throw new HttpError(400, 'This purchase has expired, please start a new one');
+    }
+
+    const provider = this.provider;
+    const intent = await provider.confirmIntent(transaction.paymentDetails.transactionId, {
+      paymentMethod: paymentMethodId
+    });
+
+    return { transaction, payment: this.formatPayment(provider, intent) };
+  }
+
+  /**
+   * A purchase, for its buyer or an admin
+   * @param {string} transactionId - The transaction ID
+   * @param {Object} user - The user asking
+   * @param {Object} options - ownerOnly: admins are refused too
+   * @returns {Object} - The transaction
+   */
+  async findPurchase(transactionId, user, { ownerOnly = false } = {}) {
+    const transaction = mongoose.isValidObjectId(transactionId) &&
+      await Transaction.findOne({ _id: transactionId, type: 'purchase' })
+        .populate('package', 'name tokenAmount')
+        .populate('history.by', 'firstName lastName');
+
+    const allowed = transaction && (
+      transaction.user.toString() === user._id.toString() || (!ownerOnly && user.role === 'admin')
+    );
+
+    if (!allowed) {
+      throw new HttpError(404, 'Purchase not found');
+    }
+
+    return transaction;
+  }
+
+  /**
+   * Verify, deduplicate and apply a webhook from the payment provider
+   * @param {Buffer} rawBody - The body exactly as received (for the signature)
+   * @param {Object} headers - The request headers
+   * @param {Object} body - The parsed body
+   * @returns {Object} - { result, duplicate }
+   */
+  async handleWebhook(rawBody, headers, body) {
+    const provider = this.provider;
+
+    if (!provider.verifyWebhook(rawBody, headers)) {
+      throw new HttpError(401, 'Invalid webhook signature');
+    }
+
+    const event = provider.parseWebhook(body || {});
+    if (!event.id || event.id === 'undefined') {
+      throw new HttpError(400, 'Webhook event has no ID');
+    }
+
+    const source = `payments:${provider.name}`;
+    if (await WebhookEvent.exists({ source, eventId: event.id, status: { $in: ['processed', 'ignored'] } })) {
+      return { result: 'duplicate', duplicate: true };
+    }
+
+    // Recorded only once applied, so a crash part way leaves the provider's
+    // retry to finish the job. Applying twice is safe: every step below only
+    // moves a purchase forward from the state it expects.
+    const result = await this.applyEvent(event);
+
+    await WebhookEvent.updateOne(
+      { source, eventId: event.id },
+      {
+        $set: {
+          type: event.type,
+          status: result === 'ignored' ? 'ignored' : 'processed',
+          result,
+          payload: body,
+          processedAt: new Date()
+        },
+        $setOnInsert: { createdAt: new Date() }
+      },
+      { upsert: true }
+    ).catch(err => {
+      // A concurrent delivery of the same event recorded it first
+      if (err.code !== DUPLICATE_KEY) throw err;
+    });
+
+    return { result, duplicate: false };
+  }
+
+  /**
+   * Apply a provider-neutral payment event to its purchase
+   * @param {Object} event - From provider.parseWebhook
+   * @returns {string} - What happened, e.g. completed, already_completed, canceled, dispute_opened
+   */
+  async applyEvent(event) {
+    if (event.type === 'ignored' || !event.intentId) {
+      return 'ignored';
+    }
+
+    const transaction = await Transaction.findOne({ 'paymentDetails.transactionId': event.intentId, type: 'purchase' });
+    if (!transaction) {
+      return 'unknown_payment';
+    }
+
+    if (event.type === 'payment_succeeded') {
+      return this.completePurchase(transaction, event);
+    }
+
+    if (event.type === 'dispute_opened') {
+      return purchaseRefundService.openDispute(transaction, event);
+    }
+
+    if (event.type === 'dispute_closed') {
+      return purchaseRefundService.closeDispute(transaction, event);
+    }
+
+    if (event.type === 'payment_failed') {
+      // The buyer can still retry with another card until the purchase expires
+      const reason = event.failureReason || 'Payment failed';
+      await Transaction.updateOne(
+        { _id: transaction._id, status: 'pending' },
+        {
+          $set: { 'paymentDetails.failureReason': reason, updatedAt: Date.now() },
+          $push: { history: { action: 'payment_failed', at: event.at, note: reason } }
+        }
+      );
+      return 'payment_failed';
+    }
+
+    const failed = await this.failPurchase(transaction, 'failed', event.failureReason || 'Payment was canceled');
+    return failed ? 'canceled' : 'not_pending';
+  }
+
+  /**
+   * Mark a purchase paid and credit its tokens, once. The status change and
+   * the ledger entry are written together.
+   * @param {Object} transaction - The transaction document
+   * @param {Object} payment - amount, currency, cardLast4, at (from the provider)
+   * @returns {string} - completed, already_completed or amount_mismatch
+   */
+  async completePurchase(transaction, { intentId, amount, currency, cardLast4, at } = {}) {
+    const mismatch = (amount !== undefined && Math.abs(amount - transaction.amount) >= 0.01) ||
+      (currency && currency.toUpperCase() !== transaction.currency.toUpperCase());
+
+    if (mismatch) {
+      await this.flagPurchase(transaction, {
+        intentId,
+        amount,
+        at,
+        note: `Paid ${amount} ${currency}, expected ${transaction.amount} ${transaction.currency}`
+      });
+      return 'amount_mismatch';
+    }
+
+    const pkg = await Package.findById(transaction.package).select('name');
+    const set = { status: 'completed', completedAt: at || new Date(), updatedAt: Date.now() };
+    if (cardLast4) set['paymentDetails.cardLast4'] = cardLast4;
+
+    // A payment that succeeds after we gave up on it is still honoured
+    const completed = await withTransaction(async dbSession => {
+      const claimed = await Transaction.findOneAndUpdate(
+        { _id: transaction._id, status: { $in: ['pending', 'failed', 'expired'] } },
+        {
+          $set: set,
+          $unset: { 'paymentDetails.failureReason': '' },
+          $push: {
+            history: { action: 'completed', at: set.completedAt, amount: transaction.amount, tokens: transaction.tokenAmount, providerId: intentId }
+          }
+        },
+        { new: true, session: dbSession }
+      );
+
+      if (!claimed) return null;
+
+      const { balance } = await tokenLedgerService.credit(claimed.user, claimed.tokenAmount, 'purchase', {
+        transaction: claimed._id,
+        description: pkg ? `Purchased package "${pkg.name}"` : 'Purchased tokens',
+        dbSession
+      });
+
+      return { transaction: claimed, balance };
+    });
+
+    if (!completed) {
+      return 'already_completed';
+    }
+
+    await notificationService.notify(transaction.user, 'purchase_completed', {
+      title: 'Tokens added',
+      message: `Your payment went through and ${transaction.tokenAmount} tokens were added to your balance.`,
+      data: { transaction: transaction._id, tokens: completed.balance }
+    });
+
+    return 'completed';
+  }
+
+  /**
+   * Take a payment we cannot credit (the wrong amount was paid) out of the
+   * pending queue for support to settle, so it is not expired or retried
+   * @param {Object} transaction - The transaction document
+   * @param {Object} payment - intentId, amount, at, note
+   */
+  async flagPurchase(transaction, { intentId, amount, at, note }) {
+    console.error(`Payment for transaction ${transaction._id} flagged: ${note}`);
+
+    await Transaction.updateOne(
+      { _id: transaction._id, status: { $in: ['pending', 'failed', 'expired'] } },
+      {
+        $set: { status: 'flagged', 'paymentDetails.failureReason': note, updatedAt: Date.now() },
+        $push: { history: { action: 'flagged', at: at || new Date(), amount, providerId: intentId, note } }
+      }
+    );
+  }
+
+  /**
+   * End a pending purchase without crediting anything
+   * @param {Object} transaction - The transaction document
+   * @param {string} status - failed or expired
+   * @param {string} reason - Why, kept on the transaction
+   * @returns {Object} - The updated transaction, or null if it was not pending
+   */
+  async failPurchase(transaction, status, reason) {
+    const failed = await Transaction.findOneAndUpdate(
+      { _id: transaction._id, status: 'pending' },
+      {
+        $set: { status, 'paymentDetails.failureReason': reason, updatedAt: Date.now() },
+        $push: { history: { action: status, note: reason } }
+      },
+      { new: true }
+    );
+
+    if (failed) {
+      await notificationService.notify(transaction.user, 'purchase_failed', {
+        title: 'Purchase not completed',
+        message: `${reason}. No tokens were added and you were not charged.`,
+        data: { transaction: transaction._id }
+      });
+    }
+
+    return failed;
+  }
+
+  /**
+   * Clean up purchases left pending past their expiry: complete the ones the
+   * provider says were paid (a webhook was missed) and cancel the rest
+   * @param {Object} options - now, limit
+   * @returns {Object} - { expired, completed, flagged, processing, errors }
+   */
+  async expirePendingPurchases({ now = new Date(), limit = 500 } = {}) {
+    const provider = this.provider;
+    const stale = await Transaction.find({ type: 'purchase', status: 'pending', expiresAt: { $lte: now } })
+      .sort({ expiresAt: 1 })
+      .limit(limit);
+
+    const counts = { expired: 0, completed: 0, flagged: 0, processing: 0, errors: 0 };
+
+    for (const transaction of stale) {
+      try {
+        const intentId = transaction.paymentDetails.transactionId;
+        const intent = intentId && await provider.retrieveIntent(intentId);
+
+        if (intent && intent.status === 'succeeded') {
+          const result = await this.completePurchase(transaction, {
+            intentId: intent.id,
+            amount: intent.amount,
+            currency: intent.currency
+          });
+          if (result === 'completed') counts.completed += 1;
+          if (result === 'amount_mismatch') counts.flagged += 1;
+          continue;
+        }
+
+        // Still settling; the webhook will decide
+        if (intent && intent.status === 'processing') {
+          counts.processing += 1;
+          continue;
+        }
+
+        // Expire first so the cancellation webhook finds nothing pending
+        const expired = await this.failPurchase(transaction, 'expired', 'Payment was not completed in time');
+        if (expired) counts.expired += 1;
+
+        if (expired && intent && intent.status !== 'canceled') {
+          await provider.cancelIntent(intentId);
+        }
+      } catch (err) {
+        console.error(`Expiring purchase ${transaction._id} failed:`, err.message);
+        counts.errors += 1;
+      }
+    }
+
+    return counts;
+  }
+
+  formatPayment(provider, intent) {
+    return {
+      provider: provider.name,
+      intentId: intent.id,
+      status: intent.status,
+      clientSecret: intent.clientSecret,
+      publishableKey: intent.publishableKey,
+      failureReason: intent.failureReason
+    };
+  }
+}
+
+module.exports = new PaymentService();
@@ -0,0 +1,284 @@
+// services/payments/FakeProvider.js
+// In-process payment provider for development and tests. Intents behave like
+// Stripe's: confirming moves them to processing, and a moment later they
+// succeed or fail and a signed webhook (X-Fake-Signature) is delivered,
+// either to FAKE_PAYMENTS_WEBHOOK_URL or straight to the handler registered
+// with onWebhook(). Confirm with pm_card_chargeDeclined to simulate a
+// declined card; any other payment method succeeds. openDispute() and
+// closeDispute() simulate chargebacks. State lives in memory, so it is lost
+// on restart and not shared between instances.
+const axios = require('axios');
+const crypto = require('crypto');
+const PaymentProvider = require('./PaymentProvider');
+const HttpError = require('../../utils/httpError');
+
+const DECLINED_PAYMENT_METHOD = 'pm_card_chargeDeclined';
+
+const CONFIRMABLE = ['requires_payment_method', 'requires_confirmation'];
+
+const WEBHOOK_EVENTS = {
+  'payment_intent.succeeded': 'payment_succeeded',
+  'payment_intent.payment_failed': 'payment_failed',
+  'payment_intent.canceled': 'payment_canceled',
+  'charge.dispute.created': 'dispute_opened',
+  'charge.dispute.closed': 'dispute_closed'
+};
+
+class FakeProvider extends PaymentProvider {
+  constructor({ secret, webhookUrl, settleAfterMs } = {}) {
+    super('fake');
+
+    this.secret = secret || process.env.FAKE_PAYMENTS_SECRET || process.env.JWT_SECRET || 'your-jwt-secret';
+    this.webhookUrl = webhookUrl || process.env.FAKE_PAYMENTS_WEBHOOK_URL;
+    this.settleAfterMs = settleAfterMs !== undefined ? settleAfterMs : 500;
+    this.webhookHandler = null;
+
+    // intentId -> { id, status, amount, currency, metadata, refunded, paymentMethod }
+    this.intents = new Map();
+    // idempotency key -> intentId
+    this.idempotencyKeys = new Map();
+  }
+
+  /**
+   * Receive webhooks in-process when no webhook URL is set
+   * @param {Function} handler - async (rawBody, headers, body) => any
+   */
+  onWebhook(handler) {
+    this.webhookHandler = handler;
+  }
+
+  async createIntent({ amount, currency, metadata = {}, idempotencyKey }) {
+    if (idempotencyKey && this.idempotencyKeys.has(idempotencyKey)) {
+      const existing = this.intents.get(this.idempotencyKeys.get(idempotencyKey));
+      return { ...this.formatIntent(existing), clientSecret: existing.clientSecret };
+    }
+
+    const id = `pi_fake_${crypto.randomBytes(12).toString('hex')}`;
+    const intent = {
+      id,
+      status: 'requires_payment_method',
+      amount,
+      currency: currency.toUpperCase(),
+      metadata,
+      refunded: 0,
+      clientSecret: `${id}_secret_${crypto.randomBytes(12).toString('hex')}`
+    };
+
+    this.intents.set(id, intent);
+    if (idempotencyKey) this.idempotencyKeys.set(idempotencyKey, id);
+
+    return { ...this.formatIntent(intent), clientSecret: intent.clientSecret };
+  }
+
+  async confirmIntent(intentId, { paymentMethod = 'pm_card_visa' } = {}) {
+    const intent = this.findIntent(intentId);
+
+    if (!CONFIRMABLE.includes(intent.status)) {
+      throw new HttpError(400, `This payment cannot be confirmed (${intent.status})`);
+    }
+
+    intent.status = 'processing';
+    intent.paymentMethod = paymentMethod;
+
+    const settle = () => this.settle(intent).catch(error => {
+      console.error('Fake payment settlement failed:', error.message);
+    });
+    setTimeout(settle, this.settleAfterMs).unref();
+
+    return this.formatIntent(intent);
+  }
+
+  async retrieveIntent(intentId) {
+    return this.formatIntent(this.findIntent(intentId));
+  }
+
+  async cancelIntent(intentId) {
+    const intent = this.findIntent(intentId);
+
+    if (intent.status === 'succeeded' || intent.status === 'processing') {
+      throw new HttpError(400, `This payment cannot be canceled (${intent.status})`);
+    }
+
+    if (intent.status !== 'canceled') {
+      intent.status = 'canceled';
+      await this.deliver('payment_intent.canceled', intent);
+    }
+
+    return this.formatIntent(intent);
+  }
+
+  async refund(intentId, { amount } = {}) {
+    const intent = this.findIntent(intentId);
+    const remaining = Math.round((intent.amount - intent.refunded) * 100) / 100;
+    const value = amount !== undefined ? amount : remaining;
+
+    if (intent.status !== 'succeeded') {
+      throw new HttpError(400, 'Only successful payments can be refunded');
+    }
+
+    if (!(value > 0) || value > remaining) {
+      throw new HttpError(400, `At most ${remaining} ${intent.currency} can be refunded`);
+    }
+
+    intent.refunded = Math.round((intent.refunded + value) * 100) / 100;
+
+    return { id: `re_fake_${crypto.randomBytes(12).toString('hex')}`, status: 'succeeded', amount: value };
+  }
+
+  verifyWebhook(rawBody, headers) {
+    const expected = crypto.createHmac('sha256', this.secret).update(rawBody || Buffer.alloc(0)).digest('hex');
+    return this.safeEqual(expected, headers['x-fake-signature']);
+  }
+
+  /**
+   * Simulate the buyer disputing a successful payment with their bank
+   * @param {string} intentId - The intent ID
+   * @param {Object} options - reason (Stripe dispute reason)
+   * @returns {Object} - The dispute
+   */
+  async openDispute(intentId, { reason = 'fraudulent' } = {}) {
+    const intent = this.findIntent(intentId);
+
+    if (intent.status !== 'succeeded') {
+      throw new HttpError(400, 'Only successful payments can be disputed');
+    }
+
+    intent.dispute = {
+      id: `dp_fake_${crypto.randomBytes(12).toString('hex')}`,
+      payment_intent: intent.id,
+      amount: Math.round((intent.amount - intent.refunded) * 100) / 100,
+      currency: intent.currency,
+      reason,
+      status: 'needs_response'
+    };
+
+    await this.deliver('charge.dispute.created', intent.dispute);
+    return intent.dispute;
+  }
+
+  /**
+   * Simulate the bank deciding a dispute
+   * @param {string} intentId - The intent ID
+   * @param {Object} options - won (true if the merchant wins)
+   * @returns {Object} - The dispute
+   */
+  async closeDispute(intentId, { won = false } = {}) {
+    const intent = this.findIntent(intentId);
+
+    if (!intent.dispute || !['needs_response', 'under_review'].includes(intent.dispute.status)) {
+      throw new HttpError(400, 'This payment has no open dispute');
+    }
+
+    intent.dispute.status = won ? 'won' : 'lost';
+    await this.deliver('charge.dispute.closed', intent.dispute);
+    return intent.dispute;
+  }
+
+  // Events use Stripe's shape, with amounts in major units
+  parseWebhook({ id, type, created, data = {} }) {
+    if (type && type.startsWith('charge.dispute.')) {
+      const dispute = data.object || {};
+
+      return {
+        id: String(id),
+        type: WEBHOOK_EVENTS[type] || 'ignored',
+        intentId: dispute.payment_intent,
+        amount: dispute.amount,
+        currency: dispute.currency,
+        disputeId: dispute.id,
+        disputeStatus: { won: 'won', lost: 'lost' }[dispute.status],
+        reason: dispute.reason,
+        at: new Date(created ? created * 1000 : Date.now())
+      };
+    }
+
+    const intent = data.object || {};
+
+    return {
+      id: String(id),
+      type: WEBHOOK_EVENTS[type] || 'ignored',
+      intentId: intent.id,
+      amount: intent.amount,
+      currency: intent.currency,
+      failureReason: intent.failureReason,
+      cardLast4: intent.cardLast4,
+      at: new Date(created ? created * 1000 : Date.now())
+    };
+  }
+
+  async settle(intent) {
+    if (intent.status !== 'processing') return;
+
+    if (intent.paymentMethod === DECLINED_PAYMENT_METHOD) {
+      intent.status = 'requires_payment_method';
+      intent.failureReason = 'Your card was declined.';
+      return this.deliver('payment_intent.payment_failed', intent);
+    }
+
+    intent.status = 'succeeded';
+    intent.failureReason = undefined;
+    return this.deliver('payment_intent.succeeded', intent);
+  }
+
+  /**
+   * Build a signed webhook request for an event on an intent or a dispute
+   * @param {string} type - Stripe event type, e.g. payment_intent.succeeded
+   * @param {Object} object - The intent or dispute
+   * @returns {Object} - { body, rawBody, headers }
+   */
+  buildWebhook(type, object) {
+    const body = {
+      id: `evt_fake_${crypto.randomBytes(12).toString('hex')}`,
+      type,
+      created: Math.floor(Date.now() / 1000),
+      data: {
+        object: type.startsWith('charge.dispute.') ? { ...object } : {
+          ...this.formatIntent(object),
+          metadata: object.metadata,
+          cardLast4: object.status === 'succeeded' ? '4242' : undefined
+        }
+      }
+    };
+    const rawBody = Buffer.from(JSON.stringify(body));
+    const signature = crypto.createHmac('sha256', this.secret).update(rawBody).digest('hex');
+
+    return { body, rawBody, headers: { 'content-type': 'application/json', 'x-fake-signature': signature } };
+  }
+
+  async deliver(type, object) {
+    const { body, rawBody, headers } = this.buildWebhook(type, object);
+
+    if (this.webhookUrl) {
+      try {
+        await axios.post(this.webhookUrl, rawBody, { headers, timeout: 10000 });
+      } catch (error) {
+        console.error(`Fake payment webhook to ${this.webhookUrl} failed:`, error.message);
+      }
+      return;
+    }
+
+    if (this.webhookHandler) {
+      await this.webhookHandler(rawBody, headers, body);
+    }
+  }
+
+  findIntent(intentId) {
+    const intent = this.intents.get(intentId);
+    if (!intent) {
+      throw new HttpError(404, 'Payment not found');
+    }
+    return intent;
+  }
+
+  formatIntent(intent) {
+    return {
+      id: intent.id,
+      status: intent.status,
+      amount: intent.amount,
+      currency: intent.currency,
+      failureReason: intent.failureReason
+    };
+  }
+}
+
+module.exports = FakeProvider;
@@ -0,0 +1,110 @@
+// services/payments/PaymentProvider.js
+const crypto = require('crypto');
+const HttpError = require('../../utils/httpError');
+
+/**
+ * Interface every payment provider implements, modelled on Stripe's payment
+ * intents: the server creates an intent, the client (or the server) confirms
+ * it, and the outcome arrives later through a signed webhook. Only the
+ * webhook may complete a purchase. A new provider is one new class
+ * registered in services/payments/index.js.
+ *
+ * Amounts are in major units (9.99, not 999); providers convert as needed.
+ * Intent statuses follow Stripe: requires_payment_method,
+ * requires_confirmation, requires_action, processing, succeeded, canceled.
+ */
+class PaymentProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Whether the provider has the credentials it needs
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Start a payment
+   * @param {Object} payment - amount, currency, metadata (strings), idempotencyKey, description
+   * @returns {Object} - { id, status, clientSecret }
+   */
+  async createIntent(payment) {
+    throw this.unsupported('payments');
+  }
+
+  /**
+   * Confirm an intent with a payment method. The result may still be pending;
+   * the webhook has the final word.
+   * @param {string} intentId - The intent ID
+   * @param {Object} options - paymentMethod (provider payment method ID)
+   * @returns {Object} - { id, status, failureReason }
+   */
+  async confirmIntent(intentId, options) {
+    throw this.unsupported('payments');
+  }
+
+  /**
+   * Current state of an intent
+   * @param {string} intentId - The intent ID
+   * @returns {Object} - { id, status, amount, currency }
+   */
+  async retrieveIntent(intentId) {
+    throw this.unsupported('payments');
+  }
+
+  /**
+   * Cancel an intent that has not succeeded
+   * @param {string} intentId - The intent ID
+   * @returns {Object} - { id, status }
+   */
+  async cancelIntent(intentId) {
+    throw this.unsupported('payments');
+  }
+
+  /**
+   * Refund all or part of a successful payment
+   * @param {string} intentId - The intent ID
+   * @param {Object} options - amount (all of it if omitted), currency, reason, idempotencyKey
+   * @returns {Object} - { id, status, amount }
+   */
+  async refund(intentId, options) {
+    throw this.unsupported('refunds');
+  }
+
+  /**
+   * Check that a webhook request was sent by the provider
+   * @param {Buffer} rawBody - The request body as received
+   * @param {Object} headers - The request headers
+   * @returns {boolean}
+   */
+  verifyWebhook(rawBody, headers) {
+    throw this.unsupported('webhooks');
+  }
+
+  /**
+   * Turn a webhook body into a provider-neutral event
+   * @param {Object} body - The parsed request body
+   * @returns {Object} - { id, type, intentId, amount, currency, failureReason, cardLast4, at }, where
+   *   type is payment_succeeded, payment_failed, payment_canceled, dispute_opened, dispute_closed
+   *   or ignored. Dispute events add disputeId, disputeStatus (won or lost, once closed) and reason.
+   */
+  parseWebhook(body) {
+    throw this.unsupported('webhooks');
+  }
+
+  unsupported(feature) {
+    return new HttpError(501, `The ${this.name} payment provider does not support ${feature}`);
+  }
+
+  // Constant-time comparison of a hex signature
+  safeEqual(expected, given) {
+    const a = Buffer.from(String(expected));
+    const b = Buffer.from(String(given || ''));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+}
+
+module.exports = PaymentProvider;
@@ -0,0 +1,207 @@
+// services/payments/StripeProvider.js
+const axios = require('axios');
+const crypto = require('crypto');
+const PaymentProvider = require('./PaymentProvider');
+const HttpError = require('../../utils/httpError');
+
+// Currencies Stripe takes in whole units rather than cents
+const ZERO_DECIMAL_CURRENCIES = [
+  'bif', 'clp', 'djf', 'gnf', 'jpy', 'kmf', 'krw', 'mga', 'pyg', 'rwf', 'ugx', 'vnd', 'vuv', 'xaf', 'xof', 'xpf'
+];
+
+const WEBHOOK_EVENTS = {
+  'payment_intent.succeeded': 'payment_succeeded',
+  'payment_intent.payment_failed': 'payment_failed',
+  'payment_intent.canceled': 'payment_canceled',
+  'charge.dispute.created': 'dispute_opened',
+  'charge.dispute.closed': 'dispute_closed'
+};
+
+// A closed dispute with a warning only was never a chargeback
+const DISPUTE_OUTCOMES = {
+  won: 'won',
+  warning_closed: 'won',
+  lost: 'lost'
+};
+
+// How old a signed webhook may be before we reject it as a replay
+const WEBHOOK_TOLERANCE_SECONDS = 300;
+
+class StripeProvider extends PaymentProvider {
+  constructor() {
+    super('stripe');
+
+    this.secretKey = process.env.STRIPE_SECRET_KEY;
+    this.publishableKey = process.env.STRIPE_PUBLISHABLE_KEY;
+    this.webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+    // Point at stripe-mock for development
+    this.baseUrl = (process.env.STRIPE_API_BASE_URL || 'https://api.stripe.com').replace(/\/$/, '');
+  }
+
+  isConfigured() {
+    return !!this.secretKey;
+  }
+
+  async createIntent({ amount, currency, metadata = {}, idempotencyKey, description }) {
+    const intent = await this.request('post', '/v1/payment_intents', {
+      amount: this.toMinorUnits(amount, currency),
+      currency: currency.toLowerCase(),
+      description,
+      metadata,
+      'automatic_payment_methods[enabled]': true
+    }, { idempotencyKey });
+
+    return { ...this.formatIntent(intent), clientSecret: intent.client_secret, publishableKey: this.publishableKey };
+  }
+
+  async confirmIntent(intentId, { paymentMethod } = {}) {
+    try {
+      const intent = await this.request('post', `/v1/payment_intents/${intentId}/confirm`, {
+        payment_method: paymentMethod
+      });
+      return this.formatIntent(intent);
+    } catch (error) {
+      // A declined card is an answer, not a failure of the API
+      const stripeError = error.details && error.details.error;
+      if (stripeError && stripeError.type === 'card_error' && stripeError.payment_intent) {
+        return { ...this.formatIntent(stripeError.payment_intent), failureReason: stripeError.message };
+      }
+      throw error;
+    }
+  }
+
+  async retrieveIntent(intentId) {
+    return this.formatIntent(await this.request('get', `/v1/payment_intents/${intentId}`));
+  }
+
+  async cancelIntent(intentId) {
+    return this.formatIntent(await this.request('post', `/v1/payment_intents/${intentId}/cancel`, {}));
+  }
+
+  async refund(intentId, { amount, currency, reason, idempotencyKey } = {}) {
+    const refund = await this.request('post', '/v1/refunds', {
+      payment_intent: intentId,
+      amount: amount !== undefined ? this.toMinorUnits(amount, currency) : undefined,
+      reason: reason === 'fraudulent' || reason === 'duplicate' ? reason : 'requested_by_customer'
+    }, { idempotencyKey });
+
+    return { id: refund.id, status: refund.status, amount: this.fromMinorUnits(refund.amount, refund.currency) };
+  }
+
+  // Stripe-Signature: t=<timestamp>,v1=<hex HMAC-SHA256 of "<timestamp>.<body>">
+  verifyWebhook(rawBody, headers) {
+    if (!this.webhookSecret) {
+      throw new HttpError(503, 'Stripe webhooks are not configured');
+    }
+
+    const parts = String(headers['stripe-signature'] || '').split(',').map(part => part.split('='));
+    const timestamp = Number((parts.find(([key]) => key === 't') || [])[1]);
+    const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+
+    if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > WEBHOOK_TOLERANCE_SECONDS) {
+      return false;
+    }
+
+    const expected = crypto.createHmac('sha256', this.webhookSecret)
+      .update(`${timestamp}.`)
+      .update(rawBody || Buffer.alloc(0))
+      .digest('hex');
+
+    return signatures.some(signature => this.safeEqual(expected, signature));
+  }
+
+  parseWebhook({ id, type, created, data = {} }) {
+    if (type && type.startsWith('charge.dispute.')) {
+      const dispute = data.object || {};
+
+      return {
+        id: String(id),
+        type: WEBHOOK_EVENTS[type] || 'ignored',
+        intentId: dispute.payment_intent,
+        amount: dispute.amount ? this.fromMinorUnits(dispute.amount, dispute.currency) : undefined,
+        currency: dispute.currency && dispute.currency.toUpperCase(),
+        disputeId: dispute.id,
+        disputeStatus: DISPUTE_OUTCOMES[dispute.status],
+        reason: dispute.reason,
+        at: new Date(created ? created * 1000 : Date.now())
+      };
+    }
+
+    const intent = data.object || {};
+    const error = intent.last_payment_error || {};
+
+    return {
+      id: String(id),
+      type: WEBHOOK_EVENTS[type] || 'ignored',
+      intentId: intent.id,
+      amount: intent.amount_received || intent.amount
+        ? this.fromMinorUnits(intent.amount_received || intent.amount, intent.currency)
+        : undefined,
+      currency: intent.currency && intent.currency.toUpperCase(),
+      failureReason: error.message || intent.cancellation_reason,
+      cardLast4: error.payment_method && error.payment_method.card ? error.payment_method.card.last4 : undefined,
+      at: new Date(created ? created * 1000 : Date.now())
+    };
+  }
+
+  formatIntent(intent) {
+    return {
+      id: intent.id,
+      status: intent.status,
+      amount: this.fromMinorUnits(intent.amount, intent.currency),
+      currency: intent.currency && intent.currency.toUpperCase(),
+      failureReason: intent.last_payment_error ? intent.last_payment_error.message : undefined
+    };
+  }
+
+  toMinorUnits(amount, currency = 'usd') {
+    return ZERO_DECIMAL_CURRENCIES.includes(currency.toLowerCase()) ? Math.round(amount) : Math.round(amount * 100);
+  }
+
+  fromMinorUnits(amount, currency = 'usd') {
+    return ZERO_DECIMAL_CURRENCIES.includes(currency.toLowerCase()) ? amount : amount / 100;
+  }
+
+  // Stripe takes form-encoded bodies with nested keys like metadata[transactionId]
+  encode(body, prefix) {
+    return Object.entries(body)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => {
+        const name = prefix ? `${prefix}[${key}]` : key;
+        return typeof value === 'object'
+          ? this.encode(value, name)
+          : `${encodeURIComponent(name)}=${encodeURIComponent(value)}`;
+      })
+      .filter(Boolean)
+      .join('&');
+  }
+
+  // Call the Stripe API, turning failures into HttpErrors
+  async request(method, path, body, { idempotencyKey } = {}) {
+    if (!this.isConfigured()) {
+      throw new HttpError(503, 'Stripe is not configured');
+    }
+
+    try {
+      const response = await axios({
+        method,
+        url: `${this.baseUrl}${path}`,
+        data: body ? this.encode(body) : undefined,
+        timeout: 10000,
+        headers: {
+          Authorization: `Bearer ${this.secretKey}`,
+          'Content-Type': 'application/x-www-form-urlencoded',
+          ...(idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {})
+        }
+      });
+
+      return response.data;
+    } catch (error) {
+      const details = error.response && error.response.data;
+      console.error(`Stripe ${path} failed:`, (details && details.error && details.error.message) || error.message);
+      throw new HttpError(502, 'Payment provider request failed', details);
+    }
+  }
+}
+
+module.exports = StripeProvider;
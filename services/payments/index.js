@@ -0,0 +1,70 @@
+// services/payments/index.js
+// Picks the payment provider from PAYMENT_PROVIDER (stripe | fake). Without
+// it, Stripe is used when its key is set or in production, and the fake
+// provider otherwise. To add a provider, implement PaymentProvider and
+// register it here.
+const PaymentProvider = require('./PaymentProvider');
+const StripeProvider = require('./StripeProvider');
+const FakeProvider = require('./FakeProvider');
+
+const factories = {
+  stripe: () => new StripeProvider(),
+  fake: () => new FakeProvider()
+};
+
+let current = null;
+
+/**
+ * Make a provider available under a name
+ * @param {string} name - Value of PAYMENT_PROVIDER that selects it
+ * @param {Function} factory - Returns a PaymentProvider instance
+ */
+const registerPaymentProvider = (name, factory) => {
+  factories[name] = factory;
+};
+
+/**
+ * Build a provider by name, or the default one
+ * @param {string} name - Provider name
+ * @returns {PaymentProvider}
+ */
+const createPaymentProvider = (name = process.env.PAYMENT_PROVIDER) => {
+  if (!name) {
+    // Never take fake payments in production by accident
+    const stripe = new StripeProvider();
+    return stripe.isConfigured() || process.env.NODE_ENV === 'production' ? stripe : new FakeProvider();
+  }
+
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown payment provider "${name}"`);
+  }
+
+  return factory();
+};
+
+// The provider the app uses, created on first use
+const getPaymentProvider = () => {
+  if (!current) {
+    current = createPaymentProvider();
+    if (current.name === 'fake') {
+      console.log('Using the fake payment provider');
+    }
+  }
+  return current;
+};
+
+// Swap the provider, e.g. in tests
+const setPaymentProvider = provider => {
+  current = provider;
+};
+
+module.exports = {
+  PaymentProvider,
+  StripeProvider,
+  FakeProvider,
+  registerPaymentProvider,
+  createPaymentProvider,
+  getPaymentProvider,
+  setPaymentProvider
+};
@@ -0,0 +1,516 @@
+// services/platformReportService.js
+// Business reports for admins: revenue, token liabilities, signups, active
+// users, session fill rates, session refunds and purchase refunds. Every report takes a date range, a
+// day/week/month interval and optional grouping, and returns flat rows that
+// export to CSV as they are.
+const Transaction = require('../models/Transaction');
+const TokenLedger = require('../models/TokenLedger');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { DAY_MS, dayKey, parseDayRange } = require('../utils/dateRange');
+const HttpError = require('../utils/httpError');
+
+const MAX_RANGE_DAYS = 3 * 366;
+
+const round = (value, digits = 2) => Math.round((value || 0) * 10 ** digits) / 10 ** digits;
+const percent = (part, whole) => (whole ? round((part / whole) * 100, 1) : 0);
+const period = (field, interval) => ({ $dateTrunc: { date: field, unit: interval, startOfWeek: 'monday' } });
+
+class PlatformReportService {
+  constructor() {
+    this.reports = {
+      revenue: {
+        description: 'Revenue from paid token purchases, less what was refunded or charged back',
+        groupBy: ['package', 'currency'],
+        defaultGroupBy: ['package', 'currency'],
+        run: options => this.revenue(options)
+      },
+      tokens: {
+        description: 'Tokens issued, spent and outstanding',
+        groupBy: [],
+        defaultGroupBy: [],
+        run: options => this.tokens(options)
+      },
+      signups: {
+        description: 'New accounts by role',
+        groupBy: ['role'],
+        defaultGroupBy: ['role'],
+        run: options => this.signups(options)
+      },
+      'active-users': {
+        description: 'Users who attended a class or spent or bought tokens',
+        groupBy: [],
+        defaultGroupBy: [],
+        run: options => this.activeUsers(options)
+      },
+      'fill-rates': {
+        description: 'Booked seats against capacity of public sessions with a cap',
+        groupBy: ['category', 'trainer'],
+        defaultGroupBy: [],
+        run: options => this.fillRates(options)
+      },
+      refunds: {
+        description: 'Token refunds by reason',
+        groupBy: ['reason'],
+        defaultGroupBy: ['reason'],
+        run: options => this.refunds(options)
+      },
+      'purchase-refunds': {
+        description: 'Money and tokens given back on purchases through refunds and lost disputes',
+        groupBy: ['kind', 'currency'],
+        defaultGroupBy: ['kind'],
+        run: options => this.purchaseRefunds(options)
+      }
+    };
+  }
+
+  // The reports and the grouping each one accepts
+  list() {
+    return Object.entries(this.reports).map(([name, report]) => ({
+      name,
+      description: report.description,
+      groupBy: report.groupBy,
+      defaultGroupBy: report.defaultGroupBy
+    }));
+  }
+
+  /**
+   * Run a report
+   * @param {string} name - Report name, see list()
+   * @param {Object} query - from, to (YYYY-MM-DD), interval (day, week, month), groupBy (comma separated)
+   * @returns {Object} - { report, range, interval, groupBy, columns, rows, summary? }
+   */
+  async run(name, { from, to, interval, groupBy } = {}) {
+    const report = Object.prototype.hasOwnProperty.call(this.reports, name) && this.reports[name];
+    if (!report) {
+      throw new HttpError(404, 'Report not found');
+    }
+
+    const range = parseDayRange({ from, to, interval }, { maxDays: MAX_RANGE_DAYS });
+    const groups = this.parseGroupBy(groupBy, report);
+
+    const result = await report.run({ ...range, groups });
+
+    return {
+      report: name,
+      range: { from: dayKey(range.start), to: dayKey(new Date(range.end.getTime() - DAY_MS)) },
+      interval: range.interval,
+      groupBy: groups,
+      ...result
+    };
+  }
+
+  parseGroupBy(value, report) {
+    if (value === undefined) return report.defaultGroupBy;
+    if (value === '' || value === 'none') return [];
+
+    const groups = String(value).split(',').map(group => group.trim()).filter(Boolean);
+    const invalid = groups.find(group => !report.groupBy.includes(group));
+
+    if (invalid) {
+      throw new HttpError(400, report.groupBy.length
+        ? `groupBy must be one or more of: ${report.groupBy.join(', ')}`
+        : 'This report cannot be grouped');
+    }
+
+    return [...new Set(groups)];
+  }
+
+  async revenue({ start, end, interval, groups }) {
+    const byPackage = groups.includes('package');
+    const byCurrency = groups.includes('currency');
+
+    const rows = await Transaction.aggregate([
+      {
+        $match: {
+          type: 'purchase',
+          status: { $in: ['completed', 'refunded', 'charged_back'] },
+          createdAt: { $gte: start, $lt: end }
+        }
+      },
+      {
+        $group: {
+          _id: {
+            period: period('$createdAt', interval),
+            ...(byPackage && { package: '$package' }),
+            ...(byCurrency && { currency: '$currency' })
+          },
+          transactions: { $sum: 1 },
+          revenue: { $sum: '$amount' },
+          refunded: { $sum: { $ifNull: ['$refundedAmount', 0] } },
+          tokens: { $sum: '$tokenAmount' }
+        }
+      },
+      ...(byPackage ? [
+        { $lookup: { from: 'packages', localField: '_id.package', foreignField: '_id', as: 'package' } },
+        { $set: { packageName: { $first: '$package.name' } } }
+      ] : []),
+      { $sort: { '_id.period': 1, revenue: -1 } }
+    ]);
+
+    return {
+      columns: [
+        { key: 'period', label: 'Period' },
+        ...(byPackage ? [{ key: 'packageId', label: 'Package ID' }, { key: 'package', label: 'Package' }] : []),
+        ...(byCurrency ? [{ key: 'currency', label: 'Currency' }] : []),
+        { key: 'transactions', label: 'Transactions' },
+        { key: 'revenue', label: 'Revenue' },
+        { key: 'refunded', label: 'Refunded' },
+        { key: 'netRevenue', label: 'Net revenue' },
+        { key: 'tokens', label: 'Tokens sold' }
+      ],
+      rows: rows.map(row => ({
+        period: dayKey(row._id.period),
+        ...(byPackage && { packageId: row._id.package || null, package: row.packageName || null }),
+        ...(byCurrency && { currency: row._id.currency }),
+        transactions: row.transactions,
+        revenue: round(row.revenue),
+        refunded: round(row.refunded),
+        netRevenue: round(row.revenue - row.refunded),
+        tokens: row.tokens
+      }))
+    };
+  }
+
+  async tokens({ start, end, interval }) {
+    const signed = { $cond: [{ $eq: ['$type', 'credit'] }, '$amount', { $multiply: ['$amount', -1] }] };
+
+    const [[opening], entries, [cached]] = await Promise.all([
+      TokenLedger.aggregate([
+        { $match: { createdAt: { $lt: start } } },
+        { $group: { _id: null, balance: { $sum: signed } } }
+      ]),
+      TokenLedger.aggregate([
+        { $match: { createdAt: { $gte: start, $lt: end } } },
+        {
+          $group: {
+            _id: { period: period('$createdAt', interval), type: '$type', reason: '$reason' },
+            amount: { $sum: '$amount' }
+          }
+        },
+        { $sort: { '_id.period': 1 } }
+      ]),
+      User.aggregate([{ $group: { _id: null, tokens: { $sum: '$tokens' } } }])
+    ]);
+
+    const periods = new Map();
+    entries.forEach(({ _id, amount }) => {
+      const key = dayKey(_id.period);
+      if (!periods.has(key)) {
+        periods.set(key, {
+          period: key,
+          purchased: 0,
+          refunded: 0,
+          restored: 0,
+          adjustedIn: 0,
+          spentOnSessions: 0,
+          spentOnReplays: 0,
+          expired: 0,
+          clawedBack: 0,
+          adjustedOut: 0
+        });
+      }
+
+      const row = periods.get(key);
+      const column = _id.type === 'credit'
+        ? { purchase: 'purchased', refund: 'refunded', purchase_refund: 'restored', chargeback_release: 'restored' }[_id.reason] || 'adjustedIn'
+        : {
+          booking: 'spentOnSessions',
+          replay_purchase: 'spentOnReplays',
+          expiry: 'expired',
+          purchase_refund: 'clawedBack',
+          chargeback: 'clawedBack'
+        }[_id.reason] || 'adjustedOut';
+      row[column] += amount;
+    });
+
+    // Outstanding is everything issued and not yet spent, as of the end of each period
+    let outstanding = opening ? opening.balance : 0;
+    const rows = [...periods.values()].map(row => {
+      const issued = row.purchased + row.refunded + row.restored + row.adjustedIn;
+      const spent = row.spentOnSessions + row.spentOnReplays + row.expired + row.clawedBack + row.adjustedOut;
+      outstanding += issued - spent;
+      return { ...row, issued, spent, outstanding };
+    });
+
+    return {
+      columns: [
+        { key: 'period', label: 'Period' },
+        { key: 'purchased', label: 'Purchased' },
+        { key: 'refunded', label: 'Refunded' },
+        // Failed purchase refunds and won disputes
+        { key: 'restored', label: 'Restored' },
+        { key: 'adjustedIn', label: 'Admin credits' },
+        { key: 'issued', label: 'Issued' },
+        { key: 'spentOnSessions', label: 'Spent on sessions' },
+        { key: 'spentOnReplays', label: 'Spent on replays' },
+        { key: 'expired', label: 'Expired' },
+        // Taken back by purchase refunds and held by disputes
+        { key: 'clawedBack', label: 'Clawed back' },
+        { key: 'adjustedOut', label: 'Admin debits' },
+        { key: 'spent', label: 'Spent' },
+        { key: 'outstanding', label: 'Outstanding' }
+      ],
+      rows,
+      summary: {
+        openingOutstanding: opening ? opening.balance : 0,
+        closingOutstanding: outstanding,
+        // Sum of cached balances right now; differs from the ledger only if they drifted
+        currentBalances: cached ? cached.tokens : 0
+      }
+    };
+  }
+
+  async signups({ start, end, interval, groups }) {
+    const byRole = groups.includes('role');
+
+    const rows = await User.aggregate([
+      { $match: { createdAt: { $gte: start, $lt: end } } },
+      {
+        $group: {
+          _id: { period: period('$createdAt', interval), ...(byRole && { role: '$role' }) },
+          signups: { $sum: 1 }
+        }
+      },
+      { $sort: { '_id.period': 1, '_id.role': 1 } }
+    ]);
+
+    return {
+      columns: [
+        { key: 'period', label: 'Period' },
+        ...(byRole ? [{ key: 'role', label: 'Role' }] : []),
+        { key: 'signups', label: 'Signups' }
+      ],
+      rows: rows.map(row => ({
+        period: dayKey(row._id.period),
+        ...(byRole && { role: row._id.role }),
+        signups: row.signups
+      }))
+    };
+  }
+
+  async activeUsers({ start, end, interval }) {
+    const [transacting, attending] = await Promise.all([
+      TokenLedger.aggregate([
+        { $match: { createdAt: { $gte: start, $lt: end }, reason: { $in: ['purchase', 'booking', 'replay_purchase'] } } },
+        { $group: { _id: period('$createdAt', interval), users: { $addToSet: '$user' } } }
+      ]),
+      Session.aggregate([
+        // Sessions start at most a day before anyone joins them
+        { $match: { scheduledAt: { $gte: new Date(start.getTime() - DAY_MS), $lt: end } } },
+        { $unwind: '$participants' },
+        {
+          $project: {
+            user: '$participants.user',
+            // Attendance recorded before intervals were kept only has the last join
+            joins: {
+              $cond: [
+                { $gt: [{ $size: { $ifNull: ['$participants.intervals', []] } }, 0] },
+                '$participants.intervals.joinedAt',
+                ['$participants.joinedAt']
+              ]
+            }
+          }
+        },
+        { $unwind: '$joins' },
+        { $match: { joins: { $gte: start, $lt: end } } },
+        { $group: { _id: period('$joins', interval), users: { $addToSet: '$user' } } }
+      ])
+    ]);
+
+    const periods = new Map();
+    const forPeriod = (date) => {
+      const key = dayKey(date);
+      if (!periods.has(key)) periods.set(key, { period: key, transacting: new Set(), attending: new Set() });
+      return periods.get(key);
+    };
+
+    transacting.forEach(({ _id, users }) => users.forEach(user => forPeriod(_id).transacting.add(user.toString())));
+    attending.forEach(({ _id, users }) => users.forEach(user => forPeriod(_id).attending.add(user.toString())));
+
+    const rows = [...periods.values()]
+      .sort((a, b) => a.period.localeCompare(b.period))
+      .map(row => ({
+        period: row.period,
+        activeUsers: new Set([...row.transacting, ...row.attending]).size,
+        attending: row.attending.size,
+        transacting: row.transacting.size
+      }));
+
+    return {
+      columns: [
+        { key: 'period', label: 'Period' },
+        { key: 'activeUsers', label: 'Active users' },
+        { key: 'attending', label: 'Attended a class' },
+        { key: 'transacting', label: 'Bought or spent tokens' }
+      ],
+      rows
+    };
+  }
+
+  async fillRates({ start, end, interval, groups }) {
+    const byCategory = groups.includes('category');
+    const byTrainer = groups.includes('trainer');
+
+    const rows = await Session.aggregate([
+      {
+        $match: {
+          scheduledAt: { $gte: start, $lt: end },
+          status: { $in: ['scheduled', 'live', 'completed'] },
+          isPrivate: { $ne: true },
+          maxParticipants: { $gt: 0 }
+        }
+      },
+      {
+        $project: {
+          scheduledAt: 1,
+          category: 1,
+          trainer: 1,
+          status: 1,
+          maxParticipants: 1,
+          booked: { $size: '$participants' },
+          attended: { $size: { $filter: { input: '$participants', cond: { $gt: ['$$this.joinedAt', null] } } } }
+        }
+      },
+      {
+        $group: {
+          _id: {
+            period: period('$scheduledAt', interval),
+            ...(byCategory && { category: '$category' }),
+            ...(byTrainer && { trainer: '$trainer' })
+          },
+          sessions: { $sum: 1 },
+          seats: { $sum: '$maxParticipants' },
+          booked: { $sum: '$booked' },
+          fullSessions: { $sum: { $cond: [{ $gte: ['$booked', '$maxParticipants'] }, 1, 0] } },
+          completedBookings: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, '$booked', 0] } },
+          attended: { $sum: '$attended' }
+        }
+      },
+      ...(byTrainer ? [
+        { $lookup: { from: 'users', localField: '_id.trainer', foreignField: '_id', as: 'trainer' } },
+        {
+          $set: {
+            trainerName: {
+              $trim: { input: { $concat: [{ $first: '$trainer.firstName' }, ' ', { $first: '$trainer.lastName' }] } }
+            }
+          }
+        }
+      ] : []),
+      { $sort: { '_id.period': 1, booked: -1 } }
+    ]);
+
+    return {
+      columns: [
+        { key: 'period', label: 'Period' },
+        ...(byCategory ? [{ key: 'category', label: 'Category' }] : []),
+        ...(byTrainer ? [{ key: 'trainerId', label: 'Trainer ID' }, { key: 'trainer', label: 'Trainer' }] : []),
+        { key: 'sessions', label: 'Sessions' },
+        { key: 'seats', label: 'Seats' },
+        { key: 'booked', label: 'Booked' },
+        { key: 'fillRate', label: 'Fill rate %' },
+        { key: 'fullSessions', label: 'Full sessions' },
+        { key: 'attended', label: 'Attended' },
+        { key: 'showRate', label: 'Show rate %' }
+      ],
+      rows: rows.map(row => ({
+        period: dayKey(row._id.period),
+        ...(byCategory && { category: row._id.category }),
+        ...(byTrainer && { trainerId: row._id.trainer, trainer: row.trainerName || null }),
+        sessions: row.sessions,
+        seats: row.seats,
+        booked: row.booked,
+        fillRate: percent(row.booked, row.seats),
+        fullSessions: row.fullSessions,
+        attended: row.attended,
+        showRate: percent(row.attended, row.completedBookings)
+      }))
+    };
+  }
+
+  async refunds({ start, end, interval, groups }) {
+    const byReason = groups.includes('reason');
+
+    const rows = await Transaction.aggregate([
+      { $match: { type: 'session_refund', status: 'completed', createdAt: { $gte: start, $lt: end } } },
+      {
+        $group: {
+          _id: { period: period('$createdAt', interval), ...(byReason && { reason: '$refundDetails.reason' }) },
+          refunds: { $sum: 1 },
+          tokens: { $sum: '$tokenAmount' },
+          // Tokens the users paid for the cancelled bookings
+          originalTokens: { $sum: '$refundDetails.originalTokens' }
+        }
+      },
+      { $sort: { '_id.period': 1, '_id.reason': 1 } }
+    ]);
+
+    return {
+      columns: [
+        { key: 'period', label: 'Period' },
+        ...(byReason ? [{ key: 'reason', label: 'Reason' }] : []),
+        { key: 'refunds', label: 'Refunds' },
+        { key: 'tokens', label: 'Tokens refunded' },
+        { key: 'originalTokens', label: 'Tokens paid' },
+        { key: 'refundRate', label: 'Refunded %' }
+      ],
+      rows: rows.map(row => ({
+        period: dayKey(row._id.period),
+        ...(byReason && { reason: row._id.reason || null }),
+        refunds: row.refunds,
+        tokens: row.tokens,
+        originalTokens: row.originalTokens,
+        refundRate: percent(row.tokens, row.originalTokens)
+      }))
+    };
+  }
+
+  // Read from Transaction.history, so money is counted when it went back
+  async purchaseRefunds({ start, end, interval, groups }) {
+    const byKind = groups.includes('kind');
+    const byCurrency = groups.includes('currency');
+
+    const rows = await Transaction.aggregate([
+      { $match: { type: 'purchase', 'history.action': { $in: ['refunded', 'dispute_lost'] } } },
+      { $unwind: '$history' },
+      { $match: { 'history.action': { $in: ['refunded', 'dispute_lost'] }, 'history.at': { $gte: start, $lt: end } } },
+      {
+        $group: {
+          _id: {
+            period: period('$history.at', interval),
+            ...(byKind && { kind: '$history.action' }),
+            ...(byCurrency && { currency: '$currency' })
+          },
+          refunds: { $sum: 1 },
+          purchases: { $addToSet: '$_id' },
+          amount: { $sum: '$history.amount' },
+          tokens: { $sum: { $ifNull: ['$history.tokens', 0] } }
+        }
+      },
+      { $sort: { '_id.period': 1, '_id.kind': 1 } }
+    ]);
+
+    return {
+      columns: [
+        { key: 'period', label: 'Period' },
+        ...(byKind ? [{ key: 'kind', label: 'Kind' }] : []),
+        ...(byCurrency ? [{ key: 'currency', label: 'Currency' }] : []),
+        { key: 'refunds', label: 'Refunds' },
+        { key: 'purchases', label: 'Purchases' },
+        { key: 'amount', label: 'Amount' },
+        { key: 'tokens', label: 'Tokens clawed back' }
+      ],
+      rows: rows.map(row => ({
+        period: dayKey(row._id.period),
+        ...(byKind && { kind: row._id.kind === 'refunded' ? 'refund' : 'chargeback' }),
+        ...(byCurrency && { currency: row._id.currency }),
+        refunds: row.refunds,
+        purchases: row.purchases.length,
+        amount: round(row.amount),
+        tokens: row.tokens
+      }))
+    };
+  }
+}
+
+module.exports = new PlatformReportService();
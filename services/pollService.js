@@ -0,0 +1,276 @@
+// services/pollService.js
+const mongoose = require('mongoose');
+const StreamPoll = require('../models/StreamPoll');
+const StreamPollVote = require('../models/StreamPollVote');
+const chatService = require('./chatService');
+const moderationService = require('./moderationService');
+const realtimeService = require('./realtimeService');
+const HttpError = require('../utils/httpError');
+
+const DUPLICATE_KEY = 11000;
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 6;
+const MAX_DURATION_SECONDS = 60 * 60;
+
+class PollService {
+  /**
+   * Start a poll in a live session. One poll runs at a time.
+   * @param {Object} session - The session, already checked to be moderated by the user
+   * @param {Object} poll - question, options (array of strings), durationSeconds (optional)
+   * @param {Object} user - The trainer or admin starting it
+   * @returns {Object} - The poll as broadcast
+   */
+  async create(session, { question, options, durationSeconds }, user) {
+    if (session.status !== 'live') {
+      throw new HttpError(400, 'Session is not currently live');
+    }
+
+    if (typeof question !== 'string' || !question.trim()) {
+      throw new HttpError(400, 'Poll question is required');
+    }
+
+    const texts = Array.isArray(options)
+      ? options.map(option => (typeof option === 'string' ? option.trim() : '')).filter(Boolean)
+      : [];
+
+    if (texts.length < MIN_OPTIONS || texts.length > MAX_OPTIONS) {
+      throw new HttpError(400, `A poll needs between ${MIN_OPTIONS} and ${MAX_OPTIONS} options`);
+    }
+
+    if (new Set(texts.map(text => text.toLowerCase())).size !== texts.length) {
+      throw new HttpError(400, 'Poll options must be different');
+    }
+
+    let closesAt;
+    if (durationSeconds !== undefined && durationSeconds !== null) {
+      const seconds = Number(durationSeconds);
+      if (!Number.isInteger(seconds) || seconds < 10 || seconds > MAX_DURATION_SECONDS) {
+        throw new HttpError(400, `Duration must be between 10 and ${MAX_DURATION_SECONDS} seconds`);
+      }
+      closesAt = new Date(Date.now() + seconds * 1000);
+    }
+
+    await this.closeExpired(session._id);
+
+    if (await StreamPoll.exists({ session: session._id, status: 'open' })) {
+      throw new HttpError(400, 'Close the current poll before starting another');
+    }
+
+    let poll;
+    try {
+      poll = await StreamPoll.create({
+        session: session._id,
+        createdBy: user._id,
+        question: question.trim(),
+        options: texts.map(text => ({ text })),
+        closesAt
+      });
+    } catch (err) {
+      if (err.name === 'ValidationError') {
+        throw new HttpError(400, err.message);
+      }
+      throw err;
+    }
+
+    const payload = this.formatPoll(poll);
+    await realtimeService.emitToSession(session._id, 'poll:started', payload);
+
+    return payload;
+  }
+
+  /**
+   * Vote in an open poll. Each user votes once.
+   * @param {string} sessionId - The session ID
+   * @param {string} pollId - The poll ID
+   * @param {Object} user - The voter
+   * @param {string} optionId - The chosen option
+   * @returns {Object} - The poll with its new tally and the user's vote
+   */
+  async vote(sessionId, pollId, user, optionId) {
+    const session = await chatService.findLiveSession(sessionId, user);
+    await moderationService.assertCanChat(session, user, { message: false });
+
+    const poll = await this.findPoll(session, pollId);
+
+    if (!this.isOpen(poll)) {
+      await this.closeExpired(session._id);
+      throw new HttpError(400, 'This poll is closed');
+    }
+
+    const option = mongoose.isValidObjectId(optionId) && poll.options.id(optionId);
+    if (!option) {
+      throw new HttpError(400, 'Invalid poll option');
+    }
+
+    // The unique vote is the gate; the tally is only counted once it is in
+    try {
+      await StreamPollVote.create({ poll: poll._id, session: session._id, user: user._id, option: option._id });
+    } catch (err) {
+      if (err.code === DUPLICATE_KEY) {
+        throw new HttpError(400, 'You have already voted in this poll');
+      }
+      throw err;
+    }
+
+    const updated = await StreamPoll.findOneAndUpdate(
+      { _id: poll._id, 'options._id': option._id },
+      { $inc: { 'options.$.votes': 1, totalVotes: 1 } },
+      { new: true }
+    );
+
+    const payload = this.formatPoll(updated);
+    await realtimeService.emitToSession(session._id, 'poll:tally', payload);
+
+    return { ...payload, myVote: option._id };
+  }
+
+  /**
+   * Stop a poll and announce the final result
+   * @param {Object} session - The session, already checked to be moderated by the user
+   * @param {string} pollId - The poll ID
+   * @returns {Object} - The final poll
+   */
+  async close(session, pollId) {
+    const poll = await this.findPoll(session, pollId);
+
+    const closed = await StreamPoll.findOneAndUpdate(
+      { _id: poll._id, status: 'open' },
+      { $set: { status: 'closed', closedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!closed) {
+      throw new HttpError(400, 'This poll is already closed');
+    }
+
+    const payload = this.formatPoll(closed);
+    await realtimeService.emitToSession(session._id, 'poll:closed', payload);
+
+    return payload;
+  }
+
+  /**
+   * Close every open poll of a session, e.g. when the stream ends
+   * @param {string} sessionId - The session ID
+   */
+  async closeAll(sessionId) {
+    await this.closeMatching(sessionId, {});
+  }
+
+  // Polls past their closesAt are closed the next time anyone touches them
+  async closeExpired(sessionId) {
+    await this.closeMatching(sessionId, { closesAt: { $lte: new Date() } });
+  }
+
+  async closeMatching(sessionId, filter) {
+    const polls = await StreamPoll.find({ ...filter, session: sessionId, status: 'open' }).select('_id');
+
+    for (const { _id } of polls) {
+      const closed = await StreamPoll.findOneAndUpdate(
+        { _id, status: 'open' },
+        { $set: { status: 'closed', closedAt: new Date() } },
+        { new: true }
+      );
+
+      if (closed) {
+        await realtimeService.emitToSession(sessionId, 'poll:closed', this.formatPoll(closed));
+      }
+    }
+  }
+
+  /**
+   * A session's polls, newest first, with the user's own votes
+   * @param {Object} session - The session document
+   * @param {Object} user - The viewer
+   * @returns {Array} - The polls
+   */
+  async list(session, user) {
+    if (session.status === 'live') {
+      await this.closeExpired(session._id);
+    }
+
+    const polls = await StreamPoll.find({ session: session._id }).sort({ createdAt: -1 });
+    const votes = await StreamPollVote.find({ poll: { $in: polls.map(poll => poll._id) }, user: user._id })
+      .select('poll option');
+    const myVotes = new Map(votes.map(vote => [vote.poll.toString(), vote.option]));
+
+    return polls.map(poll => ({
+      ...this.formatPoll(poll),
+      myVote: myVotes.get(poll._id.toString()) || null
+    }));
+  }
+
+  /**
+   * Poll totals for session analytics, overall and per user
+   * @param {string} sessionId - The session ID
+   * @param {number} audience - How many people could have voted (booked participants)
+   * @returns {Object} - { polls, votes, voters, participationRate, results, byUser }
+   */
+  async getStats(sessionId, audience = 0) {
+    const session = new mongoose.Types.ObjectId(String(sessionId));
+
+    const [polls, voters] = await Promise.all([
+      StreamPoll.find({ session }).sort({ createdAt: 1 }),
+      StreamPollVote.aggregate([
+        { $match: { session } },
+        { $group: { _id: '$user', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const byUser = {};
+    voters.forEach(({ _id, count }) => {
+      byUser[_id.toString()] = { pollVotes: count };
+    });
+
+    // Average share of the audience that voted in each poll
+    const votes = polls.reduce((sum, poll) => sum + poll.totalVotes, 0);
+    const participationRate = polls.length && audience
+      ? Math.round((votes / (polls.length * audience)) * 100)
+      : 0;
+
+    return {
+      polls: polls.length,
+      votes,
+      voters: voters.length,
+      participationRate,
+      results: polls.map(poll => this.formatPoll(poll)),
+      byUser
+    };
+  }
+
+  async findPoll(session, pollId) {
+    const poll = mongoose.isValidObjectId(pollId) &&
+      await StreamPoll.findOne({ _id: pollId, session: session._id });
+
+    if (!poll) {
+      throw new HttpError(404, 'Poll not found');
+    }
+
+    return poll;
+  }
+
+  isOpen(poll) {
+    return poll.status === 'open' && (!poll.closesAt || poll.closesAt > new Date());
+  }
+
+  formatPoll(poll) {
+    return {
+      id: poll._id,
+      sessionId: poll.session,
+      question: poll.question,
+      options: poll.options.map(option => ({
+        id: option._id,
+        text: option.text,
+        votes: option.votes,
+        percent: poll.totalVotes ? Math.round((option.votes / poll.totalVotes) * 100) : 0
+      })),
+      totalVotes: poll.totalVotes,
+      status: this.isOpen(poll) ? 'open' : 'closed',
+      closesAt: poll.closesAt || null,
+      closedAt: poll.closedAt || null,
+      timestamp: poll.createdAt
+    };
+  }
+}
+
+module.exports = new PollService();
@@ -0,0 +1,133 @@
+// services/pubsub.js
+// Publish/subscribe adapters used to fan real-time events out to every
+// server instance. The in-memory adapter is enough for a single process;
+// RedisPubSub lets several instances share events through Redis.
+const { EventEmitter } = require('events');
+
+/**
+ * Interface every adapter implements. Messages are plain JSON-serialisable
+ * objects.
+ */
+class PubSub {
+  /**
+   * Publish a message on a channel
+   * @param {string} channel - Channel name
+   * @param {Object} message - JSON-serialisable payload
+   * @returns {Promise<void>}
+   */
+  async publish(channel, message) {
+    throw new Error('publish() not implemented');
+  }
+
+  /**
+   * Listen for messages on a channel
+   * @param {string} channel - Channel name
+   * @param {Function} handler - Called with each message
+   * @returns {Promise<Function>} - Call to unsubscribe
+   */
+  async subscribe(channel, handler) {
+    throw new Error('subscribe() not implemented');
+  }
+
+  /**
+   * Release connections and listeners
+   * @returns {Promise<void>}
+   */
+  async close() {}
+}
+
+// Single-process adapter, used when no Redis is configured
+class InMemoryPubSub extends PubSub {
+  constructor() {
+    super();
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+  }
+
+  async publish(channel, message) {
+    // Deliver asynchronously, like a real broker would
+    setImmediate(() => this.emitter.emit(channel, message));
+  }
+
+  async subscribe(channel, handler) {
+    this.emitter.on(channel, handler);
+    return async () => {
+      this.emitter.off(channel, handler);
+    };
+  }
+
+  async close() {
+    this.emitter.removeAllListeners();
+  }
+}
+
+/**
+ * Redis adapter. Takes two already-connected clients with the ioredis API
+ * (a subscribed connection cannot publish, so two are needed):
+ *   new RedisPubSub({ publisher: new Redis(url), subscriber: new Redis(url) })
+ */
+class RedisPubSub extends PubSub {
+  constructor({ publisher, subscriber, prefix = 'fitstream:' }) {
+    super();
+
+    if (!publisher || !subscriber) {
+      throw new Error('RedisPubSub needs a publisher and a subscriber client');
+    }
+
+    this.publisher = publisher;
+    this.subscriber = subscriber;
+    this.prefix = prefix;
+    this.handlers = new Map();
+
+    this.subscriber.on('message', (channel, raw) => {
+      const handlers = this.handlers.get(channel);
+      if (!handlers) return;
+
+      let message;
+      try {
+        message = JSON.parse(raw);
+      } catch (error) {
+        console.error(`Ignoring malformed message on ${channel}:`, error);
+        return;
+      }
+
+      handlers.forEach(handler => handler(message));
+    });
+  }
+
+  async publish(channel, message) {
+    await this.publisher.publish(this.prefix + channel, JSON.stringify(message));
+  }
+
+  async subscribe(channel, handler) {
+    const key = this.prefix + channel;
+
+    if (!this.handlers.has(key)) {
+      this.handlers.set(key, new Set());
+      await this.subscriber.subscribe(key);
+    }
+    this.handlers.get(key).add(handler);
+
+    return async () => {
+      const handlers = this.handlers.get(key);
+      if (!handlers) return;
+
+      handlers.delete(handler);
+      if (handlers.size === 0) {
+        this.handlers.delete(key);
+        await this.subscriber.unsubscribe(key);
+      }
+    };
+  }
+
+  async close() {
+    this.handlers.clear();
+    await Promise.all([this.publisher.quit(), this.subscriber.quit()]);
+  }
+}
+
+module.exports = {
+  PubSub,
+  InMemoryPubSub,
+  RedisPubSub
+};
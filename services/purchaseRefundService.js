@@ -0,0 +1,317 @@
+// services/purchaseRefundService.js
+// Refunds and disputes (chargebacks) on token purchases. Tokens leave the
+// buyer's balance before any money goes back, and every step is appended to
+// Transaction.history so a purchase can be audited end to end.
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const tokenLedgerService = require('./tokenLedgerService');
+const notificationService = require('./notificationService');
+const { getPaymentProvider } = require('./payments');
+const paymentConfig = require('../config/payments');
+const withTransaction = require('../utils/withTransaction');
+const HttpError = require('../utils/httpError');
+
+const SPENT_TOKENS_POLICIES = ['negative_balance', 'partial_refund', 'block'];
+const REFUND_REASONS = ['requested_by_customer', 'duplicate', 'fraudulent'];
+
+const cents = value => Math.round(value * 100) / 100;
+
+class PurchaseRefundService {
+  /**
+   * Refund all or part of a purchase through the payment provider and take
+   * back the matching share of its tokens. What happens when the buyer has
+   * already spent them depends on config/payments.js (spentTokensPolicy).
+   * @param {string} transactionId - The purchase transaction ID
+   * @param {Object} refund - amount (the rest of the purchase if omitted), reason, note
+   * @param {Object} admin - The admin refunding
+   * @returns {Object} - { transaction, refund: { amount, tokens, providerRefundId }, balance }
+   */
+  async refund(transactionId, { amount, reason = 'requested_by_customer', note } = {}, admin) {
+    const policy = paymentConfig.spentTokensPolicy;
+    if (!SPENT_TOKENS_POLICIES.includes(policy)) {
+      throw new Error(`Unknown spent tokens policy "${policy}"`);
+    }
+
+    if (!REFUND_REASONS.includes(reason)) {
+      throw new HttpError(400, `Reason must be one of: ${REFUND_REASONS.join(', ')}`);
+    }
+
+    const transaction = mongoose.isValidObjectId(transactionId) &&
+      await Transaction.findOne({ _id: transactionId, type: 'purchase' });
+
+    if (!transaction) {
+      throw new HttpError(404, 'Purchase not found');
+    }
+
+    if (transaction.status !== 'completed') {
+      throw new HttpError(400, `Only completed purchases can be refunded (this one is ${transaction.status})`);
+    }
+
+    if (transaction.dispute && transaction.dispute.status === 'open') {
+      throw new HttpError(400, 'This purchase is disputed; the dispute decides whether it is refunded');
+    }
+
+    const remainingAmount = cents(transaction.amount - transaction.refundedAmount);
+    const remainingTokens = transaction.tokenAmount - transaction.refundedTokens;
+    let value = amount === undefined || amount === '' ? remainingAmount : cents(Number(amount));
+
+    if (!(value > 0) || value > remainingAmount) {
+      throw new HttpError(400, `Refund amount must be between 0.01 and ${remainingAmount} ${transaction.currency}`);
+    }
+
+    // Tokens in proportion to the money, everything left on a final refund
+    let tokens = value === remainingAmount
+      ? remainingTokens
+      : Math.min(Math.round((transaction.tokenAmount * value) / transaction.amount), remainingTokens);
+
+    const buyer = await User.findById(transaction.user).select('tokens');
+    const balance = buyer ? buyer.tokens : 0;
+
+    if (tokens > balance && policy === 'block') {
+      throw new HttpError(409, `The buyer has ${Math.max(balance, 0)} of the ${tokens} tokens left, and refunds of spent tokens are blocked`);
+    }
+
+    if (tokens > balance && policy === 'partial_refund') {
+      tokens = Math.max(balance, 0);
+      value = Math.floor((transaction.amount * tokens * 100) / transaction.tokenAmount) / 100;
+
+      if (!(value > 0)) {
+        throw new HttpError(409, 'The buyer has already spent the tokens from this purchase');
+      }
+    }
+
+    const entryId = new mongoose.Types.ObjectId();
+    const description = `Refund of purchase ${transaction._id}`;
+
+    // Record the refund and take the tokens back together; the refundedAmount
+    // condition stops two admins refunding the same money at once
+    const claimed = await withTransaction(async dbSession => {
+      const updated = await Transaction.findOneAndUpdate(
+        {
+          _id: transaction._id,
+          status: 'completed',
+          refundedAmount: transaction.refundedAmount,
+          'dispute.status': { $ne: 'open' }
+        },
+        {
+          $inc: { refundedAmount: value, refundedTokens: tokens },
+          $set: { updatedAt: Date.now() },
+          $push: {
+            history: { _id: entryId, action: 'refund_requested', by: admin._id, amount: value, tokens, note: note || reason }
+          }
+        },
+        { new: true, session: dbSession }
+      );
+
+      if (!updated) return null;
+
+      if (tokens > 0) {
+        await tokenLedgerService.debit(transaction.user, tokens, 'purchase_refund', {
+          transaction: transaction._id,
+          description,
+          createdBy: admin._id,
+          allowNegative: policy === 'negative_balance',
+          dbSession
+        });
+      }
+
+      return updated;
+    });
+
+    if (!claimed) {
+      throw new HttpError(409, 'The purchase changed while refunding, please retry');
+    }
+
+    let providerRefund;
+    try {
+      providerRefund = await getPaymentProvider().refund(transaction.paymentDetails.transactionId, {
+        amount: value,
+        currency: transaction.currency,
+        reason,
+        idempotencyKey: `refund_${entryId}`
+      });
+    } catch (err) {
+      await this.restoreFailedRefund(transaction, { value, tokens, admin, error: err });
+      throw err;
+    }
+
+    const fullyRefunded = claimed.refundedAmount >= claimed.amount - 0.005;
+    const refunded = await Transaction.findOneAndUpdate(
+      { _id: transaction._id },
+      {
+        $set: { ...(fullyRefunded && { status: 'refunded' }), updatedAt: Date.now() },
+        $push: {
+          history: {
+            action: 'refunded',
+            by: admin._id,
+            amount: providerRefund.amount,
+            tokens,
+            providerId: providerRefund.id,
+            note: note || reason
+          }
+        }
+      },
+      { new: true }
+    );
+
+    await notificationService.notify(transaction.user, 'purchase_refunded', {
+      title: 'Purchase refunded',
+      message: `${value} ${transaction.currency} was refunded to your payment method and ${tokens} tokens were removed from your balance.`,
+      data: { transaction: transaction._id, amount: value, tokens }
+    });
+
+    const after = await User.findById(transaction.user).select('tokens');
+
+    return {
+      transaction: refunded,
+      refund: { amount: value, tokens, providerRefundId: providerRefund.id },
+      balance: after ? after.tokens : null
+    };
+  }
+
+  // The provider refused the refund: undo the bookkeeping and give the tokens back
+  async restoreFailedRefund(transaction, { value, tokens, admin, error }) {
+    await withTransaction(async dbSession => {
+      await Transaction.updateOne(
+        { _id: transaction._id },
+        {
+          $inc: { refundedAmount: -value, refundedTokens: -tokens },
+          $set: { updatedAt: Date.now() },
+          $push: { history: { action: 'refund_failed', by: admin._id, amount: value, tokens, note: error.message } }
+        },
+        { session: dbSession }
+      );
+
+      if (tokens > 0) {
+        await tokenLedgerService.credit(transaction.user, tokens, 'purchase_refund', {
+          transaction: transaction._id,
+          description: `Tokens restored after a failed refund of purchase ${transaction._id}`,
+          createdBy: admin._id,
+          dbSession
+        });
+      }
+    });
+  }
+
+  /**
+   * The buyer disputed the payment: hold the purchase's remaining tokens and
+   * flag the account
+   * @param {Object} transaction - The transaction document
+   * @param {Object} event - disputeId, amount, reason, at (from the provider)
+   * @returns {string} - dispute_opened or duplicate_dispute
+   */
+  async openDispute(transaction, { disputeId, amount, reason, at = new Date() }) {
+    const tokens = transaction.status === 'completed' ? transaction.tokenAmount - transaction.refundedTokens : 0;
+
+    const opened = await withTransaction(async dbSession => {
+      const updated = await Transaction.findOneAndUpdate(
+        { _id: transaction._id, 'dispute.disputeId': { $ne: disputeId } },
+        {
+          $set: {
+            dispute: { disputeId, status: 'open', reason, amount, tokensHeld: tokens, openedAt: at },
+            updatedAt: Date.now()
+          },
+          $push: { history: { action: 'dispute_opened', at, amount, tokens, providerId: disputeId, note: reason } }
+        },
+        { new: true, session: dbSession }
+      );
+
+      if (!updated) return null;
+
+      // The buyer may have spent them already; the balance can go negative
+      if (tokens > 0) {
+        await tokenLedgerService.debit(transaction.user, tokens, 'chargeback', {
+          transaction: transaction._id,
+          description: `Held while the payment for purchase ${transaction._id} is disputed`,
+          allowNegative: true,
+          dbSession
+        });
+      }
+
+      return updated;
+    });
+
+    if (!opened) {
+      return 'duplicate_dispute';
+    }
+
+    await User.updateOne(
+      { _id: transaction.user },
+      { $set: { paymentFlag: { flaggedAt: new Date(), reason: `Payment disputed (${reason || 'no reason given'})`, transaction: transaction._id } } }
+    );
+
+    return 'dispute_opened';
+  }
+
+  /**
+   * The bank decided a dispute: a win returns the held tokens, a loss keeps
+   * them and counts the disputed money as given back
+   * @param {Object} transaction - The transaction document
+   * @param {Object} event - disputeId, disputeStatus (won or lost), amount, at (from the provider)
+   * @returns {string} - dispute_won, dispute_lost or no_open_dispute
+   */
+  async closeDispute(transaction, { disputeId, disputeStatus, amount, at = new Date() }) {
+    const { dispute } = transaction;
+
+    if (!dispute || dispute.disputeId !== disputeId || dispute.status !== 'open' || !disputeStatus) {
+      return 'no_open_dispute';
+    }
+
+    const won = disputeStatus === 'won';
+    const tokens = dispute.tokensHeld || 0;
+    const disputed = amount !== undefined ? amount : dispute.amount || 0;
+
+    const closed = await withTransaction(async dbSession => {
+      const updated = await Transaction.findOneAndUpdate(
+        { _id: transaction._id, 'dispute.disputeId': disputeId, 'dispute.status': 'open' },
+        {
+          $set: {
+            'dispute.status': won ? 'won' : 'lost',
+            'dispute.closedAt': at,
+            ...(!won && { status: 'charged_back' }),
+            updatedAt: Date.now()
+          },
+          ...(!won && { $inc: { refundedAmount: disputed, refundedTokens: tokens } }),
+          $push: {
+            history: { action: won ? 'dispute_won' : 'dispute_lost', at, amount: disputed, tokens, providerId: disputeId }
+          }
+        },
+        { new: true, session: dbSession }
+      );
+
+      if (!updated) return null;
+
+      if (won && tokens > 0) {
+        await tokenLedgerService.credit(transaction.user, tokens, 'chargeback_release', {
+          transaction: transaction._id,
+          description: `Returned after the dispute on purchase ${transaction._id} was won`,
+          dbSession
+        });
+      }
+
+      return updated;
+    });
+
+    if (!closed) {
+      return 'no_open_dispute';
+    }
+
+    return won ? 'dispute_won' : 'dispute_lost';
+  }
+
+  /**
+   * Let a flagged user buy tokens again
+   * @param {string} userId - The user ID
+   */
+  async clearPaymentFlag(userId) {
+    const user = mongoose.isValidObjectId(userId) &&
+      await User.findByIdAndUpdate(userId, { $unset: { paymentFlag: '' } });
+
+    if (!user) {
+      throw new HttpError(404, 'User not found');
+    }
+  }
+}
+
+module.exports = new PurchaseRefundService();
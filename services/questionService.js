@@ -0,0 +1,268 @@
+// services/questionService.js
+const mongoose = require('mongoose');
+const StreamQuestion = require('../models/StreamQuestion');
+const chatService = require('./chatService');
+const chatFilterService = require('./chatFilterService');
+const moderationService = require('./moderationService');
+const realtimeService = require('./realtimeService');
+const HttpError = require('../utils/httpError');
+
+const MAX_QUESTION_LENGTH = 300;
+// Open questions one viewer can have in the queue at a time
+const MAX_OPEN_PER_USER = 3;
+const AUTHOR_FIELDS = 'firstName lastName profilePicture';
+
+class QuestionService {
+  /**
+   * Submit a question to the trainer of a live session
+   * @param {string} sessionId - The session ID
+   * @param {Object} user - The viewer asking
+   * @param {string} text - The question
+   * @returns {Object} - The question as broadcast
+   */
+  async ask(sessionId, user, text) {
+    const value = typeof text === 'string' ? text.trim().replace(/\s+/g, ' ') : '';
+
+    if (!value) {
+      throw new HttpError(400, 'Question text is required');
+    }
+
+    if (value.length > MAX_QUESTION_LENGTH) {
+      throw new HttpError(400, `Questions can be at most ${MAX_QUESTION_LENGTH} characters`);
+    }
+
+    const session = await chatService.findLiveSession(sessionId, user);
+    await moderationService.assertCanChat(session, user, { message: false });
+
+    const open = await StreamQuestion.countDocuments({ session: session._id, user: user._id, status: 'open' });
+    if (open >= MAX_OPEN_PER_USER) {
+      throw new HttpError(429, `You can have at most ${MAX_OPEN_PER_USER} open questions`);
+    }
+
+    // Blocked terms apply to questions the same way as to chat
+    const filtered = await chatFilterService.applyTerms({ text: value });
+
+    const question = await StreamQuestion.create({ session: session._id, user: user._id, text: filtered });
+    const payload = this.formatQuestion(question, user);
+
+    await realtimeService.emitToSession(session._id, 'qa:question', payload);
+
+    return payload;
+  }
+
+  /**
+   * Upvote an open question, or take the upvote back
+   * @param {string} sessionId - The session ID
+   * @param {string} questionId - The question ID
+   * @param {Object} user - The voter
+   * @param {boolean} remove - true to take the upvote back
+   * @returns {Object} - { id, upvotes, upvoted }
+   */
+  async upvote(sessionId, questionId, user, remove = false) {
+    const session = await chatService.findLiveSession(sessionId, user);
+    await moderationService.assertCanChat(session, user, { message: false });
+
+    const question = await this.findQuestion(session, questionId);
+
+    if (question.user.toString() === user._id.toString()) {
+      throw new HttpError(400, 'You cannot upvote your own question');
+    }
+
+    if (question.status !== 'open') {
+      throw new HttpError(400, 'This question is no longer open');
+    }
+
+    // The filter on upvotes keeps the count in step with the list under concurrent votes
+    const updated = await StreamQuestion.findOneAndUpdate(
+      remove
+        ? { _id: question._id, upvotes: user._id }
+        : { _id: question._id, upvotes: { $ne: user._id } },
+      remove
+        ? { $pull: { upvotes: user._id }, $inc: { upvoteCount: -1 } }
+        : { $addToSet: { upvotes: user._id }, $inc: { upvoteCount: 1 } },
+      { new: true }
+    );
+
+    const upvotes = updated ? updated.upvoteCount : question.upvoteCount;
+
+    if (updated) {
+      await realtimeService.emitToSession(session._id, 'qa:upvoted', {
+        id: question._id,
+        sessionId: session._id,
+        upvotes
+      });
+    }
+
+    return { id: question._id, upvotes, upvoted: !remove };
+  }
+
+  /**
+   * Mark a question answered or dismissed, reopen it, or pin it. Only one
+   * question is pinned at a time; pinning another unpins the previous one.
+   * @param {Object} session - The session, already checked to be moderated by the user
+   * @param {string} questionId - The question ID
+   * @param {Object} changes - status, pinned
+   * @returns {Object} - The question as broadcast
+   */
+  async update(session, questionId, { status, pinned }) {
+    if (status === undefined && pinned === undefined) {
+      throw new HttpError(400, 'Nothing to update');
+    }
+
+    if (status !== undefined && !StreamQuestion.schema.path('status').enumValues.includes(status)) {
+      throw new HttpError(400, 'Status must be open, answered or dismissed');
+    }
+
+    const question = await this.findQuestion(session, questionId);
+
+    if (status !== undefined) {
+      question.status = status;
+      question.answeredAt = status === 'answered' ? (question.answeredAt || new Date()) : undefined;
+      // Closed questions do not stay on top
+      if (status !== 'open') question.pinned = false;
+    }
+
+    if (pinned !== undefined) {
+      if (pinned && question.status !== 'open') {
+        throw new HttpError(400, 'Only open questions can be pinned');
+      }
+      question.pinned = Boolean(pinned);
+    }
+
+    if (question.pinned) {
+      await StreamQuestion.updateMany(
+        { session: session._id, pinned: true, _id: { $ne: question._id } },
+        { $set: { pinned: false, updatedAt: Date.now() } }
+      );
+    }
+
+    await question.save();
+    await question.populate('user', AUTHOR_FIELDS);
+
+    const payload = this.formatQuestion(question, question.user);
+    await realtimeService.emitToSession(session._id, 'qa:updated', payload);
+
+    return payload;
+  }
+
+  /**
+   * The session's questions: the pinned one first, then open questions by
+   * upvotes, then the rest
+   * @param {Object} session - The session document
+   * @param {Object} user - The viewer (to flag their own upvotes)
+   * @param {Object} options - status to only list one status
+   * @returns {Array} - The questions
+   */
+  async list(session, user, { status } = {}) {
+    const query = { session: session._id };
+
+    if (status) {
+      if (!StreamQuestion.schema.path('status').enumValues.includes(status)) {
+        throw new HttpError(400, 'Status must be open, answered or dismissed');
+      }
+      query.status = status;
+    }
+
+    const questions = await StreamQuestion.find(query)
+      .sort({ pinned: -1, upvoteCount: -1, createdAt: 1 })
+      .populate('user', AUTHOR_FIELDS);
+
+    // Sorting is stable, so the query order holds within each group
+    const order = { open: 0, answered: 1, dismissed: 2 };
+    return questions
+      .sort((a, b) => (b.pinned - a.pinned) || (order[a.status] - order[b.status]))
+      .map(question => this.formatQuestion(question, question.user, user));
+  }
+
+  /**
+   * Q&A totals for session analytics, overall and per user
+   * @param {string} sessionId - The session ID
+   * @returns {Object} - { questions, answered, dismissed, upvotes, askers, byUser }
+   */
+  async getStats(sessionId) {
+    const session = new mongoose.Types.ObjectId(String(sessionId));
+
+    const [[totals], askers, voters] = await Promise.all([
+      StreamQuestion.aggregate([
+        { $match: { session } },
+        {
+          $group: {
+            _id: null,
+            questions: { $sum: 1 },
+            answered: { $sum: { $cond: [{ $eq: ['$status', 'answered'] }, 1, 0] } },
+            dismissed: { $sum: { $cond: [{ $eq: ['$status', 'dismissed'] }, 1, 0] } },
+            upvotes: { $sum: '$upvoteCount' }
+          }
+        }
+      ]),
+      StreamQuestion.aggregate([
+        { $match: { session } },
+        { $group: { _id: '$user', count: { $sum: 1 } } }
+      ]),
+      StreamQuestion.aggregate([
+        { $match: { session } },
+        { $unwind: '$upvotes' },
+        { $group: { _id: '$upvotes', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const byUser = {};
+    const forUser = (userId) => {
+      const key = userId.toString();
+      byUser[key] = byUser[key] || { questions: 0, upvotes: 0 };
+      return byUser[key];
+    };
+
+    askers.forEach(({ _id, count }) => {
+      forUser(_id).questions = count;
+    });
+    voters.forEach(({ _id, count }) => {
+      forUser(_id).upvotes = count;
+    });
+
+    const { questions = 0, answered = 0, dismissed = 0, upvotes = 0 } = totals || {};
+
+    return {
+      questions,
+      answered,
+      dismissed,
+      answerRate: questions ? Math.round((answered / questions) * 100) : 0,
+      upvotes,
+      askers: askers.length,
+      byUser
+    };
+  }
+
+  async findQuestion(session, questionId) {
+    const question = mongoose.isValidObjectId(questionId) &&
+      await StreamQuestion.findOne({ _id: questionId, session: session._id });
+
+    if (!question) {
+      throw new HttpError(404, 'Question not found');
+    }
+
+    return question;
+  }
+
+  formatQuestion(question, author, viewer) {
+    const payload = {
+      id: question._id,
+      sessionId: question.session,
+      user: chatService.publicUser(author),
+      text: question.text,
+      status: question.status,
+      pinned: question.pinned,
+      upvotes: question.upvoteCount,
+      answeredAt: question.answeredAt || null,
+      timestamp: question.createdAt
+    };
+
+    if (viewer) {
+      payload.upvoted = question.upvotes.some(id => id.toString() === viewer._id.toString());
+    }
+
+    return payload;
+  }
+}
+
+module.exports = new QuestionService();
@@ -0,0 +1,213 @@
+// services/realtimeGateway.js
+// Socket.IO gateway for live sessions. Clients connect with their JWT
+// (auth.token or an Authorization header), join a session room and then
+// receive chat, reactions, Q&A, polls, workout intensity, presence and status
+// events for that session.
+//
+// Client -> server: session:join, session:leave, chat:message, chat:reaction,
+//                   qa:ask, qa:upvote, poll:vote, metrics:sample
+// Server -> client: chat:message, chat:message_deleted, chat:reaction,
+//                   qa:question, qa:upvoted, qa:updated,
+//                   poll:started, poll:tally, poll:closed, metrics:intensity,
+//                   participant:joined, participant:left, session:status,
+//                   moderation:muted|unmuted|kicked|banned|unbanned|settings
+const { Server } = require('socket.io');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const chatService = require('./chatService');
+const questionService = require('./questionService');
+const pollService = require('./pollService');
+const workoutMetricsService = require('./workoutMetricsService');
+const moderationService = require('./moderationService');
+const realtimeService = require('./realtimeService');
+const HttpError = require('../utils/httpError');
+
+class RealtimeGateway {
+  /**
+   * Attach the gateway to the HTTP server the API runs on
+   * @param {http.Server} httpServer - The server from http.createServer(app)
+   * @returns {Server} - The Socket.IO server
+   */
+  async attach(httpServer) {
+    const io = new Server(httpServer, {
+      cors: {
+        origin: '*',
+        methods: ['GET', 'POST']
+      }
+    });
+
+    io.use((socket, next) => this.authenticate(socket, next));
+    io.on('connection', socket => this.handleConnection(socket));
+
+    await realtimeService.attach(io);
+
+    return io;
+  }
+
+  // Verify the JWT from the handshake and load the user
+  async authenticate(socket, next) {
+    try {
+      const header = socket.handshake.headers.authorization || '';
+      const token = socket.handshake.auth.token || header.replace(/^Bearer\s+/i, '');
+
+      if (!token) {
+        return next(new Error('Authentication required'));
+      }
+
+      const payload = jwt.verify(token, process.env.JWT_SECRET || 'your-jwt-secret');
+      const user = await User.findById(payload.id).select('firstName lastName profilePicture role moderation');
+
+      if (!user) {
+        return next(new Error('Authentication failed'));
+      }
+
+      if (user.isSuspended()) {
+        return next(new Error('Your account is suspended'));
+      }
+
+      socket.data.user = user;
+      next();
+    } catch (error) {
+      next(new Error('Authentication failed'));
+    }
+  }
+
+  handleConnection(socket) {
+    // Sessions this socket has joined, so we can announce it leaving on disconnect
+    socket.data.sessions = new Set();
+    // Lets moderation reach every socket the user has open
+    socket.join(realtimeService.userRoom(socket.data.user._id));
+
+    this.on(socket, 'session:join', ({ sessionId }) => this.joinSession(socket, sessionId));
+    this.on(socket, 'session:leave', ({ sessionId }) => this.leaveSession(socket, sessionId));
+
+    this.on(socket, 'chat:message', ({ sessionId, message }) => {
+      this.assertJoined(socket, sessionId);
+      return chatService.postMessage(sessionId, socket.data.user, message);
+    });
+
+    this.on(socket, 'chat:reaction', ({ sessionId, type }) => {
+      this.assertJoined(socket, sessionId);
+      return chatService.postReaction(sessionId, socket.data.user, type);
+    });
+
+    this.on(socket, 'qa:ask', ({ sessionId, text }) => {
+      this.assertJoined(socket, sessionId);
+      return questionService.ask(sessionId, socket.data.user, text);
+    });
+
+    this.on(socket, 'qa:upvote', ({ sessionId, questionId, remove }) => {
+      this.assertJoined(socket, sessionId);
+      return questionService.upvote(sessionId, questionId, socket.data.user, Boolean(remove));
+    });
+
+    this.on(socket, 'poll:vote', ({ sessionId, pollId, optionId }) => {
+      this.assertJoined(socket, sessionId);
+      return pollService.vote(sessionId, pollId, socket.data.user, optionId);
+    });
+
+    this.on(socket, 'metrics:sample', ({ sessionId, samples, device }) => {
+      this.assertJoined(socket, sessionId);
+      return workoutMetricsService.ingest(sessionId, socket.data.user, samples, { device });
+    });
+
+    socket.on('disconnect', () => {
+      socket.data.sessions.forEach(sessionId => this.announceLeave(socket, sessionId));
+      socket.data.sessions.clear();
+    });
+  }
+
+  // Register a handler that answers through the acknowledgement callback
+  on(socket, event, handler) {
+    socket.on(event, async (data, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+
+      try {
+        // Suspensions can start after the handshake, so every event re-checks
+        if (await this.isSuspended(socket)) {
+          reply({ ok: false, error: 'Your account is suspended' });
+          socket.disconnect(true);
+          return;
+        }
+
+        const result = await handler(data || {});
+        reply({ ok: true, data: result });
+      } catch (error) {
+        if (!error.statusCode) {
+          console.error(`Error handling ${event}:`, error);
+        }
+        reply({ ok: false, error: error.statusCode ? error.message : 'Something went wrong' });
+      }
+    });
+  }
+
+  async isSuspended(socket) {
+    const user = await User.findById(socket.data.user._id).select('moderation');
+    return !user || user.isSuspended();
+  }
+
+  async joinSession(socket, sessionId) {
+    const session = mongoose.isValidObjectId(sessionId) &&
+      await Session.findById(sessionId).select('trainer status title moderation');
+
+    if (!session) {
+      throw new HttpError(404, 'Session not found');
+    }
+
+    if (!['scheduled', 'live'].includes(session.status)) {
+      throw new HttpError(400, `Cannot join a ${session.status} session`);
+    }
+
+    if (!(await chatService.canAccess(session, socket.data.user))) {
+      throw new HttpError(403, 'You must book this session to join');
+    }
+
+    if (!moderationService.isStaff(session, socket.data.user)) {
+      moderationService.assertCanJoin(session, socket.data.user._id);
+    }
+
+    const id = session._id.toString();
+    if (!socket.data.sessions.has(id)) {
+      socket.join(realtimeService.sessionRoom(id));
+      socket.data.sessions.add(id);
+
+      await realtimeService.emitToSession(id, 'participant:joined', {
+        sessionId: id,
+        user: chatService.publicUser(socket.data.user),
+        timestamp: new Date()
+      });
+    }
+
+    return { sessionId: id, status: session.status };
+  }
+
+  async leaveSession(socket, sessionId) {
+    const id = String(sessionId);
+
+    if (socket.data.sessions.has(id)) {
+      socket.leave(realtimeService.sessionRoom(id));
+      socket.data.sessions.delete(id);
+      await this.announceLeave(socket, id);
+    }
+
+    return { sessionId: id };
+  }
+
+  announceLeave(socket, sessionId) {
+    return realtimeService.emitToSession(sessionId, 'participant:left', {
+      sessionId,
+      user: chatService.publicUser(socket.data.user),
+      timestamp: new Date()
+    });
+  }
+
+  assertJoined(socket, sessionId) {
+    if (!socket.data.sessions.has(String(sessionId))) {
+      throw new HttpError(400, 'Join the session before sending to it');
+    }
+  }
+}
+
+module.exports = new RealtimeGateway();
@@ -0,0 +1,135 @@
+// services/realtimeService.js
+const { InMemoryPubSub } = require('./pubsub');
+
+const SESSION_EVENTS_CHANNEL = 'session-events';
+// Instructions to act on connected sockets, e.g. drop a kicked user from a room
+const SOCKET_CONTROL_CHANNEL = 'socket-control';
+
+class RealtimeService {
+  constructor() {
+    this.pubsub = new InMemoryPubSub();
+    this.io = null;
+    this.unsubscribe = null;
+  }
+
+  /**
+   * Swap the pub/sub adapter (e.g. RedisPubSub when running several
+   * instances). Must be called before attach().
+   * @param {PubSub} pubsub - Adapter implementing publish/subscribe
+   */
+  setPubSub(pubsub) {
+    if (this.io) {
+      throw new Error('Set the pub/sub adapter before attaching the gateway');
+    }
+    this.pubsub = pubsub;
+  }
+
+  /**
+   * Start relaying published events to this instance's sockets
+   * @param {Server} io - The Socket.IO server
+   */
+  async attach(io) {
+    this.io = io;
+    const unsubscribeEvents = await this.pubsub.subscribe(SESSION_EVENTS_CHANNEL, ({ sessionId, event, payload }) => {
+      this.io.to(this.sessionRoom(sessionId)).emit(event, payload);
+    });
+    const unsubscribeControl = await this.pubsub.subscribe(SOCKET_CONTROL_CHANNEL, message => this.applyControl(message));
+
+    this.unsubscribe = async () => {
+      await unsubscribeEvents();
+      await unsubscribeControl();
+    };
+  }
+
+  /**
+   * Broadcast an event to everyone in a session's room, on every instance.
+   * Never throws - real-time delivery must not fail the request that caused it.
+   * @param {string} sessionId - The session ID
+   * @param {string} event - Event name, e.g. 'chat:message'
+   * @param {Object} payload - Event data
+   */
+  async emitToSession(sessionId, event, payload) {
+    try {
+      await this.pubsub.publish(SESSION_EVENTS_CHANNEL, {
+        sessionId: sessionId.toString(),
+        event,
+        payload
+      });
+    } catch (error) {
+      console.error(`Error broadcasting ${event} for session ${sessionId}:`, error);
+    }
+  }
+
+  /**
+   * Take a user's sockets out of a session room, on every instance, so a
+   * kicked or banned user stops receiving its events and cannot send to it.
+   * Never throws.
+   * @param {string} sessionId - The session ID
+   * @param {string} userId - The user ID
+   */
+  async removeFromSession(sessionId, userId) {
+    await this.control({ action: 'leave', sessionId: sessionId.toString(), userId: userId.toString() });
+  }
+
+  /**
+   * Disconnect every socket a user has open, on every instance (e.g. when
+   * their account is suspended). Never throws.
+   * @param {string} userId - The user ID
+   */
+  async disconnectUser(userId) {
+    await this.control({ action: 'disconnect', userId: userId.toString() });
+  }
+
+  async control(message) {
+    try {
+      await this.pubsub.publish(SOCKET_CONTROL_CHANNEL, message);
+    } catch (error) {
+      console.error(`Error sending ${message.action} for user ${message.userId}:`, error);
+    }
+  }
+
+  // Each instance only touches the sockets connected to it
+  async applyControl({ action, sessionId, userId }) {
+    if (!this.io) return;
+
+    const userSockets = this.io.local.in(this.userRoom(userId));
+
+    try {
+      if (action === 'disconnect') {
+        userSockets.disconnectSockets(true);
+        return;
+      }
+
+      if (action === 'leave') {
+        const room = this.sessionRoom(sessionId);
+        const sockets = await userSockets.fetchSockets();
+
+        sockets.forEach(socket => {
+          socket.leave(room);
+          if (socket.data.sessions) socket.data.sessions.delete(sessionId);
+        });
+      }
+    } catch (error) {
+      console.error(`Error applying ${action} for user ${userId}:`, error);
+    }
+  }
+
+  // Socket.IO room holding everyone connected to one session
+  sessionRoom(sessionId) {
+    return `session:${sessionId}`;
+  }
+
+  // Socket.IO room holding every socket one user has open
+  userRoom(userId) {
+    return `user:${userId}`;
+  }
+
+  async close() {
+    if (this.unsubscribe) await this.unsubscribe();
+    if (this.io) this.io.close();
+    await this.pubsub.close();
+    this.io = null;
+  }
+}
+
+module.exports = new RealtimeService();
@@ -0,0 +1,227 @@
+// services/recordingService.js
+const Recording = require('../models/Recording');
+const Session = require('../models/Session');
+const { getStreamProvider } = require('./streaming');
+const HttpError = require('../utils/httpError');
+
+const DUPLICATE_KEY = 11000;
+
+class RecordingService {
+  /**
+   * Start recording a live session
+   * @param {Object} session - The session document (must be live)
+   * @returns {Object} - The recording
+   */
+  async start(session) {
+    if (session.status !== 'live' || !session.streamingDetails || !session.streamingDetails.channelName) {
+      throw new HttpError(400, 'Only live sessions can be recorded');
+    }
+
+    const provider = getStreamProvider();
+
+    // Claim the session first, so two start requests cannot both reach the provider
+    let recording;
+    try {
+      recording = await Recording.create({
+        session: session._id,
+        trainer: session.trainer._id || session.trainer,
+        title: session.title,
+        provider: provider.name,
+        channelName: session.streamingDetails.channelName
+      });
+    } catch (err) {
+      if (err.code === DUPLICATE_KEY) {
+        throw new HttpError(409, 'This session is already being recorded');
+      }
+      throw err;
+    }
+
+    try {
+      const { resourceId, sid, uid, mode } = await provider.startRecording(recording.channelName, {
+        fileNamePrefix: ['sessions', session._id.toString()]
+      });
+
+      Object.assign(recording, { resourceId, sid, uid, mode, status: 'recording', startedAt: new Date() });
+      await recording.save();
+    } catch (err) {
+      recording.status = 'failed';
+      recording.active = false;
+      recording.error = err.message;
+      await recording.save();
+      throw err;
+    }
+
+    await Session.updateOne(
+      { _id: session._id },
+      { $set: { 'streamingDetails.resourceId': recording.resourceId, 'streamingDetails.sid': recording.sid } }
+    );
+
+    return recording;
+  }
+
+  /**
+   * Stop the running recording of a session, if any, and store its files
+   * @param {Object} session - The session document
+   * @returns {Object|null} - The finished recording, or null if none was running
+   */
+  async stop(session) {
+    const recording = await Recording.findOne({ session: session._id, active: true });
+
+    if (!recording) {
+      return null;
+    }
+
+    // Started but never confirmed by the provider - nothing to stop
+    if (!recording.sid) {
+      recording.status = 'failed';
+      recording.active = false;
+      recording.error = 'Recording did not start';
+      await recording.save();
+      return recording;
+    }
+
+    recording.stoppedAt = new Date();
+    recording.active = false;
+
+    try {
+      const provider = this.providerFor(recording);
+      const { files, uploadingStatus } = await provider.stopRecording(recording);
+
+      const playlist = files.find(file => /\.m3u8$/.test(file.fileName || '')) || files[0];
+
+      recording.files = files;
+      recording.uploadingStatus = uploadingStatus;
+      recording.url = playlist ? provider.getRecordingUrl(playlist.fileName) : undefined;
+      recording.duration = Math.round((recording.stoppedAt - recording.startedAt) / 1000);
+      recording.status = files.length ? 'ready' : 'failed';
+      if (!files.length) recording.error = 'No files were recorded';
+    } catch (err) {
+      recording.status = 'failed';
+      recording.error = err.message;
+    }
+
+    await recording.save();
+
+    if (recording.status === 'ready') {
+      await Session.updateOne(
+        { _id: session._id },
+        { $set: { 'streamingDetails.recordingUrl': recording.url } }
+      );
+    }
+
+    return recording;
+  }
+
+  /**
+   * Current state of a session's running recording, as reported by the provider
+   * @param {Object} session - The session document
+   * @returns {Object} - { recording, serverResponse }
+   */
+  async getStatus(session) {
+    const recording = await Recording.findOne({ session: session._id, active: true });
+
+    if (!recording || !recording.sid) {
+      return { recording, serverResponse: null };
+    }
+
+    const serverResponse = await this.providerFor(recording).queryRecording(recording);
+
+    return { recording, serverResponse };
+  }
+
+  // Recordings can only be managed by the provider that started them
+  providerFor(recording) {
+    const provider = getStreamProvider();
+
+    if (recording.provider && recording.provider !== provider.name) {
+      throw new HttpError(409, `This recording was started with the ${recording.provider} streaming provider`);
+    }
+
+    return provider;
+  }
+
+  /**
+   * List recordings, newest first
+   * @param {Object} filter - trainer and/or session to filter by
+   * @param {Object} options - page, limit
+   * @returns {Object} - { recordings, pagination }
+   */
+  async list(filter, { page = 1, limit = 20 } = {}) {
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+    const query = { ...filter, status: { $ne: 'deleted' } };
+
+    const [recordings, total] = await Promise.all([
+      Recording.find(query)
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .populate('session', 'title scheduledAt duration'),
+      Recording.countDocuments(query)
+    ]);
+
+    return {
+      recordings,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+
+  /**
+   * Load a recording the user may manage (its trainer or an admin)
+   * @param {string} recordingId - The recording ID
+   * @param {Object} user - The current user
+   * @returns {Object} - The recording
+   */
+  async findManaged(recordingId, user) {
+    const recording = await Recording.findOne({ _id: recordingId, status: { $ne: 'deleted' } });
+
+    if (!recording) {
+      throw new HttpError(404, 'Recording not found');
+    }
+
+    if (recording.trainer.toString() !== user._id.toString() && user.role !== 'admin') {
+      throw new HttpError(403, 'Not authorized to manage this recording');
+    }
+
+    return recording;
+  }
+
+  async rename(recording, title) {
+    if (!title || !title.trim()) {
+      throw new HttpError(400, 'Title is required');
+    }
+
+    recording.title = title.trim();
+    await recording.save();
+    return recording;
+  }
+
+  /**
+   * Remove a recording from the library. Files stay in storage until the
+   * bucket's lifecycle rules clean them up.
+   * @param {Object} recording - The recording document
+   */
+  async remove(recording) {
+    if (recording.active) {
+      throw new HttpError(400, 'Stop the recording before deleting it');
+    }
+
+    recording.status = 'deleted';
+    recording.deletedAt = new Date();
+    await recording.save();
+
+    if (recording.url) {
+      await Session.updateOne(
+        { _id: recording.session, 'streamingDetails.recordingUrl': recording.url },
+        { $unset: { 'streamingDetails.recordingUrl': '' } }
+      );
+    }
+  }
+}
+
+module.exports = new RecordingService();
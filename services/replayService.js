@@ -0,0 +1,375 @@
+// services/replayService.js
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const Recording = require('../models/Recording');
+const ReplayAccess = require('../models/ReplayAccess');
+const tokenLedgerService = require('./tokenLedgerService');
+const replayPolicy = require('../config/replayPolicy');
+const withTransaction = require('../utils/withTransaction');
+const HttpError = require('../utils/httpError');
+const { signUrl, verifyUrl } = require('../utils/signedUrl');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ReplayService {
+  constructor() {
+    this.urlSecret = process.env.REPLAY_URL_SECRET || process.env.JWT_SECRET || 'your-jwt-secret';
+  }
+
+  /**
+   * Replay details for a user: whether one exists, its price and their access
+   * @param {string} sessionId - The session ID
+   * @param {Object} user - The current user
+   * @returns {Object} - { available, tokenCost, duration, access }
+   */
+  async getReplayInfo(sessionId, user) {
+    const session = await this.findSession(sessionId);
+    const recording = await this.findRecording(session);
+    const access = recording ? await this.resolveAccess(session, recording, user) : null;
+
+    return {
+      session: { _id: session._id, title: session.title, scheduledAt: session.scheduledAt },
+      available: Boolean(recording),
+      tokenCost: session.replay.tokenCost,
+      duration: recording ? recording.duration : null,
+      access: access && {
+        source: access.source,
+        expiresAt: access.expiresAt,
+        progress: access.progress
+      }
+    };
+  }
+
+  /**
+   * Buy replay access with tokens. Runs the same conditional debit as a
+   * booking, so the balance can never go below zero.
+   * @param {string} sessionId - The session ID
+   * @param {Object} user - The buyer
+   * @returns {Object} - { access, tokens }
+   */
+  async purchase(sessionId, user) {
+    const session = await this.findSession(sessionId);
+    const recording = await this.findRecording(session);
+
+    if (!recording) {
+      throw new HttpError(404, 'No replay is available for this session');
+    }
+
+    if (!session.replay.tokenCost) {
+      throw new HttpError(400, 'This replay is not for sale');
+    }
+
+    const existing = await this.resolveAccess(session, recording, user);
+    if (existing) {
+      throw new HttpError(400, 'You already have access to this replay');
+    }
+
+    const now = new Date();
+
+    return withTransaction(async dbSession => {
+      const { balance } = await tokenLedgerService.debit(user._id, session.replay.tokenCost, 'replay_purchase', {
+        session: session._id,
+        description: `Replay of "${session.title}"`,
+        dbSession
+      });
+
+      // Replaces an expired grant, keeping the watch progress. If a valid grant
+      // appeared meanwhile the upsert hits the unique index and the debit rolls back.
+      let access;
+      try {
+        access = await ReplayAccess.findOneAndUpdate(
+          { user: user._id, session: session._id, expiresAt: { $lte: now } },
+          {
+            $set: {
+              source: 'purchase',
+              tokensPaid: session.replay.tokenCost,
+              expiresAt: new Date(now.getTime() + replayPolicy.purchasedAccessDays * DAY_MS),
+              updatedAt: Date.now()
+            },
+            $setOnInsert: { createdAt: Date.now() }
+          },
+          { upsert: true, new: true, session: dbSession }
+        );
+      } catch (err) {
+        if (err.code === 11000) {
+          throw new HttpError(400, 'You already have access to this replay');
+        }
+        throw err;
+      }
+
+      return { access, tokens: balance };
+    });
+  }
+
+  /**
+   * Issue a short-lived signed playback URL and count the view
+   * @param {string} sessionId - The session ID
+   * @param {Object} user - The viewer
+   * @param {string} baseUrl - Origin the API is served from
+   * @returns {Object} - { url, expiresAt, progress }
+   */
+  async createPlayback(sessionId, user, baseUrl) {
+    const session = await this.findSession(sessionId);
+    const recording = await this.findRecording(session);
+
+    if (!recording) {
+      throw new HttpError(404, 'No replay is available for this session');
+    }
+
+    const access = await this.resolveAccess(session, recording, user);
+    if (!access) {
+      throw new HttpError(403, 'You do not have access to this replay');
+    }
+
+    const { url, expiresAt } = signUrl(this.streamPath(session._id), {
+      secret: this.urlSecret,
+      expiresIn: replayPolicy.playbackUrlTtlSeconds,
+      params: { recording: recording._id.toString() }
+    });
+
+    // Trainers and admins previewing do not count as views
+    if (access.source !== 'staff') {
+      await ReplayAccess.updateOne(
+        { _id: access._id },
+        { $inc: { views: 1 }, $set: { 'progress.lastWatchedAt': new Date() } }
+      );
+    }
+
+    return {
+      url: `${baseUrl}${url}`,
+      expiresAt,
+      progress: access.progress || null
+    };
+  }
+
+  /**
+   * Resolve a signed playback URL to the recording's storage URL
+   * @param {string} sessionId - The session ID from the path
+   * @param {Object} query - The signed query string
+   * @returns {string} - Where to redirect the player
+   */
+  async resolvePlayback(sessionId, query) {
+    if (!verifyUrl(this.streamPath(sessionId), query, this.urlSecret)) {
+      throw new HttpError(403, 'This playback link is invalid or has expired');
+    }
+
+    const recording = await Recording.findOne({ _id: query.recording, session: sessionId, status: 'ready' });
+    if (!recording || !recording.url) {
+      throw new HttpError(404, 'Recording not found');
+    }
+
+    return recording.url;
+  }
+
+  /**
+   * Save how far a user got, for "continue watching"
+   * @param {string} sessionId - The session ID
+   * @param {Object} user - The viewer
+   * @param {Object} progress - position and duration in seconds
+   * @returns {Object} - The saved progress
+   */
+  async updateProgress(sessionId, user, { position, duration }) {
+    const seconds = Number(position);
+    const total = duration !== undefined ? Number(duration) : undefined;
+
+    if (!Number.isFinite(seconds) || seconds < 0 || (total !== undefined && !(total > 0))) {
+      throw new HttpError(400, 'Position and duration must be positive numbers of seconds');
+    }
+
+    const session = await this.findSession(sessionId);
+    const recording = await this.findRecording(session);
+    const access = recording && await this.resolveAccess(session, recording, user);
+
+    if (!access) {
+      throw new HttpError(403, 'You do not have access to this replay');
+    }
+
+    // Trainers and admins previewing are not tracked
+    if (access.source === 'staff') {
+      return null;
+    }
+
+    const knownDuration = total || access.progress.duration || recording.duration;
+    const completed = access.progress.completed ||
+      Boolean(knownDuration && seconds >= knownDuration * replayPolicy.completedThreshold);
+
+    const updated = await ReplayAccess.findByIdAndUpdate(
+      access._id,
+      {
+        $set: {
+          'progress.position': knownDuration ? Math.min(seconds, knownDuration) : seconds,
+          'progress.duration': knownDuration,
+          'progress.completed': completed,
+          'progress.lastWatchedAt': new Date(),
+          updatedAt: Date.now()
+        }
+      },
+      { new: true }
+    );
+
+    return updated.progress;
+  }
+
+  /**
+   * Replays a user started but has not finished, most recent first
+   * @param {string} userId - The user ID
+   * @param {number} limit - Maximum number of replays
+   * @returns {Array} - Replay access entries with their sessions
+   */
+  async getContinueWatching(userId, limit = 10) {
+    return ReplayAccess.find({
+      user: userId,
+      expiresAt: { $gt: new Date() },
+      'progress.position': { $gt: 0 },
+      'progress.completed': false
+    })
+      .sort({ 'progress.lastWatchedAt': -1 })
+      .limit(limit)
+      .populate({
+        path: 'session',
+        select: 'title category difficulty duration thumbnail trainer scheduledAt',
+        populate: { path: 'trainer', select: 'firstName lastName' }
+      });
+  }
+
+  /**
+   * Replay numbers for session analytics
+   * @param {string} sessionId - The session ID
+   * @returns {Object} - { viewers, views, completed, purchases, tokensEarned, averageProgress }
+   */
+  async getReplayStats(sessionId) {
+    const [stats] = await ReplayAccess.aggregate([
+      { $match: { session: new mongoose.Types.ObjectId(String(sessionId)) } },
+      {
+        $group: {
+          _id: null,
+          viewers: { $sum: { $cond: [{ $gt: ['$views', 0] }, 1, 0] } },
+          views: { $sum: '$views' },
+          completed: { $sum: { $cond: ['$progress.completed', 1, 0] } },
+          purchases: { $sum: { $cond: [{ $eq: ['$source', 'purchase'] }, 1, 0] } },
+          tokensEarned: { $sum: '$tokensPaid' },
+          averageProgress: {
+            $avg: {
+              $cond: [
+                { $gt: ['$progress.duration', 0] },
+                { $divide: ['$progress.position', '$progress.duration'] },
+                null
+              ]
+            }
+          }
+        }
+      }
+    ]);
+
+    const available = await Recording.exists({ session: sessionId, status: 'ready' });
+
+    return {
+      available: Boolean(available),
+      viewers: stats ? stats.viewers : 0,
+      views: stats ? stats.views : 0,
+      completed: stats ? stats.completed : 0,
+      purchases: stats ? stats.purchases : 0,
+      tokensEarned: stats ? stats.tokensEarned : 0,
+      averageProgress: stats && stats.averageProgress !== null
+        ? Math.round(stats.averageProgress * 100)
+        : 0 // percent
+    };
+  }
+
+  /**
+   * Change a session's replay price and window
+   * @param {Object} session - The session document
+   * @param {Object} settings - enabled, tokenCost, accessDays
+   * @returns {Object} - The replay settings
+   */
+  async updateSettings(session, { enabled, tokenCost, accessDays }) {
+    if (enabled !== undefined) session.replay.enabled = Boolean(enabled);
+    if (tokenCost !== undefined) session.replay.tokenCost = tokenCost;
+    if (accessDays !== undefined) session.replay.accessDays = accessDays;
+
+    try {
+      await session.save();
+    } catch (err) {
+      if (err.name === 'ValidationError') {
+        throw new HttpError(400, err.message);
+      }
+      throw err;
+    }
+
+    return session.replay;
+  }
+
+  /**
+   * Find the user's current access, granting the booked window on first use.
+   * Trainers and admins get a plain, untracked access object.
+   * @returns {Object|null} - ReplayAccess document, a 'staff' access, or null
+   */
+  async resolveAccess(session, recording, user) {
+    const isStaff = user.role === 'admin' || session.trainer.toString() === user._id.toString();
+    if (isStaff) {
+      return { source: 'staff', expiresAt: null, progress: null };
+    }
+
+    const existing = await ReplayAccess.findOne({ user: user._id, session: session._id });
+    if (existing && existing.expiresAt > new Date()) {
+      return existing;
+    }
+
+    // Booked participants get the replay for a window after the class ended
+    const booked = await User.exists({ _id: user._id, 'bookedSessions.session': session._id });
+    if (!booked || existing) {
+      return null;
+    }
+
+    const endedAt = recording.stoppedAt ||
+      new Date(new Date(session.scheduledAt).getTime() + session.duration * 60000);
+    const accessDays = session.replay.accessDays || replayPolicy.bookedAccessDays;
+    const expiresAt = new Date(endedAt.getTime() + accessDays * DAY_MS);
+
+    if (expiresAt <= new Date()) {
+      return null;
+    }
+
+    try {
+      return await ReplayAccess.create({
+        user: user._id,
+        session: session._id,
+        source: 'booking',
+        expiresAt
+      });
+    } catch (err) {
+      // Granted by a parallel request
+      if (err.code === 11000) {
+        return ReplayAccess.findOne({ user: user._id, session: session._id });
+      }
+      throw err;
+    }
+  }
+
+  async findSession(sessionId) {
+    const session = mongoose.isValidObjectId(sessionId) &&
+      await Session.findById(sessionId).select('title trainer scheduledAt duration status replay');
+
+    if (!session) {
+      throw new HttpError(404, 'Session not found');
+    }
+
+    return session;
+  }
+
+  // The most recent finished recording, if replays are enabled
+  async findRecording(session) {
+    if (session.replay && session.replay.enabled === false) {
+      return null;
+    }
+
+    return Recording.findOne({ session: session._id, status: 'ready' }).sort({ stoppedAt: -1 });
+  }
+
+  streamPath(sessionId) {
+    return `/api/replays/${sessionId}/stream`;
+  }
+}
+
+module.exports = new ReplayService();
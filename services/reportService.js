@@ -0,0 +1,319 @@
+// services/reportService.js
+const mongoose = require('mongoose');
+const Report = require('../models/Report');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const StreamMessage = require('../models/StreamMessage');
+const BlockedTerm = require('../models/BlockedTerm');
+const chatService = require('./chatService');
+const chatFilterService = require('./chatFilterService');
+const notificationService = require('./notificationService');
+const realtimeService = require('./realtimeService');
+const moderationPolicy = require('../config/moderationPolicy');
+const HttpError = require('../utils/httpError');
+
+const DUPLICATE_KEY = 11000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ReportService {
+  /**
+   * File a report about a chat message, a trainer or a session
+   * @param {Object} reporter - The user reporting
+   * @param {Object} report - targetType, targetId, reason, details
+   * @returns {Object} - The report
+   */
+  async create(reporter, { targetType, targetId, reason, details }) {
+    if (!Report.schema.path('targetType').enumValues.includes(targetType)) {
+      throw new HttpError(400, 'Target type must be message, trainer or session');
+    }
+
+    if (!Report.schema.path('reason').enumValues.includes(reason)) {
+      throw new HttpError(400, `Reason must be one of: ${Report.schema.path('reason').enumValues.join(', ')}`);
+    }
+
+    if (!mongoose.isValidObjectId(targetId)) {
+      throw new HttpError(400, 'Invalid target ID');
+    }
+
+    const target = await this.resolveTarget(targetType, targetId, reporter);
+
+    if (target.reportedUser.toString() === reporter._id.toString()) {
+      throw new HttpError(400, 'You cannot report yourself');
+    }
+
+    try {
+      return await Report.create({
+        reporter: reporter._id,
+        targetType,
+        targetId,
+        reason,
+        details,
+        ...target
+      });
+    } catch (err) {
+      if (err.code === DUPLICATE_KEY) {
+        throw new HttpError(400, 'You have already reported this');
+      }
+      if (err.name === 'ValidationError') {
+        throw new HttpError(400, err.message);
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Reports for the admin review queue; open reports oldest first
+   * @param {Object} filter - status, targetType, reportedUser, reporter
+   * @param {Object} options - page, limit
+   * @returns {Object} - { reports, pagination }
+   */
+  async list(filter, { page = 1, limit = 20 } = {}) {
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const [reports, total] = await Promise.all([
+      Report.find(filter)
+        .sort({ createdAt: filter.status === 'open' ? 1 : -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .populate('reporter reportedUser', 'firstName lastName email role moderation')
+        .populate('session', 'title scheduledAt')
+        .populate('resolution.resolvedBy', 'firstName lastName'),
+      Report.countDocuments(filter)
+    ]);
+
+    return {
+      reports,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+
+  /**
+   * Close a report. Warnings and suspensions add a strike to the reported user.
+   * @param {string} reportId - The report ID
+   * @param {Object} resolution - action (dismiss, warn, suspend), note, suspendDays
+   * @param {Object} admin - The reviewing admin
+   * @returns {Object} - { report, strikes, suspendedUntil }
+   */
+  async resolve(reportId, { action, note, suspendDays }, admin) {
+    if (!['dismiss', 'warn', 'suspend'].includes(action)) {
+      throw new HttpError(400, 'Action must be dismiss, warn or suspend');
+    }
+
+    const days = suspendDays !== undefined ? Number(suspendDays) : moderationPolicy.defaultSuspensionDays;
+    if (action === 'suspend' && !(days > 0 && days <= 365)) {
+      throw new HttpError(400, 'Suspension must be between 1 and 365 days');
+    }
+
+    if (!mongoose.isValidObjectId(reportId)) {
+      throw new HttpError(404, 'Report not found');
+    }
+
+    // Claim the report so two admins cannot both act on it
+    const report = await Report.findOneAndUpdate(
+      { _id: reportId, status: 'open' },
+      {
+        $set: {
+          status: action === 'dismiss' ? 'dismissed' : 'actioned',
+          resolution: { action, note, resolvedBy: admin._id, resolvedAt: new Date() },
+          updatedAt: Date.now()
+        }
+      },
+      { new: true }
+    );
+
+    if (!report) {
+      const exists = await Report.exists({ _id: reportId });
+      throw new HttpError(exists ? 400 : 404, exists ? 'This report has already been resolved' : 'Report not found');
+    }
+
+    if (action === 'dismiss') {
+      return { report, strikes: null, suspendedUntil: null };
+    }
+
+    const { strikes, suspendedUntil } = await this.addStrike(report.reportedUser, {
+      suspendDays: action === 'suspend' ? days : null,
+      reason: note || `Report upheld: ${report.reason}`
+    });
+
+    if (suspendedUntil) {
+      report.resolution.suspendedUntil = suspendedUntil;
+      await report.save();
+    }
+
+    return { report, strikes, suspendedUntil };
+  }
+
+  /**
+   * Add a strike, suspending the account when asked to or when it reaches
+   * the strike limit (config/moderationPolicy.js)
+   * @param {string} userId - The user ID
+   * @param {Object} options - suspendDays (null for a warning), reason
+   * @returns {Object} - { strikes, suspendedUntil }
+   */
+  async addStrike(userId, { suspendDays = null, reason } = {}) {
+    const now = new Date();
+    const limit = moderationPolicy.strikesBeforeSuspension;
+    const until = new Date(now.getTime() + (suspendDays || moderationPolicy.defaultSuspensionDays) * DAY_MS);
+
+    // The strike and the suspension it may trigger are one write, decided on
+    // the count it brings the user to. A longer suspension already running is
+    // never shortened.
+    const strikesAfter = { $add: [{ $ifNull: ['$moderation.strikes', 0] }, 1] };
+    const suspends = {
+      $and: [
+        suspendDays ? true : { $gte: [strikesAfter, limit] },
+        { $lt: [{ $ifNull: ['$moderation.suspendedUntil', new Date(0)] }, until] }
+      ]
+    };
+
+    const before = mongoose.isValidObjectId(userId) && await User.findOneAndUpdate(
+      { _id: userId },
+      [{
+        $set: {
+          'moderation.strikes': strikesAfter,
+          'moderation.lastStrikeAt': now,
+          'moderation.suspendedUntil': { $cond: [suspends, until, '$moderation.suspendedUntil'] },
+          'moderation.suspensionReason': { $cond: [suspends, { $literal: reason }, '$moderation.suspensionReason'] }
+        }
+      }],
+      { new: false }
+    ).select('moderation');
+
+    if (!before) {
+      throw new HttpError(404, 'User not found');
+    }
+
+    // Work out what the pipeline did from the document it started from
+    const previous = before.moderation || {};
+    const strikes = (previous.strikes || 0) + 1;
+    const suspend = Boolean(suspendDays) || strikes >= limit;
+    const extended = suspend && !(previous.suspendedUntil >= until);
+
+    if (!suspend) {
+      await notificationService.notify(userId, 'account_warning', {
+        title: 'You received a warning',
+        message: `${reason}. Strike ${strikes} of ${limit}; reaching the limit suspends your account.`,
+        data: { strikes }
+      });
+      return { strikes, suspendedUntil: null };
+    }
+
+    // Already suspended for longer: nothing changed, so nothing to announce
+    if (!extended) {
+      return { strikes, suspendedUntil: previous.suspendedUntil };
+    }
+
+    // Drop their live connections; the gateway refuses them until it ends
+    await realtimeService.disconnectUser(userId);
+
+    await notificationService.notify(userId, 'account_suspended', {
+      title: 'Your account has been suspended',
+      message: `${reason}. You can use FitStream again after ${until.toISOString()}.`,
+      data: { strikes, suspendedUntil: until }
+    });
+
+    return { strikes, suspendedUntil: until };
+  }
+
+  /**
+   * End a user's suspension early
+   * @param {string} userId - The user ID
+   * @returns {Object} - The user's moderation state
+   */
+  async liftSuspension(userId) {
+    const user = mongoose.isValidObjectId(userId) && await User.findByIdAndUpdate(
+      userId,
+      { $unset: { 'moderation.suspendedUntil': '', 'moderation.suspensionReason': '' } },
+      { new: true }
+    );
+
+    if (!user) {
+      throw new HttpError(404, 'User not found');
+    }
+
+    return user.moderation;
+  }
+
+  async listBlockedTerms() {
+    return BlockedTerm.find().sort({ term: 1 });
+  }
+
+  /**
+   * Add a term to the chat word list, or change how an existing one is handled
+   * @param {Object} term - term, action (mask or block), wholeWord
+   * @param {Object} admin - The admin
+   * @returns {Object} - The blocked term
+   */
+  async saveBlockedTerm({ term, action = 'mask', wholeWord = true }, admin) {
+    const value = typeof term === 'string' ? term.trim().toLowerCase() : '';
+
+    if (!value) {
+      throw new HttpError(400, 'Term is required');
+    }
+
+    if (!['mask', 'block'].includes(action)) {
+      throw new HttpError(400, 'Action must be mask or block');
+    }
+
+    const saved = await BlockedTerm.findOneAndUpdate(
+      { term: value },
+      {
+        $set: { action, wholeWord: Boolean(wholeWord), updatedAt: Date.now() },
+        $setOnInsert: { createdBy: admin._id, createdAt: Date.now() }
+      },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    chatFilterService.clearTermsCache();
+    return saved;
+  }
+
+  async removeBlockedTerm(termId) {
+    const removed = mongoose.isValidObjectId(termId) && await BlockedTerm.findByIdAndDelete(termId);
+
+    if (!removed) {
+      throw new HttpError(404, 'Term not found');
+    }
+
+    chatFilterService.clearTermsCache();
+  }
+
+  // Who is accountable for the target, plus context to keep with the report
+  async resolveTarget(targetType, targetId, reporter) {
+    if (targetType === 'message') {
+      const message = await StreamMessage.findById(targetId);
+      const session = message && await Session.findById(message.session).select('trainer');
+
+      if (!message || !session || !(await chatService.canAccess(session, reporter))) {
+        throw new HttpError(404, 'Message not found');
+      }
+
+      return { reportedUser: message.user, session: message.session, messageText: message.message };
+    }
+
+    if (targetType === 'trainer') {
+      const trainer = await User.exists({ _id: targetId, role: 'trainer' });
+
+      if (!trainer) {
+        throw new HttpError(404, 'Trainer not found');
+      }
+
+      return { reportedUser: targetId };
+    }
+
+    const session = await Session.findById(targetId).select('trainer');
+    if (!session) {
+      throw new HttpError(404, 'Session not found');
+    }
+
+    return { reportedUser: session.trainer, session: session._id };
+  }
+}
+
+module.exports = new ReportService();
@@ -0,0 +1,448 @@
+// services/schedulingService.js
+const Session = require('../models/Session');
+const User = require('../models/User');
+const TrainerAvailability = require('../models/TrainerAvailability');
+const tokenLedgerService = require('./tokenLedgerService');
+const notificationService = require('./notificationService');
+const bookingService = require('./bookingService');
+const withTransaction = require('../utils/withTransaction');
+const HttpError = require('../utils/httpError');
+const { getZonedParts, zonedTimeToUtc, parseDateTime } = require('../utils/timezone');
+
+// Statuses that occupy the trainer's time
+const BUSY_STATUSES = ['pending', 'scheduled', 'live'];
+const SLOT_STEP_MINUTES = 30;
+const RESPONSE_WINDOW_HOURS = 48;
+const MAX_SLOT_RANGE_DAYS = 31;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "07:30" -> 450
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+class SchedulingService {
+  /**
+   * Get a trainer's availability, with defaults if none was published yet
+   * @param {string} trainerId - The trainer's user ID
+   * @returns {Object} - Availability document (unsaved if new)
+   */
+  async getAvailability(trainerId) {
+    const availability = await TrainerAvailability.findOne({ trainer: trainerId });
+    return availability || new TrainerAvailability({ trainer: trainerId });
+  }
+
+  /**
+   * Replace a trainer's weekly windows, blackout dates and settings
+   * @param {string} trainerId - The trainer's user ID
+   * @param {Object} data - timezone, weeklyWindows, blackoutDates, minNoticeHours
+   * @returns {Object} - The saved availability
+   */
+  async updateAvailability(trainerId, data) {
+    const availability = await this.getAvailability(trainerId);
+
+    if (data.timezone) availability.timezone = data.timezone;
+    if (data.minNoticeHours !== undefined) availability.minNoticeHours = data.minNoticeHours;
+
+    if (data.weeklyWindows) {
+      data.weeklyWindows.forEach(window => {
+        if (!window.startTime || !window.endTime || toMinutes(window.endTime) <= toMinutes(window.startTime)) {
+          throw new HttpError(400, 'Each availability window must end after it starts');
+        }
+      });
+      availability.weeklyWindows = data.weeklyWindows;
+    }
+
+    if (data.blackoutDates) {
+      data.blackoutDates.forEach(blackout => {
+        if (new Date(blackout.end) <= new Date(blackout.start)) {
+          throw new HttpError(400, 'Each blackout must end after it starts');
+        }
+      });
+      availability.blackoutDates = data.blackoutDates;
+    }
+
+    try {
+      await availability.save();
+    } catch (err) {
+      if (err.name === 'ValidationError') {
+        throw new HttpError(400, err.message);
+      }
+      throw err;
+    }
+
+    return availability;
+  }
+
+  /**
+   * Serialise scheduling for one trainer and make sure the time is free.
+   * Must run inside a transaction: the lock write makes a concurrent
+   * transaction for the same trainer conflict and retry, so it sees our session.
+   * @param {string} trainerId - The trainer's user ID
+   * @param {Date} start - Start of the time to reserve
+   * @param {number} duration - Length in minutes
+   * @param {ClientSession} dbSession - The active MongoDB session
+   * @param {Object} options - excludeSessionId when moving an existing session
+   */
+  async reserveTrainerTime(trainerId, start, duration, dbSession, { excludeSessionId } = {}) {
+    await TrainerAvailability.updateOne(
+      { trainer: trainerId },
+      { $inc: { bookingLock: 1 } },
+      { upsert: true, session: dbSession }
+    );
+
+    await this.assertTrainerFree(trainerId, start, duration, { excludeSessionId, dbSession });
+  }
+
+  /**
+   * Fail if the trainer already has a session overlapping the given time
+   * @param {string} trainerId - The trainer's user ID
+   * @param {Date} start - Start time
+   * @param {number} duration - Length in minutes
+   * @param {Object} options - excludeSessionId, dbSession
+   */
+  async assertTrainerFree(trainerId, start, duration, { excludeSessionId, dbSession } = {}) {
+    const conflict = await this.findConflict(trainerId, start, duration, { excludeSessionId, dbSession });
+
+    if (conflict) {
+      throw new HttpError(409, `Trainer is already booked at that time ("${conflict.title}")`);
+    }
+  }
+
+  async findConflict(trainerId, start, duration, { excludeSessionId, dbSession } = {}) {
+    const startDate = new Date(start);
+    const end = new Date(startDate.getTime() + duration * 60000);
+
+    const query = {
+      trainer: trainerId,
+      status: { $in: BUSY_STATUSES },
+      scheduledAt: { $lt: end },
+      // Existing session ends after the new one starts
+      $expr: {
+        $gt: [{ $add: ['$scheduledAt', { $multiply: ['$duration', 60000] }] }, startDate]
+      }
+    };
+
+    if (excludeSessionId) query._id = { $ne: excludeSessionId };
+
+    return Session.findOne(query).select('title scheduledAt duration').session(dbSession || null);
+  }
+
+  /**
+   * Whether a time falls completely inside one weekly window and outside
+   * every blackout
+   * @param {Object} availability - The trainer's availability
+   * @param {Date} start - Start time
+   * @param {number} duration - Length in minutes
+   * @returns {boolean}
+   */
+  isWithinAvailability(availability, start, duration) {
+    const startDate = new Date(start);
+    const end = new Date(startDate.getTime() + duration * 60000);
+    const local = getZonedParts(startDate, availability.timezone);
+    const startMinutes = local.hour * 60 + local.minute;
+    const endMinutes = startMinutes + duration;
+
+    const inWindow = availability.weeklyWindows.some(window =>
+      window.dayOfWeek === local.weekday &&
+      toMinutes(window.startTime) <= startMinutes &&
+      endMinutes <= toMinutes(window.endTime)
+    );
+
+    const blackedOut = availability.blackoutDates.some(blackout =>
+      startDate < new Date(blackout.end) && end > new Date(blackout.start)
+    );
+
+    return inWindow && !blackedOut;
+  }
+
+  /**
+   * List bookable private slots for a trainer
+   * @param {string} trainerId - The trainer's user ID
+   * @param {Object} options - from, to, duration (minutes)
+   * @returns {Object} - { timezone, duration, tokenCost, slots }
+   */
+  async getFreeSlots(trainerId, { from, to, duration = 60 } = {}) {
+    const trainer = await this.findTrainer(trainerId);
+    const availability = await this.getAvailability(trainerId);
+    const slotDuration = parseInt(duration, 10);
+
+    if (!slotDuration || slotDuration < 15 || slotDuration > 240) {
+      throw new HttpError(400, 'Duration must be between 15 and 240 minutes');
+    }
+
+    const earliest = new Date(Date.now() + availability.minNoticeHours * 60 * 60 * 1000);
+    const rangeStart = from ? new Date(from) : new Date();
+    const rangeEnd = to ? new Date(to) : new Date(rangeStart.getTime() + 7 * DAY_MS);
+
+    if (isNaN(rangeStart) || isNaN(rangeEnd) || rangeEnd <= rangeStart) {
+      throw new HttpError(400, 'Invalid date range');
+    }
+
+    if (rangeEnd - rangeStart > MAX_SLOT_RANGE_DAYS * DAY_MS) {
+      throw new HttpError(400, `Date range can be at most ${MAX_SLOT_RANGE_DAYS} days`);
+    }
+
+    const busy = await Session.find({
+      trainer: trainerId,
+      status: { $in: BUSY_STATUSES },
+      scheduledAt: { $lt: rangeEnd, $gt: new Date(rangeStart.getTime() - DAY_MS) }
+    }).select('scheduledAt duration');
+
+    const overlapsBusy = (start, end) => busy.some(session => {
+      const busyStart = new Date(session.scheduledAt);
+      const busyEnd = new Date(busyStart.getTime() + session.duration * 60000);
+      return start < busyEnd && end > busyStart;
+    });
+
+    const slots = [];
+    const firstDay = getZonedParts(rangeStart, availability.timezone);
+    const firstDayUtc = Date.UTC(firstDay.year, firstDay.month - 1, firstDay.day);
+
+    for (let offset = 0; offset <= MAX_SLOT_RANGE_DAYS; offset++) {
+      const day = new Date(firstDayUtc + offset * DAY_MS);
+      const windows = availability.weeklyWindows.filter(window => window.dayOfWeek === day.getUTCDay());
+
+      for (const window of windows) {
+        const windowEnd = toMinutes(window.endTime);
+
+        for (let minute = toMinutes(window.startTime); minute + slotDuration <= windowEnd; minute += SLOT_STEP_MINUTES) {
+          const start = zonedTimeToUtc(
+            day.getUTCFullYear(),
+            day.getUTCMonth() + 1,
+            day.getUTCDate(),
+            Math.floor(minute / 60),
+            minute % 60,
+            availability.timezone
+          );
+          const end = new Date(start.getTime() + slotDuration * 60000);
+
+          if (start < rangeStart || end > rangeEnd || start < earliest) continue;
+          if (!this.isWithinAvailability(availability, start, slotDuration)) continue;
+          if (overlapsBusy(start, end)) continue;
+
+          slots.push({ start, end });
+        }
+      }
+
+      if (day.getTime() > rangeEnd.getTime()) break;
+    }
+
+    return {
+      timezone: availability.timezone,
+      duration: slotDuration,
+      tokenCost: this.calculatePrice(trainer, slotDuration),
+      slots
+    };
+  }
+
+  /**
+   * Request a private 1:1 session. Tokens are taken straight away and held
+   * until the trainer accepts (or refunded if they decline).
+   * @param {string} trainerId - The trainer's user ID
+   * @param {Object} user - The requesting user
+   * @param {Object} data - scheduledAt, duration (minutes), title, note
+   * @returns {Object} - { session, tokens }
+   */
+  async requestPrivateSession(trainerId, user, { scheduledAt, duration = 60, title, note } = {}) {
+    const trainer = await this.findTrainer(trainerId);
+    const availability = await this.getAvailability(trainerId);
+    const slotDuration = parseInt(duration, 10);
+
+    if (trainer._id.toString() === user._id.toString()) {
+      throw new HttpError(400, 'You cannot book a private session with yourself');
+    }
+
+    if (!slotDuration || slotDuration < 15 || slotDuration > 240) {
+      throw new HttpError(400, 'Duration must be between 15 and 240 minutes');
+    }
+
+    const start = parseDateTime(scheduledAt, availability.timezone);
+    if (!scheduledAt || isNaN(start)) {
+      throw new HttpError(400, 'A valid start time is required');
+    }
+
+    if (start < new Date(Date.now() + availability.minNoticeHours * 60 * 60 * 1000)) {
+      throw new HttpError(400, `Private sessions must be requested at least ${availability.minNoticeHours} hours in advance`);
+    }
+
+    if (!this.isWithinAvailability(availability, start, slotDuration)) {
+      throw new HttpError(400, 'The trainer is not available at that time');
+    }
+
+    const tokenCost = this.calculatePrice(trainer, slotDuration);
+    if (!tokenCost) {
+      throw new HttpError(400, 'This trainer does not offer private sessions');
+    }
+
+    const result = await withTransaction(async dbSession => {
+      await this.reserveTrainerTime(trainer._id, start, slotDuration, dbSession);
+
+      const [session] = await Session.create([{
+        title: title || `Private session with ${trainer.firstName} ${trainer.lastName}`,
+        description: note || `Private 1:1 session with ${trainer.firstName}`,
+        trainer: trainer._id,
+        category: 'Private',
+        difficulty: 'All Levels',
+        scheduledAt: start,
+        timezone: availability.timezone,
+        duration: slotDuration,
+        tokenCost,
+        maxParticipants: 1,
+        participants: [{ user: user._id }],
+        status: 'pending',
+        isPrivate: true,
+        privateRequest: {
+          requestedBy: user._id,
+          note,
+          requestedAt: new Date(),
+          expiresAt: this.responseDeadline(start)
+        }
+      }], { session: dbSession });
+
+      await User.updateOne(
+        { _id: user._id },
+        { $push: { bookedSessions: { session: session._id } } },
+        { session: dbSession }
+      );
+
+      const { balance } = await tokenLedgerService.debit(user._id, tokenCost, 'booking', {
+        session: session._id,
+        description: `Held for private session request with ${trainer.firstName} ${trainer.lastName}`,
+        dbSession
+      });
+
+      return { session, tokens: balance };
+    });
+
+    await notificationService.notify(trainer._id, 'private_session_requested', {
+      title: 'New private session request',
+      message: `${user.firstName} ${user.lastName} requested a ${slotDuration} minute private session.`,
+      session: result.session._id
+    });
+
+    return result;
+  }
+
+  /**
+   * Accept or decline a pending private session
+   * @param {string} sessionId - The private session ID
+   * @param {string} action - 'accept' or 'decline'
+   * @param {string} respondedBy - The trainer or admin answering
+   * @returns {Object} - The updated session
+   */
+  async respondToPrivateSession(sessionId, action, respondedBy) {
+    if (!['accept', 'decline'].includes(action)) {
+      throw new HttpError(400, "Action must be 'accept' or 'decline'");
+    }
+
+    const pending = await Session.findOne({ _id: sessionId, isPrivate: true, status: 'pending' });
+
+    if (!pending) {
+      throw new HttpError(404, 'No pending private session found');
+    }
+
+    if (action === 'accept' && pending.privateRequest.expiresAt < new Date()) {
+      await this.declinePrivateSession(pending, respondedBy, 'The request expired before it was accepted.');
+      throw new HttpError(400, 'This request has expired and was declined automatically');
+    }
+
+    if (action === 'decline') {
+      return this.declinePrivateSession(pending, respondedBy);
+    }
+
+    const session = await Session.findOneAndUpdate(
+      { _id: pending._id, status: 'pending', 'privateRequest.respondedAt': null },
+      { $set: { status: 'scheduled', 'privateRequest.respondedAt': new Date(), updatedAt: Date.now() } },
+      { new: true }
+    );
+
+    if (!session) {
+      throw new HttpError(409, 'This request was already answered');
+    }
+
+    await notificationService.notify(session.privateRequest.requestedBy, 'private_session_accepted', {
+      title: 'Private session confirmed',
+      message: `Your private session "${session.title}" has been accepted.`,
+      session: session._id
+    });
+
+    return session;
+  }
+
+  /**
+   * Decline every pending request whose answer deadline has passed
+   * @returns {number} - Number of declined requests
+   */
+  async expirePendingRequests() {
+    const expired = await Session.find({
+      isPrivate: true,
+      status: 'pending',
+      'privateRequest.expiresAt': { $lt: new Date() }
+    });
+
+    let declined = 0;
+    for (const session of expired) {
+      try {
+        await this.declinePrivateSession(session, null, 'The trainer did not respond in time.');
+        declined++;
+      } catch (err) {
+        // Answered while we were working through the list
+        if (err.statusCode !== 409) throw err;
+      }
+    }
+
+    return declined;
+  }
+
+  // Declining goes through the normal cancellation path, refunding in full
+  async declinePrivateSession(session, respondedBy, reason) {
+    // Claim the answer first so an accept at the same moment cannot also win
+    const claimed = await Session.findOneAndUpdate(
+      { _id: session._id, status: 'pending', 'privateRequest.respondedAt': null },
+      { $set: { 'privateRequest.respondedAt': new Date() } }
+    );
+
+    if (!claimed) {
+      throw new HttpError(409, 'This request was already answered');
+    }
+
+    const { session: cancelled } = await bookingService.cancelSession(session._id, respondedBy);
+
+    await notificationService.notify(session.privateRequest.requestedBy, 'private_session_declined', {
+      title: 'Private session declined',
+      message: `${reason || 'The trainer declined your private session request.'} ` +
+        `Your ${session.tokenCost} token(s) have been refunded.`,
+      session: session._id
+    });
+
+    return cancelled;
+  }
+
+  // Trainers have RESPONSE_WINDOW_HOURS to answer, and never past the start time
+  responseDeadline(start) {
+    const windowEnd = Date.now() + RESPONSE_WINDOW_HOURS * 60 * 60 * 1000;
+    return new Date(Math.min(windowEnd, new Date(start).getTime()));
+  }
+
+  // Tokens for a private session, from the trainer's hourly rate
+  calculatePrice(trainer, duration) {
+    const hourlyRate = trainer.trainerProfile && trainer.trainerProfile.hourlyRate;
+    if (!hourlyRate || hourlyRate <= 0) return 0;
+    return Math.ceil((hourlyRate * duration) / 60);
+  }
+
+  async findTrainer(trainerId) {
+    const trainer = await User.findOne({ _id: trainerId, role: { $in: ['trainer', 'admin'] } })
+      .select('firstName lastName trainerProfile');
+
+    if (!trainer) {
+      throw new HttpError(404, 'Trainer not found');
+    }
+
+    return trainer;
+  }
+}
+
+module.exports = new SchedulingService();
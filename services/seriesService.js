@@ -0,0 +1,298 @@
+// services/seriesService.js
+const Session = require('../models/Session');
+const SessionSeries = require('../models/SessionSeries');
+const bookingService = require('./bookingService');
+const schedulingService = require('./schedulingService');
+const { parseRRule, generateOccurrences, validateRecurrence } = require('../utils/recurrence');
+const {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  getZonedParts,
+  zonedTimeToUtc,
+  parseDateTime
+} = require('../utils/timezone');
+const withTransaction = require('../utils/withTransaction');
+const HttpError = require('../utils/httpError');
+
+// Fields copied from the series template onto each session
+const TEMPLATE_FIELDS = [
+  'title',
+  'description',
+  'category',
+  'difficulty',
+  'duration',
+  'tokenCost',
+  'maxParticipants',
+  'refundPolicy',
+  'equipmentRequired',
+  'tags',
+  'autoRecord'
+];
+
+class SeriesService {
+  /**
+   * Create a series and generate all of its sessions
+   * @param {string} trainerId - The trainer running the series
+   * @param {Object} data - Template fields, timezone, and a recurrence object and/or an RRULE string (rrule)
+   * @returns {Object} - { series, sessions }
+   */
+  async createSeries(trainerId, data) {
+    const timezone = isValidTimeZone(data.timezone || DEFAULT_TIMEZONE);
+    if (!timezone) {
+      throw new HttpError(400, 'Invalid timezone');
+    }
+
+    // Recurrence can be given as an object, or as an RRULE string plus time/startDate.
+    // The rule is read in the series' timezone, e.g. for a date-only UNTIL.
+    const recurrence = data.rrule
+      ? { ...parseRRule(data.rrule, timezone), ...data.recurrence }
+      : { ...data.recurrence };
+    if (recurrence.interval !== undefined) recurrence.interval = Number(recurrence.interval);
+    if (recurrence.count !== undefined) recurrence.count = Number(recurrence.count);
+
+    const recurrenceError = validateRecurrence(recurrence, timezone);
+    if (recurrenceError) {
+      throw new HttpError(400, recurrenceError);
+    }
+
+    const occurrences = generateOccurrences(recurrence, timezone).filter(date => date > new Date());
+    if (occurrences.length === 0) {
+      throw new HttpError(400, 'The recurrence does not produce any upcoming sessions');
+    }
+
+    const template = this.pickTemplate(data);
+    template.tokenCost = template.tokenCost ?? 1;
+    template.maxParticipants = template.maxParticipants || 0;
+
+    return withTransaction(async dbSession => {
+      // Every occurrence must fit around the trainer's other sessions
+      for (const scheduledAt of occurrences) {
+        await schedulingService.reserveTrainerTime(trainerId, scheduledAt, template.duration, dbSession);
+      }
+
+      const [series] = await SessionSeries.create([{
+        ...template,
+        trainer: trainerId,
+        timezone,
+        recurrence
+      }], { session: dbSession });
+
+      const sessions = await Session.insertMany(
+        occurrences.map((scheduledAt, index) => ({
+          ...template,
+          trainer: trainerId,
+          timezone,
+          scheduledAt,
+          series: series._id,
+          seriesOccurrence: index + 1
+        })),
+        { session: dbSession }
+      );
+
+      return { series, sessions };
+    });
+  }
+
+  /**
+   * Edit one occurrence, or it and every later occurrence
+   * @param {Object} series - The series document
+   * @param {Object} session - The occurrence being edited
+   * @param {string} scope - 'this' or 'following'
+   * @param {Object} changes - Template fields; scheduledAt ('this') or time HH:mm ('following')
+   * @returns {Array} - The updated sessions
+   */
+  async updateOccurrences(series, session, scope, changes) {
+    if (session.status !== 'scheduled') {
+      throw new HttpError(400, `Cannot update a ${session.status} session`);
+    }
+
+    const updates = this.pickTemplate(changes);
+
+    if (scope === 'this') {
+      if (changes.scheduledAt) updates.scheduledAt = parseDateTime(changes.scheduledAt, session.timezone);
+
+      const updated = await withTransaction(async dbSession => {
+        await this.reserveIfMoved(session, updates, dbSession);
+
+        return Session.findByIdAndUpdate(
+          session._id,
+          { $set: { ...updates, updatedAt: Date.now() } },
+          { new: true, runValidators: true, session: dbSession }
+        );
+      });
+
+      await this.promoteIfResized([updated], updates);
+      return [updated];
+    }
+
+    if (scope !== 'following') {
+      throw new HttpError(400, "Scope must be 'this' or 'following'");
+    }
+
+    if (changes.time && !/^([01]\d|2[0-3]):[0-5]\d$/.test(changes.time)) {
+      throw new HttpError(400, 'Time must be in HH:mm format');
+    }
+
+    const following = await Session.find({
+      series: series._id,
+      status: 'scheduled',
+      scheduledAt: { $gte: session.scheduledAt }
+    }).sort({ scheduledAt: 1 });
+
+    const updatedSessions = await withTransaction(async dbSession => {
+      const results = [];
+
+      for (const occurrence of following) {
+        const occurrenceUpdates = { ...updates, updatedAt: Date.now() };
+
+        if (changes.time) {
+          occurrenceUpdates.scheduledAt = this.withTime(occurrence.scheduledAt, changes.time, series.timezone);
+        }
+
+        await this.reserveIfMoved(occurrence, occurrenceUpdates, dbSession);
+
+        results.push(await Session.findByIdAndUpdate(
+          occurrence._id,
+          { $set: occurrenceUpdates },
+          { new: true, runValidators: true, session: dbSession }
+        ));
+      }
+
+      // Keep the template in line with the latest occurrences
+      const seriesUpdates = { ...updates, updatedAt: Date.now() };
+      if (changes.time) seriesUpdates['recurrence.time'] = changes.time;
+
+      await SessionSeries.updateOne({ _id: series._id }, { $set: seriesUpdates }, { session: dbSession });
+
+      return results;
+    });
+
+    await this.promoteIfResized(updatedSessions, updates);
+    return updatedSessions;
+  }
+
+  /**
+   * Cancel a whole series, or one occurrence and everything after it. Every
+   * session goes through the same cancellation path as a single session,
+   * refunding all booked users.
+   * @param {Object} series - The series document
+   * @param {string} cancelledBy - The trainer or admin cancelling
+   * @param {Object} fromSession - Optional first occurrence to cancel
+   * @returns {Object} - { cancelledSessions, refundedBookings }
+   */
+  async cancelSeries(series, cancelledBy, fromSession = null) {
+    const query = { series: series._id, status: 'scheduled' };
+    if (fromSession) query.scheduledAt = { $gte: fromSession.scheduledAt };
+
+    const sessions = await Session.find(query).sort({ scheduledAt: 1 });
+
+    let cancelledSessions = 0;
+    let refundedBookings = 0;
+
+    for (const session of sessions) {
+      const { refunded } = await bookingService.cancelSession(session._id, cancelledBy);
+      cancelledSessions++;
+      refundedBookings += refunded;
+    }
+
+    // Cancelling from the first upcoming occurrence ends the series
+    const remaining = await Session.countDocuments({ series: series._id, status: 'scheduled' });
+    if (remaining === 0) {
+      series.status = 'cancelled';
+      await series.save();
+    }
+
+    return { cancelledSessions, refundedBookings };
+  }
+
+  /**
+   * Book every upcoming occurrence of a series in one all-or-nothing step
+   * @param {string} seriesId - The series ID
+   * @param {string} userId - The user booking
+   * @returns {Object} - { booked, tokens }
+   */
+  async bookSeries(seriesId, userId) {
+    const series = await SessionSeries.findById(seriesId);
+
+    if (!series) {
+      throw new HttpError(404, 'Series not found');
+    }
+
+    if (series.status !== 'active') {
+      throw new HttpError(400, 'This series has been cancelled');
+    }
+
+    return withTransaction(async dbSession => {
+      const sessions = await Session.find({
+        series: series._id,
+        status: 'scheduled',
+        scheduledAt: { $gt: new Date() },
+        'participants.user': { $ne: userId }
+      })
+        .sort({ scheduledAt: 1 })
+        .session(dbSession);
+
+      if (sessions.length === 0) {
+        throw new HttpError(400, 'No upcoming sessions left to book in this series');
+      }
+
+      let tokens;
+      for (const session of sessions) {
+        try {
+          ({ tokens } = await bookingService.bookWithinTransaction(session._id, userId, dbSession));
+        } catch (err) {
+          if (err.statusCode) {
+            const date = new Date(session.scheduledAt).toISOString();
+            throw new HttpError(err.statusCode, `${err.message} (session on ${date})`);
+          }
+          throw err;
+        }
+      }
+
+      return { booked: sessions.map(s => s._id), tokens };
+    });
+  }
+
+  pickTemplate(data) {
+    const template = {};
+    TEMPLATE_FIELDS.forEach(field => {
+      if (data[field] !== undefined) template[field] = data[field];
+    });
+    if (template.refundPolicy !== undefined) {
+      template.refundPolicy = bookingService.parseRefundPolicy(template.refundPolicy);
+    }
+    return template;
+  }
+
+  // Same local day as `date`, at the given local HH:mm
+  withTime(date, time, timeZone = DEFAULT_TIMEZONE) {
+    const [hours, minutes] = time.split(':').map(Number);
+    const { year, month, day } = getZonedParts(date, timeZone);
+    return zonedTimeToUtc(year, month, day, hours, minutes, timeZone);
+  }
+
+  // Check the trainer is free when an occurrence moves or gets longer
+  async reserveIfMoved(session, updates, dbSession) {
+    if (!updates.scheduledAt && !updates.duration) return;
+
+    await schedulingService.reserveTrainerTime(
+      session.trainer,
+      updates.scheduledAt || session.scheduledAt,
+      updates.duration || session.duration,
+      dbSession,
+      { excludeSessionId: session._id }
+    );
+  }
+
+  async promoteIfResized(sessions, updates) {
+    if (updates.maxParticipants === undefined) return;
+
+    for (const session of sessions) {
+      if (session && session.waitlist.length > 0) {
+        await bookingService.promoteFromWaitlist(session._id);
+      }
+    }
+  }
+}
+
+module.exports = new SeriesService();
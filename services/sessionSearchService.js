@@ -0,0 +1,311 @@
+// services/sessionSearchService.js
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const HttpError = require('../utils/httpError');
+const {
+  DEFAULT_TIMEZONE,
+  zonedTimeToUtc,
+  parseDateTime,
+  getRangeBounds,
+  timeOfDayExpression,
+  localizeSession
+} = require('../utils/timezone');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Sort options: field to sort on and direction. Ties are broken by _id.
+const SORT_OPTIONS = {
+  soonest: { field: 'scheduledAt', direction: 1 },
+  latest: { field: 'scheduledAt', direction: -1 },
+  rating: { field: 'averageRating', direction: -1 },
+  popularity: { field: 'participantCount', direction: -1 },
+  price: { field: 'tokenCost', direction: 1 },
+  price_desc: { field: 'tokenCost', direction: -1 },
+  relevance: { field: 'score', direction: -1 }
+};
+
+// Fields left out of list results - ratings and the waitlist can be large
+const EXCLUDED_FIELDS = { ratings: 0, waitlist: 0, moderation: 0 };
+
+// "a,b" or ['a', 'b'] -> ['a', 'b']. Anything else (e.g. ?status[a]=b parses
+// to an object) is rejected, naming the query parameter.
+const toList = (value, name) => {
+  if (value === undefined || value === null || value === '') return [];
+
+  const items = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : null;
+  if (!items || items.some(item => typeof item !== 'string')) {
+    throw new HttpError(400, `${name} must be a comma-separated list or repeated parameter`);
+  }
+
+  return items
+    .map(item => item.trim())
+    .filter(Boolean);
+};
+
+class SessionSearchService {
+  /**
+   * Search sessions with filters, sorting, cursor pagination and facet counts
+   * @param {Object} params - Query string parameters
+   * @param {Object} options - timeZone used for date filters and localized times
+   * @returns {Object} - { sessions, pageInfo, total, facets }
+   */
+  async search(params, { timeZone = DEFAULT_TIMEZONE } = {}) {
+    const sortName = params.sort || (params.search ? 'relevance' : 'soonest');
+    const sort = SORT_OPTIONS[sortName];
+
+    if (!sort) {
+      throw new HttpError(400, `Sort must be one of: ${Object.keys(SORT_OPTIONS).join(', ')}`);
+    }
+
+    if (sortName === 'relevance' && !params.search) {
+      throw new HttpError(400, 'Sorting by relevance requires a search term');
+    }
+
+    const limit = Math.min(Math.max(parseInt(params.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const baseMatch = this.buildBaseMatch(params, timeZone);
+    const selections = this.buildSelections(params);
+    const cursorMatch = params.cursor ? this.decodeCursor(params.cursor, sortName, sort) : null;
+
+    const pipeline = [
+      { $match: baseMatch },
+      {
+        $addFields: {
+          participantCount: { $size: { $ifNull: ['$participants', []] } },
+          ...(params.search && { score: { $meta: 'textScore' } })
+        }
+      },
+      {
+        $facet: {
+          results: [
+            { $match: this.combine(selections) },
+            ...(cursorMatch ? [{ $match: cursorMatch }] : []),
+            { $sort: { [sort.field]: sort.direction, _id: sort.direction } },
+            { $limit: limit + 1 },
+            { $project: EXCLUDED_FIELDS },
+            {
+              $lookup: {
+                from: User.collection.name,
+                localField: 'trainer',
+                foreignField: '_id',
+                as: 'trainer',
+                pipeline: [{ $project: { firstName: 1, lastName: 1, profilePicture: 1 } }]
+              }
+            },
+            { $unwind: { path: '$trainer', preserveNullAndEmptyArrays: true } }
+          ],
+          total: [
+            { $match: this.combine(selections) },
+            { $count: 'count' }
+          ],
+          // Each facet ignores its own selection, so users can see what
+          // picking another value would give them
+          categories: this.facetPipeline('$category', this.combine(selections, 'category')),
+          difficulties: this.facetPipeline('$difficulty', this.combine(selections, 'difficulty')),
+          equipment: [
+            { $match: this.combine(selections, 'equipmentRequired') },
+            { $unwind: '$equipmentRequired' },
+            ...this.facetPipeline('$equipmentRequired', {})
+          ]
+        }
+      }
+    ];
+
+    const [result] = await Session.aggregate(pipeline);
+
+    const hasMore = result.results.length > limit;
+    const sessions = result.results.slice(0, limit);
+    const last = sessions[sessions.length - 1];
+
+    return {
+      sessions: sessions.map(session => ({
+        ...session,
+        localTimes: localizeSession(session, timeZone)
+      })),
+      pageInfo: {
+        limit,
+        hasMore,
+        nextCursor: hasMore && last ? this.encodeCursor(sortName, last[sort.field], last._id) : null
+      },
+      total: result.total.length ? result.total[0].count : 0,
+      facets: {
+        categories: result.categories,
+        difficulties: result.difficulties,
+        equipment: result.equipment
+      }
+    };
+  }
+
+  // Filters that apply to results and to every facet
+  buildBaseMatch(params, timeZone) {
+    // Private 1:1 sessions never show up in discovery
+    const match = { isPrivate: { $ne: true } };
+
+    // $text has to be part of the first $match stage
+    if (params.search) {
+      match.$text = { $search: String(params.search).slice(0, 200) };
+    }
+
+    if (params.trainer) {
+      if (!mongoose.isValidObjectId(params.trainer)) {
+        throw new HttpError(400, 'Invalid trainer');
+      }
+      match.trainer = new mongoose.Types.ObjectId(params.trainer);
+    }
+
+    const statuses = toList(params.status, 'status');
+    if (statuses.length) match.status = { $in: statuses };
+
+    const tokenCost = this.numberRange(params.minTokenCost, params.maxTokenCost, 'token cost');
+    if (tokenCost) match.tokenCost = tokenCost;
+
+    const duration = this.numberRange(params.minDuration, params.maxDuration, 'duration');
+    if (duration) match.duration = duration;
+
+    const scheduledAt = {};
+
+    if (params.upcoming === 'true') {
+      scheduledAt.$gt = new Date();
+    }
+
+    // Named date ranges ("today", "this_week"...) in the viewer's timezone
+    if (params.range) {
+      const bounds = getRangeBounds(params.range, timeZone);
+      if (!bounds) {
+        throw new HttpError(400, 'Invalid range');
+      }
+      scheduledAt.$gte = bounds.start;
+      scheduledAt.$lt = bounds.end;
+    }
+
+    if (params.from) {
+      const from = this.parseDateBoundary(params.from, timeZone, false);
+      if (!scheduledAt.$gte || from > scheduledAt.$gte) scheduledAt.$gte = from;
+    }
+
+    if (params.to) {
+      const to = this.parseDateBoundary(params.to, timeZone, true);
+      if (!scheduledAt.$lt || to < scheduledAt.$lt) scheduledAt.$lt = to;
+    }
+
+    if (Object.keys(scheduledAt).length) match.scheduledAt = scheduledAt;
+
+    // Parts of the day ("morning,evening") by local start hour
+    if (params.timeOfDay) {
+      const expression = timeOfDayExpression(toList(params.timeOfDay, 'timeOfDay'), timeZone);
+      if (!expression) {
+        throw new HttpError(400, 'Invalid time of day');
+      }
+      match.$expr = expression;
+    }
+
+    return match;
+  }
+
+  // Multi-select filters, kept apart so facets can leave their own out
+  buildSelections(params) {
+    const selections = {};
+
+    const categories = toList(params.category, 'category');
+    if (categories.length) selections.category = { $in: categories };
+
+    const difficulties = toList(params.difficulty, 'difficulty');
+    if (difficulties.length) selections.difficulty = { $in: difficulties };
+
+    const equipment = toList(params.equipment, 'equipment');
+    if (equipment.length) selections.equipmentRequired = { $in: equipment };
+
+    return selections;
+  }
+
+  combine(selections, exclude) {
+    const match = { ...selections };
+    if (exclude) delete match[exclude];
+    return match;
+  }
+
+  facetPipeline(field, match) {
+    return [
+      { $match: match },
+      { $group: { _id: field, count: { $sum: 1 } } },
+      { $match: { _id: { $nin: [null, ''] } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $project: { _id: 0, value: '$_id', count: 1 } }
+    ];
+  }
+
+  numberRange(min, max, label) {
+    const range = {};
+
+    if (min !== undefined && min !== '') {
+      if (isNaN(min)) throw new HttpError(400, `Invalid minimum ${label}`);
+      range.$gte = Number(min);
+    }
+
+    if (max !== undefined && max !== '') {
+      if (isNaN(max)) throw new HttpError(400, `Invalid maximum ${label}`);
+      range.$lte = Number(max);
+    }
+
+    return Object.keys(range).length ? range : null;
+  }
+
+  // "2025-03-30" means the whole local day; `to` dates are inclusive
+  parseDateBoundary(value, timeZone, isEnd) {
+    const dateOnly = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+
+    let date;
+    if (dateOnly) {
+      const [, year, month, day] = dateOnly.map(Number);
+      const next = new Date(Date.UTC(year, month - 1, day) + (isEnd ? DAY_MS : 0));
+      date = zonedTimeToUtc(next.getUTCFullYear(), next.getUTCMonth() + 1, next.getUTCDate(), 0, 0, timeZone);
+    } else {
+      date = parseDateTime(value, timeZone);
+    }
+
+    if (isNaN(date)) {
+      throw new HttpError(400, `Invalid date: ${value}`);
+    }
+
+    return date;
+  }
+
+  // Opaque cursor holding the sort value and _id of the last result
+  encodeCursor(sortName, value, id) {
+    const payload = {
+      s: sortName,
+      v: value instanceof Date ? { d: value.toISOString() } : (value ?? null),
+      id: id.toString()
+    };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+  }
+
+  // Match for everything strictly after the cursor in the current sort order
+  decodeCursor(cursor, sortName, sort) {
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new HttpError(400, 'Invalid cursor');
+    }
+
+    if (!payload || payload.s !== sortName || !mongoose.isValidObjectId(payload.id)) {
+      throw new HttpError(400, 'Invalid cursor for this sort order');
+    }
+
+    const value = payload.v && payload.v.d ? new Date(payload.v.d) : payload.v;
+    const id = new mongoose.Types.ObjectId(payload.id);
+    const after = sort.direction === 1 ? '$gt' : '$lt';
+
+    return {
+      $or: [
+        { [sort.field]: { [after]: value } },
+        { [sort.field]: value, _id: { [after]: id } }
+      ]
+    };
+  }
+}
+
+module.exports = new SessionSearchService();
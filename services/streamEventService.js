@@ -0,0 +1,132 @@
+// services/streamEventService.js
+const Session = require('../models/Session');
+const WebhookEvent = require('../models/WebhookEvent');
+const attendanceService = require('./attendanceService');
+const recordingService = require('./recordingService');
+const pollService = require('./pollService');
+const workoutMetricsService = require('./workoutMetricsService');
+const streamService = require('./streamService');
+const { getStreamProvider } = require('./streaming');
+const HttpError = require('../utils/httpError');
+
+const DUPLICATE_KEY = 11000;
+
+class StreamEventService {
+  /**
+   * Verify, deduplicate and apply a webhook from the streaming provider
+   * @param {Buffer} rawBody - The body exactly as received (for the signature)
+   * @param {Object} headers - The request headers
+   * @param {Object} body - The parsed body
+   * @returns {Object} - { result, duplicate }
+   */
+  async handleWebhook(rawBody, headers, body) {
+    const provider = getStreamProvider();
+
+    if (!provider.verifyWebhook(rawBody, headers)) {
+      throw new HttpError(401, 'Invalid webhook signature');
+    }
+
+    const event = provider.parseWebhook(body || {});
+    if (!event.id || event.id === 'undefined') {
+      throw new HttpError(400, 'Webhook event has no ID');
+    }
+
+    let record;
+    try {
+      record = await WebhookEvent.create({
+        source: `stream:${provider.name}`,
+        eventId: event.id,
+        type: event.type,
+        payload: body
+      });
+    } catch (err) {
+      if (err.code === DUPLICATE_KEY) {
+        return { result: 'duplicate', duplicate: true };
+      }
+      throw err;
+    }
+
+    let result;
+    try {
+      result = await this.applyEvent(event, provider);
+    } catch (err) {
+      // Forget the delivery so the provider's retry is processed
+      await WebhookEvent.deleteOne({ _id: record._id });
+      throw err;
+    }
+
+    record.status = result === 'ignored' ? 'ignored' : 'processed';
+    record.result = result;
+    record.processedAt = new Date();
+    await record.save();
+
+    return { result, duplicate: false };
+  }
+
+  /**
+   * Map a provider-neutral event onto the session it belongs to
+   * @param {Object} event - From provider.parseWebhook
+   * @param {StreamProvider} provider - The provider that sent it
+   * @returns {string} - What happened, e.g. joined, left, stale, completed
+   */
+  async applyEvent(event, provider) {
+    if (event.type === 'ignored' || !event.channelName) {
+      return 'ignored';
+    }
+
+    const session = await Session.findOne({ 'streamingDetails.channelName': event.channelName })
+      .select('trainer status participants streamingDetails');
+
+    if (!session) {
+      return 'unknown_channel';
+    }
+
+    if (event.type === 'channel_destroyed') {
+      return this.completeSession(session, event.at);
+    }
+
+    // The trainer and anyone who has not booked are not tracked
+    const participant = session.participants.find(p => provider.uidFor(p.user) === event.uid);
+    if (!participant) {
+      return 'not_participant';
+    }
+
+    const change = { at: event.at, seq: event.seq };
+
+    return event.type === 'user_joined'
+      ? attendanceService.recordJoin(session._id, participant.user, change)
+      : attendanceService.recordLeave(session._id, participant.user, change);
+  }
+
+  /**
+   * The channel is gone: finish a session the trainer never ended
+   * @param {Object} session - The session document
+   * @param {Date} at - When the channel was destroyed
+   * @returns {string} - completed, not_live or stale
+   */
+  async completeSession(session, at) {
+    if (session.status !== 'live') {
+      return 'not_live';
+    }
+
+    // A channel from before the stream was (re)started
+    if (session.streamingDetails.startedAt && at < session.streamingDetails.startedAt) {
+      return 'stale';
+    }
+
+    const completed = await streamService.updateSessionStreamStatus(session._id, 'completed', {}, { fromStatus: 'live' });
+    if (!completed) {
+      return 'not_live';
+    }
+
+    await attendanceService.closeOpenAttendance(session, at);
+    await pollService.closeAll(session._id);
+    await workoutMetricsService.saveSummaries(session);
+    await recordingService.stop(session);
+    await streamService.closeChannel(session);
+
+    return 'completed';
+  }
+}
+
+module.exports = new StreamEventService();
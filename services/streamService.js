@@ -0,0 +1,133 @@
+// services/streamService.js
+const Session = require('../models/Session');
+const realtimeService = require('./realtimeService');
+const { getStreamProvider } = require('./streaming');
+
+class StreamService {
+  get provider() {
+    return getStreamProvider();
+  }
+
+  channelName(session) {
+    return (session.streamingDetails && session.streamingDetails.channelName) ||
+      this.provider.channelName(session._id.toString());
+  }
+
+  /**
+   * Open the session's channel on the provider
+   * @param {Object} session - The session document
+   * @returns {Object} - { channelName }
+   */
+  async openChannel(session) {
+    return this.provider.createChannel(this.provider.channelName(session._id.toString()));
+  }
+
+  async closeChannel(session) {
+    try {
+      await this.provider.closeChannel(this.channelName(session));
+    } catch (error) {
+      console.error('Error closing stream channel:', error.message);
+    }
+  }
+
+  /**
+   * Everything a client needs to connect to the session's stream
+   * @param {Object} session - The session document
+   * @param {string} userId - The user joining
+   * @param {string} role - 'host' or 'viewer'
+   * @returns {Object} - { provider, channelName, token, uid, expiresAt, ...clientConfig }
+   */
+  async getCredentials(session, userId, role) {
+    const channelName = this.channelName(session);
+    const uid = this.provider.uidFor(userId);
+    const { token, expiresAt } = await this.provider.createToken(channelName, uid, role);
+
+    return {
+      provider: this.provider.name,
+      ...this.provider.clientConfig(),
+      channelName,
+      token,
+      uid,
+      expiresAt
+    };
+  }
+
+  trackJoin(session, userId) {
+    return this.provider.trackJoin(this.channelName(session), this.provider.uidFor(userId));
+  }
+
+  trackLeave(session, userId) {
+    return this.provider.trackLeave(this.channelName(session), this.provider.uidFor(userId));
+  }
+
+  /**
+   * Which of the given users are connected to the stream right now
+   * @param {Object} session - The session document
+   * @param {Array<string>} userIds - Users to check
+   * @returns {Set<string>} - The connected user IDs
+   */
+  async getConnectedUserIds(session, userIds) {
+    const online = new Set(await this.provider.getPresence(this.channelName(session)));
+    return new Set(userIds.map(String).filter(id => online.has(this.provider.uidFor(id))));
+  }
+
+  /**
+   * Remove a user from the stream for a while
+   * @param {Object} session - The session document
+   * @param {string} userId - The user to remove
+   * @param {number} seconds - How long they stay out
+   * @returns {Object} - { expiresAt, ... }
+   */
+  kickUser(session, userId, seconds) {
+    return this.provider.kickUser(this.channelName(session), this.provider.uidFor(userId), { seconds });
+  }
+
+  /**
+   * Update session status when streaming starts/ends
+   * @param {string} sessionId - The session ID
+   * @param {string} status - New status (live, completed)
+   * @param {Object} streamDetails - Streaming details to store
+   * @param {Object} options - fromStatus: only update a session currently in this status
+   * @returns {Object} - Updated session, or null if it was not found
+   */
+  async updateSessionStreamStatus(sessionId, status, streamDetails = {}, { fromStatus } = {}) {
+    try {
+      const updateData = {
+        status,
+        'streamingDetails.status': status
+      };
+
+      if (status === 'live') {
+        updateData['streamingDetails.startedAt'] = new Date();
+        updateData['streamingDetails.channelName'] = streamDetails.channelName;
+        updateData['streamingDetails.resourceId'] = streamDetails.resourceId;
+      } else if (status === 'completed') {
+        updateData['streamingDetails.endedAt'] = new Date();
+      }
+
+      const filter = { _id: sessionId };
+      if (fromStatus) filter.status = fromStatus;
+
+      const session = await Session.findOneAndUpdate(
+        filter,
+        { $set: updateData },
+        { new: true }
+      );
+
+      if (session) {
+        await realtimeService.emitToSession(session._id, 'session:status', {
+          sessionId: session._id,
+          status,
+          timestamp: new Date()
+        });
+      }
+
+      return session;
+    } catch (error) {
+      console.error('Error updating session stream status:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new StreamService();
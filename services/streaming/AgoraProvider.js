@@ -0,0 +1,285 @@
+// services/streaming/AgoraProvider.js
+const { RtcTokenBuilder, RtcRole } = require('agora-access-token');
+const axios = require('axios');
+const crypto = require('crypto');
+const StreamProvider = require('./StreamProvider');
+const HttpError = require('../../utils/httpError');
+
+// Composite recording of the whole class into one stream
+const RECORDING_MODE = 'mix';
+
+// Notification Center (NCS) event types for RTC channels
+const NCS_EVENTS = {
+  102: 'channel_destroyed',
+  103: 'user_joined', // broadcaster
+  104: 'user_left',
+  105: 'user_joined', // audience
+  106: 'user_left'
+};
+
+// Token lifetimes in seconds
+const TOKEN_TTL = {
+  host: 24 * 3600,
+  viewer: 3 * 3600
+};
+
+class AgoraProvider extends StreamProvider {
+  constructor() {
+    super('agora');
+
+    this.appId = process.env.AGORA_APP_ID;
+    this.appCertificate = process.env.AGORA_APP_CERTIFICATE;
+    this.restApiKey = process.env.AGORA_REST_API_KEY;
+    this.restApiSecret = process.env.AGORA_REST_API_SECRET;
+    // Point at a local stand-in (see scripts/agoraStandIn.js) for development
+    this.baseUrl = (process.env.AGORA_API_BASE_URL || 'https://api.agora.io').replace(/\/$/, '');
+
+    // Cloud recording: the recorder joins the channel as this uid and uploads to this storage
+    this.recorderUid = process.env.AGORA_RECORDER_UID || '999999';
+    this.recordingStorage = {
+      vendor: parseInt(process.env.AGORA_RECORDING_VENDOR || '1', 10), // 1 = Amazon S3
+      region: parseInt(process.env.AGORA_RECORDING_REGION || '0', 10),
+      bucket: process.env.AGORA_RECORDING_BUCKET,
+      accessKey: process.env.AGORA_RECORDING_ACCESS_KEY,
+      secretKey: process.env.AGORA_RECORDING_SECRET_KEY
+    };
+    // Public base URL of the bucket, used to build playback links
+    this.recordingBaseUrl = process.env.AGORA_RECORDING_BASE_URL || '';
+    // Secret for the Notification Center webhook signatures
+    this.ncsSecret = process.env.AGORA_NCS_SECRET;
+  }
+
+  isConfigured() {
+    return !!this.appId && !!this.appCertificate;
+  }
+
+  // The REST API (presence, kicking, recording) needs a customer key as well
+  isRestConfigured() {
+    return !!this.appId && !!this.restApiKey && !!this.restApiSecret;
+  }
+
+  isRecordingConfigured() {
+    return this.isRestConfigured() && !!this.recordingStorage.bucket;
+  }
+
+  async createToken(channelName, uid, role = 'viewer', { ttl } = {}) {
+    if (!this.isConfigured()) {
+      throw new HttpError(503, 'Agora is not configured');
+    }
+
+    const expiresAt = Math.floor(Date.now() / 1000) + (ttl || TOKEN_TTL[role] || TOKEN_TTL.viewer);
+
+    const token = RtcTokenBuilder.buildTokenWithUid(
+      this.appId,
+      this.appCertificate,
+      channelName,
+      uid,
+      role === 'host' ? RtcRole.PUBLISHER : RtcRole.SUBSCRIBER,
+      expiresAt
+    );
+
+    return { token, expiresAt: new Date(expiresAt * 1000) };
+  }
+
+  clientConfig() {
+    return { appId: this.appId };
+  }
+
+  async getPresence(channelName) {
+    if (!this.isRestConfigured()) {
+      throw new HttpError(503, 'The Agora REST API is not configured');
+    }
+
+    const data = await this.request('get', `/dev/v1/channel/user/${this.appId}/${channelName}`);
+    const channel = data.data || {};
+
+    if (!channel.channel_exist) {
+      return [];
+    }
+
+    // Live broadcast channels split users into broadcasters and audience
+    return [...(channel.broadcasters || []), ...(channel.audience || []), ...(channel.users || [])]
+      .map(Number)
+      .filter(uid => uid !== Number(this.recorderUid));
+  }
+
+  async kickUser(channelName, uid, { seconds = 600 } = {}) {
+    if (!this.isRestConfigured()) {
+      throw new HttpError(503, 'The Agora REST API is not configured');
+    }
+
+    // Kicking rules are in whole minutes, up to a day
+    const minutes = Math.min(Math.max(Math.ceil(seconds / 60), 1), 1440);
+
+    const data = await this.request('post', '/dev/v1/kicking-rule', {
+      appid: this.appId,
+      cname: channelName,
+      uid,
+      time: minutes,
+      privileges: ['join_channel']
+    });
+
+    return { ruleId: data.id, expiresAt: new Date(Date.now() + minutes * 60000) };
+  }
+
+  async startRecording(channelName, { fileNamePrefix = [] } = {}) {
+    if (!this.isRecordingConfigured()) {
+      throw new HttpError(503, 'Cloud recording is not configured');
+    }
+
+    const uid = this.recorderUid;
+
+    // Reserve a resource (valid for 24 hours), then start with it
+    const acquired = await this.recordingRequest('post', '/cloud_recording/acquire', {
+      cname: channelName,
+      uid,
+      clientRequest: {
+        resourceExpiredHour: 24,
+        scene: 0
+      }
+    });
+
+    const data = await this.recordingRequest(
+      'post',
+      `/cloud_recording/resourceid/${acquired.resourceId}/mode/${RECORDING_MODE}/start`,
+      {
+        cname: channelName,
+        uid,
+        clientRequest: {
+          token: this.isConfigured()
+            ? (await this.createToken(channelName, Number(uid), 'viewer', { ttl: 24 * 3600 })).token
+            : undefined,
+          recordingConfig: {
+            channelType: 1, // live broadcast
+            streamTypes: 2, // audio and video
+            maxIdleTime: 120,
+            transcodingConfig: {
+              width: 1280,
+              height: 720,
+              fps: 30,
+              bitrate: 2260,
+              mixedVideoLayout: 1
+            }
+          },
+          storageConfig: {
+            ...this.recordingStorage,
+            fileNamePrefix
+          }
+        }
+      }
+    );
+
+    return { resourceId: data.resourceId || acquired.resourceId, sid: data.sid, uid, mode: RECORDING_MODE };
+  }
+
+  async queryRecording({ resourceId, sid, mode = RECORDING_MODE }) {
+    const data = await this.recordingRequest(
+      'get',
+      `/cloud_recording/resourceid/${resourceId}/sid/${sid}/mode/${mode}/query`
+    );
+
+    return data.serverResponse || {};
+  }
+
+  async stopRecording({ channelName, resourceId, sid, uid = this.recorderUid, mode = RECORDING_MODE }) {
+    const data = await this.recordingRequest(
+      'post',
+      `/cloud_recording/resourceid/${resourceId}/sid/${sid}/mode/${mode}/stop`,
+      {
+        cname: channelName,
+        uid,
+        clientRequest: {}
+      }
+    );
+
+    const serverResponse = data.serverResponse || {};
+
+    return {
+      files: this.normalizeFileList(serverResponse),
+      uploadingStatus: serverResponse.uploadingStatus
+    };
+  }
+
+  getRecordingUrl(fileName) {
+    if (!fileName || !this.recordingBaseUrl) return fileName;
+    return `${this.recordingBaseUrl.replace(/\/$/, '')}/${fileName}`;
+  }
+
+  // NCS signs the raw body with HMAC-SHA256 (Agora-Signature-V2) and HMAC-SHA1 (Agora-Signature)
+  verifyWebhook(rawBody, headers) {
+    if (!this.ncsSecret) {
+      throw new HttpError(503, 'Agora webhooks are not configured');
+    }
+
+    const body = rawBody || Buffer.alloc(0);
+
+    if (headers['agora-signature-v2']) {
+      const expected = crypto.createHmac('sha256', this.ncsSecret).update(body).digest('hex');
+      return this.safeEqual(expected, headers['agora-signature-v2']);
+    }
+
+    const expected = crypto.createHmac('sha1', this.ncsSecret).update(body).digest('hex');
+    return this.safeEqual(expected, headers['agora-signature']);
+  }
+
+  parseWebhook({ noticeId, eventType, notifyMs, payload = {} }) {
+    return {
+      id: String(noticeId),
+      type: NCS_EVENTS[eventType] || 'ignored',
+      channelName: payload.channelName,
+      uid: payload.uid !== undefined ? Number(payload.uid) : undefined,
+      // ts is in seconds; fall back to when Agora sent the notice
+      at: new Date(payload.ts ? payload.ts * 1000 : notifyMs || Date.now()),
+      seq: payload.clientSeq
+    };
+  }
+
+  // fileList is a string (older "string" mode) or a list of file objects
+  normalizeFileList(serverResponse) {
+    const { fileList, fileListMode } = serverResponse;
+
+    if (!fileList) return [];
+
+    if (fileListMode === 'string' || typeof fileList === 'string') {
+      return [{ fileName: fileList, isPlayable: true }];
+    }
+
+    return fileList.map(file => ({
+      fileName: file.fileName || file.filename,
+      trackType: file.trackType,
+      uid: file.uid,
+      mixedAllUser: file.mixedAllUser,
+      isPlayable: file.isPlayable !== false,
+      sliceStartTime: file.sliceStartTime
+    }));
+  }
+
+  recordingRequest(method, path, body) {
+    return this.request(method, `/v1/apps/${this.appId}${path}`, body, 'Cloud recording request failed');
+  }
+
+  // Call the Agora REST API, turning failures into HttpErrors
+  async request(method, path, body, failureMessage = 'Agora request failed') {
+    try {
+      const response = await axios({
+        method,
+        url: `${this.baseUrl}${path}`,
+        data: body,
+        timeout: 10000,
+        auth: {
+          username: this.restApiKey,
+          password: this.restApiSecret
+        },
+        headers: { 'Content-Type': 'application/json' }
+      });
+
+      return response.data;
+    } catch (error) {
+      const details = error.response && error.response.data;
+      console.error(`Agora ${path} failed:`, details || error.message);
+      throw new HttpError(502, failureMessage, details);
+    }
+  }
+}
+
+module.exports = AgoraProvider;
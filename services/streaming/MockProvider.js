@@ -0,0 +1,191 @@
+// services/streaming/MockProvider.js
+// In-process streaming provider for development and tests. Tokens are signed
+// and can be checked with verifyToken(), presence follows the join/leave
+// calls, kicks are enforced and recordings produce a file list. Webhooks
+// take events already in the provider-neutral shape, signed with the same
+// secret in X-Mock-Signature, to simulate crashed clients. State lives
+// in memory, so it is lost on restart and not shared between instances.
+const crypto = require('crypto');
+const StreamProvider = require('./StreamProvider');
+const HttpError = require('../../utils/httpError');
+
+const TOKEN_TTL = {
+  host: 24 * 3600,
+  viewer: 3 * 3600
+};
+
+class MockProvider extends StreamProvider {
+  constructor({ secret } = {}) {
+    super('mock');
+
+    this.secret = secret || process.env.MOCK_STREAM_SECRET || process.env.JWT_SECRET || 'your-jwt-secret';
+    this.recordingBaseUrl = process.env.MOCK_RECORDING_BASE_URL || 'mock://recordings';
+
+    // channelName -> Map(uid -> joinedAt)
+    this.channels = new Map();
+    // channelName -> Map(uid -> kicked until)
+    this.kicks = new Map();
+    // sid -> { channelName, fileNamePrefix, startedAt, stoppedAt }
+    this.recordings = new Map();
+  }
+
+  async createChannel(channelName) {
+    if (!this.channels.has(channelName)) {
+      this.channels.set(channelName, new Map());
+    }
+    return { channelName };
+  }
+
+  async closeChannel(channelName) {
+    this.channels.delete(channelName);
+    this.kicks.delete(channelName);
+  }
+
+  async createToken(channelName, uid, role = 'viewer', { ttl } = {}) {
+    this.assertNotKicked(channelName, uid);
+
+    const expiresAt = Math.floor(Date.now() / 1000) + (ttl || TOKEN_TTL[role] || TOKEN_TTL.viewer);
+    const payload = Buffer.from(JSON.stringify({ channelName, uid, role, exp: expiresAt })).toString('base64url');
+
+    return {
+      token: `mock.${payload}.${this.sign(payload)}`,
+      expiresAt: new Date(expiresAt * 1000)
+    };
+  }
+
+  /**
+   * Check a token issued by createToken
+   * @param {string} token - The token
+   * @returns {Object|null} - { channelName, uid, role, exp }, or null if invalid or expired
+   */
+  verifyToken(token) {
+    const [prefix, payload, signature] = String(token).split('.');
+    if (prefix !== 'mock' || !payload || !signature) return null;
+
+    const expected = Buffer.from(this.sign(payload));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    return claims.exp * 1000 > Date.now() ? claims : null;
+  }
+
+  clientConfig() {
+    return { appId: 'mock' };
+  }
+
+  async getPresence(channelName) {
+    const users = this.channels.get(channelName);
+    return users ? [...users.keys()] : [];
+  }
+
+  async trackJoin(channelName, uid) {
+    this.assertNotKicked(channelName, uid);
+    await this.createChannel(channelName);
+    this.channels.get(channelName).set(uid, new Date());
+  }
+
+  async trackLeave(channelName, uid) {
+    const users = this.channels.get(channelName);
+    if (users) users.delete(uid);
+  }
+
+  async kickUser(channelName, uid, { seconds = 600 } = {}) {
+    const expiresAt = new Date(Date.now() + seconds * 1000);
+
+    if (!this.kicks.has(channelName)) {
+      this.kicks.set(channelName, new Map());
+    }
+    this.kicks.get(channelName).set(uid, expiresAt);
+    await this.trackLeave(channelName, uid);
+
+    return { ruleId: `mock-kick-${channelName}-${uid}`, expiresAt };
+  }
+
+  async startRecording(channelName, { fileNamePrefix = [] } = {}) {
+    const sid = crypto.randomBytes(16).toString('hex');
+
+    this.recordings.set(sid, { channelName, fileNamePrefix, startedAt: Date.now() });
+
+    return {
+      resourceId: `mock-${crypto.randomBytes(12).toString('hex')}`,
+      sid,
+      uid: 'mock-recorder',
+      mode: 'mix'
+    };
+  }
+
+  async queryRecording({ sid }) {
+    const recording = this.findRecording(sid);
+
+    return {
+      status: 5, // recording, as Agora reports it
+      fileList: this.fileName(sid, recording),
+      startedAt: new Date(recording.startedAt)
+    };
+  }
+
+  async stopRecording({ sid }) {
+    const recording = this.findRecording(sid);
+    recording.stoppedAt = Date.now();
+
+    return {
+      files: [{
+        fileName: this.fileName(sid, recording),
+        trackType: 'audio_and_video',
+        mixedAllUser: true,
+        isPlayable: true,
+        sliceStartTime: recording.startedAt
+      }],
+      uploadingStatus: 'uploaded'
+    };
+  }
+
+  getRecordingUrl(fileName) {
+    if (!fileName) return fileName;
+    return `${this.recordingBaseUrl.replace(/\/$/, '')}/${fileName}`;
+  }
+
+  verifyWebhook(rawBody, headers) {
+    const expected = crypto.createHmac('sha256', this.secret).update(rawBody || Buffer.alloc(0)).digest('hex');
+    return this.safeEqual(expected, headers['x-mock-signature']);
+  }
+
+  parseWebhook({ id, type, channelName, uid, at, seq }) {
+    return {
+      id: String(id),
+      type: ['user_joined', 'user_left', 'channel_destroyed'].includes(type) ? type : 'ignored',
+      channelName,
+      uid: uid !== undefined ? Number(uid) : undefined,
+      at: new Date(at || Date.now()),
+      seq
+    };
+  }
+
+  findRecording(sid) {
+    const recording = this.recordings.get(sid);
+    if (!recording || recording.stoppedAt) {
+      throw new HttpError(404, 'No recording in progress');
+    }
+    return recording;
+  }
+
+  fileName(sid, { channelName, fileNamePrefix }) {
+    return [...fileNamePrefix, `${sid}_${channelName}.m3u8`].join('/');
+  }
+
+  assertNotKicked(channelName, uid) {
+    const kicks = this.kicks.get(channelName);
+    const until = kicks && kicks.get(uid);
+
+    if (until && until > new Date()) {
+      throw new HttpError(403, 'You have been removed from this stream');
+    }
+  }
+
+  sign(payload) {
+    return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,178 @@
+// services/streaming/StreamProvider.js
+const crypto = require('crypto');
+const HttpError = require('../../utils/httpError');
+
+/**
+ * Interface every streaming provider implements. Controllers and services
+ * only talk to this, so a new backend (LiveKit, Jitsi...) is one new class
+ * registered in services/streaming/index.js.
+ *
+ * Users are identified by a numeric uid derived from their user ID, because
+ * most media servers (Agora included) only accept 32-bit integer uids.
+ */
+class StreamProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Whether the provider has the credentials it needs
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Channel name for a session
+   * @param {string} sessionId - The session ID
+   * @returns {string}
+   */
+  channelName(sessionId) {
+    return `session_${sessionId}`;
+  }
+
+  /**
+   * Stable numeric uid for a user (1 to 2^32 - 1)
+   * @param {string} userId - The user ID
+   * @returns {number}
+   */
+  uidFor(userId) {
+    const hash = crypto.createHash('sha256').update(String(userId)).digest();
+    return (hash.readUInt32BE(0) % 0xfffffffe) + 1;
+  }
+
+  /**
+   * Prepare a channel before the host goes live
+   * @param {string} channelName - The channel name
+   * @returns {Object} - { channelName }
+   */
+  async createChannel(channelName) {
+    return { channelName };
+  }
+
+  /**
+   * Tear a channel down after the stream ended
+   * @param {string} channelName - The channel name
+   */
+  async closeChannel(channelName) {}
+
+  /**
+   * Issue a token for joining a channel
+   * @param {string} channelName - The channel name
+   * @param {number} uid - The user's uid
+   * @param {string} role - 'host' (can publish) or 'viewer'
+   * @param {Object} options - ttl in seconds (provider default otherwise)
+   * @returns {Object} - { token, expiresAt }
+   */
+  async createToken(channelName, uid, role, options) {
+    throw this.unsupported('tokens');
+  }
+
+  /**
+   * Settings the client SDK needs besides the token (app ID, server URL...)
+   * @returns {Object}
+   */
+  clientConfig() {
+    return {};
+  }
+
+  /**
+   * Uids currently connected to a channel
+   * @param {string} channelName - The channel name
+   * @returns {Array<number>}
+   */
+  async getPresence(channelName) {
+    throw this.unsupported('presence');
+  }
+
+  /**
+   * Note that a user joined or left through the API. Providers that learn
+   * presence from the media server itself can ignore these.
+   * @param {string} channelName - The channel name
+   * @param {number} uid - The user's uid
+   */
+  async trackJoin(channelName, uid) {}
+
+  async trackLeave(channelName, uid) {}
+
+  /**
+   * Disconnect a user and keep them out of the channel for a while
+   * @param {string} channelName - The channel name
+   * @param {number} uid - The user's uid
+   * @param {Object} options - seconds (how long they stay out)
+   */
+  async kickUser(channelName, uid, { seconds } = {}) {
+    throw this.unsupported('kicking users');
+  }
+
+  /**
+   * Start recording a channel
+   * @param {string} channelName - The channel name
+   * @param {Object} options - fileNamePrefix (storage folder parts)
+   * @returns {Object} - { resourceId, sid, uid, mode }
+   */
+  async startRecording(channelName, options) {
+    throw this.unsupported('recording');
+  }
+
+  /**
+   * State of a running recording
+   * @param {Object} recording - The Recording document
+   * @returns {Object} - Provider-specific status
+   */
+  async queryRecording(recording) {
+    throw this.unsupported('recording');
+  }
+
+  /**
+   * Stop a recording and list its uploaded files
+   * @param {Object} recording - The Recording document
+   * @returns {Object} - { files, uploadingStatus }
+   */
+  async stopRecording(recording) {
+    throw this.unsupported('recording');
+  }
+
+  /**
+   * Public playback URL for a recorded file
+   * @param {string} fileName - File name as reported by the provider
+   * @returns {string}
+   */
+  getRecordingUrl(fileName) {
+    return fileName;
+  }
+
+  /**
+   * Check that a webhook request was sent by the provider
+   * @param {Buffer} rawBody - The request body as received
+   * @param {Object} headers - The request headers
+   * @returns {boolean}
+   */
+  verifyWebhook(rawBody, headers) {
+    throw this.unsupported('webhooks');
+  }
+
+  /**
+   * Turn a webhook body into a provider-neutral event
+   * @param {Object} body - The parsed request body
+   * @returns {Object} - { id, type, channelName, uid, at, seq }, where type is
+   *   user_joined, user_left, channel_destroyed or ignored
+   */
+  parseWebhook(body) {
+    throw this.unsupported('webhooks');
+  }
+
+  unsupported(feature) {
+    return new HttpError(501, `The ${this.name} streaming provider does not support ${feature}`);
+  }
+
+  // Constant-time comparison of a hex or base64 signature
+  safeEqual(expected, given) {
+    const a = Buffer.from(String(expected));
+    const b = Buffer.from(String(given || ''));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+}
+
+module.exports = StreamProvider;
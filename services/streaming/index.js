@@ -0,0 +1,71 @@
+// services/streaming/index.js
+// Picks the streaming provider from STREAM_PROVIDER (agora | mock). Without
+// it, Agora is used when its credentials are set or in production, and the
+// mock otherwise.
+// To add a backend, implement StreamProvider and register it here.
+const StreamProvider = require('./StreamProvider');
+const AgoraProvider = require('./AgoraProvider');
+const MockProvider = require('./MockProvider');
+
+const factories = {
+  agora: () => new AgoraProvider(),
+  mock: () => new MockProvider()
+};
+
+let current = null;
+
+/**
+ * Make a provider available under a name
+ * @param {string} name - Value of STREAM_PROVIDER that selects it
+ * @param {Function} factory - Returns a StreamProvider instance
+ */
+const registerStreamProvider = (name, factory) => {
+  factories[name] = factory;
+};
+
+/**
+ * Build a provider by name, or the default one
+ * @param {string} name - Provider name
+ * @returns {StreamProvider}
+ */
+const createStreamProvider = (name = process.env.STREAM_PROVIDER) => {
+  if (!name) {
+    // Never hand out mock streams in production by accident, an unconfigured
+    // Agora fails with a 503 instead
+    const agora = new AgoraProvider();
+    return agora.isConfigured() || process.env.NODE_ENV === 'production' ? agora : new MockProvider();
+  }
+
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown streaming provider "${name}"`);
+  }
+
+  return factory();
+};
+
+// The provider the app uses, created on first use
+const getStreamProvider = () => {
+  if (!current) {
+    current = createStreamProvider();
+    if (current.name === 'mock') {
+      console.log('Using the mock streaming provider');
+    }
+  }
+  return current;
+};
+
+// Swap the provider, e.g. in tests
+const setStreamProvider = provider => {
+  current = provider;
+};
+
+module.exports = {
+  StreamProvider,
+  AgoraProvider,
+  MockProvider,
+  registerStreamProvider,
+  createStreamProvider,
+  getStreamProvider,
+  setStreamProvider
+};
@@ -0,0 +1,248 @@
+// services/tokenLedgerService.js
+const mongoose = require('mongoose');
+const TokenLedger = require('../models/TokenLedger');
+const User = require('../models/User');
+const HttpError = require('../utils/httpError');
+
+class TokenLedgerService {
+  /**
+   * Add tokens to a user's balance and record the ledger entry
+   * @param {string} userId - The user receiving the tokens
+   * @param {number} amount - Number of tokens to add (positive)
+   * @param {string} reason - Ledger reason (purchase, refund, admin_adjustment...)
+   * @param {Object} options - transaction, session, description, createdBy, dbSession
+   * @returns {Object} - { entry, balance }
+   */
+  async credit(userId, amount, reason, options = {}) {
+    this.assertAmount(amount);
+
+    const user = await User.findOneAndUpdate(
+      { _id: userId },
+      { $inc: { tokens: amount } },
+      { new: true, session: options.dbSession }
+    );
+
+    if (!user) {
+      throw new HttpError(404, 'User not found');
+    }
+
+    const entry = await this.writeEntry(user, 'credit', amount, reason, options);
+
+    return { entry, balance: user.tokens };
+  }
+
+  /**
+   * Remove tokens from a user's balance and record the ledger entry.
+   * The balance check and the update happen in one conditional write, so two
+   * concurrent debits can never take the balance below zero.
+   * @param {string} userId - The user spending the tokens
+   * @param {number} amount - Number of tokens to remove (positive)
+   * @param {string} reason - Ledger reason (booking, expiry, admin_adjustment...)
+   * @param {Object} options - transaction, session, description, createdBy, dbSession,
+   *                           allowNegative (take the tokens even if the balance goes below zero)
+   * @returns {Object} - { entry, balance }
+   */
+  async debit(userId, amount, reason, options = {}) {
+    this.assertAmount(amount);
+
+    const user = await User.findOneAndUpdate(
+      options.allowNegative ? { _id: userId } : { _id: userId, tokens: { $gte: amount } },
+      { $inc: { tokens: -amount } },
+      { new: true, session: options.dbSession }
+    );
+
+    if (!user) {
+      const exists = await User.exists({ _id: userId }).session(options.dbSession || null);
+      if (!exists) {
+        throw new HttpError(404, 'User not found');
+      }
+      throw new HttpError(400, 'Insufficient tokens');
+    }
+
+    const entry = await this.writeEntry(user, 'debit', amount, reason, options);
+
+    return { entry, balance: user.tokens };
+  }
+
+  /**
+   * Set a user's balance to an exact value, recording the difference as an
+   * admin adjustment
+   * @param {string} userId - The user to adjust
+   * @param {number} balance - The target balance
+   * @param {Object} options - description, createdBy, dbSession
+   * @returns {Object} - { entry, balance } (entry is null if nothing changed)
+   */
+  async setBalance(userId, balance, options = {}) {
+    // Compare-and-set so a concurrent booking cannot be silently overwritten
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const current = await User.findById(userId).session(options.dbSession || null);
+
+      if (!current) {
+        throw new HttpError(404, 'User not found');
+      }
+
+      const delta = balance - current.tokens;
+      if (delta === 0) {
+        return { entry: null, balance };
+      }
+
+      const user = await User.findOneAndUpdate(
+        { _id: userId, tokens: current.tokens },
+        { $set: { tokens: balance } },
+        { new: true, session: options.dbSession }
+      );
+
+      if (user) {
+        const entry = await this.writeEntry(
+          user,
+          delta > 0 ? 'credit' : 'debit',
+          Math.abs(delta),
+          'admin_adjustment',
+          options
+        );
+        return { entry, balance: user.tokens };
+      }
+    }
+
+    throw new HttpError(409, 'Balance changed while updating, please retry');
+  }
+
+  /**
+   * Get a page of ledger entries for a user, newest first
+   * @param {string} userId - The user ID
+   * @param {Object} options - page, limit, reason
+   * @returns {Object} - { entries, pagination }
+   */
+  async getHistory(userId, { page = 1, limit = 20, reason } = {}) {
+    const query = { user: userId };
+    if (reason) query.reason = reason;
+
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const [entries, total] = await Promise.all([
+      TokenLedger.find(query)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .populate('session', 'title scheduledAt')
+        .populate('transaction', 'amount currency status'),
+      TokenLedger.countDocuments(query)
+    ]);
+
+    return {
+      entries,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+
+  /**
+   * Calculate a user's balance from the ledger alone
+   * @param {string} userId - The user ID
+   * @returns {number} - Sum of all credits minus all debits
+   */
+  async calculateBalance(userId) {
+    const [result] = await TokenLedger.aggregate([
+      { $match: { user: new mongoose.Types.ObjectId(userId) } },
+      { $group: { _id: null, balance: { $sum: this.signedAmountExpression() } } }
+    ]);
+
+    return result ? result.balance : 0;
+  }
+
+  /**
+   * Overwrite the cached User.tokens with the balance derived from the ledger
+   * @param {string} userId - The user ID
+   * @returns {Object} - { previousBalance, balance }
+   */
+  async rebuildBalance(userId) {
+    const user = await User.findById(userId);
+
+    if (!user) {
+      throw new HttpError(404, 'User not found');
+    }
+
+    const balance = await this.calculateBalance(userId);
+    const previousBalance = user.tokens;
+
+    await User.updateOne({ _id: userId }, { $set: { tokens: balance } });
+
+    return { previousBalance, balance };
+  }
+
+  /**
+   * Compare every user's cached balance with the ledger
+   * @returns {Object} - Summary and the list of mismatched users
+   */
+  async reconcile() {
+    const results = await User.aggregate([
+      {
+        $lookup: {
+          from: TokenLedger.collection.name,
+          localField: '_id',
+          foreignField: 'user',
+          as: 'ledger',
+          pipeline: [
+            { $group: { _id: null, balance: { $sum: this.signedAmountExpression() }, entries: { $sum: 1 } } }
+          ]
+        }
+      },
+      {
+        $project: {
+          email: 1,
+          firstName: 1,
+          lastName: 1,
+          cachedBalance: { $ifNull: ['$tokens', 0] },
+          ledgerBalance: { $ifNull: [{ $first: '$ledger.balance' }, 0] },
+          ledgerEntries: { $ifNull: [{ $first: '$ledger.entries' }, 0] }
+        }
+      },
+      { $addFields: { difference: { $subtract: ['$cachedBalance', '$ledgerBalance'] } } }
+    ]);
+
+    const mismatches = results.filter(r => r.difference !== 0);
+
+    return {
+      checkedAt: new Date(),
+      usersChecked: results.length,
+      mismatchCount: mismatches.length,
+      mismatches
+    };
+  }
+
+  // Aggregation expression turning an entry into a signed number
+  signedAmountExpression() {
+    return {
+      $cond: [{ $eq: ['$type', 'credit'] }, '$amount', { $multiply: ['$amount', -1] }]
+    };
+  }
+
+  async writeEntry(user, type, amount, reason, options) {
+    const [entry] = await TokenLedger.create([{
+      user: user._id,
+      type,
+      amount,
+      reason,
+      balanceAfter: user.tokens,
+      transaction: options.transaction,
+      session: options.session,
+      description: options.description,
+      createdBy: options.createdBy
+    }], { session: options.dbSession });
+
+    return entry;
+  }
+
+  assertAmount(amount) {
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+      throw new HttpError(400, 'Token amount must be a positive number');
+    }
+  }
+}
+
+module.exports = new TokenLedgerService();
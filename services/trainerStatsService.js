@@ -0,0 +1,331 @@
+// services/trainerStatsService.js
+// Daily rollups of each trainer's sessions (models/TrainerDailyStat.js) and the
+// dashboard built from them. Rollups are rewritten by scripts/rollupTrainerStats.js
+// on a schedule; the last few days, which still change as classes run and
+// get rated, are refreshed whenever a dashboard asks for them.
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const Transaction = require('../models/Transaction');
+const TrainerDailyStat = require('../models/TrainerDailyStat');
+const { getZonedParts, DEFAULT_TIMEZONE } = require('../utils/timezone');
+const { DAY_MS, startOfUtcDay, dayKey, parseDayRange } = require('../utils/dateRange');
+
+// Days before now that are recomputed on read
+const REFRESH_DAYS = 2;
+const TOP_LIMIT = 5;
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const percent = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 10 : 0);
+
+class TrainerStatsService {
+  /**
+   * Recompute a trainer's rollups for every UTC day in [from, to)
+   * @param {string} trainerId - The trainer's user ID
+   * @param {Date} from - First day (rounded down to midnight UTC)
+   * @param {Date} to - Day after the last one
+   * @returns {number} - How many days have sessions
+   */
+  async rollup(trainerId, from, to) {
+    const trainer = new mongoose.Types.ObjectId(String(trainerId));
+    const start = startOfUtcDay(from);
+    const end = startOfUtcDay(to);
+
+    if (end <= start) return 0;
+
+    // Only the fields the rollup needs, never whole sessions
+    const sessions = await Session.aggregate([
+      { $match: { trainer, scheduledAt: { $gte: start, $lt: end }, status: { $ne: 'pending' } } },
+      {
+        $project: {
+          scheduledAt: 1,
+          timezone: 1,
+          status: 1,
+          category: 1,
+          tokenCost: 1,
+          bookings: { $size: '$participants' },
+          attendees: {
+            $map: {
+              input: { $filter: { input: '$participants', cond: { $gt: ['$$this.joinedAt', null] } } },
+              in: '$$this.user'
+            }
+          },
+          ratingSum: { $sum: '$ratings.rating' },
+          ratingCount: { $size: '$ratings' }
+        }
+      }
+    ]);
+
+    // Tokens kept from bookings cancelled too late for a full refund
+    const retained = await Transaction.aggregate([
+      {
+        $match: {
+          session: { $in: sessions.map(session => session._id) },
+          type: 'session_refund',
+          'refundDetails.reason': 'user_cancelled'
+        }
+      },
+      {
+        $group: {
+          _id: '$session',
+          tokens: { $sum: { $max: [{ $subtract: ['$refundDetails.originalTokens', '$tokenAmount'] }, 0] } }
+        }
+      }
+    ]);
+    const retainedBySession = new Map(retained.map(entry => [entry._id.toString(), entry.tokens]));
+
+    const days = new Map();
+    sessions.forEach(session => {
+      const key = dayKey(startOfUtcDay(session.scheduledAt));
+      if (!days.has(key)) {
+        days.set(key, {
+          trainer,
+          date: startOfUtcDay(session.scheduledAt),
+          sessionsScheduled: 0,
+          sessionsRun: 0,
+          sessionsCancelled: 0,
+          bookings: 0,
+          completedBookings: 0,
+          attended: 0,
+          ratingSum: 0,
+          ratingCount: 0,
+          tokensEarned: 0,
+          categories: new Map(),
+          timeSlots: new Map(),
+          attendees: new Map()
+        });
+      }
+      this.addSession(days.get(key), session, retainedBySession.get(session._id.toString()) || 0);
+    });
+
+    const writes = [...days.values()].map(day => ({
+      updateOne: {
+        filter: { trainer, date: day.date },
+        update: {
+          $set: {
+            ...day,
+            categories: [...day.categories.values()],
+            timeSlots: [...day.timeSlots.values()],
+            attendees: [...day.attendees.entries()].map(([user, count]) => ({ user, sessions: count })),
+            computedAt: new Date()
+          }
+        },
+        upsert: true
+      }
+    }));
+
+    if (writes.length) {
+      await TrainerDailyStat.bulkWrite(writes, { ordered: false });
+    }
+
+    // Days whose sessions were all moved or deleted
+    await TrainerDailyStat.deleteMany({
+      trainer,
+      date: { $gte: start, $lt: end, $nin: [...days.values()].map(day => day.date) }
+    });
+
+    return days.size;
+  }
+
+  addSession(day, session, retainedTokens) {
+    if (session.status === 'cancelled') {
+      day.sessionsCancelled += 1;
+      return;
+    }
+
+    day.sessionsScheduled += 1;
+    day.bookings += session.bookings;
+    day.tokensEarned += session.bookings * (session.tokenCost || 0) + retainedTokens;
+
+    if (session.status !== 'completed') return;
+
+    const attended = session.attendees.length;
+    day.sessionsRun += 1;
+    day.completedBookings += session.bookings;
+    day.attended += attended;
+    day.ratingSum += session.ratingSum;
+    day.ratingCount += session.ratingCount;
+
+    const add = (map, key, fields) => {
+      const entry = map.get(key) || { ...fields, sessions: 0, bookings: 0, attended: 0 };
+      entry.sessions += 1;
+      entry.bookings += session.bookings;
+      entry.attended += attended;
+      map.set(key, entry);
+    };
+
+    // Time slots in the timezone the session was scheduled in
+    const { weekday, hour } = getZonedParts(session.scheduledAt, session.timezone || DEFAULT_TIMEZONE);
+    add(day.categories, session.category, { category: session.category });
+    add(day.timeSlots, `${weekday}:${hour}`, { weekday, hour });
+
+    session.attendees.forEach(user => {
+      const key = user.toString();
+      day.attendees.set(key, (day.attendees.get(key) || 0) + 1);
+    });
+  }
+
+  /**
+   * Recompute the rollups of every trainer with sessions in [from, to)
+   * @param {Date} from - First day
+   * @param {Date} to - Day after the last one
+   * @returns {Object} - { trainers, days }
+   */
+  async rollupAll(from, to) {
+    const range = { $gte: startOfUtcDay(from), $lt: startOfUtcDay(to) };
+    const [withSessions, withStats] = await Promise.all([
+      Session.distinct('trainer', { scheduledAt: range }),
+      TrainerDailyStat.distinct('trainer', { date: range })
+    ]);
+
+    const trainers = [...new Set([...withSessions, ...withStats].map(String))];
+    let days = 0;
+
+    for (const trainerId of trainers) {
+      days += await this.rollup(trainerId, from, to);
+    }
+
+    return { trainers: trainers.length, days };
+  }
+
+  /**
+   * Totals and trends of a trainer's sessions over a date range
+   * @param {string} trainerId - The trainer's user ID
+   * @param {Object} options - from, to (YYYY-MM-DD, both inclusive), interval (day, week or month)
+   * @returns {Object} - { range, totals, trends, topCategories, bestTimeSlots }
+   */
+  async getDashboard(trainerId, { from, to, interval } = {}) {
+    const { start, end, interval: unit } = parseDayRange({ from, to, interval });
+    const trainer = new mongoose.Types.ObjectId(String(trainerId));
+
+    // Recent days are still changing; refresh the part of the range they cover
+    const refreshFrom = new Date(Math.max(start.getTime(), startOfUtcDay(Date.now() - REFRESH_DAYS * DAY_MS).getTime()));
+    if (refreshFrom < end) {
+      await this.rollup(trainer, refreshFrom, end);
+    }
+
+    const [result] = await TrainerDailyStat.aggregate([
+      { $match: { trainer, date: { $gte: start, $lt: end } } },
+      {
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: null,
+                sessionsScheduled: { $sum: '$sessionsScheduled' },
+                sessionsRun: { $sum: '$sessionsRun' },
+                sessionsCancelled: { $sum: '$sessionsCancelled' },
+                bookings: { $sum: '$bookings' },
+                completedBookings: { $sum: '$completedBookings' },
+                attended: { $sum: '$attended' },
+                ratingSum: { $sum: '$ratingSum' },
+                ratingCount: { $sum: '$ratingCount' },
+                tokensEarned: { $sum: '$tokensEarned' }
+              }
+            }
+          ],
+          trends: [
+            {
+              $group: {
+                _id: { $dateTrunc: { date: '$date', unit, startOfWeek: 'monday' } },
+                sessionsRun: { $sum: '$sessionsRun' },
+                bookings: { $sum: '$bookings' },
+                completedBookings: { $sum: '$completedBookings' },
+                attended: { $sum: '$attended' },
+                ratingSum: { $sum: '$ratingSum' },
+                ratingCount: { $sum: '$ratingCount' },
+                tokensEarned: { $sum: '$tokensEarned' }
+              }
+            },
+            { $sort: { _id: 1 } }
+          ],
+          categories: [
+            { $unwind: '$categories' },
+            {
+              $group: {
+                _id: '$categories.category',
+                sessions: { $sum: '$categories.sessions' },
+                bookings: { $sum: '$categories.bookings' },
+                attended: { $sum: '$categories.attended' }
+              }
+            },
+            { $sort: { attended: -1, sessions: -1 } },
+            { $limit: TOP_LIMIT }
+          ],
+          timeSlots: [
+            { $unwind: '$timeSlots' },
+            {
+              $group: {
+                _id: { weekday: '$timeSlots.weekday', hour: '$timeSlots.hour' },
+                sessions: { $sum: '$timeSlots.sessions' },
+                bookings: { $sum: '$timeSlots.bookings' },
+                attended: { $sum: '$timeSlots.attended' }
+              }
+            },
+            { $addFields: { averageAttendance: { $divide: ['$attended', '$sessions'] } } },
+            { $sort: { averageAttendance: -1, sessions: -1 } },
+            { $limit: TOP_LIMIT }
+          ],
+          attendees: [
+            { $unwind: '$attendees' },
+            { $group: { _id: '$attendees.user', sessions: { $sum: '$attendees.sessions' } } },
+            {
+              $group: {
+                _id: null,
+                unique: { $sum: 1 },
+                repeat: { $sum: { $cond: [{ $gte: ['$sessions', 2] }, 1, 0] } }
+              }
+            }
+          ]
+        }
+      }
+    ]);
+
+    const totals = result.totals[0] || {};
+    const attendees = result.attendees[0] || { unique: 0, repeat: 0 };
+    const averageRating = (sum, count) => (count ? Math.round((sum / count) * 100) / 100 : null);
+
+    return {
+      range: { from: dayKey(start), to: dayKey(new Date(end.getTime() - DAY_MS)), interval: unit },
+      totals: {
+        sessionsRun: totals.sessionsRun || 0,
+        sessionsScheduled: totals.sessionsScheduled || 0,
+        sessionsCancelled: totals.sessionsCancelled || 0,
+        bookings: totals.bookings || 0,
+        attended: totals.attended || 0,
+        attendanceRate: percent(totals.attended, totals.completedBookings),
+        averageRating: averageRating(totals.ratingSum, totals.ratingCount),
+        ratings: totals.ratingCount || 0,
+        tokensEarned: totals.tokensEarned || 0,
+        uniqueAttendees: attendees.unique,
+        repeatAttendees: attendees.repeat,
+        repeatAttendeeRate: percent(attendees.repeat, attendees.unique)
+      },
+      trends: result.trends.map(period => ({
+        period: dayKey(period._id),
+        sessionsRun: period.sessionsRun,
+        bookings: period.bookings,
+        attended: period.attended,
+        attendanceRate: percent(period.attended, period.completedBookings),
+        averageRating: averageRating(period.ratingSum, period.ratingCount),
+        ratings: period.ratingCount,
+        tokensEarned: period.tokensEarned
+      })),
+      topCategories: result.categories.map(category => ({
+        category: category._id,
+        sessions: category.sessions,
+        bookings: category.bookings,
+        attended: category.attended,
+        attendanceRate: percent(category.attended, category.bookings)
+      })),
+      bestTimeSlots: result.timeSlots.map(slot => ({
+        weekday: WEEKDAYS[slot._id.weekday],
+        hour: slot._id.hour,
+        sessions: slot.sessions,
+        averageAttendance: Math.round(slot.averageAttendance * 10) / 10,
+        attendanceRate: percent(slot.attended, slot.bookings)
+      }))
+    };
+  }
+}
+
+module.exports = new TrainerStatsService();
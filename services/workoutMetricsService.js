@@ -0,0 +1,313 @@
+// services/workoutMetricsService.js
+// Wearable samples (heart rate, calories, cadence) sent by participants during
+// a live class. Each sample is stored with the user's heart-rate zone, the
+// class-wide intensity is broadcast to the room, and when the class ends every
+// participant gets a workout summary on User.completedSessions.
+const User = require('../models/User');
+const WorkoutSample = require('../models/WorkoutSample');
+const chatService = require('./chatService');
+const moderationService = require('./moderationService');
+const realtimeService = require('./realtimeService');
+const workoutMetrics = require('../config/workoutMetrics');
+const HttpError = require('../utils/httpError');
+
+// Samples may be buffered on the device for a little while before they are sent
+const MAX_SAMPLE_AGE_MS = 10 * 60 * 1000;
+const MAX_CLOCK_SKEW_MS = 30 * 1000;
+
+class WorkoutMetricsService {
+  constructor() {
+    // sessionId -> time of the last intensity broadcast from this instance
+    this.lastBroadcast = new Map();
+  }
+
+  /**
+   * Store a batch of samples from a participant's wearable
+   * @param {string} sessionId - The session ID
+   * @param {Object} user - The participant
+   * @param {Array<Object>} samples - { at?, heartRate?, calories?, cadence? }
+   * @param {Object} options - device: name of the sending device
+   * @returns {Object} - { accepted, current: { heartRate, zone, percentOfMax } }
+   */
+  async ingest(sessionId, user, samples, { device } = {}) {
+    if (!Array.isArray(samples) || !samples.length) {
+      throw new HttpError(400, 'At least one sample is required');
+    }
+
+    if (samples.length > workoutMetrics.maxBatchSize) {
+      throw new HttpError(400, `Send at most ${workoutMetrics.maxBatchSize} samples at a time`);
+    }
+
+    const session = await chatService.findLiveSession(sessionId, user);
+
+    // Class figures are about the participants, not the trainer
+    if (moderationService.isStaff(session, user)) {
+      throw new HttpError(403, 'Only participants can send workout data');
+    }
+    moderationService.assertCanJoin(session, user._id);
+
+    const maxHeartRate = await this.getMaxHeartRate(user._id);
+    const startedAt = session.streamingDetails && session.streamingDetails.startedAt;
+
+    const docs = samples
+      .map(sample => this.parseSample(sample, startedAt))
+      .sort((a, b) => a.at - b.at)
+      .map(sample => ({
+        ...sample,
+        session: session._id,
+        user: user._id,
+        zone: sample.heartRate ? this.zoneFor(sample.heartRate, maxHeartRate) : undefined,
+        device: typeof device === 'string' ? device.slice(0, 100) : undefined
+      }));
+
+    await WorkoutSample.insertMany(docs);
+    await this.broadcastIntensity(session);
+
+    const latest = [...docs].reverse().find(doc => doc.heartRate);
+
+    return {
+      accepted: docs.length,
+      current: latest
+        ? {
+          heartRate: latest.heartRate,
+          zone: latest.zone,
+          percentOfMax: Math.round((latest.heartRate / maxHeartRate) * 100)
+        }
+        : null
+    };
+  }
+
+  /**
+   * Class-wide intensity from everyone who sent a sample recently
+   * @param {Object} session - The session document
+   * @param {Object} options - detailed: include each participant (for the trainer)
+   * @returns {Object} - { activeParticipants, averageHeartRate, averagePercentOfMax, zones, participants? }
+   */
+  async getLiveIntensity(session, { detailed = false } = {}) {
+    const since = new Date(Date.now() - workoutMetrics.liveWindowSeconds * 1000);
+
+    const latest = await WorkoutSample.aggregate([
+      { $match: { session: session._id, at: { $gte: since }, heartRate: { $ne: null } } },
+      { $sort: { at: -1 } },
+      {
+        $group: {
+          _id: '$user',
+          heartRate: { $first: '$heartRate' },
+          zone: { $first: '$zone' },
+          calories: { $first: '$calories' },
+          at: { $first: '$at' }
+        }
+      }
+    ]);
+
+    const maxHeartRates = await this.getMaxHeartRates(latest.map(entry => entry._id));
+    const zones = [0, 0, 0, 0, 0, 0];
+    let heartRateSum = 0;
+    let percentSum = 0;
+
+    const participants = latest.map(entry => {
+      const percentOfMax = Math.round((entry.heartRate / maxHeartRates.get(entry._id.toString())) * 100);
+      zones[entry.zone || 0] += 1;
+      heartRateSum += entry.heartRate;
+      percentSum += percentOfMax;
+
+      return {
+        user: entry._id,
+        heartRate: entry.heartRate,
+        zone: entry.zone,
+        percentOfMax,
+        calories: entry.calories,
+        at: entry.at
+      };
+    });
+
+    const result = {
+      sessionId: session._id,
+      activeParticipants: latest.length,
+      averageHeartRate: latest.length ? Math.round(heartRateSum / latest.length) : null,
+      averagePercentOfMax: latest.length ? Math.round(percentSum / latest.length) : null,
+      // How many participants are in each zone right now, 0 being below zone 1
+      zones,
+      timestamp: new Date()
+    };
+
+    if (detailed) {
+      const users = await User.find({ _id: { $in: latest.map(entry => entry._id) } })
+        .select('firstName lastName profilePicture');
+      const byId = new Map(users.map(u => [u._id.toString(), chatService.publicUser(u)]));
+
+      result.participants = participants
+        .map(participant => ({ ...participant, user: byId.get(participant.user.toString()) || null }))
+        .sort((a, b) => b.percentOfMax - a.percentOfMax);
+    }
+
+    return result;
+  }
+
+  // Send the class intensity to the room, at most once per broadcast interval
+  async broadcastIntensity(session) {
+    const key = session._id.toString();
+    const now = Date.now();
+
+    if (now - (this.lastBroadcast.get(key) || 0) < workoutMetrics.broadcastIntervalSeconds * 1000) {
+      return;
+    }
+    this.lastBroadcast.set(key, now);
+
+    const intensity = await this.getLiveIntensity(session);
+    await realtimeService.emitToSession(session._id, 'metrics:intensity', intensity);
+  }
+
+  /**
+   * Work out one participant's workout from their samples
+   * @param {string} sessionId - The session ID
+   * @param {string} userId - The user ID
+   * @returns {Object|null} - The summary, or null if they sent no samples
+   */
+  async summarize(sessionId, userId) {
+    const samples = await WorkoutSample.find({ session: sessionId, user: userId })
+      .sort({ at: 1 })
+      .select('at heartRate calories cadence zone')
+      .lean();
+
+    if (!samples.length) return null;
+
+    const maxHeartRate = await this.getMaxHeartRate(userId);
+    const zoneSeconds = [0, 0, 0, 0, 0, 0];
+    const heartRates = samples.filter(s => s.heartRate).map(s => s.heartRate);
+    const cadences = samples.filter(s => s.cadence).map(s => s.cadence);
+    const calories = samples.filter(s => s.calories !== undefined && s.calories !== null).map(s => s.calories);
+    const average = values => (values.length ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length) : null);
+
+    // Each sample holds until the next one, unless the device went quiet
+    samples.forEach((sample, index) => {
+      const next = samples[index + 1];
+      if (!next || !sample.heartRate) return;
+
+      const gap = (next.at - sample.at) / 1000;
+      if (gap <= workoutMetrics.maxSampleGapSeconds) {
+        zoneSeconds[sample.zone || 0] += gap;
+      }
+    });
+
+    const averageHeartRate = average(heartRates);
+
+    return {
+      durationSeconds: Math.round((samples[samples.length - 1].at - samples[0].at) / 1000),
+      samples: samples.length,
+      averageHeartRate,
+      maxHeartRate: heartRates.length ? Math.max(...heartRates) : null,
+      calories: calories.length ? Math.round(Math.max(...calories)) : null,
+      averageCadence: average(cadences),
+      zoneSeconds: zoneSeconds.map(Math.round),
+      intensity: averageHeartRate ? Math.round((averageHeartRate / maxHeartRate) * 100) : null,
+      maxHeartRateUsed: maxHeartRate
+    };
+  }
+
+  /**
+   * Save a workout summary on User.completedSessions for everyone who sent
+   * samples during the session
+   * @param {Object} session - The session document
+   * @returns {number} - How many summaries were saved
+   */
+  async saveSummaries(session) {
+    const userIds = await WorkoutSample.distinct('user', { session: session._id });
+    let saved = 0;
+
+    for (const userId of userIds) {
+      try {
+        const workout = await this.summarize(session._id, userId);
+        if (!workout) continue;
+
+        // Fill in the entry if the class is already there (e.g. rated), add it otherwise
+        const updated = await User.updateOne(
+          { _id: userId, 'completedSessions.session': session._id },
+          { $set: { 'completedSessions.$.workout': workout } }
+        );
+
+        if (!updated.matchedCount) {
+          await User.updateOne(
+            { _id: userId, 'completedSessions.session': { $ne: session._id } },
+            { $push: { completedSessions: { session: session._id, completedAt: new Date(), workout } } }
+          );
+        }
+        saved += 1;
+      } catch (error) {
+        console.error(`Error saving workout summary for user ${userId}:`, error);
+      }
+    }
+
+    this.lastBroadcast.delete(session._id.toString());
+    return saved;
+  }
+
+  parseSample(sample, startedAt) {
+    const { at, heartRate, calories, cadence } = sample || {};
+    const parsed = { at: at === undefined ? new Date() : new Date(at) };
+
+    if (Number.isNaN(parsed.at.getTime())) {
+      throw new HttpError(400, 'Invalid sample time');
+    }
+
+    const now = Date.now();
+    const earliest = Math.max(now - MAX_SAMPLE_AGE_MS, startedAt ? startedAt.getTime() - MAX_CLOCK_SKEW_MS : 0);
+    if (parsed.at.getTime() < earliest || parsed.at.getTime() > now + MAX_CLOCK_SKEW_MS) {
+      throw new HttpError(400, 'Sample time is outside the live class');
+    }
+
+    const fields = { heartRate: [30, 240], calories: [0, 10000], cadence: [0, 300] };
+    const values = { heartRate, calories, cadence };
+
+    Object.entries(fields).forEach(([field, [min, max]]) => {
+      if (values[field] === undefined || values[field] === null) return;
+
+      const value = Number(values[field]);
+      if (!Number.isFinite(value) || value < min || value > max) {
+        throw new HttpError(400, `${field} must be between ${min} and ${max}`);
+      }
+      parsed[field] = field === 'calories' ? Math.round(value * 10) / 10 : Math.round(value);
+    });
+
+    if (parsed.heartRate === undefined && parsed.calories === undefined && parsed.cadence === undefined) {
+      throw new HttpError(400, 'A sample needs a heart rate, calories or cadence');
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Heart-rate zone for a reading, from config/workoutMetrics.js
+   * @param {number} heartRate - Beats per minute
+   * @param {number} maxHeartRate - The user's max heart rate
+   * @returns {number} - 0 (below zone 1) to 5
+   */
+  zoneFor(heartRate, maxHeartRate) {
+    const share = heartRate / maxHeartRate;
+    const zone = [...workoutMetrics.zones].reverse().find(z => share >= z.min);
+    return zone ? zone.zone : 0;
+  }
+
+  // The profile's max heart rate, else estimated from age (220 - age), else the default
+  maxHeartRateFor(user) {
+    const profile = (user && user.fitnessProfile) || {};
+
+    if (profile.maxHeartRate) return profile.maxHeartRate;
+    if (profile.birthYear) return 220 - (new Date().getFullYear() - profile.birthYear);
+    return workoutMetrics.defaultMaxHeartRate;
+  }
+
+  async getMaxHeartRate(userId) {
+    const user = await User.findById(userId).select('fitnessProfile');
+    return this.maxHeartRateFor(user);
+  }
+
+  async getMaxHeartRates(userIds) {
+    const users = await User.find({ _id: { $in: userIds } }).select('fitnessProfile');
+    const byId = new Map(users.map(user => [user._id.toString(), this.maxHeartRateFor(user)]));
+
+    return new Map(userIds.map(id => [id.toString(), byId.get(id.toString()) || workoutMetrics.defaultMaxHeartRate]));
+  }
+}
+
+module.exports = new WorkoutMetricsService();
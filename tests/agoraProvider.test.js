@@ -0,0 +1,63 @@
+// tests/agoraProvider.test.js
+const { AgoraProvider } = require('../services/streaming');
+const standIn = require('./helpers/agoraStandIn');
+
+beforeAll(standIn.start);
+afterAll(standIn.stop);
+
+// Failed calls are logged by the provider
+beforeEach(() => jest.spyOn(console, 'error').mockImplementation(() => {}));
+afterEach(() => jest.restoreAllMocks());
+
+describe('cloud recording through AgoraProvider', () => {
+  let provider;
+
+  beforeEach(() => {
+    provider = new AgoraProvider();
+  });
+
+  it('acquires, starts, queries and stops a recording', async () => {
+    const started = await provider.startRecording('session-1', { fileNamePrefix: ['sessions', 'session-1'] });
+
+    expect(started).toEqual({
+      resourceId: expect.any(String),
+      sid: expect.any(String),
+      uid: '999999',
+      mode: 'mix'
+    });
+
+    const status = await provider.queryRecording(started);
+    expect(status).toMatchObject({ status: 5, fileList: `${started.sid}_session-1.m3u8` });
+
+    const stopped = await provider.stopRecording({ channelName: 'session-1', ...started });
+    expect(stopped.uploadingStatus).toBe('uploaded');
+    expect(stopped.files).toEqual([expect.objectContaining({
+      fileName: `${started.sid}_session-1.m3u8`,
+      mixedAllUser: true,
+      isPlayable: true
+    })]);
+    expect(provider.getRecordingUrl(stopped.files[0].fileName))
+      .toBe(`https://recordings.example.com/${started.sid}_session-1.m3u8`);
+  });
+
+  it('reports a 502 when stopping a recording that is not running', async () => {
+    const started = await provider.startRecording('session-2');
+    await provider.stopRecording({ channelName: 'session-2', ...started });
+
+    await expect(provider.stopRecording({ channelName: 'session-2', ...started })).rejects.toMatchObject({
+      statusCode: 502,
+      message: 'Cloud recording request failed',
+      details: { code: 435, reason: 'no recording in progress' }
+    });
+    await expect(provider.queryRecording(started)).rejects.toMatchObject({ statusCode: 502 });
+  });
+
+  it('refuses to record without storage configured', async () => {
+    const bucket = process.env.AGORA_RECORDING_BUCKET;
+    delete process.env.AGORA_RECORDING_BUCKET;
+    const unconfigured = new AgoraProvider();
+    process.env.AGORA_RECORDING_BUCKET = bucket;
+
+    await expect(unconfigured.startRecording('session-3')).rejects.toMatchObject({ statusCode: 503 });
+  });
+});
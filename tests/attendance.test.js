@@ -0,0 +1,62 @@
+// tests/attendance.test.js
+const attendanceService = require('../services/attendanceService');
+
+const start = new Date('2025-03-01T07:00:00Z');
+const at = minutes => new Date(start.getTime() + minutes * 60 * 1000);
+
+const session = {
+  status: 'completed',
+  streamingDetails: { startedAt: start, endedAt: at(10) },
+  participants: [
+    { user: 'a', intervals: [{ joinedAt: at(0) }] },
+    // Dropped out and came back
+    { user: 'b', intervals: [{ joinedAt: at(1), leftAt: at(3) }, { joinedAt: at(5) }] },
+    { user: 'c', intervals: [{ joinedAt: at(2.5), leftAt: at(4.5) }] },
+    // Recorded before intervals were kept
+    { user: 'd', joinedAt: at(2), leaveAt: null }
+  ]
+};
+
+describe('attendance timeline', () => {
+  it('counts concurrent viewers per minute and the real peak', () => {
+    const { timeline, peak } = attendanceService.getTimeline(session);
+
+    expect(timeline).toMatchObject({ startedAt: start, endedAt: at(10), bucketSeconds: 60 });
+    expect(timeline.points).toHaveLength(10);
+    expect(timeline.points.slice(0, 6).map(point => [point.viewers, point.joins, point.leaves])).toEqual([
+      [1, 1, 0],
+      [2, 1, 0],
+      [4, 2, 0],
+      [4, 0, 1],
+      [3, 0, 1],
+      [3, 1, 0]
+    ]);
+    expect(timeline.points[9]).toMatchObject({ viewers: 3, retention: 75 });
+    expect(peak).toEqual({ viewers: 4, at: at(2.5), minute: 2 });
+  });
+
+  it('reports leaving for good as dropoff and coming back as a rejoin', () => {
+    const { dropoffPoints, rejoins } = attendanceService.getTimeline(session);
+
+    expect(dropoffPoints).toEqual([{ minute: 4, time: '4 minutes', left: 1, percentage: 25 }]);
+    expect(rejoins).toEqual({ total: 1, participants: 1 });
+  });
+
+  it('runs a live session up to now', () => {
+    const live = { ...session, status: 'live', streamingDetails: { startedAt: start } };
+
+    const { timeline } = attendanceService.getTimeline(live, { now: at(3) });
+
+    expect(timeline.endedAt).toEqual(at(3));
+    expect(timeline.points).toHaveLength(3);
+  });
+
+  it('returns an empty timeline when nobody attended', () => {
+    expect(attendanceService.getTimeline({ status: 'completed', participants: [] })).toEqual({
+      timeline: { startedAt: null, endedAt: null, bucketSeconds: 60, points: [] },
+      peak: { viewers: 0, at: null, minute: null },
+      dropoffPoints: [],
+      rejoins: { total: 0, participants: 0 }
+    });
+  });
+});
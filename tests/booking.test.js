@@ -0,0 +1,132 @@
+// tests/booking.test.js
+const express = require('express');
+const request = require('supertest');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const TokenLedger = require('../models/TokenLedger');
+const bookingService = require('../services/bookingService');
+const sessionController = require('../controllers/sessionController');
+const idempotency = require('../middleware/idempotency');
+const errorHandler = require('../middleware/errorHandler');
+const db = require('./helpers/db');
+const { createUser, createUsers, createSession } = require('./helpers/factories');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+describe('booking a capped session', () => {
+  it('never sells more seats than maxParticipants under concurrent bookings', async () => {
+    const trainer = await createUser({ role: 'trainer' });
+    const session = await createSession(trainer, { maxParticipants: 10, tokenCost: 3 });
+    const users = await createUsers(14, { tokens: 10 });
+
+    const results = await Promise.allSettled(users.map(user => bookingService.bookSession(session._id, user._id)));
+
+    const booked = results.filter(result => result.status === 'fulfilled');
+    const rejected = results.filter(result => result.status === 'rejected');
+    expect(booked).toHaveLength(10);
+    expect(rejected.map(result => result.reason.message)).toEqual(Array(4).fill('Session is full'));
+
+    const saved = await Session.findById(session._id);
+    expect(saved.participants).toHaveLength(10);
+
+    const bookedUsers = await User.find({ 'bookedSessions.session': session._id });
+    expect(bookedUsers).toHaveLength(10);
+    expect(bookedUsers.every(user => user.tokens === 7)).toBe(true);
+    expect(await User.countDocuments({ role: 'user', tokens: 10 })).toBe(4);
+
+    // One debit per seat, each matching the balance it left behind
+    const debits = await TokenLedger.find({ session: session._id, reason: 'booking' });
+    expect(debits).toHaveLength(10);
+    expect(debits.every(entry => entry.type === 'debit' && entry.amount === 3 && entry.balanceAfter === 7)).toBe(true);
+    expect(new Set(debits.map(entry => entry.user.toString()))).toEqual(
+      new Set(saved.participants.map(participant => participant.user.toString()))
+    );
+  });
+
+  it('does not book a user who cannot pay', async () => {
+    const trainer = await createUser({ role: 'trainer' });
+    const session = await createSession(trainer, { tokenCost: 3 });
+    const user = await createUser({ tokens: 2 });
+
+    await expect(bookingService.bookSession(session._id, user._id)).rejects.toThrow('Insufficient tokens');
+
+    expect((await Session.findById(session._id)).participants).toHaveLength(0);
+    expect((await User.findById(user._id)).bookedSessions).toHaveLength(0);
+    expect(await TokenLedger.countDocuments({ user: user._id })).toBe(0);
+  });
+
+  it('books a free session without a ledger entry', async () => {
+    const trainer = await createUser({ role: 'trainer' });
+    const session = await createSession(trainer, { tokenCost: 0 });
+    const user = await createUser({ tokens: 0 });
+
+    const { tokens } = await bookingService.bookSession(session._id, user._id);
+
+    expect(tokens).toBe(0);
+    expect((await Session.findById(session._id)).participants).toHaveLength(1);
+    expect((await User.findById(user._id)).bookedSessions).toHaveLength(1);
+    expect(await TokenLedger.countDocuments({ user: user._id })).toBe(0);
+  });
+});
+
+describe('booking with an Idempotency-Key', () => {
+  let user;
+  let session;
+  let app;
+
+  beforeEach(async () => {
+    const trainer = await createUser({ role: 'trainer' });
+    session = await createSession(trainer, { tokenCost: 3 });
+    user = await createUser({ tokens: 10 });
+
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = user;
+      next();
+    });
+    app.post('/api/sessions/:id/book', idempotency, sessionController.bookSession);
+    app.use(errorHandler);
+  });
+
+  const book = key => request(app).post(`/api/sessions/${session._id}/book`).set('Idempotency-Key', key).send({});
+
+  it('replays the stored response instead of booking again', async () => {
+    const first = await book('booking-1');
+    const second = await book('booking-1');
+
+    expect(first.status).toBe(200);
+    expect(first.body.tokens).toBe(7);
+    expect(second.status).toBe(200);
+    expect(second.headers['idempotent-replayed']).toBe('true');
+    expect(second.body).toEqual(first.body);
+
+    expect((await Session.findById(session._id)).participants).toHaveLength(1);
+    expect((await User.findById(user._id)).tokens).toBe(7);
+    expect(await TokenLedger.countDocuments({ user: user._id, reason: 'booking' })).toBe(1);
+  });
+
+  it('books once when the same key is sent twice at the same time', async () => {
+    const responses = await Promise.all([book('booking-2'), book('booking-2')]);
+
+    expect(responses.map(response => response.status).sort()).toEqual(
+      responses.some(response => response.status === 409) ? [200, 409] : [200, 200]
+    );
+    expect((await Session.findById(session._id)).participants).toHaveLength(1);
+    expect(await TokenLedger.countDocuments({ user: user._id, reason: 'booking' })).toBe(1);
+  });
+
+  it('lets the client retry with the same key after a failed request', async () => {
+    await User.updateOne({ _id: user._id }, { $set: { tokens: 0 } });
+    const failed = await book('booking-3');
+    expect(failed.status).toBe(400);
+
+    await User.updateOne({ _id: user._id }, { $set: { tokens: 10 } });
+    const retried = await book('booking-3');
+    expect(retried.status).toBe(200);
+    expect(retried.headers['idempotent-replayed']).toBeUndefined();
+    expect(await TokenLedger.countDocuments({ user: user._id, reason: 'booking' })).toBe(1);
+  });
+});
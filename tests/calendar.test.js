@@ -0,0 +1,52 @@
+// tests/calendar.test.js
+const calendarService = require('../services/calendarService');
+
+const session = {
+  _id: '64b7f0c2a1b2c3d4e5f60718',
+  title: 'Core, Cardio; Stretch',
+  description: 'Bring a mat',
+  scheduledAt: new Date('2025-01-31T07:00:00Z'),
+  duration: 45,
+  status: 'scheduled',
+  category: 'HIIT',
+  updatedAt: new Date('2025-01-20T10:00:00Z')
+};
+
+describe('calendar feeds', () => {
+  it('builds a VEVENT per session with escaped text and UTC times', () => {
+    const ics = calendarService.buildCalendar([session], { name: 'My sessions' });
+
+    expect(ics.startsWith('BEGIN:VCALENDAR\r\n')).toBe(true);
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(ics).toContain('X-WR-CALNAME:My sessions\r\n');
+    expect(ics).toContain(`UID:session-${session._id}@fitstream\r\n`);
+    expect(ics).toContain('DTSTART:20250131T070000Z\r\n');
+    expect(ics).toContain('DTEND:20250131T074500Z\r\n');
+    expect(ics).toContain('SUMMARY:Core\\, Cardio\\; Stretch\r\n');
+    expect(ics).toContain('STATUS:CONFIRMED\r\n');
+  });
+
+  it('marks cancelled bookings as cancelled', () => {
+    expect(calendarService.buildCalendar([{ session, cancelled: true }])).toContain('STATUS:CANCELLED\r\n');
+  });
+
+  it('folds long lines at 75 octets without splitting characters', () => {
+    const ics = calendarService.buildCalendar([{ ...session, title: 'Ü'.repeat(100) }]);
+
+    for (const line of ics.split('\r\n')) {
+      expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+      expect(line).not.toContain('�');
+    }
+    const summary = ics.match(/SUMMARY:[^\r]*(?:\r\n [^\r]*)*/)[0].replace(/\r\n /g, '');
+    expect(summary).toBe(`SUMMARY:${'Ü'.repeat(100)}`);
+  });
+
+  it('invalidates feed tokens when the feed version changes', () => {
+    const user = { _id: session._id, calendarFeedVersion: 1 };
+    const token = calendarService.generateFeedToken(user);
+
+    expect(calendarService.verifyFeedToken(user, token)).toBe(true);
+    expect(calendarService.verifyFeedToken({ ...user, calendarFeedVersion: 2 }, token)).toBe(false);
+    expect(calendarService.verifyFeedToken(user, undefined)).toBe(false);
+  });
+});
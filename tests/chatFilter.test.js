@@ -0,0 +1,48 @@
+// tests/chatFilter.test.js
+const StreamMessage = require('../models/StreamMessage');
+const chatService = require('../services/chatService');
+const chatFilter = require('../config/chatFilter');
+const db = require('./helpers/db');
+const { createUser, createSession } = require('./helpers/factories');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+describe('chat rate limit', () => {
+  let trainer;
+  let session;
+  let viewer;
+
+  beforeEach(async () => {
+    trainer = await createUser({ role: 'trainer' });
+    session = await createSession(trainer, { status: 'live', scheduledAt: new Date() });
+    viewer = await createUser({ bookedSessions: [{ session: session._id }] });
+  });
+
+  it('lets exactly the allowed number of messages through when they arrive at once', async () => {
+    const { messages, windowSeconds } = chatFilter.rateLimit;
+
+    const results = await Promise.allSettled(
+      Array.from({ length: messages + 2 }, (_, i) => chatService.postMessage(session.id, viewer, `Rep ${i}`))
+    );
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(messages);
+    for (const result of results.filter(result => result.status === 'rejected')) {
+      expect(result.reason).toMatchObject({
+        statusCode: 429,
+        message: `You can send at most ${messages} messages every ${windowSeconds} seconds`
+      });
+    }
+    expect(await StreamMessage.countDocuments({ session: session._id, user: viewer._id })).toBe(messages);
+  });
+
+  it('does not limit the trainer', async () => {
+    const { messages } = chatFilter.rateLimit;
+
+    for (let i = 0; i <= messages; i++) {
+      await chatService.postMessage(session.id, trainer, `Set ${i}`);
+    }
+    expect(await StreamMessage.countDocuments({ session: session._id, user: trainer._id })).toBe(messages + 1);
+  });
+});
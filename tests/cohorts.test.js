@@ -0,0 +1,67 @@
+// tests/cohorts.test.js
+const Transaction = require('../models/Transaction');
+const cohortService = require('../services/cohortService');
+const db = require('./helpers/db');
+const { createUser, createSession } = require('./helpers/factories');
+
+describe('cohort options', () => {
+  it.each([
+    [{ type: 'referral' }, 'Cohort type must be signup or first_purchase'],
+    [{ weeks: '0' }, 'weeks must be a whole number between 1 and 52'],
+    [{ weeks: '2.5' }, 'weeks must be a whole number between 1 and 52']
+  ])('rejects retention options %j with a 400', async (options, message) => {
+    await expect(cohortService.getRetention(options)).rejects.toMatchObject({ statusCode: 400, message });
+  });
+
+  it('rejects at-risk options out of range with a 400', async () => {
+    await expect(cohortService.getAtRisk({ trainer: 'nope' })).rejects.toMatchObject({ statusCode: 400, message: 'Invalid trainer ID' });
+    await expect(cohortService.getAtRisk({ baselineWeeks: '1' }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'baselineWeeks must be a whole number between 2 and 26' });
+  });
+});
+
+describe('signup cohort retention', () => {
+  beforeAll(db.connect);
+  afterEach(db.clear);
+  afterAll(db.disconnect);
+
+  it('counts each member once per week they were active, and caches the result', async () => {
+    const trainer = await createUser({ role: 'trainer' });
+    // Joined the week of 10 March and attended a class straight away
+    const attendee = await createUser({ createdAt: new Date('2025-03-11T10:00:00Z') });
+    const session = await createSession(trainer, {
+      status: 'completed',
+      scheduledAt: new Date('2025-03-12T07:00:00Z'),
+      participants: [{ user: attendee._id, joinedAt: new Date('2025-03-12T07:01:00Z') }]
+    });
+
+    // Joined the week of 3 March: bought tokens that week and finished a class two weeks later
+    const buyer = await createUser({
+      createdAt: new Date('2025-03-04T10:00:00Z'),
+      completedSessions: [{ session: session._id, completedAt: new Date('2025-03-18T08:00:00Z') }]
+    });
+    await createUser({ createdAt: new Date('2025-03-06T10:00:00Z') });
+
+    await Transaction.create({
+      user: buyer._id,
+      tokenAmount: 10,
+      amount: 20,
+      paymentMethod: 'stripe',
+      status: 'completed',
+      createdAt: new Date('2025-03-05T10:00:00Z')
+    });
+
+    const options = { from: '2025-03-03', to: '2025-03-16', weeks: '4' };
+    const { value, cached } = await cohortService.getRetention(options);
+
+    expect(cached).toBe(false);
+    expect(value.cohorts).toEqual([
+      { cohort: '2025-03-03', size: 2, active: [1, 0, 1, 0], retention: [50, 0, 50, 0] },
+      { cohort: '2025-03-10', size: 1, active: [1, 0, 0, 0], retention: [100, 0, 0, 0] }
+    ]);
+    expect(value.average.map(week => week.rate)).toEqual([66.7, 0, 33.3, 0]);
+
+    await expect(cohortService.getRetention(options)).resolves.toMatchObject({ cached: true, value });
+    await expect(cohortService.getRetention({ ...options, refresh: true })).resolves.toMatchObject({ cached: false });
+  });
+});
@@ -0,0 +1,43 @@
+// tests/errorHandler.test.js
+const express = require('express');
+const request = require('supertest');
+const errorHandler = require('../middleware/errorHandler');
+const HttpError = require('../utils/httpError');
+
+describe('the error handler', () => {
+  const appThrowing = err => {
+    const app = express();
+    app.get('/', () => {
+      throw err;
+    });
+    app.use(errorHandler);
+    return app;
+  };
+
+  beforeEach(() => jest.spyOn(console, 'error').mockImplementation(() => {}));
+  afterEach(() => jest.restoreAllMocks());
+
+  it('answers an HttpError with its status and { message }, without logging', async () => {
+    const response = await request(appThrowing(new HttpError(400, 'Session is full'))).get('/');
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({ message: 'Session is full' });
+    expect(console.error).not.toHaveBeenCalled();
+  });
+
+  it('logs HttpErrors for upstream failures, without the stack', async () => {
+    const response = await request(appThrowing(new HttpError(502, 'Cloud recording request failed'))).get('/');
+
+    expect(response.status).toBe(502);
+    expect(response.body).toEqual({ message: 'Cloud recording request failed' });
+    expect(console.error).toHaveBeenCalledTimes(1);
+    expect(console.error).toHaveBeenCalledWith('Error:', 'Cloud recording request failed');
+  });
+
+  it('answers unexpected errors with a 500', async () => {
+    const response = await request(appThrowing(new Error('boom'))).get('/');
+
+    expect(response.status).toBe(500);
+    expect(response.body).toMatchObject({ success: false, error: { message: 'boom' } });
+  });
+});
@@ -0,0 +1,67 @@
+// tests/helpers/agoraStandIn.js
+// Runs scripts/agoraStandIn.js on a free port and points AgoraProvider at it.
+const path = require('path');
+const net = require('net');
+const { spawn } = require('child_process');
+
+const SCRIPT = path.resolve(__dirname, '../../scripts/agoraStandIn.js');
+
+const freePort = () => new Promise((resolve, reject) => {
+  const probe = net.createServer();
+  probe.once('error', reject);
+  probe.listen(0, () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+let child = null;
+const previousEnv = {};
+
+const AGORA_ENV = {
+  AGORA_APP_ID: 'test-app-id',
+  AGORA_APP_CERTIFICATE: 'test-app-certificate',
+  AGORA_REST_API_KEY: 'test-key',
+  AGORA_REST_API_SECRET: 'test-secret',
+  AGORA_RECORDING_BUCKET: 'test-bucket',
+  AGORA_RECORDING_BASE_URL: 'https://recordings.example.com'
+};
+
+const start = async () => {
+  const port = await freePort();
+
+  child = spawn(process.execPath, [SCRIPT], {
+    env: { ...process.env, AGORA_STAND_IN_PORT: String(port) },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+
+  await new Promise((resolve, reject) => {
+    child.once('error', reject);
+    child.once('exit', code => reject(new Error(`Agora stand-in exited with code ${code}`)));
+    child.stdout.on('data', chunk => {
+      if (/listening/.test(chunk.toString())) resolve();
+    });
+  });
+
+  Object.entries({ ...AGORA_ENV, AGORA_API_BASE_URL: `http://127.0.0.1:${port}` }).forEach(([key, value]) => {
+    previousEnv[key] = process.env[key];
+    process.env[key] = value;
+  });
+};
+
+const stop = async () => {
+  Object.entries(previousEnv).forEach(([key, value]) => {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  });
+
+  if (child && child.exitCode === null) {
+    child.removeAllListeners('exit');
+    const exited = new Promise(resolve => child.once('exit', resolve));
+    child.kill();
+    await exited;
+  }
+  child = null;
+};
+
+module.exports = { start, stop };
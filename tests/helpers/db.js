@@ -0,0 +1,44 @@
+// tests/helpers/db.js
+// In-memory MongoDB for tests. It runs as a single-node replica set because
+// bookings, refunds and payments use multi-document transactions. Set
+// MONGO_TEST_URI to use an existing replica set instead.
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+
+let replSet = null;
+
+const connect = async () => {
+  let uri = process.env.MONGO_TEST_URI;
+
+  if (!uri) {
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+    uri = replSet.getUri();
+  }
+
+  await mongoose.connect(uri, { dbName: `fitstream_test_${process.env.JEST_WORKER_ID || 1}` });
+
+  // Collections and unique indexes must exist before transactions use them
+  for (const model of Object.values(mongoose.models)) {
+    await model.init();
+  }
+};
+
+const clear = async () => {
+  if (!mongoose.connection.db) return;
+
+  const collections = await mongoose.connection.db.collections();
+  await Promise.all(collections.map(collection => collection.deleteMany({})));
+};
+
+const disconnect = async () => {
+  if (mongoose.connection.readyState) {
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+  }
+  if (replSet) {
+    await replSet.stop();
+    replSet = null;
+  }
+};
+
+module.exports = { connect, clear, disconnect };
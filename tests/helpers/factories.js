@@ -0,0 +1,49 @@
+// tests/helpers/factories.js
+const mongoose = require('mongoose');
+const User = require('../../models/User');
+const Session = require('../../models/Session');
+const Package = require('../../models/Package');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// insertMany skips the password hashing hook, which would only slow tests down
+const createUsers = (count, fields = {}) => User.insertMany(
+  Array.from({ length: count }, () => {
+    const id = new mongoose.Types.ObjectId();
+    return {
+      _id: id,
+      email: `user-${id}@example.com`,
+      password: 'not-hashed',
+      firstName: 'Test',
+      lastName: `User ${id.toString().slice(-4)}`,
+      role: 'user',
+      tokens: 0,
+      ...fields
+    };
+  })
+);
+
+const createUser = async (fields = {}) => (await createUsers(1, fields))[0];
+
+const createSession = async (trainer, fields = {}) => Session.create({
+  title: 'Morning HIIT',
+  description: 'Interval training',
+  trainer: trainer._id,
+  category: 'HIIT',
+  difficulty: 'All Levels',
+  scheduledAt: new Date(Date.now() + 48 * HOUR_MS),
+  duration: 45,
+  tokenCost: 3,
+  maxParticipants: 10,
+  ...fields
+});
+
+const createPackage = (fields = {}) => Package.create({
+  name: 'Starter',
+  tokenAmount: 10,
+  price: 20,
+  currency: 'USD',
+  ...fields
+});
+
+module.exports = { createUsers, createUser, createSession, createPackage, HOUR_MS };
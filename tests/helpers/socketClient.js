@@ -0,0 +1,22 @@
+// tests/helpers/socketClient.js
+// Socket.IO clients for tests that talk to a real server
+const { io } = require('socket.io-client');
+
+const connectClient = (port, auth) => new Promise((resolve, reject) => {
+  const client = io(`http://localhost:${port}`, {
+    auth,
+    transports: ['websocket'],
+    reconnection: false,
+    forceNew: true
+  });
+
+  client.once('connect', () => resolve(client));
+  client.once('connect_error', error => {
+    client.close();
+    reject(error);
+  });
+});
+
+const nextEvent = (client, event) => new Promise(resolve => client.once(event, payload => resolve(payload)));
+
+module.exports = { connectClient, nextEvent };
@@ -0,0 +1,82 @@
+// tests/idempotency.test.js
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const idempotency = require('../middleware/idempotency');
+const db = require('./helpers/db');
+const { createUser } = require('./helpers/factories');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+describe('Idempotency-Key', () => {
+  let user;
+  let app;
+  let handled;
+
+  beforeEach(async () => {
+    user = await createUser();
+    handled = 0;
+
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = user;
+      next();
+    });
+    app.post('/orders', idempotency, (req, res) => {
+      handled += 1;
+      res.status(201).json({ order: handled });
+    });
+    app.post('/receipts', idempotency, (req, res) => {
+      handled += 1;
+      res.status(201).type('text/plain').send(`receipt ${handled}`);
+    });
+  });
+
+  const post = (path, key) => request(app).post(path).set('Idempotency-Key', key).send({ item: 'towel' });
+
+  // A key left behind by a request to /orders that never answered
+  const abandonedKey = (key, lockedUntil) => IdempotencyKey.create({
+    key,
+    user: user._id,
+    fingerprint: `POST /orders ${crypto.createHash('sha256').update(JSON.stringify({ item: 'towel' })).digest('hex')}`,
+    lockedUntil
+  });
+
+  it('replays a response sent with res.send', async () => {
+    const first = await post('/receipts', 'receipt-1');
+    const second = await post('/receipts', 'receipt-1');
+
+    expect(first.status).toBe(201);
+    expect(second.status).toBe(201);
+    expect(second.headers['idempotent-replayed']).toBe('true');
+    expect(second.headers['content-type']).toMatch(/^text\/plain/);
+    expect(second.text).toBe('receipt 1');
+    expect(handled).toBe(1);
+  });
+
+  it('answers 409 while the request holding the key may still be running', async () => {
+    await abandonedKey('order-1', new Date(Date.now() + 30 * 1000));
+
+    const response = await post('/orders', 'order-1');
+
+    expect(response.status).toBe(409);
+    expect(handled).toBe(0);
+  });
+
+  it('lets a retry take over a key whose request crashed', async () => {
+    await abandonedKey('order-2', new Date(Date.now() - 1000));
+
+    const retried = await post('/orders', 'order-2');
+    expect(retried.status).toBe(201);
+    expect(retried.body).toEqual({ order: 1 });
+
+    const replayed = await post('/orders', 'order-2');
+    expect(replayed.headers['idempotent-replayed']).toBe('true');
+    expect(replayed.body).toEqual({ order: 1 });
+    expect(handled).toBe(1);
+  });
+});
@@ -0,0 +1,69 @@
+// tests/moderation.test.js
+const Session = require('../models/Session');
+const StreamMessage = require('../models/StreamMessage');
+const chatService = require('../services/chatService');
+const moderationService = require('../services/moderationService');
+const db = require('./helpers/db');
+const { createUser, createSession } = require('./helpers/factories');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+describe('moderating a live chat', () => {
+  let trainer;
+  let session;
+  let viewer;
+
+  beforeEach(async () => {
+    trainer = await createUser({ role: 'trainer' });
+    session = await createSession(trainer, { status: 'live', scheduledAt: new Date() });
+    viewer = await createUser({ bookedSessions: [{ session: session._id }] });
+  });
+
+  it('lets only one of two messages sent at once through slow mode', async () => {
+    await moderationService.updateSettings(session, { slowModeSeconds: 30 }, trainer);
+
+    const results = await Promise.allSettled([
+      chatService.postMessage(session.id, viewer, 'First!'),
+      chatService.postMessage(session.id, viewer, 'First!!')
+    ]);
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    expect(results.find(result => result.status === 'rejected').reason).toMatchObject({
+      statusCode: 429,
+      message: expect.stringMatching(/^Slow mode is on\. You can send another message in (29|30) seconds$/)
+    });
+    expect(await StreamMessage.countDocuments({ session: session._id, user: viewer._id })).toBe(1);
+
+    // The trainer is never slowed down
+    await chatService.postMessage(session.id, trainer, 'Welcome everyone');
+    await chatService.postMessage(session.id, trainer, 'Let\'s warm up');
+  });
+
+  it('keeps one restriction per user when it is replaced', async () => {
+    await moderationService.mute(session, viewer.id, { minutes: 5, reason: 'Spam' }, trainer);
+    await moderationService.mute(session, viewer.id, { reason: '$where' }, trainer);
+
+    const { moderation } = await Session.findById(session._id);
+    expect(moderation.mutes).toHaveLength(1);
+    expect(moderation.mutes[0].user).toEqual(viewer._id);
+    expect(moderation.mutes[0].reason).toBe('$where');
+    expect(moderation.mutes[0].until).toBeUndefined();
+
+    await expect(chatService.postMessage(session.id, viewer, 'Hello?'))
+      .rejects.toMatchObject({ statusCode: 403, message: 'You are muted in this chat' });
+
+    await moderationService.unmute(session, viewer.id, trainer);
+    await expect(chatService.postMessage(session.id, viewer, 'Hello?')).resolves.toMatchObject({ message: 'Hello?' });
+  });
+
+  it('refuses chat from a banned user', async () => {
+    await moderationService.ban(session, viewer.id, { reason: 'Abuse' }, trainer);
+
+    await expect(chatService.postMessage(session.id, viewer, 'Let me back'))
+      .rejects.toMatchObject({ statusCode: 403, message: 'You have been banned from this session' });
+    await expect(chatService.postReaction(session.id, viewer, 'heart'))
+      .rejects.toMatchObject({ statusCode: 403 });
+  });
+});
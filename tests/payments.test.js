@@ -0,0 +1,103 @@
+// tests/payments.test.js
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const TokenLedger = require('../models/TokenLedger');
+const WebhookEvent = require('../models/WebhookEvent');
+const paymentService = require('../services/paymentService');
+const tokenLedgerService = require('../services/tokenLedgerService');
+const { FakeProvider, setPaymentProvider } = require('../services/payments');
+const db = require('./helpers/db');
+const { createUser, createPackage } = require('./helpers/factories');
+
+beforeAll(db.connect);
+afterEach(async () => {
+  jest.restoreAllMocks();
+  await db.clear();
+});
+afterAll(db.disconnect);
+
+describe('buying tokens', () => {
+  let provider;
+  let buyer;
+  let transaction;
+
+  beforeEach(async () => {
+    provider = new FakeProvider({ secret: 'test-secret' });
+    setPaymentProvider(provider);
+
+    buyer = await createUser();
+    const pkg = await createPackage({ tokenAmount: 10, price: 20 });
+    ({ transaction } = await paymentService.createPurchase(buyer, pkg, { paymentMethod: 'credit_card' }));
+  });
+
+  // The provider's webhook for the buyer's payment going through
+  const paymentSucceeded = (changes = {}) => {
+    const intent = provider.intents.get(transaction.paymentDetails.transactionId);
+    Object.assign(intent, { status: 'succeeded' }, changes);
+    return provider.buildWebhook('payment_intent.succeeded', intent);
+  };
+
+  const deliver = ({ rawBody, headers, body }) => paymentService.handleWebhook(rawBody, headers, body);
+
+  const balance = async () => (await User.findById(buyer._id)).tokens;
+
+  it('credits the tokens when the payment succeeds', async () => {
+    expect(await deliver(paymentSucceeded())).toEqual({ result: 'completed', duplicate: false });
+
+    const saved = await Transaction.findById(transaction._id);
+    expect(saved.status).toBe('completed');
+    expect(saved.paymentDetails.cardLast4).toBe('4242');
+    expect(await balance()).toBe(10);
+
+    const credits = await TokenLedger.find({ user: buyer._id });
+    expect(credits).toHaveLength(1);
+    expect(credits[0]).toMatchObject({ type: 'credit', amount: 10, reason: 'purchase', balanceAfter: 10 });
+  });
+
+  it('credits once when the same webhook is delivered again, even at the same time', async () => {
+    const webhook = paymentSucceeded();
+
+    const results = (await Promise.all([deliver(webhook), deliver(webhook)])).map(({ result }) => result);
+    expect(results.filter(result => result === 'completed')).toHaveLength(1);
+    expect(results.filter(result => result !== 'completed')).toEqual([expect.stringMatching(/^(already_completed|duplicate)$/)]);
+    expect(await deliver(webhook)).toEqual({ result: 'duplicate', duplicate: true });
+
+    expect(await balance()).toBe(10);
+    expect(await TokenLedger.countDocuments({ user: buyer._id })).toBe(1);
+    expect(await WebhookEvent.countDocuments({ eventId: webhook.body.id, status: 'processed' })).toBe(1);
+  });
+
+  it('finishes the job on the retry of a delivery that failed part way', async () => {
+    const webhook = paymentSucceeded();
+    jest.spyOn(tokenLedgerService, 'credit').mockRejectedValueOnce(new Error('Connection lost'));
+
+    await expect(deliver(webhook)).rejects.toThrow('Connection lost');
+    expect((await Transaction.findById(transaction._id)).status).toBe('pending');
+    expect(await WebhookEvent.countDocuments({ eventId: webhook.body.id })).toBe(0);
+
+    expect(await deliver(webhook)).toEqual({ result: 'completed', duplicate: false });
+    expect(await balance()).toBe(10);
+  });
+
+  it('flags a payment of the wrong amount instead of leaving it pending', async () => {
+    expect(await deliver(paymentSucceeded({ amount: 2 }))).toEqual({ result: 'amount_mismatch', duplicate: false });
+
+    const saved = await Transaction.findById(transaction._id);
+    expect(saved.status).toBe('flagged');
+    expect(saved.paymentDetails.failureReason).toBe('Paid 2 USD, expected 20 USD');
+    expect(saved.history.map(entry => entry.action)).toEqual(['created', 'flagged']);
+    expect(await balance()).toBe(0);
+
+    // Nothing is left for the expiry job to cancel or retry
+    const later = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    expect(await paymentService.expirePendingPurchases({ now: later })).toMatchObject({ expired: 0, completed: 0, flagged: 0 });
+  });
+
+  it('refuses a webhook with a bad signature', async () => {
+    const { rawBody, body } = paymentSucceeded();
+
+    await expect(paymentService.handleWebhook(rawBody, { 'x-fake-signature': 'forged' }, body))
+      .rejects.toMatchObject({ statusCode: 401 });
+    expect(await balance()).toBe(0);
+  });
+});
@@ -0,0 +1,91 @@
+// tests/platformReports.test.js
+const Transaction = require('../models/Transaction');
+const platformReportService = require('../services/platformReportService');
+const { parseDayRange } = require('../utils/dateRange');
+const { toCsv } = require('../utils/csv');
+const db = require('./helpers/db');
+const { createUser, createPackage } = require('./helpers/factories');
+
+describe('report date ranges', () => {
+  it('includes both ends and picks a coarser interval for longer ranges', () => {
+    expect(parseDayRange({ from: '2025-03-01', to: '2025-03-31' })).toEqual({
+      start: new Date('2025-03-01T00:00:00Z'),
+      end: new Date('2025-04-01T00:00:00Z'),
+      days: 31,
+      interval: 'day'
+    });
+    expect(parseDayRange({ from: '2025-01-01', to: '2025-03-31' }).interval).toBe('week');
+    expect(parseDayRange({ from: '2025-01-01', to: '2025-12-31' }).interval).toBe('month');
+  });
+
+  it.each([
+    [{ from: '2025-3-1' }, 'from must be a date (YYYY-MM-DD)'],
+    [{ from: '2025-03-02', to: '2025-03-01' }, 'from must not be after to'],
+    [{ from: '2024-01-01', to: '2025-03-01' }, 'The range can be at most 366 days'],
+    [{ from: '2025-03-01', to: '2025-03-02', interval: 'hour' }, 'Interval must be day, week or month']
+  ])('rejects %j with a 400', (query, message) => {
+    expect(() => parseDayRange(query)).toThrow(expect.objectContaining({ statusCode: 400, message }));
+  });
+});
+
+describe('report exports', () => {
+  it('quotes CSV cells and defuses spreadsheet formulas', () => {
+    const csv = toCsv(
+      [{ key: 'name', label: 'Name' }, { key: 'amount' }, { key: 'at', label: 'At' }],
+      [
+        { name: 'Starter, "10"', amount: 20, at: new Date('2025-03-01T00:00:00Z') },
+        { name: '=HYPERLINK("x")', amount: null }
+      ]
+    );
+
+    expect(csv).toBe(
+      'Name,amount,At\r\n' +
+      '"Starter, ""10""",20,2025-03-01T00:00:00.000Z\r\n' +
+      '"\'=HYPERLINK(""x"")",,\r\n'
+    );
+  });
+
+  it('rejects unknown reports and groupings before querying', async () => {
+    await expect(platformReportService.run('toString')).rejects.toMatchObject({ statusCode: 404, message: 'Report not found' });
+    await expect(platformReportService.run('revenue', { groupBy: 'trainer' }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'groupBy must be one or more of: package, currency' });
+    await expect(platformReportService.run('tokens', { groupBy: 'role' }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'This report cannot be grouped' });
+  });
+});
+
+describe('revenue report', () => {
+  beforeAll(db.connect);
+  afterEach(db.clear);
+  afterAll(db.disconnect);
+
+  it('nets refunds against revenue per period and package', async () => {
+    const user = await createUser();
+    const starter = await createPackage({ name: 'Starter' });
+    const purchase = (fields) => ({
+      user: user._id,
+      package: starter._id,
+      tokenAmount: 10,
+      amount: 20,
+      paymentMethod: 'stripe',
+      status: 'completed',
+      ...fields
+    });
+
+    await Transaction.insertMany([
+      purchase({ createdAt: new Date('2025-03-03T10:00:00Z') }),
+      purchase({ createdAt: new Date('2025-03-04T10:00:00Z'), status: 'refunded', refundedAmount: 20 }),
+      purchase({ createdAt: new Date('2025-03-11T10:00:00Z'), status: 'charged_back', refundedAmount: 5 }),
+      // Never paid, so not revenue
+      purchase({ createdAt: new Date('2025-03-12T10:00:00Z'), status: 'pending' })
+    ]);
+
+    const result = await platformReportService.run('revenue', { from: '2025-03-01', to: '2025-03-31', interval: 'week', groupBy: 'package' });
+
+    expect(result).toMatchObject({ report: 'revenue', range: { from: '2025-03-01', to: '2025-03-31' }, interval: 'week', groupBy: ['package'] });
+    expect(result.rows).toEqual([
+      { period: '2025-03-03', packageId: starter._id, package: 'Starter', transactions: 2, revenue: 40, refunded: 20, netRevenue: 20, tokens: 20 },
+      { period: '2025-03-10', packageId: starter._id, package: 'Starter', transactions: 1, revenue: 20, refunded: 5, netRevenue: 15, tokens: 10 }
+    ]);
+  });
+});
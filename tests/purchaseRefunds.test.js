@@ -0,0 +1,137 @@
+// tests/purchaseRefunds.test.js
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const paymentService = require('../services/paymentService');
+const purchaseRefundService = require('../services/purchaseRefundService');
+const tokenLedgerService = require('../services/tokenLedgerService');
+const paymentConfig = require('../config/payments');
+const { FakeProvider, setPaymentProvider } = require('../services/payments');
+const db = require('./helpers/db');
+const { createUser, createPackage } = require('./helpers/factories');
+
+const defaultPolicy = paymentConfig.spentTokensPolicy;
+
+beforeAll(db.connect);
+afterEach(async () => {
+  paymentConfig.spentTokensPolicy = defaultPolicy;
+  await db.clear();
+});
+afterAll(db.disconnect);
+
+describe('refunds and disputes on a paid purchase', () => {
+  let provider;
+  let admin;
+  let buyer;
+  let pkg;
+  let transaction;
+  let intent;
+
+  // A purchase of 10 tokens for 20 USD, paid through the provider's webhook
+  beforeEach(async () => {
+    provider = new FakeProvider({ secret: 'test-secret' });
+    setPaymentProvider(provider);
+
+    admin = await createUser({ role: 'admin' });
+    buyer = await createUser();
+    pkg = await createPackage({ tokenAmount: 10, price: 20 });
+    ({ transaction } = await paymentService.createPurchase(buyer, pkg, { paymentMethod: 'credit_card' }));
+
+    intent = provider.intents.get(transaction.paymentDetails.transactionId);
+    intent.status = 'succeeded';
+    const { rawBody, headers, body } = provider.buildWebhook('payment_intent.succeeded', intent);
+    expect(await paymentService.handleWebhook(rawBody, headers, body)).toMatchObject({ result: 'completed' });
+  });
+
+  const balance = async () => (await User.findById(buyer._id)).tokens;
+  const spend = tokens => tokenLedgerService.debit(buyer._id, tokens, 'booking');
+
+  it('refunds the rest of a purchase and takes all its tokens back', async () => {
+    const result = await purchaseRefundService.refund(transaction._id, {}, admin);
+
+    expect(result.refund).toMatchObject({ amount: 20, tokens: 10 });
+    expect(result.balance).toBe(0);
+    expect(result.transaction.status).toBe('refunded');
+    expect(intent.refunded).toBe(20);
+  });
+
+  it('takes back tokens in proportion to a partial refund', async () => {
+    const result = await purchaseRefundService.refund(transaction._id, { amount: 5 }, admin);
+
+    expect(result.refund).toMatchObject({ amount: 5, tokens: 3 });
+    expect(result.balance).toBe(7);
+    expect(result.transaction).toMatchObject({ status: 'completed', refundedAmount: 5, refundedTokens: 3 });
+
+    // The rest can still be refunded, and takes whatever tokens are left
+    const rest = await purchaseRefundService.refund(transaction._id, {}, admin);
+    expect(rest.refund).toMatchObject({ amount: 15, tokens: 7 });
+    expect(rest.transaction.status).toBe('refunded');
+  });
+
+  describe('when the buyer has spent some of the tokens', () => {
+    beforeEach(() => spend(6));
+
+    it('takes them all back and leaves a negative balance under negative_balance', async () => {
+      paymentConfig.spentTokensPolicy = 'negative_balance';
+
+      const result = await purchaseRefundService.refund(transaction._id, {}, admin);
+
+      expect(result.refund).toMatchObject({ amount: 20, tokens: 10 });
+      expect(result.balance).toBe(-6);
+    });
+
+    it('refunds only the unspent tokens under partial_refund', async () => {
+      paymentConfig.spentTokensPolicy = 'partial_refund';
+
+      const result = await purchaseRefundService.refund(transaction._id, {}, admin);
+
+      expect(result.refund).toMatchObject({ amount: 8, tokens: 4 });
+      expect(result.balance).toBe(0);
+      expect(result.transaction).toMatchObject({ status: 'completed', refundedAmount: 8 });
+      expect(intent.refunded).toBe(8);
+    });
+
+    it('refuses the refund under block', async () => {
+      paymentConfig.spentTokensPolicy = 'block';
+
+      await expect(purchaseRefundService.refund(transaction._id, {}, admin)).rejects.toMatchObject({ statusCode: 409 });
+
+      expect(await balance()).toBe(4);
+      expect((await Transaction.findById(transaction._id)).refundedAmount).toBe(0);
+      expect(intent.refunded).toBe(0);
+    });
+  });
+
+  it('holds the tokens and flags the buyer while a dispute is open', async () => {
+    await spend(4);
+    await provider.openDispute(intent.id, { reason: 'fraudulent' });
+
+    const disputed = await Transaction.findById(transaction._id);
+    expect(disputed.dispute).toMatchObject({ status: 'open', amount: 20, tokensHeld: 10 });
+    expect(await balance()).toBe(-4);
+    expect((await User.findById(buyer._id)).paymentFlag.flaggedAt).toBeInstanceOf(Date);
+
+    await expect(purchaseRefundService.refund(transaction._id, {}, admin)).rejects.toMatchObject({ statusCode: 400 });
+    await expect(paymentService.createPurchase(await User.findById(buyer._id), pkg, { paymentMethod: 'credit_card' }))
+      .rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  it('returns the held tokens when the dispute is won', async () => {
+    await provider.openDispute(intent.id);
+    await provider.closeDispute(intent.id, { won: true });
+
+    const saved = await Transaction.findById(transaction._id);
+    expect(saved.status).toBe('completed');
+    expect(saved.dispute.status).toBe('won');
+    expect(await balance()).toBe(10);
+  });
+
+  it('keeps the held tokens and counts the money as returned when the dispute is lost', async () => {
+    await provider.openDispute(intent.id);
+    await provider.closeDispute(intent.id, { won: false });
+
+    const saved = await Transaction.findById(transaction._id);
+    expect(saved).toMatchObject({ status: 'charged_back', refundedAmount: 20, refundedTokens: 10 });
+    expect(saved.dispute.status).toBe('lost');
+    expect(await balance()).toBe(0);
+  });
+});
@@ -0,0 +1,86 @@
+// tests/qaAndPolls.test.js
+const StreamPoll = require('../models/StreamPoll');
+const pollService = require('../services/pollService');
+const questionService = require('../services/questionService');
+const db = require('./helpers/db');
+const { createUser, createUsers, createSession } = require('./helpers/factories');
+
+describe('starting a poll', () => {
+  const live = { _id: 'session', status: 'live' };
+
+  it.each([
+    [{ question: ' ', options: ['Yes', 'No'] }, 'Poll question is required'],
+    [{ question: 'Ready?', options: ['Yes'] }, 'A poll needs between 2 and 6 options'],
+    [{ question: 'Ready?', options: 'Yes,No' }, 'A poll needs between 2 and 6 options'],
+    [{ question: 'Ready?', options: ['Yes', ' yes '] }, 'Poll options must be different'],
+    [{ question: 'Ready?', options: ['Yes', 'No'], durationSeconds: 5 }, 'Duration must be between 10 and 3600 seconds']
+  ])('rejects %j with a 400', async (poll, message) => {
+    await expect(pollService.create(live, poll, { _id: 'trainer' })).rejects.toMatchObject({ statusCode: 400, message });
+  });
+});
+
+describe('Q&A and polls in a live session', () => {
+  let trainer;
+  let session;
+  let viewers;
+
+  beforeAll(db.connect);
+  afterEach(db.clear);
+  afterAll(db.disconnect);
+
+  beforeEach(async () => {
+    trainer = await createUser({ role: 'trainer' });
+    session = await createSession(trainer, { status: 'live', scheduledAt: new Date() });
+    viewers = await createUsers(3, { bookedSessions: [{ session: session._id }] });
+  });
+
+  it('counts one vote per viewer, however many they send at once', async () => {
+    const poll = await pollService.create(session, { question: 'Another round?', options: ['Yes', 'No'] }, trainer);
+    const [yes, no] = poll.options.map(option => option.id);
+
+    const results = await Promise.allSettled([
+      pollService.vote(session.id, poll.id, viewers[0], yes),
+      pollService.vote(session.id, poll.id, viewers[0], no),
+      pollService.vote(session.id, poll.id, viewers[1], yes)
+    ]);
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(2);
+    expect(results.find(result => result.status === 'rejected').reason)
+      .toMatchObject({ statusCode: 400, message: 'You have already voted in this poll' });
+
+    const saved = await StreamPoll.findById(poll.id);
+    expect(saved.totalVotes).toBe(2);
+    expect(saved.options.reduce((sum, option) => sum + option.votes, 0)).toBe(2);
+
+    await expect(pollService.create(session, { question: 'And another?', options: ['Yes', 'No'] }, trainer))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Close the current poll before starting another' });
+
+    await pollService.close(session, poll.id);
+    await expect(pollService.vote(session.id, poll.id, viewers[2], yes))
+      .rejects.toMatchObject({ statusCode: 400, message: 'This poll is closed' });
+  });
+
+  it('lists open questions by upvotes, each viewer upvoting once', async () => {
+    const first = await questionService.ask(session.id, viewers[0], 'How many sets?');
+    const second = await questionService.ask(session.id, viewers[1], '  Can I   use dumbbells? ');
+    expect(second.text).toBe('Can I use dumbbells?');
+
+    await Promise.all([
+      questionService.upvote(session.id, second.id, viewers[0]),
+      questionService.upvote(session.id, second.id, viewers[0]),
+      questionService.upvote(session.id, second.id, viewers[2])
+    ]);
+    await expect(questionService.upvote(session.id, first.id, viewers[0]))
+      .rejects.toMatchObject({ statusCode: 400, message: 'You cannot upvote your own question' });
+
+    const listed = await questionService.list(session, viewers[0]);
+    expect(listed.map(question => [question.text, question.upvotes, question.upvoted])).toEqual([
+      ['Can I use dumbbells?', 2, true],
+      ['How many sets?', 0, false]
+    ]);
+
+    await questionService.update(session, second.id, { status: 'answered' });
+    expect((await questionService.list(session, viewers[0])).map(question => question.text))
+      .toEqual(['How many sets?', 'Can I use dumbbells?']);
+  });
+});
@@ -0,0 +1,186 @@
+// tests/realtimeGateway.test.js
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const realtimeGateway = require('../services/realtimeGateway');
+const realtimeService = require('../services/realtimeService');
+const chatService = require('../services/chatService');
+const moderationService = require('../services/moderationService');
+const reportService = require('../services/reportService');
+const User = require('../models/User');
+const db = require('./helpers/db');
+const { createUser, createSession } = require('./helpers/factories');
+const { connectClient, nextEvent } = require('./helpers/socketClient');
+
+let port;
+let clients = [];
+
+const connect = async user => {
+  const token = jwt.sign({ id: user.id }, process.env.JWT_SECRET || 'your-jwt-secret');
+  const client = await connectClient(port, { token });
+  clients.push(client);
+  return client;
+};
+
+beforeAll(async () => {
+  await db.connect();
+
+  const httpServer = http.createServer();
+  await realtimeGateway.attach(httpServer);
+  await new Promise(resolve => httpServer.listen(0, resolve));
+  port = httpServer.address().port;
+});
+
+afterEach(async () => {
+  clients.forEach(client => client.close());
+  clients = [];
+  await db.clear();
+});
+
+afterAll(async () => {
+  await realtimeService.close();
+  await db.disconnect();
+});
+
+describe('live chat over the gateway', () => {
+  let session;
+  let viewer;
+  let outsider;
+
+  beforeEach(async () => {
+    const trainer = await createUser({ role: 'trainer' });
+    session = await createSession(trainer, { status: 'live', scheduledAt: new Date() });
+    viewer = await createUser({ bookedSessions: [{ session: session._id }] });
+    outsider = await createUser();
+  });
+
+  it('refuses a connection without a valid token', async () => {
+    await expect(connectClient(port, {})).rejects.toThrow('Authentication required');
+    await expect(connectClient(port, { token: 'not-a-token' })).rejects.toThrow('Authentication failed');
+  });
+
+  it('only lets booked users join the room', async () => {
+    const client = await connect(outsider);
+
+    expect(await client.emitWithAck('session:join', { sessionId: session.id }))
+      .toEqual({ ok: false, error: 'You must book this session to join' });
+    expect(await client.emitWithAck('session:join', { sessionId: 'nope' }))
+      .toEqual({ ok: false, error: 'Session not found' });
+  });
+
+  it('broadcasts messages and reactions to everyone in the room', async () => {
+    const sender = await connect(viewer);
+    const other = await connect(await createUser({ bookedSessions: [{ session: session._id }] }));
+    await other.emitWithAck('session:join', { sessionId: session.id });
+
+    const joined = nextEvent(other, 'participant:joined');
+    expect(await sender.emitWithAck('session:join', { sessionId: session.id }))
+      .toEqual({ ok: true, data: { sessionId: session.id, status: 'live' } });
+    expect(await joined).toMatchObject({ sessionId: session.id, user: { _id: viewer.id } });
+
+    const message = nextEvent(other, 'chat:message');
+    expect(await sender.emitWithAck('chat:message', { sessionId: session.id, message: '  Let\'s   go  ' }))
+      .toMatchObject({ ok: true, data: { message: 'Let\'s go' } });
+    expect(await message).toMatchObject({ message: 'Let\'s go', user: { _id: viewer.id } });
+
+    const reaction = nextEvent(other, 'chat:reaction');
+    await sender.emitWithAck('chat:reaction', { sessionId: session.id, type: 'fire' });
+    expect(await reaction).toMatchObject({ type: 'fire', user: { _id: viewer.id } });
+
+    expect(await sender.emitWithAck('chat:reaction', { sessionId: session.id, type: 'poop' }))
+      .toEqual({ ok: false, error: 'Valid reaction type is required' });
+
+    const left = nextEvent(other, 'participant:left');
+    sender.close();
+    expect(await left).toMatchObject({ sessionId: session.id, user: { _id: viewer.id } });
+  });
+});
+
+describe('removing participants from a live session', () => {
+  let trainer;
+  let session;
+  let target;
+  let watcher;
+  let targetClient;
+  let watcherClient;
+
+  beforeEach(async () => {
+    trainer = await createUser({ role: 'trainer' });
+    session = await createSession(trainer, { status: 'live', scheduledAt: new Date() });
+    target = await createUser({ bookedSessions: [{ session: session._id }] });
+    watcher = await createUser({ bookedSessions: [{ session: session._id }] });
+
+    targetClient = await connect(target);
+    watcherClient = await connect(watcher);
+
+    const sessionId = session.id;
+    expect(await targetClient.emitWithAck('session:join', { sessionId })).toMatchObject({ ok: true });
+    expect(await watcherClient.emitWithAck('session:join', { sessionId })).toMatchObject({ ok: true });
+  });
+
+  // The trainer talks to the room; only the watcher should still hear it
+  const expectCutOff = async () => {
+    const missed = [];
+    targetClient.on('chat:message', payload => missed.push(payload));
+
+    const seen = nextEvent(watcherClient, 'chat:message');
+    await chatService.postMessage(session.id, trainer, 'Everyone still with me?');
+    expect(await seen).toMatchObject({ message: 'Everyone still with me?' });
+
+    // Replies are ordered behind the broadcast, so by now it would have arrived
+    expect(await targetClient.emitWithAck('chat:message', { sessionId: session.id, message: 'Hello?' }))
+      .toEqual({ ok: false, error: 'Join the session before sending to it' });
+    expect(missed).toEqual([]);
+  };
+
+  it('takes a kicked user out of the room and keeps them out', async () => {
+    const announced = nextEvent(targetClient, 'moderation:kicked');
+    await moderationService.kick(session, target.id, { minutes: 10 }, trainer);
+    await announced;
+
+    await expectCutOff();
+    expect(await targetClient.emitWithAck('session:join', { sessionId: session.id }))
+      .toMatchObject({ ok: false, error: expect.stringMatching(/^You were removed from this stream/) });
+  });
+
+  it('takes a banned user out of the room and keeps them out', async () => {
+    const announced = nextEvent(targetClient, 'moderation:banned');
+    await moderationService.ban(session, target.id, { reason: 'Spam' }, trainer);
+    await announced;
+
+    await expectCutOff();
+    expect(await targetClient.emitWithAck('session:join', { sessionId: session.id }))
+      .toEqual({ ok: false, error: 'You have been banned from this session' });
+  });
+});
+
+describe('suspended accounts', () => {
+  let session;
+  let user;
+  let client;
+
+  beforeEach(async () => {
+    const trainer = await createUser({ role: 'trainer' });
+    session = await createSession(trainer, { status: 'live', scheduledAt: new Date() });
+    user = await createUser({ bookedSessions: [{ session: session._id }] });
+
+    client = await connect(user);
+    expect(await client.emitWithAck('session:join', { sessionId: session.id })).toMatchObject({ ok: true });
+  });
+
+  it('disconnects a user as soon as a strike suspends them', async () => {
+    const disconnected = nextEvent(client, 'disconnect');
+    await reportService.addStrike(user._id, { suspendDays: 3, reason: 'Harassment in chat' });
+
+    expect(await disconnected).toBe('io server disconnect');
+    await expect(connect(user)).rejects.toThrow('Your account is suspended');
+  });
+
+  it('refuses the next event from a socket whose account was suspended after it connected', async () => {
+    await User.updateOne({ _id: user._id }, { 'moderation.suspendedUntil': new Date(Date.now() + 60 * 60 * 1000) });
+
+    const disconnected = nextEvent(client, 'disconnect');
+    expect(await client.emitWithAck('chat:message', { sessionId: session.id, message: 'Still here' }))
+      .toEqual({ ok: false, error: 'Your account is suspended' });
+    expect(await disconnected).toBe('io server disconnect');
+  });
+});
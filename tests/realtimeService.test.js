@@ -0,0 +1,78 @@
+// tests/realtimeService.test.js
+const http = require('http');
+const { Server } = require('socket.io');
+const realtimeService = require('../services/realtimeService');
+const { connectClient, nextEvent } = require('./helpers/socketClient');
+
+let port;
+let clients = [];
+
+const connect = async (userId, sessions) => {
+  const client = await connectClient(port, { userId, sessions });
+  clients.push(client);
+  return client;
+};
+
+beforeAll(async () => {
+  const httpServer = http.createServer();
+  const io = new Server(httpServer);
+
+  // Stands in for the gateway: the handshake names the user and the sessions they joined
+  io.use((socket, next) => {
+    socket.data.user = { _id: socket.handshake.auth.userId };
+    next();
+  });
+  io.on('connection', socket => {
+    socket.data.sessions = new Set(socket.handshake.auth.sessions);
+    socket.join(realtimeService.userRoom(socket.data.user._id));
+    socket.data.sessions.forEach(id => socket.join(realtimeService.sessionRoom(id)));
+  });
+
+  await realtimeService.attach(io);
+  await new Promise(resolve => httpServer.listen(0, resolve));
+  port = httpServer.address().port;
+});
+
+afterEach(() => {
+  clients.forEach(client => client.close());
+  clients = [];
+});
+
+afterAll(() => realtimeService.close());
+
+describe('removing a user from a session room', () => {
+  it('stops their sockets receiving that session\'s events and leaves other rooms alone', async () => {
+    const phone = await connect('kicked-user', ['session-1', 'session-2']);
+    const laptop = await connect('kicked-user', ['session-1']);
+    const watcher = await connect('other-user', ['session-1']);
+    const missed = [];
+    phone.on('chat:message', payload => missed.push(payload));
+    laptop.on('chat:message', payload => missed.push(payload));
+
+    await realtimeService.removeFromSession('session-1', 'kicked-user');
+
+    const seen = nextEvent(watcher, 'chat:message');
+    await realtimeService.emitToSession('session-1', 'chat:message', { text: 'after the kick' });
+    expect(await seen).toEqual({ text: 'after the kick' });
+
+    // Events reach a socket in order, so this arriving means the first one never will
+    const stillJoined = nextEvent(phone, 'session:status');
+    await realtimeService.emitToSession('session-2', 'session:status', { status: 'live' });
+    expect(await stillJoined).toEqual({ status: 'live' });
+    expect(missed).toEqual([]);
+  });
+});
+
+describe('disconnecting a user', () => {
+  it('closes every socket they have open and nobody else\'s', async () => {
+    const phone = await connect('suspended-user', ['session-1']);
+    const laptop = await connect('suspended-user', []);
+    const watcher = await connect('other-user', ['session-1']);
+
+    const closed = Promise.all([nextEvent(phone, 'disconnect'), nextEvent(laptop, 'disconnect')]);
+    await realtimeService.disconnectUser('suspended-user');
+
+    expect(await closed).toEqual(['io server disconnect', 'io server disconnect']);
+    expect(watcher.connected).toBe(true);
+  });
+});
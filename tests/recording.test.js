@@ -0,0 +1,155 @@
+// tests/recording.test.js
+const express = require('express');
+const request = require('supertest');
+const Recording = require('../models/Recording');
+const Session = require('../models/Session');
+const recordingService = require('../services/recordingService');
+const recordingController = require('../controllers/recordingController');
+const errorHandler = require('../middleware/errorHandler');
+const { AgoraProvider, setStreamProvider } = require('../services/streaming');
+const db = require('./helpers/db');
+const standIn = require('./helpers/agoraStandIn');
+const { createUser, createSession } = require('./helpers/factories');
+
+let provider;
+
+beforeAll(async () => {
+  await standIn.start();
+  provider = new AgoraProvider();
+  setStreamProvider(provider);
+  await db.connect();
+});
+afterEach(db.clear);
+afterAll(async () => {
+  setStreamProvider(null);
+  await db.disconnect();
+  await standIn.stop();
+});
+
+// Failed Agora calls are logged by the provider
+beforeEach(() => jest.spyOn(console, 'error').mockImplementation(() => {}));
+afterEach(() => jest.restoreAllMocks());
+
+const createLiveSession = async trainer => createSession(trainer, {
+  status: 'live',
+  scheduledAt: new Date(),
+  streamingDetails: { channelName: `session-${trainer._id}` }
+});
+
+describe('recording a live session', () => {
+  let trainer;
+  let session;
+
+  beforeEach(async () => {
+    trainer = await createUser({ role: 'trainer' });
+    session = await createLiveSession(trainer);
+  });
+
+  it('starts, reports and stops a recording through the Agora stand-in', async () => {
+    const recording = await recordingService.start(session);
+
+    expect(recording.toObject()).toMatchObject({ status: 'recording', provider: 'agora', active: true, mode: 'mix' });
+    expect(recording.sid).toEqual(expect.any(String));
+
+    const { serverResponse } = await recordingService.getStatus(session);
+    expect(serverResponse.status).toBe(5);
+
+    const stopped = await recordingService.stop(session);
+    expect(stopped.toObject()).toMatchObject({ status: 'ready', active: false, uploadingStatus: 'uploaded' });
+    expect(stopped.url).toBe(`https://recordings.example.com/${recording.sid}_${session.streamingDetails.channelName}.m3u8`);
+    expect((await Session.findById(session._id)).streamingDetails.recordingUrl).toBe(stopped.url);
+  });
+
+  it('refuses a second recording of the same session', async () => {
+    await recordingService.start(session);
+
+    await expect(recordingService.start(session)).rejects.toMatchObject({ statusCode: 409 });
+    expect(await Recording.countDocuments({ session: session._id })).toBe(1);
+  });
+
+  it('marks the recording failed when the provider cannot stop it', async () => {
+    const recording = await recordingService.start(session);
+    // Stopped behind the app's back, so the stand-in has nothing left to stop
+    await provider.stopRecording(recording);
+
+    const stopped = await recordingService.stop(session);
+
+    expect(stopped.toObject()).toMatchObject({ status: 'failed', active: false, error: 'Cloud recording request failed' });
+    const saved = await Recording.findById(recording._id);
+    expect(saved.toObject()).toMatchObject({ status: 'failed', active: false });
+    expect(saved.url).toBeUndefined();
+    expect((await Session.findById(session._id)).streamingDetails.recordingUrl).toBeUndefined();
+  });
+});
+
+describe('the recording library', () => {
+  let trainer;
+  let session;
+  let recording;
+  let user;
+  let app;
+
+  beforeEach(async () => {
+    trainer = await createUser({ role: 'trainer' });
+    session = await createLiveSession(trainer);
+    await recordingService.start(session);
+    recording = await recordingService.stop(session);
+    user = trainer;
+
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = user;
+      next();
+    });
+    app.get('/api/recordings/:id', recordingController.getRecordingById);
+    app.put('/api/recordings/:id', recordingController.updateRecording);
+    app.delete('/api/recordings/:id', recordingController.deleteRecording);
+    app.use(errorHandler);
+  });
+
+  it('renames a recording', async () => {
+    const response = await request(app).put(`/api/recordings/${recording._id}`).send({ title: '  Friday HIIT  ' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.title).toBe('Friday HIIT');
+    expect((await Recording.findById(recording._id)).title).toBe('Friday HIIT');
+  });
+
+  it('rejects an empty title', async () => {
+    const response = await request(app).put(`/api/recordings/${recording._id}`).send({ title: '   ' });
+
+    expect(response.status).toBe(400);
+    expect((await Recording.findById(recording._id)).title).toBe(session.title);
+  });
+
+  it('only lets the owning trainer or an admin manage a recording', async () => {
+    user = await createUser({ role: 'trainer' });
+    expect((await request(app).put(`/api/recordings/${recording._id}`).send({ title: 'Mine now' })).status).toBe(403);
+    expect((await request(app).delete(`/api/recordings/${recording._id}`)).status).toBe(403);
+
+    user = await createUser({ role: 'admin' });
+    expect((await request(app).put(`/api/recordings/${recording._id}`).send({ title: 'Renamed by admin' })).status).toBe(200);
+  });
+
+  it('deletes a recording and unlinks it from the session', async () => {
+    const response = await request(app).delete(`/api/recordings/${recording._id}`);
+
+    expect(response.status).toBe(200);
+    expect((await Recording.findById(recording._id)).toObject()).toMatchObject({ status: 'deleted', deletedAt: expect.any(Date) });
+    expect((await Session.findById(session._id)).streamingDetails.recordingUrl).toBeUndefined();
+    expect((await request(app).get(`/api/recordings/${recording._id}`)).status).toBe(404);
+    expect((await request(app).delete(`/api/recordings/${recording._id}`)).status).toBe(404);
+  });
+
+  it('refuses to delete a recording that is still running', async () => {
+    const live = await createLiveSession(await createUser({ role: 'trainer' }));
+    user = { _id: live.trainer, role: 'trainer' };
+    const running = await recordingService.start(live);
+
+    const response = await request(app).delete(`/api/recordings/${running._id}`);
+
+    expect(response.status).toBe(400);
+    expect((await Recording.findById(running._id)).status).toBe('recording');
+  });
+});
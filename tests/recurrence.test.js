@@ -0,0 +1,71 @@
+// tests/recurrence.test.js
+const { MAX_OCCURRENCES, parseRRule, toRRule, validateRecurrence, generateOccurrences } = require('../utils/recurrence');
+
+describe('parsing an RRULE', () => {
+  it('reads the supported parts', () => {
+    expect(parseRRule('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=mo,WE;COUNT=12')).toEqual({
+      frequency: 'weekly',
+      interval: 2,
+      byDay: ['MO', 'WE'],
+      count: 12
+    });
+    expect(parseRRule('FREQ=DAILY;UNTIL=20250131').until).toEqual(new Date('2025-01-31T23:59:59Z'));
+  });
+
+  it('reads an UNTIL without "Z" in the series timezone', () => {
+    // The whole of 31 January in New York, which ends at 05:00 UTC the next day
+    expect(parseRRule('FREQ=DAILY;UNTIL=20250131', 'America/New_York').until).toEqual(new Date('2025-02-01T04:59:59Z'));
+    expect(parseRRule('FREQ=DAILY;UNTIL=20250131T180000', 'America/New_York').until).toEqual(new Date('2025-01-31T23:00:00Z'));
+    expect(parseRRule('FREQ=DAILY;UNTIL=20250131T180000Z', 'America/New_York').until).toEqual(new Date('2025-01-31T18:00:00Z'));
+  });
+
+  it('round-trips through toRRule', () => {
+    const rrule = 'FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH;UNTIL=20250630T180000Z';
+    expect(toRRule(parseRRule(rrule))).toBe(rrule);
+  });
+
+  it.each([
+    [42, 'Recurrence rule must be a string'],
+    [{ freq: 'weekly' }, 'Recurrence rule must be a string'],
+    ['FREQ', 'Invalid recurrence rule part "FREQ", expected KEY=VALUE'],
+    ['FREQ=WEEKLY;BYDAY=', 'Invalid recurrence rule part "BYDAY=", expected KEY=VALUE'],
+    ['FREQ=WEEKLY;BYDAY=MO,XX', 'Unknown BYDAY day "XX", expected one of SU, MO, TU, WE, TH, FR, SA'],
+    ['FREQ=DAILY;COUNT=ten', 'COUNT must be a whole number, got "ten"'],
+    ['FREQ=DAILY;UNTIL=tomorrow', 'UNTIL must look like 20250131 or 20250131T235959Z, got "tomorrow"'],
+    ['FREQ=MONTHLY;BYMONTHDAY=1', 'Unsupported recurrence rule part "BYMONTHDAY"']
+  ])('rejects %j with a 400', (rrule, message) => {
+    expect(() => parseRRule(rrule)).toThrow(expect.objectContaining({ statusCode: 400, message }));
+  });
+});
+
+describe('validating a recurrence', () => {
+  const daily = { frequency: 'daily', time: '19:00', startDate: '2025-01-01' };
+
+  it('keeps an evening session on a date-only UNTIL day west of UTC', () => {
+    const recurrence = { ...daily, ...parseRRule('FREQ=DAILY;UNTIL=20250103', 'America/Los_Angeles') };
+
+    expect(validateRecurrence(recurrence, 'America/Los_Angeles')).toBeNull();
+    // 19:00 in Los Angeles is 03:00 UTC the next day, after the old 23:59:59 UTC cut-off
+    expect(generateOccurrences(recurrence, 'America/Los_Angeles')).toEqual([
+      new Date('2025-01-02T03:00:00Z'),
+      new Date('2025-01-03T03:00:00Z'),
+      new Date('2025-01-04T03:00:00Z')
+    ]);
+  });
+
+  it('rejects an end date that gives more than the maximum number of occurrences', () => {
+    expect(validateRecurrence({ ...daily, until: '2025-07-19T23:59:59Z' })).toBeNull();
+    expect(generateOccurrences({ ...daily, until: '2025-07-19T23:59:59Z' })).toHaveLength(MAX_OCCURRENCES);
+
+    expect(validateRecurrence({ ...daily, until: '2025-07-20T23:59:59Z' }))
+      .toBe(`The end date gives more than ${MAX_OCCURRENCES} occurrences; choose an earlier one`);
+  });
+
+  it('rejects a series that would run past the longest span', () => {
+    const monthly = { frequency: 'weekly', interval: 4, byDay: ['MO'], time: '07:00', startDate: '2025-01-06' };
+
+    expect(validateRecurrence({ ...monthly, until: '2027-12-31T00:00:00Z' })).toBe('A series can span at most 732 days');
+    expect(validateRecurrence({ ...monthly, count: 40 })).toBe('A series can span at most 732 days');
+    expect(validateRecurrence({ ...monthly, count: 20 })).toBeNull();
+  });
+});
@@ -0,0 +1,46 @@
+// tests/refundPolicy.test.js
+const bookingService = require('../services/bookingService');
+const { HOUR_MS } = require('./helpers/factories');
+
+describe('refund policy overrides', () => {
+  it('keeps valid fields', () => {
+    expect(bookingService.parseRefundPolicy({ fullRefundHours: 12, lateRefundPercent: 0, afterStartRefundPercent: 100 }))
+      .toEqual({ fullRefundHours: 12, lateRefundPercent: 0, afterStartRefundPercent: 100 });
+    expect(bookingService.parseRefundPolicy({ lateRefundPercent: 25 })).toEqual({ lateRefundPercent: 25 });
+  });
+
+  it.each([
+    [{ lateRefundPercent: 150 }, 'lateRefundPercent must be a number between 0 and 100'],
+    [{ afterStartRefundPercent: -10 }, 'afterStartRefundPercent must be a number between 0 and 100'],
+    [{ lateRefundPercent: '50' }, 'lateRefundPercent must be a number between 0 and 100'],
+    [{ fullRefundHours: -1 }, 'fullRefundHours must be a number of at least 0'],
+    [{ fullRefundHours: Infinity }, 'fullRefundHours must be a number of at least 0'],
+    [{ refundEverything: true }, 'Unknown refund policy field "refundEverything"'],
+    [[50], 'Refund policy must be an object'],
+    ['full', 'Refund policy must be an object']
+  ])('rejects %j with a 400', (policy, message) => {
+    expect(() => bookingService.parseRefundPolicy(policy)).toThrow(expect.objectContaining({ statusCode: 400, message }));
+  });
+});
+
+describe('calculating a refund', () => {
+  const startingIn = (hours, refundPolicy) => ({
+    scheduledAt: new Date(Date.now() + hours * HOUR_MS),
+    tokenCost: 10,
+    refundPolicy
+  });
+
+  it('follows the session policy', () => {
+    const session = startingIn(2, { fullRefundHours: 24, lateRefundPercent: 50 });
+
+    expect(bookingService.calculateRefund(session)).toMatchObject({ percent: 50, tokens: 5 });
+    expect(bookingService.calculateRefund(session, 4)).toMatchObject({ percent: 50, tokens: 2 });
+  });
+
+  it('never refunds more than was paid or less than nothing', () => {
+    expect(bookingService.calculateRefund(startingIn(2, { fullRefundHours: 24, lateRefundPercent: 250 })))
+      .toMatchObject({ percent: 100, tokens: 10 });
+    expect(bookingService.calculateRefund(startingIn(-1, { afterStartRefundPercent: -50 })))
+      .toMatchObject({ percent: 0, tokens: 0 });
+  });
+});
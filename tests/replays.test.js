@@ -0,0 +1,78 @@
+// tests/replays.test.js
+const Recording = require('../models/Recording');
+const ReplayAccess = require('../models/ReplayAccess');
+const replayService = require('../services/replayService');
+const { signUrl, verifyUrl } = require('../utils/signedUrl');
+const db = require('./helpers/db');
+const { createUser, createSession, HOUR_MS } = require('./helpers/factories');
+
+const SECRET = 'test-secret';
+const queryOf = url => Object.fromEntries(new URL(url, 'http://localhost').searchParams);
+
+describe('signed replay URLs', () => {
+  it('accepts an untouched URL until it expires', () => {
+    const { url, expiresAt } = signUrl('/api/replays/1/stream', { secret: SECRET, expiresIn: 60, params: { recording: 'a' } });
+
+    expect(expiresAt.getTime()).toBeGreaterThan(Date.now());
+    expect(verifyUrl('/api/replays/1/stream', queryOf(url), SECRET)).toBe(true);
+
+    const expired = signUrl('/api/replays/1/stream', { secret: SECRET, expiresIn: -1, params: { recording: 'a' } });
+    expect(verifyUrl('/api/replays/1/stream', queryOf(expired.url), SECRET)).toBe(false);
+  });
+
+  it('rejects a URL whose path, parameters or expiry were changed', () => {
+    const { url } = signUrl('/api/replays/1/stream', { secret: SECRET, expiresIn: 60, params: { recording: 'a' } });
+    const query = queryOf(url);
+
+    expect(verifyUrl('/api/replays/2/stream', query, SECRET)).toBe(false);
+    expect(verifyUrl('/api/replays/1/stream', { ...query, recording: 'b' }, SECRET)).toBe(false);
+    expect(verifyUrl('/api/replays/1/stream', { ...query, expires: String(Number(query.expires) + 3600) }, SECRET)).toBe(false);
+    expect(verifyUrl('/api/replays/1/stream', query, 'other-secret')).toBe(false);
+    expect(verifyUrl('/api/replays/1/stream', { ...query, signature: undefined }, SECRET)).toBe(false);
+  });
+});
+
+describe('watching a replay', () => {
+  let session;
+  let recording;
+
+  beforeAll(db.connect);
+  afterEach(db.clear);
+  afterAll(db.disconnect);
+
+  beforeEach(async () => {
+    const trainer = await createUser({ role: 'trainer' });
+    session = await createSession(trainer, { status: 'completed', scheduledAt: new Date(Date.now() - 2 * HOUR_MS) });
+    recording = await Recording.create({
+      session: session._id,
+      trainer: trainer._id,
+      title: session.title,
+      status: 'ready',
+      active: false,
+      url: 'https://cdn.example.com/replays/1.m3u8',
+      stoppedAt: new Date(Date.now() - HOUR_MS)
+    });
+  });
+
+  it('gives booked participants a playback link that leads to the recording', async () => {
+    const viewer = await createUser({ bookedSessions: [{ session: session._id }] });
+
+    const { url } = await replayService.createPlayback(session.id, viewer, 'https://api.example.com');
+
+    const { pathname, searchParams } = new URL(url);
+    expect(pathname).toBe(`/api/replays/${session.id}/stream`);
+    await expect(replayService.resolvePlayback(session.id, Object.fromEntries(searchParams))).resolves.toBe(recording.url);
+    await expect(replayService.resolvePlayback(session.id, { ...Object.fromEntries(searchParams), expires: '9999999999' }))
+      .rejects.toMatchObject({ statusCode: 403 });
+
+    const access = await ReplayAccess.findOne({ user: viewer._id, session: session._id });
+    expect(access).toMatchObject({ source: 'booking', views: 1 });
+  });
+
+  it('refuses users who neither booked nor bought the replay', async () => {
+    const outsider = await createUser();
+
+    await expect(replayService.createPlayback(session.id, outsider, 'https://api.example.com'))
+      .rejects.toMatchObject({ statusCode: 403, message: 'You do not have access to this replay' });
+  });
+});
@@ -0,0 +1,63 @@
+// tests/reports.test.js
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const reportService = require('../services/reportService');
+const moderationPolicy = require('../config/moderationPolicy');
+const db = require('./helpers/db');
+const { createUser } = require('./helpers/factories');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+describe('strikes', () => {
+  it('warns below the limit and suspends when the limit is reached', async () => {
+    const user = await createUser();
+    const limit = moderationPolicy.strikesBeforeSuspension;
+
+    for (let i = 1; i < limit; i++) {
+      await expect(reportService.addStrike(user.id, { reason: 'Spam' }))
+        .resolves.toEqual({ strikes: i, suspendedUntil: null });
+    }
+
+    const { strikes, suspendedUntil } = await reportService.addStrike(user.id, { reason: 'Spam' });
+    expect(strikes).toBe(limit);
+    expect(suspendedUntil.getTime()).toBeGreaterThan(Date.now() + (moderationPolicy.defaultSuspensionDays * DAY_MS) - 60000);
+
+    const stored = await User.findById(user._id);
+    expect(stored.moderation).toMatchObject({ strikes: limit, suspendedUntil, suspensionReason: 'Spam' });
+    expect(stored.isSuspended()).toBe(true);
+    expect(await Notification.countDocuments({ user: user._id, type: 'account_warning' })).toBe(limit - 1);
+    expect(await Notification.countDocuments({ user: user._id, type: 'account_suspended' })).toBe(1);
+  });
+
+  it('counts every strike given at once', async () => {
+    const user = await createUser();
+
+    await Promise.all([1, 2, 3, 4].map(() => reportService.addStrike(user.id, { reason: 'Spam' })));
+
+    expect((await User.findById(user._id)).moderation.strikes).toBe(4);
+  });
+
+  it('keeps a longer suspension and does not announce a shorter one', async () => {
+    const user = await createUser();
+    const first = await reportService.addStrike(user.id, { suspendDays: 30, reason: 'Harassment' });
+
+    const second = await reportService.addStrike(user.id, { suspendDays: 1, reason: 'Spam' });
+
+    expect(second).toEqual({ strikes: 2, suspendedUntil: first.suspendedUntil });
+    const { moderation } = await User.findById(user._id);
+    expect(moderation.suspendedUntil).toEqual(first.suspendedUntil);
+    expect(moderation.suspensionReason).toBe('Harassment');
+    expect(await Notification.countDocuments({ user: user._id, type: 'account_suspended' })).toBe(1);
+  });
+
+  it('rejects an unknown user', async () => {
+    await expect(reportService.addStrike('507f1f77bcf86cd799439011', { reason: 'Spam' }))
+      .rejects.toMatchObject({ statusCode: 404, message: 'User not found' });
+    await expect(reportService.addStrike('nope', { reason: 'Spam' }))
+      .rejects.toMatchObject({ statusCode: 404 });
+  });
+});
@@ -0,0 +1,88 @@
+// tests/sessionCancellation.test.js
+const express = require('express');
+const request = require('supertest');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const TokenLedger = require('../models/TokenLedger');
+const bookingService = require('../services/bookingService');
+const sessionController = require('../controllers/sessionController');
+const errorHandler = require('../middleware/errorHandler');
+const db = require('./helpers/db');
+const { createUser, createUsers, createSession } = require('./helpers/factories');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+describe('cancelling a session', () => {
+  let trainer;
+  let session;
+  let users;
+
+  beforeEach(async () => {
+    trainer = await createUser({ role: 'trainer' });
+    session = await createSession(trainer, { tokenCost: 3 });
+    users = await createUsers(3, { tokens: 10 });
+
+    for (const user of users) {
+      await bookingService.bookSession(session._id, user._id);
+    }
+  });
+
+  it('refunds what each user paid, not the current price', async () => {
+    await Session.updateOne({ _id: session._id }, { $set: { tokenCost: 8 } });
+
+    const { refunded } = await bookingService.cancelSession(session._id, trainer._id);
+
+    expect(refunded).toBe(3);
+    expect((await User.find({ _id: { $in: users.map(user => user._id) } })).map(user => user.tokens)).toEqual([10, 10, 10]);
+
+    const refunds = await Transaction.find({ session: session._id, type: 'session_refund' });
+    expect(refunds.every(refund => refund.tokenAmount === 3 && refund.refundDetails.originalTokens === 3)).toBe(true);
+  });
+
+  it('cannot be done through a session update, which would skip the refunds', async () => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = trainer;
+      next();
+    });
+    app.put('/api/sessions/:id', sessionController.updateSession);
+    app.use(errorHandler);
+
+    const response = await request(app).put(`/api/sessions/${session._id}`).send({ title: 'Renamed', status: 'cancelled' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('Use PUT /api/sessions/:id/status to change the status of a session');
+    expect(await Session.findById(session._id)).toMatchObject({ status: 'scheduled', title: 'Morning HIIT' });
+    expect(await User.countDocuments({ 'bookedSessions.session': session._id })).toBe(3);
+  });
+
+  it('finishes the refunds of a cancellation that stopped part way', async () => {
+    // As if the process died after marking the session and refunding nobody
+    await Session.updateOne({ _id: session._id }, { $set: { status: 'cancelled' } });
+
+    const { refunded } = await bookingService.cancelSession(session._id, trainer._id);
+
+    expect(refunded).toBe(3);
+    expect(await User.countDocuments({ 'bookedSessions.session': session._id })).toBe(0);
+    expect(await TokenLedger.countDocuments({ session: session._id, reason: 'refund' })).toBe(3);
+
+    await expect(bookingService.cancelSession(session._id, trainer._id)).rejects.toThrow('Session cannot be cancelled');
+    expect(await TokenLedger.countDocuments({ session: session._id, reason: 'refund' })).toBe(3);
+  });
+
+  it('resumes every interrupted cancellation from the recovery pass', async () => {
+    await Session.updateOne({ _id: session._id }, { $set: { status: 'cancelled' } });
+    const other = await createSession(trainer, { tokenCost: 2 });
+    await bookingService.bookSession(other._id, users[0]._id);
+
+    const result = await bookingService.resumeCancellations();
+
+    expect(result).toEqual({ sessions: 1, refunded: 3, errors: 0 });
+    expect((await User.findById(users[0]._id)).bookedSessions.map(booking => booking.session.toString()))
+      .toEqual([other._id.toString()]);
+  });
+});
@@ -0,0 +1,25 @@
+// tests/sessionSearch.test.js
+const sessionSearchService = require('../services/sessionSearchService');
+
+describe('session search filters', () => {
+  it('accepts comma-separated and repeated list parameters', () => {
+    expect(sessionSearchService.buildSelections({ category: 'HIIT, Yoga', difficulty: ['Beginner', ' Advanced '] })).toEqual({
+      category: { $in: ['HIIT', 'Yoga'] },
+      difficulty: { $in: ['Beginner', 'Advanced'] }
+    });
+    expect(sessionSearchService.buildBaseMatch({ status: 'scheduled,live' }, 'UTC').status).toEqual({ $in: ['scheduled', 'live'] });
+  });
+
+  it.each([
+    [{ status: { a: 'b' } }, 'status must be a comma-separated list or repeated parameter'],
+    [{ status: ['scheduled', { $ne: 'x' }] }, 'status must be a comma-separated list or repeated parameter'],
+    [{ timeOfDay: 7 }, 'timeOfDay must be a comma-separated list or repeated parameter']
+  ])('rejects %j with a 400', (params, message) => {
+    expect(() => sessionSearchService.buildBaseMatch(params, 'UTC')).toThrow(expect.objectContaining({ statusCode: 400, message }));
+  });
+
+  it('rejects a non-list multi-select filter with a 400', () => {
+    expect(() => sessionSearchService.buildSelections({ equipment: { $gt: '' } }))
+      .toThrow(expect.objectContaining({ statusCode: 400, message: 'equipment must be a comma-separated list or repeated parameter' }));
+  });
+});
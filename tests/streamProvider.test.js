@@ -0,0 +1,35 @@
+// tests/streamProvider.test.js
+const { createStreamProvider } = require('../services/streaming');
+
+describe('choosing the streaming provider', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    delete process.env.STREAM_PROVIDER;
+    delete process.env.AGORA_APP_ID;
+    delete process.env.AGORA_APP_CERTIFICATE;
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it('falls back to the mock outside production', () => {
+    process.env.NODE_ENV = 'development';
+    expect(createStreamProvider().name).toBe('mock');
+  });
+
+  it('uses Agora in production even when it is not configured, so calls fail with a 503', async () => {
+    process.env.NODE_ENV = 'production';
+    const provider = createStreamProvider();
+
+    expect(provider.name).toBe('agora');
+    await expect(provider.createToken('session-1', 1, 'host')).rejects.toMatchObject({ statusCode: 503 });
+  });
+
+  it('uses the mock in production only when asked to', () => {
+    process.env.NODE_ENV = 'production';
+    process.env.STREAM_PROVIDER = 'mock';
+    expect(createStreamProvider().name).toBe('mock');
+  });
+});
@@ -0,0 +1,109 @@
+// tests/streamWebhooks.test.js
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const WebhookEvent = require('../models/WebhookEvent');
+const streamEventService = require('../services/streamEventService');
+const { AgoraProvider, MockProvider, setStreamProvider } = require('../services/streaming');
+const db = require('./helpers/db');
+const { createUser, createSession } = require('./helpers/factories');
+
+const SECRET = 'ncs-secret';
+const hmac = (algorithm, body) => crypto.createHmac(algorithm, SECRET).update(body).digest('hex');
+
+describe('Agora notifications', () => {
+  let provider;
+
+  beforeEach(() => {
+    process.env.AGORA_NCS_SECRET = SECRET;
+    provider = new AgoraProvider();
+  });
+
+  afterEach(() => {
+    delete process.env.AGORA_NCS_SECRET;
+  });
+
+  it('checks both signature versions against the raw body', () => {
+    const body = Buffer.from('{"noticeId":"n1"}');
+
+    expect(provider.verifyWebhook(body, { 'agora-signature-v2': hmac('sha256', body) })).toBe(true);
+    expect(provider.verifyWebhook(body, { 'agora-signature': hmac('sha1', body) })).toBe(true);
+    expect(provider.verifyWebhook(Buffer.from('{"noticeId":"n2"}'), { 'agora-signature-v2': hmac('sha256', body) })).toBe(false);
+    expect(provider.verifyWebhook(body, {})).toBe(false);
+  });
+
+  it('maps channel events and uses the event time rather than the delivery time', () => {
+    expect(provider.parseWebhook({ noticeId: 'n1', eventType: 105, notifyMs: 2000, payload: { channelName: 'c', uid: '42', ts: 1, clientSeq: 7 } }))
+      .toEqual({ id: 'n1', type: 'user_joined', channelName: 'c', uid: 42, at: new Date(1000), seq: 7 });
+    expect(provider.parseWebhook({ noticeId: 'n2', eventType: 104, payload: {} }).type).toBe('user_left');
+    expect(provider.parseWebhook({ noticeId: 'n3', eventType: 1, payload: {} }).type).toBe('ignored');
+  });
+
+  it('refuses notifications while no secret is configured', () => {
+    delete process.env.AGORA_NCS_SECRET;
+
+    expect(() => new AgoraProvider().verifyWebhook(Buffer.alloc(0), {}))
+      .toThrow(expect.objectContaining({ statusCode: 503 }));
+  });
+});
+
+describe('attendance from stream webhooks', () => {
+  const provider = new MockProvider({ secret: SECRET });
+  let session;
+  let viewer;
+
+  const deliver = body => {
+    const raw = Buffer.from(JSON.stringify(body));
+    return streamEventService.handleWebhook(raw, { 'x-mock-signature': hmac('sha256', raw) }, body);
+  };
+
+  beforeAll(async () => {
+    await db.connect();
+    setStreamProvider(provider);
+  });
+  afterEach(db.clear);
+  afterAll(async () => {
+    setStreamProvider(null);
+    await db.disconnect();
+  });
+
+  beforeEach(async () => {
+    const trainer = await createUser({ role: 'trainer' });
+    viewer = await createUser();
+    session = await createSession(trainer, {
+      status: 'live',
+      scheduledAt: new Date(),
+      participants: [{ user: viewer._id }],
+      streamingDetails: { channelName: 'session-channel' }
+    });
+  });
+
+  it('records joins and leaves once, whatever order they arrive in', async () => {
+    const uid = provider.uidFor(viewer._id);
+    const joinedAt = new Date(Date.now() - 10 * 60 * 1000);
+    const leftAt = new Date(Date.now() - 4 * 60 * 1000);
+
+    await expect(deliver({ id: 'e1', type: 'user_joined', channelName: 'session-channel', uid, at: joinedAt, seq: 1 }))
+      .resolves.toEqual({ result: 'joined', duplicate: false });
+    await expect(deliver({ id: 'e1', type: 'user_joined', channelName: 'session-channel', uid, at: joinedAt, seq: 1 }))
+      .resolves.toEqual({ result: 'duplicate', duplicate: true });
+    await expect(deliver({ id: 'e3', type: 'user_left', channelName: 'session-channel', uid, at: leftAt, seq: 3 }))
+      .resolves.toEqual({ result: 'left', duplicate: false });
+    // A join that happened before the leave must not reopen the attendance
+    await expect(deliver({ id: 'e2', type: 'user_joined', channelName: 'session-channel', uid, at: new Date(joinedAt.getTime() + 1000), seq: 2 }))
+      .resolves.toEqual({ result: 'stale', duplicate: false });
+
+    const [participant] = (await Session.findById(session._id)).participants;
+    expect(participant.joinedAt).toEqual(joinedAt);
+    expect(participant.leaveAt).toEqual(leftAt);
+    expect(participant.duration).toBe(6 * 60);
+    expect(await WebhookEvent.countDocuments({ source: 'stream:mock' })).toBe(3);
+  });
+
+  it('rejects a delivery with a bad signature', async () => {
+    const body = { id: 'e1', type: 'user_joined', channelName: 'session-channel', uid: 1 };
+
+    await expect(streamEventService.handleWebhook(Buffer.from(JSON.stringify(body)), { 'x-mock-signature': 'nope' }, body))
+      .rejects.toMatchObject({ statusCode: 401, message: 'Invalid webhook signature' });
+    expect(await WebhookEvent.countDocuments()).toBe(0);
+  });
+});
@@ -0,0 +1,45 @@
+// tests/timezone.test.js
+const {
+  isValidTimeZone,
+  getZonedParts,
+  zonedTimeToUtc,
+  parseDateTime,
+  timeOfDayExpression,
+  localizeSession
+} = require('../utils/timezone');
+
+describe('timezone names', () => {
+  it.each([
+    ['Europe/Berlin', 'Europe/Berlin'],
+    ['europe/berlin', 'Europe/Berlin'],
+    ['EUROPE/BERLIN', 'Europe/Berlin'],
+    ['utc', 'UTC']
+  ])('canonicalizes %s to %s', (input, canonical) => {
+    expect(isValidTimeZone(input)).toBe(canonical);
+  });
+
+  it.each([undefined, '', 'Mars/Olympus_Mons', { $ne: null }])('rejects %j', (input) => {
+    expect(isValidTimeZone(input)).toBeFalsy();
+  });
+
+  it('passes only canonical names to MongoDB', () => {
+    const expression = timeOfDayExpression(['morning'], 'america/NEW_york');
+    expect(expression.$or[0].$and[0].$gte[0]).toEqual({
+      $hour: { date: '$scheduledAt', timezone: 'America/New_York' }
+    });
+  });
+
+  it('reads wall-clock times the same whatever the case of the name', () => {
+    const instant = new Date('2025-03-30T05:00:00Z');
+    expect(getZonedParts(instant, 'europe/berlin')).toEqual(getZonedParts(instant, 'Europe/Berlin'));
+    expect(parseDateTime('2025-03-30T07:00', 'EUROPE/BERLIN')).toEqual(instant);
+    expect(localizeSession({ scheduledAt: instant, duration: 30, timezone: 'europe/berlin' }, 'asia/tokyo')).toMatchObject({
+      session: { timezone: 'Europe/Berlin', start: '2025-03-30T07:00:00+02:00' },
+      viewer: { timezone: 'Asia/Tokyo', start: '2025-03-30T14:00:00+09:00' }
+    });
+  });
+
+  it('moves times skipped by a DST jump forward', () => {
+    expect(zonedTimeToUtc(2025, 3, 30, 2, 30, 'Europe/Berlin')).toEqual(new Date('2025-03-30T01:30:00Z'));
+  });
+});
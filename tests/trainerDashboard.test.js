@@ -0,0 +1,68 @@
+// tests/trainerDashboard.test.js
+const trainerStatsService = require('../services/trainerStatsService');
+const db = require('./helpers/db');
+const { createUser, createUsers, createSession } = require('./helpers/factories');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+describe('trainer dashboard', () => {
+  it('sums the rollups into totals, trends, categories and time slots', async () => {
+    const trainer = await createUser({ role: 'trainer' });
+    const [regular, casual, absent] = await createUsers(3);
+    const joined = user => ({ user: user._id, joinedAt: new Date('2025-03-01T00:00:00Z') });
+    const base = { status: 'completed', timezone: 'Europe/Berlin', tokenCost: 3 };
+
+    // Mondays 18:00 and a Wednesday 08:00 in Berlin, plus a cancelled class
+    await createSession(trainer, {
+      ...base,
+      scheduledAt: new Date('2025-03-03T17:00:00Z'),
+      participants: [joined(regular), joined(casual), { user: absent._id }],
+      ratings: [{ user: regular._id, rating: 5 }, { user: casual._id, rating: 4 }]
+    });
+    await createSession(trainer, {
+      ...base,
+      scheduledAt: new Date('2025-03-10T17:00:00Z'),
+      participants: [joined(regular)],
+      ratings: [{ user: regular._id, rating: 3 }]
+    });
+    await createSession(trainer, {
+      ...base,
+      category: 'Yoga',
+      scheduledAt: new Date('2025-03-12T07:00:00Z'),
+      participants: [{ user: casual._id }]
+    });
+    await createSession(trainer, { ...base, status: 'cancelled', scheduledAt: new Date('2025-03-05T17:00:00Z') });
+
+    await trainerStatsService.rollup(trainer._id, new Date('2025-03-01T00:00:00Z'), new Date('2025-04-01T00:00:00Z'));
+    const dashboard = await trainerStatsService.getDashboard(trainer.id, { from: '2025-03-01', to: '2025-03-31', interval: 'week' });
+
+    expect(dashboard.range).toEqual({ from: '2025-03-01', to: '2025-03-31', interval: 'week' });
+    expect(dashboard.totals).toEqual({
+      sessionsRun: 3,
+      sessionsScheduled: 3,
+      sessionsCancelled: 1,
+      bookings: 5,
+      attended: 3,
+      attendanceRate: 60,
+      averageRating: 4,
+      ratings: 3,
+      tokensEarned: 15,
+      uniqueAttendees: 2,
+      repeatAttendees: 1,
+      repeatAttendeeRate: 50
+    });
+    expect(dashboard.trends.map(period => [period.period, period.sessionsRun, period.attended])).toEqual([
+      ['2025-03-03', 1, 2],
+      ['2025-03-10', 2, 1]
+    ]);
+    expect(dashboard.topCategories).toEqual([
+      { category: 'HIIT', sessions: 2, bookings: 4, attended: 3, attendanceRate: 75 },
+      { category: 'Yoga', sessions: 1, bookings: 1, attended: 0, attendanceRate: 0 }
+    ]);
+    expect(dashboard.bestTimeSlots[0]).toEqual({
+      weekday: 'Monday', hour: 18, sessions: 2, averageAttendance: 1.5, attendanceRate: 75
+    });
+  });
+});
@@ -0,0 +1,73 @@
+// tests/userTokens.test.js
+const express = require('express');
+const request = require('supertest');
+const userController = require('../controllers/userController');
+const tokenLedgerService = require('../services/tokenLedgerService');
+const errorHandler = require('../middleware/errorHandler');
+const HttpError = require('../utils/httpError');
+
+describe('admin token adjustments', () => {
+  const userId = '64b7f0c2a1b2c3d4e5f60718';
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { _id: 'admin-id', role: 'admin' };
+      next();
+    });
+    app.put('/api/users/:id/tokens', userController.updateTokens);
+    app.use(errorHandler);
+
+    jest.spyOn(tokenLedgerService, 'setBalance').mockResolvedValue({ balance: 0 });
+    jest.spyOn(tokenLedgerService, 'credit').mockResolvedValue({ balance: 10 });
+    jest.spyOn(tokenLedgerService, 'debit').mockRejectedValue(new HttpError(400, 'Insufficient tokens'));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const update = body => request(app).put(`/api/users/${userId}/tokens`).send(body);
+
+  it.each([
+    [{ tokens: '' }],
+    [{ tokens: '   ' }],
+    [{ tokens: null }],
+    [{ tokens: true }],
+    [{ tokens: [] }],
+    [{ tokens: 'ten' }],
+    [{ tokens: -5 }]
+  ])('rejects %j without touching the balance', async (body) => {
+    const response = await update(body);
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({ message: 'Invalid token amount' });
+    expect(tokenLedgerService.setBalance).not.toHaveBeenCalled();
+  });
+
+  it('rejects adding or subtracting nothing', async () => {
+    for (const operation of ['add', 'subtract']) {
+      const response = await update({ tokens: 0, operation });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ message: 'Token amount must be greater than 0' });
+    }
+    expect(tokenLedgerService.credit).not.toHaveBeenCalled();
+    expect(tokenLedgerService.debit).not.toHaveBeenCalled();
+  });
+
+  it('accepts numeric strings and an explicit balance of 0', async () => {
+    expect((await update({ tokens: '10', operation: 'add' })).body.tokens).toBe(10);
+    expect(tokenLedgerService.credit).toHaveBeenCalledWith(userId, 10, 'admin_adjustment', expect.any(Object));
+
+    expect((await update({ tokens: 0 })).status).toBe(200);
+    expect(tokenLedgerService.setBalance).toHaveBeenCalledWith(userId, 0, expect.any(Object));
+  });
+
+  it('explains a subtraction the balance cannot cover', async () => {
+    const response = await update({ tokens: 5, operation: 'subtract' });
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({ message: 'User does not have enough tokens' });
+  });
+});
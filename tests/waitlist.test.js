@@ -0,0 +1,56 @@
+// tests/waitlist.test.js
+const Session = require('../models/Session');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const bookingService = require('../services/bookingService');
+const db = require('./helpers/db');
+const { createUser, createSession } = require('./helpers/factories');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+describe('session waitlist', () => {
+  let session;
+  let booked;
+
+  beforeEach(async () => {
+    const trainer = await createUser({ role: 'trainer' });
+    session = await createSession(trainer, { maxParticipants: 1, tokenCost: 3 });
+    booked = await createUser({ tokens: 10 });
+    await bookingService.bookSession(session._id, booked._id);
+  });
+
+  it('only takes users once the session is full, in the order they joined', async () => {
+    const [first, second] = [await createUser({ tokens: 10 }), await createUser({ tokens: 10 })];
+
+    await expect(bookingService.joinWaitlist(session._id, first._id)).resolves.toMatchObject({ position: 1 });
+    await expect(bookingService.joinWaitlist(session._id, second._id)).resolves.toMatchObject({ position: 2 });
+    await expect(bookingService.joinWaitlist(session._id, first._id))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Already on the waitlist' });
+    await expect(bookingService.joinWaitlist(session._id, booked._id))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Session already booked' });
+
+    const roomy = await createSession(await createUser({ role: 'trainer' }), { maxParticipants: 5 });
+    await expect(bookingService.joinWaitlist(roomy._id, first._id))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Session still has spots available, book it directly' });
+  });
+
+  it('books the next user who can pay when a seat is given up', async () => {
+    const broke = await createUser({ tokens: 1 });
+    const next = await createUser({ tokens: 10 });
+    await bookingService.joinWaitlist(session._id, broke._id);
+    await bookingService.joinWaitlist(session._id, next._id);
+
+    const { promoted } = await bookingService.cancelBooking(session._id, booked._id);
+
+    expect(promoted).toEqual([next._id]);
+    const saved = await Session.findById(session._id);
+    expect(saved.participants.map(participant => participant.user)).toEqual([next._id]);
+    expect(saved.waitlist).toHaveLength(0);
+    expect((await User.findById(next._id)).tokens).toBe(7);
+    expect((await User.findById(broke._id)).tokens).toBe(1);
+    expect(await Notification.exists({ user: next._id, type: 'waitlist_promoted' })).toBeTruthy();
+    expect(await Notification.exists({ user: broke._id, type: 'waitlist_skipped' })).toBeTruthy();
+  });
+});
@@ -0,0 +1,123 @@
+// tests/workoutMetrics.test.js
+const User = require('../models/User');
+const WorkoutSample = require('../models/WorkoutSample');
+const workoutMetricsService = require('../services/workoutMetricsService');
+const workoutMetrics = require('../config/workoutMetrics');
+const { generateWorkout } = require('../utils/syntheticWorkout');
+const db = require('./helpers/db');
+const { createUser, createSession } = require('./helpers/factories');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+const DURATION_SECONDS = 8 * 60;
+const MAX_HEART_RATES = [175, 190, 205];
+
+describe('wearable data from a live class', () => {
+  let session;
+  let participants;
+  let workouts;
+
+  beforeEach(async () => {
+    // The class started just long enough ago for the last samples to be live
+    const startAt = new Date(Date.now() - DURATION_SECONDS * 1000 - 2000);
+    const trainer = await createUser({ role: 'trainer' });
+    session = await createSession(trainer, {
+      status: 'live',
+      scheduledAt: startAt,
+      streamingDetails: { channelName: 'class', startedAt: startAt }
+    });
+
+    participants = [];
+    for (const maxHeartRate of MAX_HEART_RATES) {
+      participants.push(await createUser({
+        fitnessProfile: { maxHeartRate },
+        bookedSessions: [{ session: session._id }]
+      }));
+    }
+
+    workouts = participants.map((user, index) => generateWorkout({
+      seed: index + 1,
+      startAt,
+      durationSeconds: DURATION_SECONDS,
+      maxHeartRate: user.fitnessProfile.maxHeartRate,
+      profile: index === 0 ? 'steady' : 'intervals',
+      fitness: 0.9 + index * 0.1
+    }));
+
+    // Devices send what they buffered, a batch at a time
+    for (const [index, user] of participants.entries()) {
+      const samples = workouts[index].map(({ at, ...reading }) => ({ at: at.toISOString(), ...reading }));
+      for (let start = 0; start < samples.length; start += workoutMetrics.maxBatchSize) {
+        await workoutMetricsService.ingest(session._id, user, samples.slice(start, start + workoutMetrics.maxBatchSize));
+      }
+    }
+  });
+
+  it('stores every sample with the zone for the user\'s max heart rate', async () => {
+    for (const [index, user] of participants.entries()) {
+      const stored = await WorkoutSample.find({ session: session._id, user: user._id }).sort({ at: 1 }).lean();
+
+      expect(stored).toHaveLength(workouts[index].length);
+      stored.forEach((sample, i) => {
+        expect(sample.heartRate).toBe(workouts[index][i].heartRate);
+        expect(sample.zone).toBe(workoutMetricsService.zoneFor(sample.heartRate, MAX_HEART_RATES[index]));
+      });
+    }
+  });
+
+  it('aggregates the class intensity from everyone\'s latest reading', async () => {
+    const latest = workouts.map(workout => workout[workout.length - 1]);
+    const percents = latest.map((sample, index) => Math.round((sample.heartRate / MAX_HEART_RATES[index]) * 100));
+    const zones = [0, 0, 0, 0, 0, 0];
+    latest.forEach((sample, index) => { zones[workoutMetricsService.zoneFor(sample.heartRate, MAX_HEART_RATES[index])] += 1; });
+
+    const intensity = await workoutMetricsService.getLiveIntensity(session, { detailed: true });
+
+    expect(intensity.activeParticipants).toBe(3);
+    expect(intensity.averageHeartRate).toBe(Math.round(latest.reduce((sum, s) => sum + s.heartRate, 0) / 3));
+    expect(intensity.averagePercentOfMax).toBe(Math.round(percents.reduce((sum, p) => sum + p, 0) / 3));
+    expect(intensity.zones).toEqual(zones);
+    expect(intensity.participants.map(p => p.percentOfMax)).toEqual([...percents].sort((a, b) => b - a));
+  });
+
+  it('saves a workout summary on each participant\'s completed sessions', async () => {
+    // A participant who already rated the class keeps a single entry
+    await User.updateOne(
+      { _id: participants[0]._id },
+      { $push: { completedSessions: { session: session._id, completedAt: new Date(), rating: 5 } } }
+    );
+
+    expect(await workoutMetricsService.saveSummaries(session)).toBe(3);
+
+    for (const [index, user] of participants.entries()) {
+      const { completedSessions } = await User.findById(user._id).lean();
+      const workout = workouts[index];
+      const heartRates = workout.map(sample => sample.heartRate);
+      const averageHeartRate = Math.round(heartRates.reduce((sum, hr) => sum + hr, 0) / heartRates.length);
+
+      expect(completedSessions).toHaveLength(1);
+      expect(completedSessions[0].workout).toEqual({
+        durationSeconds: DURATION_SECONDS,
+        samples: workout.length,
+        averageHeartRate,
+        maxHeartRate: Math.max(...heartRates),
+        calories: Math.round(workout[workout.length - 1].calories),
+        averageCadence: Math.round(workout.reduce((sum, s) => sum + s.cadence, 0) / workout.length),
+        zoneSeconds: expect.any(Array),
+        intensity: Math.round((averageHeartRate / MAX_HEART_RATES[index]) * 100),
+        maxHeartRateUsed: MAX_HEART_RATES[index]
+      });
+
+      // Every 5 second gap is counted in the zone of the reading that started it
+      const expectedZones = [0, 0, 0, 0, 0, 0];
+      workout.slice(0, -1).forEach(sample => {
+        expectedZones[workoutMetricsService.zoneFor(sample.heartRate, MAX_HEART_RATES[index])] += 5;
+      });
+      expect(completedSessions[0].workout.zoneSeconds).toEqual(expectedZones);
+    }
+
+    expect((await User.findById(participants[0]._id)).completedSessions[0].rating).toBe(5);
+  });
+});
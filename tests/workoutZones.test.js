@@ -0,0 +1,52 @@
+// tests/workoutZones.test.js
+const workoutMetricsService = require('../services/workoutMetricsService');
+const { createSampleGenerator, generateWorkout } = require('../utils/syntheticWorkout');
+
+describe('heart-rate zones', () => {
+  it.each([
+    [80, 0],
+    [90, 1],
+    [108, 2],
+    [126, 3],
+    [144, 4],
+    [162, 5],
+    [180, 5]
+  ])('puts %i bpm in zone %i for a max of 180', (heartRate, zone) => {
+    expect(workoutMetricsService.zoneFor(heartRate, 180)).toBe(zone);
+  });
+
+  it('uses the max heart rate from the profile, the birth year or the default', () => {
+    const birthYear = new Date().getFullYear() - 40;
+
+    expect(workoutMetricsService.maxHeartRateFor({ fitnessProfile: { maxHeartRate: 172, birthYear } })).toBe(172);
+    expect(workoutMetricsService.maxHeartRateFor({ fitnessProfile: { birthYear } })).toBe(180);
+    expect(workoutMetricsService.maxHeartRateFor({})).toBe(190);
+  });
+
+  it('follows a synthetic interval class through the zones', () => {
+    const durationSeconds = 20 * 60;
+    const next = createSampleGenerator({ seed: 7, maxHeartRate: 180, durationSeconds, profile: 'intervals' });
+    const zoneAt = {};
+
+    for (let elapsed = 0; elapsed <= durationSeconds; elapsed += 5) {
+      zoneAt[elapsed] = workoutMetricsService.zoneFor(next(elapsed).heartRate, 180);
+    }
+
+    // Warming up, then the end of each hard minute and of each easy one
+    expect(zoneAt[0]).toBeLessThanOrEqual(1);
+    [4, 6, 8, 10, 12, 14, 16].forEach(minute => expect(zoneAt[minute * 60 + 55]).toBeGreaterThanOrEqual(4));
+    [5, 7, 9, 11, 13, 15, 17].forEach(minute => expect(zoneAt[minute * 60 + 55]).toBeLessThanOrEqual(3));
+  });
+
+  it('generates the same workout for the same seed', () => {
+    const startAt = new Date('2025-03-01T08:00:00Z');
+    const workout = generateWorkout({ seed: 3, startAt, durationSeconds: 600 });
+
+    expect(generateWorkout({ seed: 3, startAt, durationSeconds: 600 })).toEqual(workout);
+    expect(generateWorkout({ seed: 4, startAt, durationSeconds: 600 })).not.toEqual(workout);
+    expect(workout).toHaveLength(121);
+    expect(workout[120].at).toEqual(new Date('2025-03-01T08:10:00Z'));
+    // Calories only ever go up
+    expect(workout.every((sample, i) => i === 0 || sample.calories >= workout[i - 1].calories)).toBe(true);
+  });
+});
@@ -0,0 +1,36 @@
+// utils/csv.js
+// Minimal RFC 4180 CSV writer for report exports.
+
+// Text starting with these is run as a formula by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Turn rows into CSV text with a header line
+ * @param {Array<Object>} columns - { key, label } in output order
+ * @param {Array<Object>} rows - Objects holding the column keys
+ * @returns {string} - CSV, lines separated by CRLF
+ */
+const toCsv = (columns, rows) => {
+  const lines = [columns.map(column => formatCell(column.label || column.key)).join(',')];
+
+  rows.forEach(row => {
+    lines.push(columns.map(column => formatCell(row[column.key])).join(','));
+  });
+
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  toCsv
+};
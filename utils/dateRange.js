@@ -0,0 +1,59 @@
+// utils/dateRange.js
+// Whole-day UTC ranges for reports: ?from=YYYY-MM-DD&to=YYYY-MM-DD (both
+// included) and a day/week/month interval to group by.
+const HttpError = require('./httpError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INTERVALS = ['day', 'week', 'month'];
+
+const startOfUtcDay = date => new Date(Math.floor(new Date(date).getTime() / DAY_MS) * DAY_MS);
+
+// "2026-10-19" for a Date
+const dayKey = date => new Date(date).toISOString().slice(0, 10);
+
+const parseDay = (value, name) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(`${value}T00:00:00Z`))) {
+    throw new HttpError(400, `${name} must be a date (YYYY-MM-DD)`);
+  }
+  return new Date(`${value}T00:00:00Z`);
+};
+
+/**
+ * Parse a report's date range and interval
+ * @param {Object} query - from, to, interval (all optional)
+ * @param {Object} options - defaultDays (range ending today), maxDays
+ * @returns {Object} - { start, end (exclusive), days, interval }; without an
+ *                     interval the longer the range, the coarser it gets
+ */
+const parseDayRange = ({ from, to, interval } = {}, { defaultDays = 30, maxDays = 366 } = {}) => {
+  const end = to ? new Date(parseDay(to, 'to').getTime() + DAY_MS) : startOfUtcDay(Date.now() + DAY_MS);
+  const start = from ? parseDay(from, 'from') : new Date(end.getTime() - defaultDays * DAY_MS);
+  const days = (end - start) / DAY_MS;
+
+  if (days < 1) {
+    throw new HttpError(400, 'from must not be after to');
+  }
+
+  if (days > maxDays) {
+    throw new HttpError(400, `The range can be at most ${maxDays} days`);
+  }
+
+  if (interval && !INTERVALS.includes(interval)) {
+    throw new HttpError(400, 'Interval must be day, week or month');
+  }
+
+  return {
+    start,
+    end,
+    days,
+    interval: interval || (days <= 31 ? 'day' : days <= 180 ? 'week' : 'month')
+  };
+};
+
+module.exports = {
+  DAY_MS,
+  INTERVALS,
+  startOfUtcDay,
+  dayKey,
+  parseDayRange
+};
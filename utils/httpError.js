@@ -0,0 +1,13 @@
+// utils/httpError.js
+// Error carrying an HTTP status code. Services throw it so controllers (or the
+// global error handler) can turn it into the right response.
+class HttpError extends Error {
+  constructor(statusCode, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+    if (details) this.details = details;
+  }
+}
+
+module.exports = HttpError;
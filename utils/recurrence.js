@@ -0,0 +1,188 @@
+// utils/recurrence.js
+// Minimal RRULE-style recurrence expansion (RFC 5545 subset: FREQ=DAILY|WEEKLY,
+// INTERVAL, BYDAY, COUNT, UNTIL) used to generate the sessions of a series.
+const { zonedTimeToUtc } = require('./timezone');
+const HttpError = require('./httpError');
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const MAX_OCCURRENCES = 200;
+const MAX_SPAN_DAYS = 2 * 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Parse "FREQ=WEEKLY;BYDAY=MO,WE,FR;COUNT=12" into a recurrence object.
+// An UNTIL without "Z" is read in `timeZone`, the series' timezone.
+// Throws a 400 naming the part of the rule it cannot read.
+const parseRRule = (rrule, timeZone = 'UTC') => {
+  if (typeof rrule !== 'string') {
+    throw new HttpError(400, 'Recurrence rule must be a string');
+  }
+
+  const recurrence = {};
+  const source = rrule.trim().replace(/^RRULE:/i, '');
+
+  source.split(';').filter(Boolean).forEach(part => {
+    const [key, value, ...rest] = part.split('=');
+    if (!key || !value || rest.length) {
+      throw new HttpError(400, `Invalid recurrence rule part "${part}", expected KEY=VALUE`);
+    }
+
+    switch (key.toUpperCase()) {
+      case 'FREQ':
+        recurrence.frequency = value.toLowerCase();
+        break;
+      case 'INTERVAL':
+      case 'COUNT': {
+        if (!/^\d+$/.test(value)) {
+          throw new HttpError(400, `${key.toUpperCase()} must be a whole number, got "${value}"`);
+        }
+        recurrence[key.toUpperCase() === 'COUNT' ? 'count' : 'interval'] = parseInt(value, 10);
+        break;
+      }
+      case 'BYDAY': {
+        recurrence.byDay = value.toUpperCase().split(',');
+        const unknown = recurrence.byDay.find(day => !WEEKDAYS.includes(day));
+        if (unknown !== undefined) {
+          throw new HttpError(400, `Unknown BYDAY day "${unknown}", expected one of ${WEEKDAYS.join(', ')}`);
+        }
+        break;
+      }
+      case 'UNTIL': {
+        // Accept both 20250131 and 20250131T235959Z
+        const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+        if (!match) {
+          throw new HttpError(400, `UNTIL must look like 20250131 or 20250131T235959Z, got "${value}"`);
+        }
+        const [, y, m, d, hh, mm, ss] = match.map(Number);
+        if (!match[4]) {
+          // A date alone includes the whole of that local day
+          recurrence.until = new Date(zonedTimeToUtc(y, m, d + 1, 0, 0, timeZone).getTime() - 1000);
+        } else if (value.endsWith('Z')) {
+          recurrence.until = new Date(Date.UTC(y, m - 1, d, hh, mm, ss));
+        } else {
+          recurrence.until = new Date(zonedTimeToUtc(y, m, d, hh, mm, timeZone).getTime() + ss * 1000);
+        }
+        break;
+      }
+      default:
+        throw new HttpError(400, `Unsupported recurrence rule part "${key}"`);
+    }
+  });
+
+  return recurrence;
+};
+
+// Build an RRULE string from a recurrence object
+const toRRule = (recurrence) => {
+  const parts = [`FREQ=${recurrence.frequency.toUpperCase()}`];
+
+  if (recurrence.interval && recurrence.interval > 1) parts.push(`INTERVAL=${recurrence.interval}`);
+  if (recurrence.byDay && recurrence.byDay.length) parts.push(`BYDAY=${recurrence.byDay.join(',')}`);
+  if (recurrence.count) parts.push(`COUNT=${recurrence.count}`);
+  if (recurrence.until) {
+    parts.push(`UNTIL=${new Date(recurrence.until).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+  }
+
+  return parts.join(';');
+};
+
+// Returns an error message, or null if the recurrence can be expanded in
+// full (generateOccurrences never cuts a valid rule short)
+const validateRecurrence = (recurrence, timeZone = 'UTC') => {
+  if (!recurrence) return 'Recurrence is required';
+  if (!['daily', 'weekly'].includes(recurrence.frequency)) return 'Frequency must be daily or weekly';
+  if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(recurrence.time || '')) return 'Time must be in HH:mm format';
+  if (!recurrence.startDate || isNaN(new Date(recurrence.startDate))) return 'A valid start date is required';
+  if (!recurrence.until && !recurrence.count) return 'Either an end date or a number of occurrences is required';
+  if (recurrence.until && isNaN(new Date(recurrence.until))) return 'A valid end date is required';
+  if (recurrence.count && (recurrence.count < 1 || recurrence.count > MAX_OCCURRENCES)) {
+    return `Number of occurrences must be between 1 and ${MAX_OCCURRENCES}`;
+  }
+  if (recurrence.interval !== undefined && (!Number.isInteger(recurrence.interval) || recurrence.interval < 1)) {
+    return 'Interval must be a positive whole number';
+  }
+  if ((recurrence.byDay || []).some(day => !WEEKDAYS.includes(day))) {
+    return `Days must be among ${WEEKDAYS.join(', ')}`;
+  }
+
+  const { occurrences, finished } = expand(recurrence, timeZone, MAX_OCCURRENCES + 1);
+  if (occurrences.length > MAX_OCCURRENCES) {
+    return `The end date gives more than ${MAX_OCCURRENCES} occurrences; choose an earlier one`;
+  }
+  if (!finished) {
+    return `A series can span at most ${MAX_SPAN_DAYS} days`;
+  }
+  return null;
+};
+
+// Walk the calendar from startDate until the rule ends, `max` occurrences
+// are found or MAX_SPAN_DAYS have passed. `finished` is false when it
+// stopped before the rule did.
+const expand = (recurrence, timeZone, max) => {
+  const interval = recurrence.interval || 1;
+  const [hours, minutes] = recurrence.time.split(':').map(Number);
+  const start = new Date(recurrence.startDate);
+  const startDay = Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate());
+  const until = recurrence.until ? new Date(recurrence.until) : null;
+  const limit = Math.min(recurrence.count || Infinity, max);
+
+  const byDay = recurrence.byDay && recurrence.byDay.length
+    ? recurrence.byDay
+    : [WEEKDAYS[start.getUTCDay()]];
+
+  // Weeks start on Monday, as in RRULE's default WKST
+  const startWeek = startDay - ((new Date(startDay).getUTCDay() + 6) % 7) * DAY_MS;
+
+  const occurrences = [];
+
+  for (let offset = 0; offset < MAX_SPAN_DAYS; offset++) {
+    const day = new Date(startDay + offset * DAY_MS);
+
+    if (recurrence.frequency === 'daily') {
+      if (offset % interval !== 0) continue;
+    } else {
+      const weekIndex = Math.floor((day.getTime() - startWeek) / (7 * DAY_MS));
+      if (weekIndex % interval !== 0) continue;
+      if (!byDay.includes(WEEKDAYS[day.getUTCDay()])) continue;
+    }
+
+    const occurrence = zonedTimeToUtc(
+      day.getUTCFullYear(),
+      day.getUTCMonth() + 1,
+      day.getUTCDate(),
+      hours,
+      minutes,
+      timeZone
+    );
+
+    if (until && occurrence > until) {
+      return { occurrences, finished: true };
+    }
+
+    occurrences.push(occurrence);
+
+    if (occurrences.length >= limit) {
+      return { occurrences, finished: occurrences.length === recurrence.count };
+    }
+  }
+
+  return { occurrences, finished: false };
+};
+
+/**
+ * Expand a recurrence into the list of occurrence start times. `time` is a
+ * wall-clock time in `timeZone`, so occurrences keep the same local time
+ * across DST changes. `startDate` is read as a calendar date.
+ * @param {Object} recurrence - frequency, interval, byDay, time (HH:mm), startDate, until, count
+ * @param {string} timeZone - IANA timezone the time is expressed in
+ * @returns {Array<Date>} - Occurrence start times, in order
+ */
+const generateOccurrences = (recurrence, timeZone = 'UTC') => expand(recurrence, timeZone, MAX_OCCURRENCES).occurrences;
+
+module.exports = {
+  WEEKDAYS,
+  MAX_OCCURRENCES,
+  parseRRule,
+  toRRule,
+  validateRecurrence,
+  generateOccurrences
+};
@@ -0,0 +1,51 @@
+// utils/signedUrl.js
+// Short-lived HMAC-signed URLs: the signature covers the path, the expiry and
+// any extra parameters, so none of them can be changed without invalidating it.
+const crypto = require('crypto');
+
+const signature = (path, params, secret) => {
+  const payload = [path, ...Object.keys(params).sort().map(key => `${key}=${params[key]}`)].join('\n');
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+};
+
+/**
+ * Sign a path so it can be used until `expiresIn` seconds from now
+ * @param {string} path - URL path, e.g. /api/replays/123/stream
+ * @param {Object} options - secret, expiresIn (seconds), params (extra query values)
+ * @returns {Object} - { url, expiresAt }
+ */
+const signUrl = (path, { secret, expiresIn, params = {} }) => {
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  const signed = { ...params, expires: String(expires) };
+  const query = new URLSearchParams({ ...signed, signature: signature(path, signed, secret) });
+
+  return {
+    url: `${path}?${query.toString()}`,
+    expiresAt: new Date(expires * 1000)
+  };
+};
+
+/**
+ * Check a signed URL's query against its path
+ * @param {string} path - URL path the signature was made for
+ * @param {Object} query - Parsed query string, including expires and signature
+ * @param {string} secret - Signing secret
+ * @returns {boolean} - Whether the URL is authentic and not expired
+ */
+const verifyUrl = (path, query, secret) => {
+  const { signature: given, ...params } = query || {};
+
+  if (!given || !params.expires || Number(params.expires) * 1000 < Date.now()) {
+    return false;
+  }
+
+  const expected = Buffer.from(signature(path, params, secret));
+  const actual = Buffer.from(String(given));
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+module.exports = {
+  signUrl,
+  verifyUrl
+};
@@ -0,0 +1,92 @@
+// utils/syntheticWorkout.js
+// Deterministic fake wearable data for development and testing: a heart rate
+// that warms up, follows the class (steady or intervals) and cools down, with
+// cumulative calories and cadence to match.
+
+// Small seeded PRNG (mulberry32) so a seed always gives the same workout
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Share of max heart rate the class asks for at a point in it
+const targetShare = (elapsedSeconds, durationSeconds, profile) => {
+  const progress = elapsedSeconds / durationSeconds;
+
+  if (progress < 0.1) return 0.5 + (progress / 0.1) * 0.15;
+  if (progress > 0.9) return 0.75 - ((progress - 0.9) / 0.1) * 0.15;
+  if (profile === 'intervals') {
+    // One minute hard, one minute easy
+    return Math.floor(elapsedSeconds / 60) % 2 === 0 ? 0.88 : 0.7;
+  }
+  return 0.75;
+};
+
+/**
+ * Make a generator of samples for one simulated participant
+ * @param {Object} options - seed, maxHeartRate, restingHeartRate, durationSeconds,
+ *                           profile ('steady' or 'intervals'), fitness (0.8-1.2, lower works harder)
+ * @returns {Function} - (elapsedSeconds) => { heartRate, calories, cadence }; call with increasing times
+ */
+const createSampleGenerator = ({
+  seed = 1,
+  maxHeartRate = 190,
+  restingHeartRate = 65,
+  durationSeconds = 45 * 60,
+  profile = 'intervals',
+  fitness = 1
+} = {}) => {
+  const random = createRandom(seed);
+  let heartRate = restingHeartRate + 10;
+  let calories = 0;
+  let lastElapsed = 0;
+
+  return (elapsedSeconds) => {
+    const step = Math.max(elapsedSeconds - lastElapsed, 0);
+    lastElapsed = elapsedSeconds;
+
+    // The heart rate follows the target with some lag and noise
+    const target = Math.min(targetShare(elapsedSeconds, durationSeconds, profile) / fitness, 0.98) * maxHeartRate;
+    const follow = 1 - Math.exp(-step / 20);
+    heartRate += (target - heartRate) * follow + (random() - 0.5) * 4;
+    heartRate = Math.min(Math.max(heartRate, restingHeartRate), maxHeartRate);
+
+    // Roughly 4 kcal/min when easy up to 14 kcal/min at max effort
+    const share = heartRate / maxHeartRate;
+    calories += (4 + Math.max(share - 0.5, 0) * 20) * (step / 60);
+
+    return {
+      heartRate: Math.round(heartRate),
+      calories: Math.round(calories * 10) / 10,
+      cadence: Math.round(60 + share * 40 + (random() - 0.5) * 6)
+    };
+  };
+};
+
+/**
+ * A whole synthetic workout at once
+ * @param {Object} options - Those of createSampleGenerator, plus startAt (Date) and intervalSeconds
+ * @returns {Array<Object>} - Samples with their time in `at`
+ */
+const generateWorkout = ({ startAt = new Date(), intervalSeconds = 5, ...options } = {}) => {
+  const durationSeconds = options.durationSeconds || 45 * 60;
+  const next = createSampleGenerator({ ...options, durationSeconds });
+  const samples = [];
+
+  for (let elapsed = 0; elapsed <= durationSeconds; elapsed += intervalSeconds) {
+    samples.push({ at: new Date(startAt.getTime() + elapsed * 1000), ...next(elapsed) });
+  }
+
+  return samples;
+};
+
+module.exports = {
+  createSampleGenerator,
+  generateWorkout
+};
@@ -0,0 +1,234 @@
+// utils/timezone.js
+// IANA timezone helpers built on Intl, so no timezone database dependency is needed.
+
+const DEFAULT_TIMEZONE = 'UTC';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Local hour ranges [from, to) used by the time-of-day filter
+const TIME_OF_DAY_RANGES = {
+  morning: [5, 12],
+  afternoon: [12, 17],
+  evening: [17, 22],
+  night: [22, 29] // wraps past midnight, up to 05:00
+};
+
+// Keyed by canonical name only, so it holds at most one formatter per real timezone
+const formatters = new Map();
+
+// Canonical IANA name of a timezone Intl knows (e.g. "europe/berlin" -> "Europe/Berlin"), or null
+const canonicalTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return null;
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone }).resolvedOptions().timeZone;
+  } catch (error) {
+    return null;
+  }
+};
+
+const getFormatter = (timeZone) => {
+  if (formatters.has(timeZone)) return formatters.get(timeZone);
+
+  const canonical = canonicalTimeZone(timeZone);
+  if (!canonical) {
+    throw new RangeError(`Invalid time zone specified: ${timeZone}`);
+  }
+
+  if (!formatters.has(canonical)) {
+    formatters.set(canonical, new Intl.DateTimeFormat('en-US', {
+      timeZone: canonical,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(canonical);
+};
+
+// The canonical name of a valid timezone (e.g. "Europe/Berlin"), or null.
+// Store and pass on this rather than what the client sent.
+const isValidTimeZone = (timeZone) => canonicalTimeZone(timeZone);
+
+// Wall-clock parts of an instant in a timezone
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(new Date(date)).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+  };
+};
+
+// Offset of a timezone from UTC at a given instant, in minutes
+const getOffsetMinutes = (date, timeZone) => {
+  const instant = new Date(date);
+  const parts = getZonedParts(instant, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(instant.getTime() / 1000) * 1000) / 60000);
+};
+
+// The instant at which the wall clock in `timeZone` shows the given local time.
+// Times skipped by a DST jump (e.g. 02:30 on spring-forward day) move forward by the jump.
+const zonedTimeToUtc = (year, month, day, hour, minute, timeZone) => {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const firstOffset = getOffsetMinutes(guess, timeZone);
+  let result = guess - firstOffset * 60000;
+
+  const secondOffset = getOffsetMinutes(result, timeZone);
+  if (secondOffset !== firstOffset) {
+    result = guess - secondOffset * 60000;
+  }
+
+  return new Date(result);
+};
+
+// Parse a date input. Date-times without an offset or "Z" (e.g. "2025-03-30T07:00")
+// are wall-clock times in `timeZone`; anything else is parsed as an instant.
+const parseDateTime = (value, timeZone) => {
+  const match = typeof value === 'string' &&
+    value.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?$/);
+
+  const canonical = isValidTimeZone(timeZone);
+  if (match && canonical) {
+    const [, year, month, day, hour, minute] = match.map(Number);
+    return zonedTimeToUtc(year, month, day, hour, minute, canonical);
+  }
+
+  return new Date(value);
+};
+
+// ISO 8601 string with the local offset, e.g. 2025-03-30T07:00:00+02:00
+const formatInTimeZone = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const offset = getOffsetMinutes(date, timeZone);
+  const pad = (value) => String(value).padStart(2, '0');
+  const sign = offset >= 0 ? '+' : '-';
+  const absolute = Math.abs(offset);
+
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}` +
+    `T${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}` +
+    `${sign}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`;
+};
+
+// Midnight (local) of the day containing `date`, `addDays` days later
+const startOfDay = (date, timeZone, addDays = 0) => {
+  const parts = getZonedParts(date, timeZone);
+  const day = new Date(Date.UTC(parts.year, parts.month - 1, parts.day) + addDays * DAY_MS);
+  return zonedTimeToUtc(day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate(), 0, 0, timeZone);
+};
+
+// Local midnight of the Monday starting the week containing `date`
+const startOfWeek = (date, timeZone, addWeeks = 0) => {
+  const { weekday } = getZonedParts(date, timeZone);
+  const daysSinceMonday = (weekday + 6) % 7;
+  return startOfDay(date, timeZone, addWeeks * 7 - daysSinceMonday);
+};
+
+/**
+ * UTC boundaries of a named date range, evaluated in a timezone
+ * @param {string} range - today, tomorrow, this_week, next_week or weekend
+ * @param {string} timeZone - IANA timezone
+ * @param {Date} now - Reference time
+ * @returns {Object|null} - { start, end } or null for an unknown range
+ */
+const getRangeBounds = (range, timeZone, now = new Date()) => {
+  switch (range) {
+    case 'today':
+      return { start: startOfDay(now, timeZone), end: startOfDay(now, timeZone, 1) };
+    case 'tomorrow':
+      return { start: startOfDay(now, timeZone, 1), end: startOfDay(now, timeZone, 2) };
+    case 'this_week':
+      return { start: startOfWeek(now, timeZone), end: startOfWeek(now, timeZone, 1) };
+    case 'next_week':
+      return { start: startOfWeek(now, timeZone, 1), end: startOfWeek(now, timeZone, 2) };
+    case 'weekend': {
+      const saturday = startOfWeek(now, timeZone);
+      return { start: startOfDay(saturday, timeZone, 5), end: startOfWeek(now, timeZone, 1) };
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * MongoDB $expr matching sessions whose local start hour falls in any of the
+ * given parts of the day
+ * @param {Array<string>} periods - morning, afternoon, evening, night
+ * @param {string} timeZone - IANA timezone
+ * @param {string} field - Date field to test
+ * @returns {Object|null} - Expression, or null if no valid period was given
+ */
+const timeOfDayExpression = (periods, timeZone, field = '$scheduledAt') => {
+  const localHour = { $hour: { date: field, timezone: canonicalTimeZone(timeZone) || DEFAULT_TIMEZONE } };
+
+  const conditions = periods
+    .filter(period => TIME_OF_DAY_RANGES[period])
+    .map(period => {
+      const [from, to] = TIME_OF_DAY_RANGES[period];
+      if (to <= 24) {
+        return { $and: [{ $gte: [localHour, from] }, { $lt: [localHour, to] }] };
+      }
+      return { $or: [{ $gte: [localHour, from] }, { $lt: [localHour, to - 24] }] };
+    });
+
+  return conditions.length ? { $or: conditions } : null;
+};
+
+/**
+ * Start and end of a session in UTC, in the session's own timezone and in
+ * the viewer's timezone
+ * @param {Object} session - Session with scheduledAt, duration and timezone
+ * @param {string} viewerTimeZone - Timezone of the person looking at it
+ * @returns {Object} - { utc, session, viewer }
+ */
+const localizeSession = (session, viewerTimeZone) => {
+  const start = new Date(session.scheduledAt);
+  const end = new Date(start.getTime() + (session.duration || 0) * 60000);
+  const sessionTimeZone = isValidTimeZone(session.timezone) || DEFAULT_TIMEZONE;
+  const viewer = isValidTimeZone(viewerTimeZone) || sessionTimeZone;
+
+  return {
+    utc: {
+      start: start.toISOString(),
+      end: end.toISOString()
+    },
+    session: {
+      timezone: sessionTimeZone,
+      start: formatInTimeZone(start, sessionTimeZone),
+      end: formatInTimeZone(end, sessionTimeZone)
+    },
+    viewer: {
+      timezone: viewer,
+      start: formatInTimeZone(start, viewer),
+      end: formatInTimeZone(end, viewer)
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  TIME_OF_DAY_RANGES,
+  isValidTimeZone,
+  getZonedParts,
+  getOffsetMinutes,
+  zonedTimeToUtc,
+  parseDateTime,
+  formatInTimeZone,
+  startOfDay,
+  startOfWeek,
+  getRangeBounds,
+  timeOfDayExpression,
+  localizeSession
+};
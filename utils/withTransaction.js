@@ -0,0 +1,20 @@
+// utils/withTransaction.js
+const mongoose = require('mongoose');
+
+// Run `work(dbSession)` inside a MongoDB multi-document transaction.
+// The driver retries the whole callback on transient errors (e.g. write
+// conflicts between two concurrent bookings), so `work` must be safe to re-run.
+// Transactions need MongoDB running as a replica set (or mongos).
+module.exports = async (work) => {
+  const dbSession = await mongoose.startSession();
+
+  try {
+    let result;
+    await dbSession.withTransaction(async () => {
+      result = await work(dbSession);
+    });
+    return result;
+  } finally {
+    await dbSession.endSession();
+  }
+};